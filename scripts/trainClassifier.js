@@ -0,0 +1,160 @@
+/**
+ * Policy Classifier Training
+ * Trains the policy type classifier from labeled documents and writes the model module
+ * loaded by src/services/policyClassifier.js.
+ *
+ * Usage:
+ *   npm run train:classifier -- [--data <file.jsonl|directory>]... [--out <model.js>]
+ *     [--folds 5] [--epochs 400] [--l2 0.001] [--min-df 2] [--max-features 2000]
+ *
+ * Datasets are JSON Lines files, one labeled document per line:
+ *   {"id": "bundle-01", "labels": ["home", "auto"], "text": "MULTI-POLICY PACKAGE DECLARATIONS ..."}
+ *   {"id": "acme-ho3", "labels": ["home"], "textFile": "acme/ho3-declarations.txt"}
+ * `textFile` is read relative to the dataset file, so extracted text of real documents (the
+ * `extractedText` of an analysis result) can be kept next to the labels. Labels are policy
+ * types from src/utils/policyTypes.js; a bundled policy lists every type it covers.
+ * A directory reads every .jsonl file in it. The default dataset is scripts/data.
+ */
+
+import { readFileSync, readdirSync, statSync, writeFileSync } from 'node:fs';
+import { dirname, join, relative, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { MultiLabelClassifier } from '../src/services/classifiers/multiLabelClassifier.js';
+import { POLICY_TYPES } from '../src/utils/policyTypes.js';
+
+// Stands in for number arrays while the model is serialized, so they can be written on one line
+const NUMBER_ARRAY_MARKER = '@numbers:';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+const OPTIONS = {
+  '--data': { key: 'data', multiple: true },
+  '--out': { key: 'out' },
+  '--folds': { key: 'folds', number: true },
+  '--epochs': { key: 'epochs', number: true },
+  '--l2': { key: 'l2', number: true },
+  '--min-df': { key: 'minDocumentFrequency', number: true },
+  '--max-features': { key: 'maxFeatures', number: true }
+};
+
+function parseArguments(args) {
+  const options = { data: [] };
+
+  for (let i = 0; i < args.length; i++) {
+    const option = OPTIONS[args[i]];
+    const value = args[i + 1];
+    if (!option || value === undefined) {
+      throw new Error(`Unknown or incomplete option: ${args[i]}`);
+    }
+
+    if (option.multiple) options[option.key].push(value);
+    else options[option.key] = option.number ? Number(value) : value;
+    i++;
+  }
+
+  if (options.data.length === 0) options.data.push(join(ROOT, 'scripts/data'));
+  options.out = resolve(options.out || join(ROOT, 'src/data/classifierModel.js'));
+  return options;
+}
+
+function listDatasetFiles(path) {
+  const fullPath = resolve(path);
+  if (!statSync(fullPath).isDirectory()) return [fullPath];
+
+  return readdirSync(fullPath)
+    .filter(name => name.endsWith('.jsonl'))
+    .sort()
+    .map(name => join(fullPath, name));
+}
+
+function readExamples(file) {
+  return readFileSync(file, 'utf8')
+    .split(/\r?\n/)
+    .map((line, index) => ({ line: line.trim(), location: `${relative(ROOT, file)}:${index + 1}` }))
+    .filter(({ line }) => line && !line.startsWith('//'))
+    .map(({ line, location }) => {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${location}: invalid JSON (${error.message})`);
+      }
+
+      const labels = Array.isArray(entry.labels) ? entry.labels : [];
+      const unknown = labels.filter(label => !POLICY_TYPES[label]);
+      if (labels.length === 0 || unknown.length > 0) {
+        throw new Error(`${location}: labels must be policy types (${Object.keys(POLICY_TYPES).join(', ')}); got ${JSON.stringify(entry.labels)}`);
+      }
+
+      const text = entry.text ?? (entry.textFile ? readFileSync(resolve(dirname(file), entry.textFile), 'utf8') : '');
+      if (!text.trim()) {
+        throw new Error(`${location}: example has no text`);
+      }
+
+      return { id: entry.id || location, labels, text };
+    });
+}
+
+/**
+ * Model module source; weight arrays stay on one line each so the file remains readable
+ */
+function formatModel(model, sources) {
+  const json = JSON.stringify(model, (key, value) => (
+    Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'number')
+      ? `${NUMBER_ARRAY_MARKER}${value.join(',')}`
+      : value
+  ), 2).replace(new RegExp(`"${NUMBER_ARRAY_MARKER}([^"]*)"`, 'g'), '[$1]');
+
+  return `/**
+ * Policy Classifier Model
+ * Generated by scripts/trainClassifier.js from ${sources.join(', ')}; do not edit by hand.
+ * Retrain with \`npm run train:classifier\` after changing the labeled dataset.
+ */
+
+export default ${json};
+`;
+}
+
+function printMetrics(model) {
+  console.log(`\nCross-validated metrics (${model.training.folds} folds, ${model.training.examples} examples, ${model.training.features} features)`);
+  console.log('label        positives  threshold  precision  recall  f1     brier');
+  for (const label of model.labels) {
+    const metrics = model.metrics[label];
+    console.log([
+      label.padEnd(12),
+      String(metrics.positives).padStart(9),
+      String(model.thresholds[label]).padStart(10),
+      metrics.precision.toFixed(3).padStart(10),
+      metrics.recall.toFixed(3).padStart(7),
+      metrics.f1.toFixed(3).padStart(6),
+      metrics.brier.toFixed(4).padStart(8)
+    ].join(' '));
+  }
+}
+
+function main() {
+  const { data, out, ...trainingOptions } = parseArguments(process.argv.slice(2));
+  const files = data.flatMap(listDatasetFiles);
+  const examples = files.flatMap(readExamples);
+
+  const labels = Object.keys(POLICY_TYPES).filter(label => examples.some(example => example.labels.includes(label)));
+  const missing = Object.keys(POLICY_TYPES).filter(label => !labels.includes(label));
+  if (missing.length > 0) {
+    console.warn(`No examples for ${missing.join(', ')}; the model will not predict these types`);
+  }
+
+  console.log(`Training on ${examples.length} examples from ${files.length} file(s)...`);
+  const classifier = MultiLabelClassifier.train(examples, { ...trainingOptions, labels });
+  const model = classifier.toJSON();
+
+  writeFileSync(out, formatModel(model, files.map(file => relative(ROOT, file))));
+  printMetrics(model);
+  console.log(`\nModel written to ${relative(ROOT, out)}`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`Training failed: ${error.message}`);
+  process.exit(1);
+}
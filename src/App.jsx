@@ -5,6 +5,7 @@ import Hero from './components/Hero';
 import PolicyUpload from './components/PolicyUpload';
 import PolicyAnalysis from './components/PolicyAnalysis';
 import Dashboard from './components/Dashboard';
+import PortfolioAnalysis from './components/PortfolioAnalysis';
 import SubscriptionModal from './components/SubscriptionModal';
 import { usePaymentContext } from './hooks/usePaymentContext';
 
@@ -45,6 +46,7 @@ function App() {
     const updatedPolicy = {
       ...currentPolicy,
       ...analysisResults,
+      analysisResult: analysisResults.enhancedData?.comprehensiveResult || null,
       status: 'completed'
     };
     
@@ -54,6 +56,31 @@ function App() {
     setCurrentPolicy(updatedPolicy);
   };
 
+  const handlePortfolioComplete = (summary) => {
+    const analyzed = summary.analyses.map(({ itemId, name, result }) => ({
+      id: itemId,
+      fileName: name,
+      coverageType: result.classificationAnalysis?.primaryType,
+      insuranceProvider: result.documentAnalysis?.structuredData?.insuranceCompany || name,
+      policyNumber: result.documentAnalysis?.structuredData?.policyNumber,
+      uploadDate: new Date().toISOString(),
+      // Opening the policy shows this analysis instead of running a new one
+      analysisResult: result,
+      status: result.riskAnalysis?.criticalIssues?.length ? 'needs_attention' : 'completed',
+      summary: {
+        overallRating: result.overallRating,
+        recommendations: result.prioritizedRecommendations.length
+      }
+    }));
+
+    setPolicies(prev => [...prev.filter(p => !analyzed.some(policy => policy.id === p.id)), ...analyzed]);
+  };
+
+  // Completed analyses of the user's other policies, e.g. the auto and home under an umbrella
+  const getRelatedPolicies = (policy) => policies
+    .filter(p => p.id !== policy?.id && p.analysisResult)
+    .map(p => p.analysisResult);
+
   const handleSubscribe = async (plan) => {
     try {
       // In a real app, this would integrate with Stripe
@@ -86,16 +113,25 @@ function App() {
         return (
           <PolicyAnalysis 
             policy={currentPolicy}
+            relatedPolicies={getRelatedPolicies(currentPolicy)}
             onComplete={handleAnalysisComplete}
             onBack={() => setCurrentView('upload')}
           />
         );
+      case 'portfolio':
+        return (
+          <PortfolioAnalysis 
+            onComplete={handlePortfolioComplete}
+            onBack={() => setCurrentView('dashboard')}
+          />
+        );
       case 'dashboard':
         return (
           <Dashboard 
             user={user}
             policies={policies}
             onNewAnalysis={() => setCurrentView('upload')}
+            onBatchAnalysis={() => setCurrentView('portfolio')}
             onViewPolicy={(policy) => {
               setCurrentPolicy(policy);
               setCurrentView('analysis');
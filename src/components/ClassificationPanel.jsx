@@ -0,0 +1,166 @@
+import React, { useState } from 'react';
+import { Tag, RefreshCw, CheckCircle, ChevronDown, ChevronUp } from 'lucide-react';
+import { POLICY_TYPES } from '../utils/policyTypes.js';
+
+const METHOD_LABELS = {
+  'logistic-regression': 'trained classifier',
+  'keyword-pattern-matching': 'keyword matching',
+  'structured-input': 'ACORD line of business',
+  'user-override': 'your correction'
+};
+
+const formatPercent = (value) => `${Math.round((value || 0) * 100)}%`;
+
+const EvidenceList = ({ title, items, tone = 'blue' }) => {
+  if (!items?.length) return null;
+
+  const tones = {
+    blue: 'bg-blue-50 text-blue-700',
+    gray: 'bg-gray-100 text-gray-700',
+    red: 'bg-red-50 text-red-700'
+  };
+
+  return (
+    <div className="mb-3">
+      <p className="text-xs font-medium text-gray-500 uppercase tracking-wide mb-1">{title}</p>
+      <div className="flex flex-wrap gap-1">
+        {items.map((item, index) => (
+          <span key={index} className={`px-2 py-0.5 rounded text-xs ${tones[tone]}`}>{item}</span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Why the document was classified as it was, with alternatives the user can switch to
+ */
+const ClassificationPanel = ({ classification, onOverride, reanalyzing = false }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [selectedType, setSelectedType] = useState('');
+
+  if (!classification) return null;
+
+  const details = classification.details || [];
+  const primary = details.find(detail => detail.type === classification.primaryType);
+  const alternatives = details.filter(detail => !(classification.labels || []).includes(detail.type));
+  const method = classification.metadata?.method || classification.method;
+  const overriddenFrom = classification.metadata?.overriddenFrom;
+  const typeLabel = (type) => POLICY_TYPES[type]?.label || type;
+
+  const override = (type) => {
+    if (type && !reanalyzing) onOverride(type);
+  };
+
+  return (
+    <div className="card mb-8">
+      <div className="flex items-start justify-between">
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900 mb-1 flex items-center">
+            <Tag className="w-5 h-5 mr-2 text-blue-600" />
+            {(classification.labels?.length ? classification.labels : [classification.primaryType]).map(typeLabel).join(' + ')}
+            {classification.subTypeDetails?.label && (
+              <span className="ml-2 text-base font-normal text-gray-600">· {classification.subTypeDetails.label}</span>
+            )}
+          </h2>
+          <p className="text-sm text-gray-600">
+            {formatPercent(classification.confidence)} confidence from {METHOD_LABELS[method] || method}
+            {overriddenFrom && ` · classified as ${typeLabel(overriddenFrom.primaryType)} before your correction`}
+          </p>
+        </div>
+        {details.length > 0 && (
+          <button
+            onClick={() => setExpanded(!expanded)}
+            className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800"
+          >
+            {expanded ? 'Hide evidence' : 'Why this type?'}
+            {expanded ? <ChevronUp className="w-4 h-4 ml-1" /> : <ChevronDown className="w-4 h-4 ml-1" />}
+          </button>
+        )}
+      </div>
+
+      {expanded && primary && (
+        <div className="mt-4 border-t border-gray-100 pt-4">
+          <EvidenceList title="Definitive keywords" items={primary.definitiveKeywords} />
+          <EvidenceList title="Coverage keywords" items={[...primary.typeKeywords, ...primary.coverageKeywords]} />
+          <EvidenceList
+            title="Structured fields"
+            items={primary.structuredPatterns.map(hit => `${hit.field}: ${hit.value}`)}
+            tone="gray"
+          />
+          <EvidenceList title="Standard forms" items={primary.formNumbers} tone="gray" />
+          <EvidenceList title="Strongest model terms" items={primary.modelTerms.map(term => term.term)} tone="gray" />
+          <EvidenceList
+            title={`Counted against${primary.exclusions.penalty ? ` (−${primary.exclusions.penalty})` : ''}`}
+            items={primary.exclusions.keywords}
+            tone="red"
+          />
+          {classification.subTypeDetails?.evidence?.length > 0 && (
+            <EvidenceList title={`${classification.subTypeDetails.label} evidence`} items={classification.subTypeDetails.evidence} tone="gray" />
+          )}
+        </div>
+      )}
+
+      {alternatives.length > 0 && (
+        <div className="mt-4 border-t border-gray-100 pt-4">
+          <p className="text-sm font-medium text-gray-900 mb-2">Alternative types</p>
+          <div className="space-y-2">
+            {alternatives.map(alternative => (
+              <div key={alternative.type} className="flex items-center justify-between">
+                <div className="flex-1 mr-4">
+                  <div className="flex items-center justify-between text-sm text-gray-700 mb-1">
+                    <span>{alternative.label}</span>
+                    <span>{formatPercent(alternative.confidence)}</span>
+                  </div>
+                  <div className="w-full bg-gray-200 rounded-full h-1.5">
+                    <div className="bg-gray-400 h-1.5 rounded-full" style={{ width: formatPercent(alternative.confidence) }}></div>
+                  </div>
+                  {expanded && alternative.reasons.length > 0 && (
+                    <p className="text-xs text-gray-500 mt-1">{alternative.reasons.join(' · ')}</p>
+                  )}
+                </div>
+                <button
+                  onClick={() => override(alternative.type)}
+                  disabled={reanalyzing}
+                  className="text-sm text-blue-600 hover:text-blue-800 whitespace-nowrap disabled:text-gray-400"
+                >
+                  This is actually {alternative.label.replace(/ Insurance$/, '').toLowerCase()}
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="mt-4 flex items-center space-x-2 text-sm">
+        <select
+          value={selectedType}
+          onChange={(event) => setSelectedType(event.target.value)}
+          disabled={reanalyzing}
+          className="border border-gray-300 rounded px-2 py-1 text-sm"
+        >
+          <option value="">Another policy type…</option>
+          {Object.entries(POLICY_TYPES)
+            .filter(([type]) => type !== classification.primaryType)
+            .map(([type, config]) => (
+              <option key={type} value={type}>{config.label}</option>
+            ))}
+        </select>
+        <button
+          onClick={() => override(selectedType)}
+          disabled={!selectedType || reanalyzing}
+          className="btn btn-secondary disabled:opacity-50"
+        >
+          {reanalyzing ? (
+            <RefreshCw className="w-4 h-4 mr-2 animate-spin" />
+          ) : (
+            <CheckCircle className="w-4 h-4 mr-2" />
+          )}
+          {reanalyzing ? 'Re-analyzing…' : 'Re-analyze as this type'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ClassificationPanel;
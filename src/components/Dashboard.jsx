@@ -8,10 +8,11 @@ import {
   CheckCircle,
   Clock,
   Eye,
-  Download
+  Download,
+  Layers
 } from 'lucide-react';
 
-const Dashboard = ({ user, policies, onNewAnalysis, onViewPolicy }) => {
+const Dashboard = ({ user, policies, onNewAnalysis, onBatchAnalysis, onViewPolicy }) => {
   const [filter, setFilter] = useState('all');
 
   // Calculate dashboard stats
@@ -209,7 +210,7 @@ const Dashboard = ({ user, policies, onNewAnalysis, onViewPolicy }) => {
       {/* Quick Actions */}
       <div className="mt-12 card">
         <h2 className="text-xl font-semibold text-gray-900 mb-4">Quick Actions</h2>
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
           <button 
             onClick={onNewAnalysis}
             className="p-4 border border-gray-200 rounded-lg hover:border-blue-300 hover:bg-blue-50 transition-all text-left"
@@ -219,6 +220,15 @@ const Dashboard = ({ user, policies, onNewAnalysis, onViewPolicy }) => {
             <p className="text-sm text-gray-600">Get AI analysis in 30 seconds</p>
           </button>
           
+          <button 
+            onClick={onBatchAnalysis}
+            className="p-4 border border-gray-200 rounded-lg hover:border-indigo-300 hover:bg-indigo-50 transition-all text-left"
+          >
+            <Layers className="w-6 h-6 text-indigo-600 mb-2" />
+            <h3 className="font-medium text-gray-900 mb-1">Analyze Portfolio</h3>
+            <p className="text-sm text-gray-600">Review every policy of a household at once</p>
+          </button>
+          
           <button className="p-4 border border-gray-200 rounded-lg hover:border-green-300 hover:bg-green-50 transition-all text-left">
             <Calendar className="w-6 h-6 text-green-600 mb-2" />
             <h3 className="font-medium text-gray-900 mb-1">Set Renewal Reminders</h3>
@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
 import { ConnectButton } from '@rainbow-me/rainbowkit';
-import { Shield, Brain, BarChart3, User, Home, Menu, X } from 'lucide-react';
+import { Shield, Brain, BarChart3, User, Home, Menu, X, Layers } from 'lucide-react';
 
 const Header = ({ user, onNavigate, currentView, subscriptionStatus }) => {
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
@@ -9,6 +9,7 @@ const Header = ({ user, onNavigate, currentView, subscriptionStatus }) => {
     { id: 'hero', label: 'Home', icon: Home },
     { id: 'dashboard', label: 'Dashboard', icon: BarChart3 },
     { id: 'upload', label: 'Analyze Policy', icon: Brain },
+    { id: 'portfolio', label: 'Portfolio', icon: Layers },
   ];
 
   const handleNavigation = (id) => {
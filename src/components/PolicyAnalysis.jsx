@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { 
   Brain, 
   AlertTriangle, 
@@ -8,14 +8,26 @@ import {
   Clock,
   ArrowLeft,
   Download,
-  Share2
+  Share2,
+  Search
 } from 'lucide-react';
 import analysisPipeline from '../services/analysisPipeline.js';
+import ClassificationPanel from './ClassificationPanel';
+import { POLICY_TYPES } from '../utils/policyTypes.js';
+import { EXTRACTION_ERROR_CODES, PASSWORD_ERROR_CODES } from '../services/extractors/extractionErrors.js';
 
-const PolicyAnalysis = ({ policy, onComplete, onBack }) => {
+const PolicyAnalysis = ({ policy, userProfile = null, relatedPolicies = [], onComplete, onBack }) => {
   const [loading, setLoading] = useState(true);
   const [analysisStep, setAnalysisStep] = useState(0);
   const [analysis, setAnalysis] = useState(null);
+  const [selectedFinding, setSelectedFinding] = useState(null);
+  const [passwordError, setPasswordError] = useState(null);
+  const [passwordInput, setPasswordInput] = useState('');
+  // Passwords entered on this screen, keyed by document path, for the policy they belong to
+  const [enteredPasswords, setEnteredPasswords] = useState({ policyId: null, passwords: {} });
+  const [progress, setProgress] = useState({ message: null, overallProgress: 0 });
+  const [reanalyzing, setReanalyzing] = useState(false);
+  const abortControllerRef = useRef(null);
 
   const analysisSteps = [
     { label: 'Reading Policy Document', duration: 3000 },
@@ -26,20 +38,34 @@ const PolicyAnalysis = ({ policy, onComplete, onBack }) => {
   ];
 
   useEffect(() => {
+    // Leaving this screen cancels processing, including OCR running in the worker
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    // A policy analyzed before (e.g. in a portfolio batch) shows its stored result
+    if (policy.analysisResult) {
+      setAnalysis(convertPipelineResult(policy.analysisResult));
+      setLoading(false);
+      return () => controller.abort();
+    }
+
     const runAnalysis = async () => {
       try {
+        const { file, files, passwords, ...policyDetails } = policy;
+        const unlocked = enteredPasswords.policyId === policy.id ? enteredPasswords.passwords : {};
+
         // Create a mock file object from policy data if no actual file
         const mockFile = policy.fileName ? null : new File(
-          [JSON.stringify(policy)], 
+          [JSON.stringify(policyDetails)], 
           'policy-data.json', 
           { type: 'application/json' }
         );
 
-        // Run enhanced analysis pipeline
+        // Run enhanced analysis pipeline on the uploaded documents when available
         const pipelineResult = await analysisPipeline.executeAnalysis(
-          mockFile,
-          policy,
-          {}, // User profile - could be passed from parent
+          files?.length ? files : file || mockFile,
+          policyDetails,
+          userProfile,
           (progress) => {
             // Update progress based on pipeline stage
             const stageIndex = analysisSteps.findIndex(step => 
@@ -48,9 +74,23 @@ const PolicyAnalysis = ({ policy, onComplete, onBack }) => {
             if (stageIndex >= 0) {
               setAnalysisStep(stageIndex);
             }
-          }
+            setProgress({ message: progress.message, overallProgress: progress.overallProgress });
+          },
+          { passwords: { ...passwords, ...unlocked }, relatedPolicies, signal: controller.signal }
         );
 
+        // A cancelled run leaves no results behind
+        if (controller.signal.aborted || pipelineResult.errorCode === EXTRACTION_ERROR_CODES.PROCESSING_CANCELLED) {
+          return;
+        }
+
+        // A locked or wrongly unlocked PDF needs the user, not mock results
+        if (PASSWORD_ERROR_CODES.includes(pipelineResult.errorCode)) {
+          setPasswordError({ message: pipelineResult.error, ...pipelineResult.errorDetails });
+          setLoading(false);
+          return;
+        }
+
         if (pipelineResult.success) {
           // Convert comprehensive result to expected format
           const analysisResults = convertPipelineResult(pipelineResult.result);
@@ -61,6 +101,8 @@ const PolicyAnalysis = ({ policy, onComplete, onBack }) => {
           throw new Error(pipelineResult.error || 'Analysis pipeline failed');
         }
       } catch (error) {
+        if (controller.signal.aborted) return;
+
         console.error('Enhanced analysis failed:', error);
         // Use mock data as fallback
         const mockAnalysis = generateMockAnalysis(policy);
@@ -71,12 +113,66 @@ const PolicyAnalysis = ({ policy, onComplete, onBack }) => {
     };
 
     runAnalysis();
-  }, [policy]);
+
+    return () => controller.abort();
+    // onComplete hands the parent a new policy object with the results; only another policy
+    // or a password entered here starts a new analysis, or a re-analysis would be replaced
+  }, [policy.id, enteredPasswords]);
+
+  // Analyze again with the password of the document that was locked
+  const unlockDocument = (e) => {
+    e.preventDefault();
+    if (!passwordInput) return;
+
+    const previous = enteredPasswords.policyId === policy.id ? enteredPasswords.passwords : {};
+    setEnteredPasswords({ policyId: policy.id, passwords: { ...previous, [passwordError.documentPath]: passwordInput } });
+    setPasswordInput('');
+    setPasswordError(null);
+    setAnalysisStep(0);
+    setLoading(true);
+  };
+
+  // The user's policy type replaces the classifier's; documents are not processed again
+  const reanalyzeAs = async (policyType) => {
+    const comprehensiveResult = analysis?.enhancedData?.comprehensiveResult;
+    if (!comprehensiveResult) return;
+
+    setReanalyzing(true);
+    try {
+      const pipelineResult = await analysisPipeline.reanalyzeWithPolicyType(
+        comprehensiveResult,
+        policyType,
+        null,
+        null,
+        { signal: abortControllerRef.current?.signal }
+      );
+      if (abortControllerRef.current?.signal.aborted) return;
+
+      if (!pipelineResult.success) {
+        throw new Error(pipelineResult.error || 'Reanalysis failed');
+      }
+
+      const analysisResults = convertPipelineResult(pipelineResult.result);
+      setAnalysis(analysisResults);
+      setSelectedFinding(null);
+      onComplete(analysisResults);
+    } catch (error) {
+      console.error('Reanalysis failed:', error);
+    } finally {
+      setReanalyzing(false);
+    }
+  };
+
+  const cancelAnalysis = () => {
+    abortControllerRef.current?.abort();
+    onBack();
+  };
 
   const convertPipelineResult = (comprehensiveResult) => {
     // Convert comprehensive analysis result to expected UI format
     const aiAnalysis = comprehensiveResult.aiAnalysis || {};
     const riskAnalysis = comprehensiveResult.riskAnalysis || {};
+    const documentAnalysis = comprehensiveResult.documentAnalysis;
     
     return {
       summary: {
@@ -90,7 +186,8 @@ const PolicyAnalysis = ({ policy, onComplete, onBack }) => {
         severity: risk.severity || 'medium',
         title: risk.title || 'Risk Identified',
         description: risk.description || 'Risk analysis completed',
-        recommendation: risk.recommendation || 'Review recommended'
+        recommendation: risk.recommendation || 'Review recommended',
+        source: documentAnalysis?.findSource(risk.sourceFields) || null
       })),
       coverageBreakdown: aiAnalysis.coverageBreakdown || [
         { category: 'Primary Coverage', current: 'Analyzed', recommended: 'Review needed', status: 'review' },
@@ -193,7 +290,7 @@ const PolicyAnalysis = ({ policy, onComplete, onBack }) => {
       <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
         <div className="text-center mb-8">
           <button 
-            onClick={onBack}
+            onClick={cancelAnalysis}
             className="inline-flex items-center text-blue-600 hover:text-blue-800 mb-4"
           >
             <ArrowLeft className="w-4 h-4 mr-2" />
@@ -218,18 +315,72 @@ const PolicyAnalysis = ({ policy, onComplete, onBack }) => {
             <div className="w-full bg-gray-200 rounded-full h-2 mb-4">
               <div 
                 className="bg-gradient-to-r from-blue-500 to-purple-600 h-2 rounded-full transition-all duration-500"
-                style={{ width: `${((analysisStep + 1) / analysisSteps.length) * 100}%` }}
+                style={{ width: `${progress.overallProgress || ((analysisStep + 1) / analysisSteps.length) * 100}%` }}
               ></div>
             </div>
+            {progress.message && (
+              <p className="text-sm text-gray-700 mb-1">{progress.message}</p>
+            )}
             <p className="text-sm text-gray-600">
               Step {analysisStep + 1} of {analysisSteps.length}
             </p>
+            <button
+              onClick={cancelAnalysis}
+              className="mt-6 text-sm text-gray-600 hover:text-red-600 underline"
+            >
+              Cancel analysis
+            </button>
           </div>
         </div>
       </div>
     );
   }
 
+  if (passwordError) {
+    return (
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="card max-w-2xl mx-auto text-center">
+          <div className="w-16 h-16 bg-yellow-100 rounded-full flex items-center justify-center mx-auto mb-4">
+            <AlertTriangle className="w-8 h-8 text-yellow-600" />
+          </div>
+          <h3 className="text-lg font-medium text-gray-900 mb-2">
+            Document Is Password Protected
+          </h3>
+          <p className="text-gray-600 mb-6">{passwordError.message}</p>
+          {passwordError.documentPath != null && (
+            <form onSubmit={unlockDocument} className="max-w-sm mx-auto mb-6 text-left">
+              <label htmlFor="document-password" className="block text-sm font-medium text-gray-700 mb-1">
+                Password for {passwordError.fileName}
+                {passwordError.emailSubject && ` (attached to "${passwordError.emailSubject}")`}
+              </label>
+              <div className="flex items-center space-x-2">
+                <input
+                  id="document-password"
+                  type="password"
+                  value={passwordInput}
+                  onChange={(e) => setPasswordInput(e.target.value)}
+                  className="form-input flex-1"
+                  placeholder="Document password"
+                  autoFocus
+                />
+                <button type="submit" disabled={!passwordInput} className="btn btn-primary">
+                  Unlock and Analyze
+                </button>
+              </div>
+            </form>
+          )}
+          <button 
+            onClick={onBack}
+            className="inline-flex items-center text-blue-600 hover:text-blue-800"
+          >
+            <ArrowLeft className="w-4 h-4 mr-2" />
+            Back to Upload
+          </button>
+        </div>
+      </div>
+    );
+  }
+
   const getSeverityColor = (severity) => {
     switch (severity) {
       case 'high': return 'text-red-600 bg-red-100';
@@ -239,6 +390,16 @@ const PolicyAnalysis = ({ policy, onComplete, onBack }) => {
     }
   };
 
+  const formatMethod = (method) => {
+    switch (method) {
+      case 'table': return 'declarations table';
+      case 'ocr': return 'OCR text';
+      case 'ai': return 'AI extraction';
+      case 'structured': return 'ACORD data';
+      default: return 'text pattern';
+    }
+  };
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'adequate': return 'text-green-600 bg-green-100';
@@ -249,6 +410,16 @@ const PolicyAnalysis = ({ policy, onComplete, onBack }) => {
     }
   };
 
+  const classification = analysis.enhancedData?.comprehensiveResult?.classificationAnalysis;
+  const policyLabel = classification && classification.primaryType !== 'unknown'
+    ? [
+        (classification.labels?.length ? classification.labels : [classification.primaryType])
+          .map(type => POLICY_TYPES[type]?.label.replace(/ Insurance$/, '') || type)
+          .join(' & '),
+        classification.getSubTypeLabel?.()
+      ].filter(Boolean).join(' · ')
+    : policy.coverageType;
+
   return (
     <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
       {/* Header */}
@@ -265,7 +436,7 @@ const PolicyAnalysis = ({ policy, onComplete, onBack }) => {
             Policy Analysis Complete
           </h1>
           <p className="text-gray-600">
-            Analysis for {policy.insuranceProvider} {policy.coverageType} policy #{policy.policyNumber}
+            Analysis for {policy.insuranceProvider} {policyLabel} policy #{policy.policyNumber}
           </p>
         </div>
         
@@ -309,6 +480,13 @@ const PolicyAnalysis = ({ policy, onComplete, onBack }) => {
         </div>
       </div>
 
+      {/* Policy Type */}
+      <ClassificationPanel
+        classification={classification}
+        onOverride={reanalyzeAs}
+        reanalyzing={reanalyzing}
+      />
+
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
         {/* Key Findings */}
         <div className="card">
@@ -317,7 +495,13 @@ const PolicyAnalysis = ({ policy, onComplete, onBack }) => {
           </h2>
           <div className="space-y-4">
             {analysis.keyFindings.map((finding, index) => (
-              <div key={index} className="border border-gray-200 rounded-lg p-4">
+              <div
+                key={index}
+                className={`border rounded-lg p-4 ${finding.source ? 'cursor-pointer hover:border-blue-300' : ''} ${
+                  selectedFinding === index ? 'border-blue-400' : 'border-gray-200'
+                }`}
+                onClick={() => finding.source && setSelectedFinding(selectedFinding === index ? null : index)}
+              >
                 <div className="flex items-start justify-between mb-2">
                   <h3 className="font-medium text-gray-900">{finding.title}</h3>
                   <span className={`px-2 py-1 rounded-full text-xs font-medium ${getSeverityColor(finding.severity)}`}>
@@ -326,6 +510,30 @@ const PolicyAnalysis = ({ policy, onComplete, onBack }) => {
                 </div>
                 <p className="text-gray-600 text-sm mb-2">{finding.description}</p>
                 <p className="text-blue-600 text-sm font-medium">{finding.recommendation}</p>
+                {finding.source && (
+                  <p className="mt-2 inline-flex items-center text-xs text-gray-500">
+                    <Search className="w-3 h-3 mr-1" />
+                    {selectedFinding === index ? 'Hide source' : 'Show source in document'}
+                  </p>
+                )}
+                {selectedFinding === index && finding.source && (
+                  <div className="mt-3 border-t border-gray-100 pt-3">
+                    <p className="text-xs text-gray-500 mb-2">
+                      {finding.source.fileName && `${finding.source.fileName} · `}
+                      {finding.source.page ? `Page ${finding.source.page} · ` : ''}
+                      Found by {formatMethod(finding.source.method)} · {Math.round(finding.source.confidence * 100)}% confidence
+                    </p>
+                    {finding.source.context ? (
+                      <blockquote className="text-sm text-gray-700 bg-gray-50 rounded p-3 font-mono break-words">
+                        …{finding.source.context.before}
+                        <mark className="bg-yellow-200 rounded px-0.5">{finding.source.context.match}</mark>
+                        {finding.source.context.after}…
+                      </blockquote>
+                    ) : (
+                      <p className="text-sm text-gray-500 italic">The exact location of this value could not be determined.</p>
+                    )}
+                  </div>
+                )}
               </div>
             ))}
           </div>
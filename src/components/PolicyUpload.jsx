@@ -5,13 +5,17 @@ import {
   AlertCircle, 
   CheckCircle, 
   Crown,
-  ArrowRight
+  ArrowRight,
+  Lock,
+  X
 } from 'lucide-react';
+import documentProcessor from '../services/documentProcessor.js';
+import analysisPipeline from '../services/analysisPipeline.js';
 
 const PolicyUpload = ({ onUpload, subscriptionStatus, onUpgradeRequired }) => {
   const [dragActive, setDragActive] = useState(false);
   const [uploading, setUploading] = useState(false);
-  const [uploadedFile, setUploadedFile] = useState(null);
+  const [uploadedFiles, setUploadedFiles] = useState([]);
   const [policyDetails, setPolicyDetails] = useState({
     policyNumber: '',
     coverageType: 'auto',
@@ -45,8 +49,8 @@ const PolicyUpload = ({ onUpload, subscriptionStatus, onUpgradeRequired }) => {
     }
 
     const files = e.dataTransfer.files;
-    if (files && files[0]) {
-      handleFileUpload(files[0]);
+    if (files && files.length > 0) {
+      handleFileUpload(Array.from(files));
     }
   };
 
@@ -56,40 +60,95 @@ const PolicyUpload = ({ onUpload, subscriptionStatus, onUpgradeRequired }) => {
       return;
     }
 
-    const file = e.target.files[0];
-    if (file) {
-      handleFileUpload(file);
+    const files = Array.from(e.target.files || []);
+    if (files.length > 0) {
+      handleFileUpload(files);
     }
+
+    // Allow the same file to be selected again after removing it
+    e.target.value = '';
   };
 
-  const handleFileUpload = async (file) => {
+  const handleFileUpload = async (files) => {
     setUploading(true);
     
-    // Simulate file processing
-    await new Promise(resolve => setTimeout(resolve, 2000));
+    // Carrier portals often deliver password-protected PDFs; ask for the password up front
+    const checked = await Promise.all(files.map(async (file) => {
+      const encryption = await documentProcessor.checkEncryption(file).catch(() => ({ locked: false }));
+      return {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).substr(2)}`,
+        name: file.name,
+        size: file.size,
+        type: file.type,
+        file,
+        locked: encryption.locked,
+        password: '',
+        passwordError: null
+      };
+    }));
     
-    setUploadedFile({
-      name: file.name,
-      size: file.size,
-      type: file.type
-    });
+    // Declarations, endorsements and forms can be added in several batches
+    setUploadedFiles(current => [
+      ...current,
+      ...checked.filter(uploaded => !current.some(existing => existing.name === uploaded.name && existing.size === uploaded.size))
+    ]);
     
     setUploading(false);
   };
 
+  const updateFile = (id, changes) => {
+    setUploadedFiles(current => current.map(uploaded => (uploaded.id === id ? { ...uploaded, ...changes } : uploaded)));
+  };
+
+  const unlockFile = async (id) => {
+    const uploaded = uploadedFiles.find(candidate => candidate.id === id);
+    if (!uploaded?.password || uploaded.unlocking) return;
+
+    updateFile(id, { unlocking: true, passwordError: null });
+    let outcome = { locked: true, passwordError: 'The password could not be checked. Try again.' };
+    try {
+      const { locked } = await documentProcessor.checkEncryption(uploaded.file, uploaded.password);
+      outcome = { locked, passwordError: locked ? 'Incorrect password' : null };
+    } catch (error) {
+      console.error('Password check failed:', error);
+    } finally {
+      // The row may have been removed meanwhile; updateFile then matches nothing
+      updateFile(id, { unlocking: false, ...outcome });
+    }
+  };
+
+  const hasLockedFiles = uploadedFiles.some(uploaded => uploaded.locked);
+
+  const removeFile = (id) => {
+    setUploadedFiles(current => current.filter(uploaded => uploaded.id !== id));
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
     
-    if (!uploadedFile) {
+    if (uploadedFiles.length === 0) {
       alert('Please upload a policy document first');
       return;
     }
 
+    if (hasLockedFiles) {
+      alert('Enter the password of each protected PDF first');
+      return;
+    }
+
     const policyData = {
       ...policyDetails,
-      fileName: uploadedFile.name,
-      fileSize: uploadedFile.size,
-      fileType: uploadedFile.type
+      fileName: uploadedFiles.map(uploaded => uploaded.name).join(', '),
+      fileSize: uploadedFiles.reduce((total, uploaded) => total + uploaded.size, 0),
+      fileType: uploadedFiles[0].type,
+      file: uploadedFiles[0].file,
+      files: uploadedFiles.map(uploaded => uploaded.file),
+      // Keyed by position, not name: two uploads can share a name
+      passwords: Object.fromEntries(
+        uploadedFiles
+          .map((uploaded, index) => [analysisPipeline.getDocumentPath(index), uploaded.password])
+          .filter(([, password]) => password)
+      )
     };
 
     onUpload(policyData);
@@ -164,7 +223,8 @@ const PolicyUpload = ({ onUpload, subscriptionStatus, onUpgradeRequired }) => {
           >
             <input
               type="file"
-              accept=".pdf,.doc,.docx,.txt"
+              accept=".pdf,.doc,.docx,.txt,.jpg,.jpeg,.png,.tif,.tiff,.heic,.heif,.eml,.msg,.xml,.al3"
+              multiple
               onChange={handleFileInputChange}
               className="absolute inset-0 w-full h-full opacity-0 cursor-pointer"
               disabled={!canUpload}
@@ -175,14 +235,19 @@ const PolicyUpload = ({ onUpload, subscriptionStatus, onUpgradeRequired }) => {
                 <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
                 <p className="mt-4 text-secondary-600 font-medium">Processing your policy...</p>
               </div>
-            ) : uploadedFile ? (
+            ) : uploadedFiles.length > 0 ? (
               <div className="flex flex-col items-center scale-in">
                 <div className="w-16 h-16 bg-success-100 rounded-full flex items-center justify-center mb-4">
                   <CheckCircle className="w-8 h-8 text-success-600" />
                 </div>
-                <p className="text-success-700 font-semibold text-lg mb-1">{uploadedFile.name}</p>
+                <p className="text-success-700 font-semibold text-lg mb-1">
+                  {uploadedFiles.length === 1 ? uploadedFiles[0].name : `${uploadedFiles.length} documents in this packet`}
+                </p>
                 <p className="text-secondary-500 text-sm">
-                  {(uploadedFile.size / 1024 / 1024).toFixed(2)} MB • Ready for analysis
+                  {(uploadedFiles.reduce((total, uploaded) => total + uploaded.size, 0) / 1024 / 1024).toFixed(2)} MB • Ready for analysis
+                </p>
+                <p className="text-secondary-500 text-xs mt-2">
+                  Drop endorsements or policy forms here to add them to the packet
                 </p>
               </div>
             ) : (
@@ -194,12 +259,75 @@ const PolicyUpload = ({ onUpload, subscriptionStatus, onUpgradeRequired }) => {
                   Drag and drop your policy document here, or click to browse
                 </p>
                 <p className="text-sm text-secondary-500">
-                  Supports PDF, DOC, DOCX, TXT files up to 10MB
+                  Supports PDF, DOCX, TXT, scanned JPG/PNG/TIFF, HEIC phone photos, emailed packets (.eml, .msg) and ACORD XML/AL3 policy data up to 10MB each.
+                  Add your declarations page together with any endorsements and policy forms.
                 </p>
               </div>
             )}
           </div>
 
+          {uploadedFiles.length > 0 && (
+            <ul className="mt-4 divide-y divide-secondary-100 border border-secondary-200 rounded-lg">
+              {uploadedFiles.map((uploaded) => (
+                <li key={uploaded.id} className="px-4 py-2 text-sm">
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center space-x-2 min-w-0">
+                      {uploaded.locked ? (
+                        <Lock className="w-4 h-4 text-warning-500 flex-shrink-0" />
+                      ) : (
+                        <FileText className="w-4 h-4 text-secondary-400 flex-shrink-0" />
+                      )}
+                      <span className="truncate text-secondary-700">{uploaded.name}</span>
+                      <span className="text-secondary-400 flex-shrink-0">
+                        {(uploaded.size / 1024).toFixed(0)} KB
+                      </span>
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => removeFile(uploaded.id)}
+                      className="p-1 text-secondary-400 hover:text-danger-600"
+                      aria-label={`Remove ${uploaded.name}`}
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  </div>
+                  {uploaded.locked && (
+                    <div className="mt-2">
+                      <p className="text-xs text-warning-700 mb-1">This PDF is password protected.</p>
+                      <div className="flex items-center space-x-2">
+                        <input
+                          type="password"
+                          value={uploaded.password}
+                          onChange={(e) => updateFile(uploaded.id, { password: e.target.value, passwordError: null })}
+                          onKeyDown={(e) => {
+                            if (e.key === 'Enter') {
+                              e.preventDefault();
+                              unlockFile(uploaded.id);
+                            }
+                          }}
+                          className="form-input py-1 text-sm"
+                          placeholder="Document password"
+                          aria-label={`Password for ${uploaded.name}`}
+                        />
+                        <button
+                          type="button"
+                          onClick={() => unlockFile(uploaded.id)}
+                          disabled={!uploaded.password || uploaded.unlocking}
+                          className="btn btn-secondary btn-sm"
+                        >
+                          {uploaded.unlocking ? 'Checking...' : 'Unlock'}
+                        </button>
+                      </div>
+                      {uploaded.passwordError && (
+                        <p className="text-xs text-danger-600 mt-1">{uploaded.passwordError}</p>
+                      )}
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+
           <div className="mt-6 flex items-start space-x-3 text-sm text-secondary-600 bg-secondary-50 rounded-lg p-4">
             <div className="flex-shrink-0 w-5 h-5 bg-secondary-200 rounded-full flex items-center justify-center mt-0.5">
               <AlertCircle className="w-3 h-3 text-secondary-500" />
@@ -315,7 +443,7 @@ const PolicyUpload = ({ onUpload, subscriptionStatus, onUpgradeRequired }) => {
             <div className="pt-4">
               <button
                 type="submit"
-                disabled={!uploadedFile || uploading}
+                disabled={uploadedFiles.length === 0 || uploading || hasLockedFiles}
                 className="btn btn-primary btn-lg w-full"
               >
                 <FileText className="w-5 h-5 mr-2" />
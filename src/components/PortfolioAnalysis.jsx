@@ -0,0 +1,293 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Layers,
+  Upload,
+  FileText,
+  CheckCircle,
+  Clock,
+  AlertTriangle,
+  RefreshCw,
+  XCircle,
+  ArrowLeft,
+  X
+} from 'lucide-react';
+import BatchAnalysis, { BATCH_ITEM_STATUS, BATCH_STATUS } from '../services/batchAnalysis.js';
+import { POLICY_TYPES } from '../utils/policyTypes.js';
+
+const SEVERITY_STYLES = {
+  critical: 'bg-red-100 text-red-800',
+  high: 'bg-orange-100 text-orange-800',
+  medium: 'bg-yellow-100 text-yellow-800',
+  low: 'bg-blue-100 text-blue-800'
+};
+
+const StatusIcon = ({ status }) => {
+  switch (status) {
+    case BATCH_ITEM_STATUS.COMPLETED: return <CheckCircle className="w-4 h-4 text-green-500" />;
+    case BATCH_ITEM_STATUS.RUNNING: return <RefreshCw className="w-4 h-4 text-blue-500 animate-spin" />;
+    case BATCH_ITEM_STATUS.FAILED: return <AlertTriangle className="w-4 h-4 text-red-500" />;
+    case BATCH_ITEM_STATUS.CANCELLED: return <XCircle className="w-4 h-4 text-gray-400" />;
+    default: return <Clock className="w-4 h-4 text-gray-400" />;
+  }
+};
+
+const PortfolioSummary = ({ summary }) => (
+  <div className="card mb-8">
+    <h2 className="text-xl font-semibold text-gray-900 mb-4">Portfolio Summary</h2>
+
+    <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+      <div className="text-center">
+        <div className="text-2xl font-bold text-gray-900">{summary.getPolicyCount()}</div>
+        <div className="text-sm text-gray-600">Policies analyzed</div>
+      </div>
+      <div className="text-center">
+        <div className="text-2xl font-bold text-blue-600">{summary.overallRating}</div>
+        <div className="text-sm text-gray-600">Average rating ({summary.overallScore})</div>
+      </div>
+      <div className="text-center">
+        <div className="text-2xl font-bold text-red-600">{summary.riskCounts.critical + summary.riskCounts.high}</div>
+        <div className="text-sm text-gray-600">Critical and high risks</div>
+      </div>
+      <div className="text-center">
+        <div className="text-2xl font-bold text-gray-900">{summary.failures.length}</div>
+        <div className="text-sm text-gray-600">Not analyzed</div>
+      </div>
+    </div>
+
+    {Object.keys(summary.policyTypes).length > 0 && (
+      <div className="flex flex-wrap gap-2 mb-6">
+        {Object.entries(summary.policyTypes).map(([type, count]) => (
+          <span key={type} className="px-2 py-1 rounded bg-gray-100 text-sm text-gray-700">
+            {POLICY_TYPES[type]?.label || type} × {count}
+          </span>
+        ))}
+      </div>
+    )}
+
+    {summary.portfolioRisks.length > 0 && (
+      <div className="mb-6">
+        <h3 className="font-medium text-gray-900 mb-2">Across the portfolio</h3>
+        <div className="space-y-3">
+          {summary.portfolioRisks.map(risk => (
+            <div key={risk.id} className="border border-gray-200 rounded-lg p-3">
+              <div className="flex items-center justify-between mb-1">
+                <span className="font-medium text-gray-900">{risk.title}</span>
+                <span className={`px-2 py-0.5 rounded text-xs ${SEVERITY_STYLES[risk.severity]}`}>{risk.severity}</span>
+              </div>
+              <p className="text-sm text-gray-600">{risk.description}</p>
+              <p className="text-sm text-blue-700 mt-1">{risk.recommendation}</p>
+            </div>
+          ))}
+        </div>
+      </div>
+    )}
+
+    {summary.criticalIssues.length > 0 && (
+      <div className="mb-6">
+        <h3 className="font-medium text-gray-900 mb-2">Critical issues</h3>
+        <ul className="space-y-1 text-sm">
+          {summary.criticalIssues.map((issue, index) => (
+            <li key={`${issue.itemId}-${issue.id || index}`} className="flex items-start space-x-2">
+              <AlertTriangle className="w-4 h-4 text-red-500 mt-0.5 flex-shrink-0" />
+              <span><span className="text-gray-500">{issue.policyName}:</span> {issue.title}</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+    )}
+
+    {summary.prioritizedRecommendations.length > 0 && (
+      <div>
+        <h3 className="font-medium text-gray-900 mb-2">Top recommendations</h3>
+        <ul className="space-y-1 text-sm text-gray-700">
+          {summary.prioritizedRecommendations.map((recommendation, index) => (
+            <li key={index}>
+              {recommendation.title}
+              <span className="text-gray-500">
+                {' '}· {recommendation.policies.length === 1 ? recommendation.policies[0].name : `${recommendation.policies.length} policies`}
+              </span>
+            </li>
+          ))}
+        </ul>
+      </div>
+    )}
+  </div>
+);
+
+/**
+ * Analyze a household's or client's whole book at once: every file is one policy, analyzed a
+ * few at a time, with a portfolio summary at the end
+ */
+const PortfolioAnalysis = ({ onComplete, onBack }) => {
+  const [files, setFiles] = useState([]);
+  const [assets, setAssets] = useState('');
+  const [snapshot, setSnapshot] = useState(null);
+  const batchRef = useRef(null);
+
+  // Leaving this screen cancels the analyses still running
+  useEffect(() => () => batchRef.current?.cancel(), []);
+
+  const addFiles = (added) => {
+    setFiles(current => [
+      ...current,
+      ...added.filter(file => !current.some(existing => existing.name === file.name && existing.size === file.size))
+    ]);
+  };
+
+  const finish = (summary) => {
+    setSnapshot(batchRef.current.getSnapshot());
+    onComplete?.(summary);
+  };
+
+  const startBatch = () => {
+    const batch = new BatchAnalysis(files, {
+      userProfile: assets ? { assets: Number(assets) } : {},
+      onUpdate: setSnapshot
+    });
+    batchRef.current = batch;
+    batch.start().then(finish);
+  };
+
+  const retryItem = (itemId) => {
+    batchRef.current?.retry(itemId)?.then(finish);
+  };
+
+  const running = snapshot?.status === BATCH_STATUS.RUNNING;
+
+  return (
+    <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <button onClick={onBack} className="inline-flex items-center text-gray-600 hover:text-gray-900 mb-6">
+        <ArrowLeft className="w-4 h-4 mr-2" />
+        Back
+      </button>
+
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 mb-2 flex items-center">
+          <Layers className="w-7 h-7 mr-3 text-blue-600" />
+          Portfolio Analysis
+        </h1>
+        <p className="text-gray-600">
+          Analyze every policy of a household or client in one run and see where the book as a whole is exposed.
+        </p>
+      </div>
+
+      {!snapshot && (
+        <div className="card mb-8">
+          <div className="relative border-2 border-dashed border-gray-300 rounded-xl p-8 text-center hover:border-blue-400">
+            <input
+              type="file"
+              accept=".pdf,.doc,.docx,.txt,.jpg,.jpeg,.png,.tif,.tiff,.heic,.heif,.eml,.msg,.xml,.al3"
+              multiple
+              onChange={(event) => {
+                addFiles(Array.from(event.target.files || []));
+                event.target.value = '';
+              }}
+              className="absolute inset-0 w-full h-full opacity-0 cursor-pointer"
+            />
+            <Upload className="w-10 h-10 text-gray-400 mx-auto mb-3" />
+            <p className="text-gray-700 font-medium">Drop policy documents here, or click to browse</p>
+            <p className="text-sm text-gray-500">Each file is analyzed as a separate policy</p>
+          </div>
+
+          {files.length > 0 && (
+            <ul className="mt-4 divide-y divide-gray-100 border border-gray-200 rounded-lg">
+              {files.map((file, index) => (
+                <li key={`${file.name}-${file.size}`} className="px-4 py-2 text-sm flex items-center justify-between">
+                  <span className="flex items-center space-x-2 min-w-0">
+                    <FileText className="w-4 h-4 text-gray-400 flex-shrink-0" />
+                    <span className="truncate text-gray-700">{file.name}</span>
+                  </span>
+                  <button
+                    onClick={() => setFiles(current => current.filter((_, i) => i !== index))}
+                    className="p-1 text-gray-400 hover:text-red-600"
+                    aria-label={`Remove ${file.name}`}
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div className="mt-4 flex items-end justify-between">
+            <label className="text-sm text-gray-700">
+              Household or client assets (optional)
+              <input
+                type="number"
+                min="0"
+                value={assets}
+                onChange={(event) => setAssets(event.target.value)}
+                className="form-input mt-1 block"
+                placeholder="e.g. 750000"
+              />
+            </label>
+            <button onClick={startBatch} disabled={files.length === 0} className="btn btn-primary disabled:opacity-50">
+              Analyze {files.length || ''} {files.length === 1 ? 'policy' : 'policies'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {snapshot && (
+        <div className="card mb-8">
+          <div className="flex items-center justify-between mb-4">
+            <div>
+              <h2 className="text-xl font-semibold text-gray-900">Policies</h2>
+              <p className="text-sm text-gray-600">
+                {snapshot.counts.completed} completed · {snapshot.counts.running} running · {snapshot.counts.queued} queued
+                {snapshot.counts.failed > 0 && ` · ${snapshot.counts.failed} failed`}
+              </p>
+            </div>
+            {running && (
+              <button onClick={() => batchRef.current.cancel()} className="btn btn-secondary">
+                Cancel
+              </button>
+            )}
+          </div>
+
+          <div className="w-full bg-gray-200 rounded-full h-2 mb-4">
+            <div className="bg-blue-600 h-2 rounded-full transition-all" style={{ width: `${snapshot.overallProgress}%` }}></div>
+          </div>
+
+          <ul className="divide-y divide-gray-100">
+            {snapshot.items.map(item => (
+              <li key={item.id} className="py-3">
+                <div className="flex items-center justify-between">
+                  <span className="flex items-center space-x-2 min-w-0">
+                    <StatusIcon status={item.status} />
+                    <span className="truncate text-gray-900">{item.name}</span>
+                    {item.result && (
+                      <span className="text-sm text-gray-500 flex-shrink-0">
+                        {POLICY_TYPES[item.result.classificationAnalysis?.primaryType]?.label} · {item.result.overallRating}
+                      </span>
+                    )}
+                  </span>
+                  {[BATCH_ITEM_STATUS.FAILED, BATCH_ITEM_STATUS.CANCELLED].includes(item.status) && (
+                    <button onClick={() => retryItem(item.id)} className="text-sm text-blue-600 hover:text-blue-800 flex-shrink-0">
+                      Retry
+                    </button>
+                  )}
+                </div>
+                {item.status === BATCH_ITEM_STATUS.RUNNING && (
+                  <div className="w-full bg-gray-100 rounded-full h-1 mt-2">
+                    <div className="bg-blue-400 h-1 rounded-full" style={{ width: `${item.progress}%` }}></div>
+                  </div>
+                )}
+                {item.status !== BATCH_ITEM_STATUS.COMPLETED && (
+                  <p className={`text-xs mt-1 ${item.status === BATCH_ITEM_STATUS.FAILED ? 'text-red-600' : 'text-gray-500'}`}>
+                    {item.message}
+                    {item.attempts > 1 && ` (attempt ${item.attempts})`}
+                  </p>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {snapshot?.summary && <PortfolioSummary summary={snapshot.summary} />}
+    </div>
+  );
+};
+
+export default PortfolioAnalysis;
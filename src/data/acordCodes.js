@@ -0,0 +1,105 @@
+/**
+ * ACORD Code Lists
+ * Line of business, coverage and limit codes used by ACORD XML and AL3 policy data,
+ * mapped onto the policy types and coverage keys of PolicyModels.js
+ */
+
+// ACORD line of business codes (LOBCd) by policy type
+// `subType` is the commercial line in POLICY_SUBTYPES (utils/policyTypes.js)
+export const LINE_OF_BUSINESS_CODES = {
+  AUTOP: { policyType: 'auto', label: 'Personal Auto' },
+  MTRCY: { policyType: 'auto', label: 'Motorcycle' },
+  HOME: { policyType: 'home', label: 'Homeowners' },
+  DFIRE: { policyType: 'home', label: 'Dwelling Fire' },
+  MHOME: { policyType: 'home', label: 'Mobile Home' },
+  UMBRP: { policyType: 'umbrella', label: 'Personal Umbrella' },
+  AUTOB: { policyType: 'business', label: 'Business Auto', subType: 'commercial_auto' },
+  BOP: { policyType: 'business', label: 'Businessowners', subType: 'bop' },
+  CGL: { policyType: 'business', label: 'Commercial General Liability', subType: 'general_liability' },
+  CPKGE: { policyType: 'business', label: 'Commercial Package', subType: 'commercial_package' },
+  CPROP: { policyType: 'business', label: 'Commercial Property', subType: 'commercial_property' },
+  WORK: { policyType: 'business', label: "Workers' Compensation", subType: 'workers_compensation' },
+  UMBRC: { policyType: 'business', label: 'Commercial Umbrella' }
+};
+
+// Homeowners policy forms that are renters (HO-4) rather than owner policies
+export const RENTERS_POLICY_FORMS = ['HO4', 'HO04', 'HO-4'];
+
+// ACORD coverage codes (CoverageCd); `key` is the coverage field in PolicyModels.js
+export const COVERAGE_CODES = {
+  // Personal auto
+  BI: { key: 'bodilyInjuryLiability', label: 'Bodily Injury Liability' },
+  PD: { key: 'propertyDamageLiability', label: 'Property Damage Liability' },
+  CSL: { key: 'combinedSingleLimit', label: 'Combined Single Limit' },
+  COLL: { key: 'collision', label: 'Collision' },
+  COMP: { key: 'comprehensive', label: 'Comprehensive' },
+  UM: { key: 'uninsuredMotorist', label: 'Uninsured Motorist' },
+  UMBI: { key: 'uninsuredMotorist', label: 'Uninsured Motorist Bodily Injury' },
+  UMPD: { key: 'uninsuredMotoristPropertyDamage', label: 'Uninsured Motorist Property Damage' },
+  UNDUM: { key: 'underinsuredMotorist', label: 'Underinsured Motorist' },
+  UIM: { key: 'underinsuredMotorist', label: 'Underinsured Motorist' },
+  PIP: { key: 'personalInjuryProtection', label: 'Personal Injury Protection' },
+  MEDPM: { key: 'medicalPayments', label: 'Medical Payments' },
+  RREIM: { key: 'rentalReimbursement', label: 'Rental Reimbursement' },
+  TL: { key: 'towingAndLabor', label: 'Towing and Labor' },
+  // Homeowners and dwelling
+  DWELL: { key: 'dwelling', label: 'Coverage A - Dwelling' },
+  OS: { key: 'otherStructures', label: 'Coverage B - Other Structures' },
+  PP: { key: 'personalProperty', label: 'Coverage C - Personal Property' },
+  LOU: { key: 'additionalLivingExpenses', label: 'Coverage D - Loss of Use' },
+  ALE: { key: 'additionalLivingExpenses', label: 'Additional Living Expense' },
+  PL: { key: 'liability', label: 'Coverage E - Personal Liability' },
+  MEDPY: { key: 'medicalPayments', label: 'Coverage F - Medical Payments' },
+  EQ: { key: 'earthquake', label: 'Earthquake' },
+  SEWER: { key: 'waterBackup', label: 'Water Backup and Sump Overflow' },
+  SRORP: { key: 'scheduledPersonalProperty', label: 'Scheduled Personal Property' }
+};
+
+// Coverage keys whose limits are liability limits (reported as structuredData.liabilityLimits)
+export const LIABILITY_COVERAGE_KEYS = ['bodilyInjuryLiability', 'combinedSingleLimit', 'liability'];
+
+// LimitAppliesToCd values, in the wording the shared limit parser understands
+export const LIMIT_APPLIES_TO = {
+  PerPerson: 'per person',
+  PerAcc: 'per accident',
+  PerOcc: 'per occurrence',
+  Aggregate: 'aggregate',
+  CSL: 'combined single limit',
+  PropDam: 'property damage'
+};
+
+// Dwelling deductibles by peril; anything else is the all-perils deductible
+export const DEDUCTIBLE_TYPES = [
+  { key: 'windHail', codes: ['WH', 'WIND', 'WINDHAIL'], pattern: /wind|hail/i },
+  { key: 'hurricane', codes: ['HURR', 'HU'], pattern: /hurricane/i },
+  { key: 'earthquake', codes: ['EQ'], pattern: /earthquake/i }
+];
+
+/**
+ * Coverage details for an ACORD coverage code
+ * @returns {Object} { key, label }; unknown codes keep the code as their key
+ */
+export function getCoverageCode(code, description = '') {
+  return COVERAGE_CODES[code?.toUpperCase()] || { key: code || null, label: description || code || 'Coverage' };
+}
+
+/**
+ * Home deductible key for an ACORD deductible type code or description
+ */
+export function getDeductibleKey(code, description = '') {
+  const type = DEDUCTIBLE_TYPES.find(candidate =>
+    candidate.codes.includes(code?.toUpperCase()) || candidate.pattern.test(description || '')
+  );
+  return type ? type.key : 'allPerils';
+}
+
+export default {
+  LINE_OF_BUSINESS_CODES,
+  RENTERS_POLICY_FORMS,
+  COVERAGE_CODES,
+  LIABILITY_COVERAGE_KEYS,
+  LIMIT_APPLIES_TO,
+  DEDUCTIBLE_TYPES,
+  getCoverageCode,
+  getDeductibleKey
+};
@@ -0,0 +1,121 @@
+/**
+ * AL3 Group Layouts
+ * Fixed-width field positions of the AL3 data groups read by the AL3 importer.
+ * Each group starts with a 4-character group code and a 3-digit group length; fields
+ * are [start, length, format] with 1-based start positions counted from the group code.
+ *
+ * Positions follow the personal lines download produced by agency management systems.
+ * AL3 dictionary versions differ, so Al3Parser accepts replacement layouts for carriers
+ * whose downloads are laid out differently.
+ */
+
+export const AL3_HEADER = {
+  code: [1, 4],
+  length: [5, 3],
+  version: [8, 3]
+};
+
+// Message header group; every AL3 transmission starts with it
+export const AL3_MESSAGE_HEADER = '1MHG';
+
+export const AL3_GROUP_LAYOUTS = {
+  // Basic Policy Information
+  '5BPI': {
+    record: 'policy',
+    fields: {
+      policyNumber: [25, 25],
+      lineOfBusiness: [50, 5],
+      effectiveDate: [55, 6, 'date'],
+      expirationDate: [61, 6, 'date'],
+      insurer: [67, 30],
+      naic: [97, 5],
+      premium: [102, 12, 'amount'],
+      paymentPlan: [114, 2]
+    }
+  },
+  // Basic Insured Segment
+  '5BIS': {
+    record: 'insured',
+    fields: {
+      name: [25, 50],
+      addressLine: [75, 30],
+      city: [105, 19],
+      state: [124, 2],
+      postalCode: [126, 10]
+    }
+  },
+  // Personal Vehicle
+  '6PVH': {
+    record: 'vehicle',
+    fields: {
+      id: [25, 4],
+      year: [29, 4, 'number'],
+      make: [33, 20],
+      model: [53, 20],
+      vin: [73, 17],
+      usage: [90, 2],
+      annualMileage: [92, 6, 'number']
+    }
+  },
+  // Personal Driver
+  '6PDR': {
+    record: 'driver',
+    fields: {
+      id: [25, 4],
+      name: [29, 50],
+      dateOfBirth: [79, 8, 'date'],
+      gender: [87, 1],
+      licenseNumber: [88, 25],
+      licenseState: [113, 2],
+      relationship: [115, 2]
+    }
+  },
+  // Auto coverage, for the whole policy (vehicle 0000) or one vehicle
+  '6CVA': {
+    record: 'coverage',
+    fields: {
+      vehicleId: [25, 4],
+      code: [29, 5],
+      description: [34, 30],
+      limit: [64, 9, 'number'],
+      secondLimit: [73, 9, 'number'],
+      deductible: [82, 7, 'number'],
+      premium: [89, 11, 'amount']
+    }
+  },
+  // Homeowners rating unit: the insured dwelling
+  '6HRU': {
+    record: 'dwelling',
+    fields: {
+      id: [25, 4],
+      policyForm: [29, 5],
+      yearBuilt: [34, 4, 'number'],
+      constructionType: [38, 20],
+      roofType: [58, 20],
+      addressLine: [78, 30],
+      city: [108, 19],
+      state: [127, 2],
+      postalCode: [129, 10]
+    }
+  },
+  // Homeowners coverage
+  '6CVH': {
+    record: 'coverage',
+    fields: {
+      dwellingId: [25, 4],
+      code: [29, 5],
+      description: [34, 30],
+      limit: [64, 9, 'number'],
+      secondLimit: [73, 9, 'number'],
+      deductible: [82, 7, 'number'],
+      deductibleType: [89, 5],
+      premium: [94, 11, 'amount']
+    }
+  }
+};
+
+export default {
+  AL3_HEADER,
+  AL3_MESSAGE_HEADER,
+  AL3_GROUP_LAYOUTS
+};
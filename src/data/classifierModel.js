@@ -0,0 +1,862 @@
+/**
+ * Policy Classifier Model
+ * Generated by scripts/trainClassifier.js from scripts/data/policyTypes.seed.jsonl; do not edit by hand.
+ * Retrain with `npm run train:classifier` after changing the labeled dataset.
+ */
+
+export default {
+  "format": "policy-classifier/1",
+  "trainedAt": "2026-10-19T08:46:54.702Z",
+  "labels": [
+    "auto",
+    "home",
+    "renters",
+    "life",
+    "health",
+    "disability",
+    "umbrella",
+    "business"
+  ],
+  "ngramRange": [1,2],
+  "vocabulary": [
+    "<num>",
+    "<num> <num>",
+    "liability",
+    "policy",
+    "1",
+    "coverage",
+    "1 <num>",
+    "personal",
+    "property",
+    "deductible",
+    "insurance",
+    "declarations",
+    "2",
+    "3",
+    "auto",
+    "insured",
+    "personal property",
+    "premium",
+    "liability <num>",
+    "01",
+    "period",
+    "00",
+    "annual",
+    "injury",
+    "limit",
+    "2 <num>",
+    "each",
+    "10",
+    "collision",
+    "50",
+    "damage",
+    "deductible 1",
+    "loss",
+    "number",
+    "<num> each",
+    "01 <num>",
+    "12",
+    "5",
+    "business",
+    "covered",
+    "dwelling",
+    "homeowners",
+    "benefit",
+    "bodily",
+    "bodily injury",
+    "comprehensive",
+    "endorsement",
+    "form",
+    "monthly",
+    "occurrence",
+    "per",
+    "personal liability",
+    "term",
+    "underlying",
+    "<num> deductible",
+    "3 <num>",
+    "30",
+    "age",
+    "c",
+    "deductible <num>",
+    "policy number",
+    "property <num>",
+    "property damage",
+    "umbrella",
+    "use",
+    "<num> policy",
+    "20",
+    "25",
+    "4",
+    "benefits",
+    "disability",
+    "life",
+    "limits",
+    "not",
+    "policy declarations",
+    "<num> coverage",
+    "<num> per",
+    "<num> personal",
+    "03",
+    "10 <num>",
+    "accident",
+    "after",
+    "aggregate",
+    "annual premium",
+    "applied",
+    "collision deductible",
+    "coverage c",
+    "coverage e",
+    "date",
+    "e",
+    "each occurrence",
+    "excess",
+    "home",
+    "income",
+    "medical",
+    "months",
+    "named",
+    "non",
+    "other",
+    "plan",
+    "premises",
+    "required",
+    "summary",
+    "<num> collision",
+    "<num> liability",
+    "5 <num>",
+    "50 <num>",
+    "60",
+    "8",
+    "90",
+    "amount",
+    "automobile",
+    "copay",
+    "cost",
+    "discount",
+    "dwelling <num>",
+    "e personal",
+    "ho",
+    "included",
+    "liability 1",
+    "made",
+    "named insured",
+    "renewal",
+    "renters",
+    "replacement",
+    "uninsured",
+    "vehicle",
+    "0",
+    "00 03",
+    "04",
+    "06",
+    "14",
+    "4 <num>",
+    "6",
+    "any",
+    "auto policy",
+    "b",
+    "c personal",
+    "claim",
+    "commercial",
+    "coverage dwelling",
+    "coverages",
+    "day",
+    "days",
+    "elimination",
+    "elimination period",
+    "general",
+    "group",
+    "ho 00",
+    "liability policy",
+    "loss use",
+    "maximum",
+    "paid",
+    "person",
+    "personal umbrella",
+    "policy period",
+    "protection",
+    "rental",
+    "rider",
+    "schedule",
+    "term disability",
+    "umbrella liability",
+    "underlying insurance",
+    "up",
+    "value",
+    "we",
+    "<num> aggregate",
+    "<num> business",
+    "<num> property",
+    "00 01",
+    "12 months",
+    "15",
+    "15 <num>",
+    "7",
+    "9",
+    "account",
+    "all",
+    "apartment",
+    "applies",
+    "auto liability",
+    "beneficiary",
+    "building",
+    "business auto",
+    "business personal",
+    "car",
+    "care",
+    "claims",
+    "combined",
+    "comprehensive deductible",
+    "d",
+    "damage liability",
+    "death",
+    "declarations policy",
+    "deductible 2",
+    "dental",
+    "driver",
+    "each accident",
+    "employee",
+    "employers",
+    "employers liability",
+    "equipment",
+    "general liability",
+    "illness",
+    "injury liability",
+    "life insurance",
+    "limit liability",
+    "llc",
+    "long",
+    "long term",
+    "month",
+    "motorist",
+    "motorists",
+    "network",
+    "office",
+    "other structures",
+    "out",
+    "package",
+    "page",
+    "perils",
+    "physical",
+    "premium <num>",
+    "rate",
+    "renews",
+    "replacement cost",
+    "residence",
+    "retention",
+    "services",
+    "street",
+    "structures",
+    "uninsured motorists",
+    "unit",
+    "year",
+    "years",
+    "<num> 00",
+    "<num> 50",
+    "<num> annual",
+    "<num> combined",
+    "<num> comprehensive",
+    "<num> excess",
+    "<num> honda",
+    "<num> loss",
+    "<num> replacement",
+    "18",
+    "24",
+    "25 <num>",
+    "26",
+    "30 <num>",
+    "38",
+    "6 <num>",
+    "65",
+    "75",
+    "actual",
+    "age 65",
+    "aggregate 2",
+    "amount <num>",
+    "autos",
+    "basic",
+    "because",
+    "becomes",
+    "benefit period",
+    "business income",
+    "businessowners",
+    "car insurance",
+    "certificate",
+    "claims made",
+    "class",
+    "classification",
+    "coinsurance",
+    "collision 1",
+    "combined single",
+    "compensation",
+    "comprehensive <num>",
+    "continues",
+    "costs",
+    "coverage d",
+    "d loss",
+    "damages",
+    "day elimination",
+    "death benefit",
+    "declarations named",
+    "deductible comprehensive",
+    "defense",
+    "described",
+    "discount applied",
+    "drugs",
+    "dwelling coverage",
+    "each person",
+    "earnings",
+    "employees",
+    "employer",
+    "excess liability",
+    "expense",
+    "experience",
+    "f",
+    "family",
+    "guaranteed",
+    "hail",
+    "harbor",
+    "health",
+    "hired",
+    "homeowners liability",
+    "homeowners policy",
+    "honda",
+    "household",
+    "individual",
+    "injury property",
+    "insurance policy",
+    "item",
+    "lease",
+    "liability coverage",
+    "liability endorsement",
+    "liability limits",
+    "medical payments",
+    "miles",
+    "monthly benefit",
+    "multi",
+    "must",
+    "no",
+    "non owned",
+    "occupation",
+    "option",
+    "out pocket",
+    "owned",
+    "owned auto",
+    "owner",
+    "part",
+    "pay",
+    "payments",
+    "payroll",
+    "payroll <num>",
+    "perils deductible",
+    "person <num>",
+    "personal auto",
+    "personal injury",
+    "physical damage",
+    "pocket",
+    "policy renews",
+    "ppo",
+    "prescription",
+    "primary",
+    "professional",
+    "quote",
+    "renters insurance",
+    "retained",
+    "retained limit",
+    "retroactive",
+    "retroactive date",
+    "section",
+    "self",
+    "single",
+    "single limit",
+    "specialist",
+    "spouse",
+    "statement",
+    "states",
+    "tenant",
+    "term life",
+    "total",
+    "two",
+    "under",
+    "uninsured motorist",
+    "vehicles",
+    "vin",
+    "visit",
+    "waiver",
+    "watercraft",
+    "while",
+    "workers",
+    "workers compensation",
+    "<num> 07",
+    "<num> classification",
+    "<num> clerical",
+    "<num> commercial",
+    "<num> drivers",
+    "<num> elimination",
+    "<num> family",
+    "<num> ford",
+    "<num> form",
+    "<num> general",
+    "<num> gross",
+    "<num> hired",
+    "<num> limit",
+    "<num> medical",
+    "<num> office",
+    "<num> plan",
+    "<num> prescription",
+    "<num> products",
+    "<num> rate",
+    "<num> retention",
+    "<num> section",
+    "<num> toyota",
+    "<num> uninsured",
+    "<num> wind",
+    "01 01",
+    "02",
+    "05",
+    "06 01",
+    "07",
+    "09",
+    "10 copay",
+    "11",
+    "12 <num>",
+    "14 <num>",
+    "17",
+    "20 <num>",
+    "20 years",
+    "21",
+    "26 weeks",
+    "40",
+    "42",
+    "5 years",
+    "50 collision",
+    "50 miles",
+    "7 <num>",
+    "77",
+    "8 <num>",
+    "80",
+    "85",
+    "85 <num>",
+    "90 days",
+    "96",
+    "accident <num>",
+    "accidental",
+    "actual loss",
+    "address",
+    "all perils",
+    "annual remuneration",
+    "apply",
+    "assistance",
+    "audit",
+    "auto coverage",
+    "automobile liability",
+    "automobile policy",
+    "b other",
+    "basic life",
+    "basis",
+    "because bodily",
+    "becomes legally",
+    "benefit <num>",
+    "benefit 3",
+    "benefit rider",
+    "bill",
+    "both",
+    "bp",
+    "bp 00",
+    "breach",
+    "breach response",
+    "building <num>",
+    "building 1",
+    "bundle",
+    "business liability",
+    "businessowners coverage",
+    "ca",
+    "ca 00",
+    "card",
+    "cargo",
+    "cash",
+    "cg",
+    "cg 00",
+    "classification <num>",
+    "clerical",
+    "co",
+    "commercial general",
+    "commercial package",
+    "commercial property",
+    "company",
+    "compensation employers",
+    "completed",
+    "completed operations",
+    "confirmation",
+    "construction",
+    "contents",
+    "conversion",
+    "copay 25",
+    "cover",
+    "coverage <num>",
+    "coverage b",
+    "coverage f",
+    "coverage form",
+    "coverage part",
+    "coverages coverage",
+    "covered autos",
+    "covered underlying",
+    "covers",
+    "current",
+    "cyber",
+    "cyber liability",
+    "damage <num>",
+    "damages because",
+    "data",
+    "days benefit",
+    "declarations ho",
+    "deductible rental",
+    "deductions",
+    "defense costs",
+    "direct",
+    "disability benefit",
+    "disability income",
+    "disabled",
+    "disease",
+    "do",
+    "do not",
+    "does",
+    "does not",
+    "drivers",
+    "due",
+    "each claim",
+    "each employee",
+    "effective",
+    "elected",
+    "employment",
+    "employment practices",
+    "enrollment",
+    "er",
+    "estimated",
+    "estimated annual",
+    "every",
+    "exclusion",
+    "expenses",
+    "experience modification",
+    "f medical",
+    "face",
+    "face amount",
+    "fire",
+    "fl",
+    "ford",
+    "form ho",
+    "general aggregate",
+    "gross",
+    "hail deductible",
+    "health plan",
+    "hired non",
+    "hmo",
+    "home auto",
+    "i",
+    "id",
+    "id card",
+    "ii",
+    "improvements",
+    "inc",
+    "income 12",
+    "increases",
+    "increases <num>",
+    "indexed",
+    "information",
+    "information page",
+    "injury <num>",
+    "injury accident",
+    "injury protection",
+    "inland",
+    "inland marine",
+    "insurance quote",
+    "insurance renewal",
+    "insured becomes",
+    "insured retention",
+    "interested",
+    "interested party",
+    "issue",
+    "issue date",
+    "item 3",
+    "keep",
+    "landlord",
+    "legally",
+    "level",
+    "liability 50",
+    "liability bodily",
+    "liability homeowners",
+    "liability insurance",
+    "liability symbol",
+    "life benefit",
+    "limit 1",
+    "limit 2",
+    "limited",
+    "listed",
+    "living",
+    "loan",
+    "loss sustained",
+    "marine",
+    "maximum 1",
+    "means",
+    "medical plan",
+    "mental",
+    "minimum",
+    "model",
+    "modification",
+    "monthly deductions",
+    "monthly earnings",
+    "monthly premium",
+    "motorists coverage",
+    "multi policy",
+    "noc",
+    "noc payroll",
+    "not covered",
+    "notice",
+    "oak",
+    "oak street",
+    "occurrence 2",
+    "office visit",
+    "oh",
+    "one",
+    "only",
+    "operations",
+    "operations aggregate",
+    "others",
+    "over",
+    "own",
+    "own occupation",
+    "package policy",
+    "party",
+    "pay damages",
+    "payable",
+    "pays",
+    "pcp",
+    "pcp copay",
+    "per month",
+    "per occurrence",
+    "period 01",
+    "period age",
+    "permanent",
+    "pickup",
+    "pine",
+    "please",
+    "pocket maximum",
+    "policies",
+    "policy claims",
+    "policy information",
+    "policy limit",
+    "policy renewal",
+    "policy schedule",
+    "practices",
+    "practices liability",
+    "pre",
+    "premium 14",
+    "premiums",
+    "prescription drugs",
+    "preventive",
+    "prior",
+    "products",
+    "products completed",
+    "professional liability",
+    "proof",
+    "protect",
+    "provided",
+    "provider",
+    "purchase",
+    "quote protect",
+    "radius",
+    "radius 50",
+    "rate 4",
+    "reimbursement",
+    "remuneration",
+    "rent",
+    "rental reimbursement",
+    "rented",
+    "renter",
+    "renters policy",
+    "required underlying",
+    "requires",
+    "residence premises",
+    "response",
+    "responsible",
+    "roadside",
+    "roadside assistance",
+    "roof",
+    "salary",
+    "section i",
+    "section ii",
+    "security",
+    "self insured",
+    "service",
+    "short",
+    "short term",
+    "shown",
+    "shown declarations",
+    "six",
+    "six month",
+    "social",
+    "special",
+    "specialist copay",
+    "st",
+    "subject",
+    "sublimit",
+    "sublimit <num>",
+    "supplemental",
+    "sustained",
+    "symbol",
+    "symbol 7",
+    "theft",
+    "toyota",
+    "truck",
+    "umbrella coverage",
+    "underinsured",
+    "underlying auto",
+    "underlying limits",
+    "universal",
+    "universal life",
+    "up 1",
+    "updated",
+    "use 30",
+    "vehicle 1",
+    "waiting",
+    "waiting period",
+    "watercraft liability",
+    "we pay",
+    "weekly",
+    "weeks",
+    "when",
+    "wind",
+    "wind hail",
+    "within"
+  ],
+  "weights": {
+    "auto": [0.759,0.99,0.2745,-0.0271,0.6052,-0.1015,0.5894,0.0652,0.3077,1.9687,0.4667,0.1644,-0.4206,0.3156,2.7412,-0.4511,-0.3593,-0.1604,0.8409,0.8723,-0.7206,0.2845,-0.3166,0.7555,-0.4201,-0.2275,0.0426,-0.3131,2.1493,0.6687,1.2176,0.79,-0.296,0.2768,0.2041,0.5157,-0.1441,-0.5851,-0.5529,0.0961,-0.2181,0.1576,-0.6603,0.8421,0.8421,1.443,-0.1918,-0.1354,-0.5183,-0.0601,0.3398,-0.2494,-0.0465,-0.3948,0.9875,0.0389,-0.3585,-0.2848,-0.0682,0.8027,0.4673,0.1292,1.1589,-0.1743,-0.3694,0.1036,-0.1663,0.168,0.0821,-0.5172,-0.6627,-0.621,0.3782,-0.2733,-0.0294,-0.4704,0.3372,0.652,0.1881,0.1042,0.6574,-0.4174,-0.1204,-0.1788,0.2079,1.0044,-0.2495,-0.242,-0.372,-0.242,-0.1409,-0.0903,0.1421,-0.3274,-0.1324,-0.4089,-0.2159,-0.1366,-0.2238,-0.5714,-0.4462,-0.5238,0.0976,1.0648,0.6475,-0.3146,0.6854,-0.3641,-0.3828,-0.2989,-0.3491,0.7714,-0.5001,-0.4122,0.6324,0.2487,-0.1805,0.3022,-0.1,-0.3876,-0.3749,-0.1518,0.044,-0.0178,-0.1435,0.4316,1.6514,-0.2929,-0.0935,-0.0834,-0.0816,-0.1242,-0.0437,-0.3313,0.1325,0.6786,-0.0035,-0.1164,-0.3684,-0.4924,-0.1167,0.106,-0.0095,-0.2814,-0.2016,-0.2016,-0.0247,-0.2957,0.1245,-0.3099,-0.0859,-0.3576,-0.3242,0.4716,0.1458,-0.1055,-0.0383,0.1014,-0.2626,-0.3903,-0.2563,-0.0898,-0.119,-0.3497,-0.3398,0.3584,0.0885,-0.2928,0.496,0.4331,-0.2254,-0.0729,-0.0124,-0.0651,-0.2328,0.0464,-0.0008,-0.0438,-0.3256,-0.1066,-0.2859,-0.2682,0.0461,-0.2236,0.8443,-0.3312,0.0232,0.3157,0.634,0.0472,0.3498,-0.2125,0.2059,-0.0183,-0.2929,0.1757,0.2924,-0.197,-0.2875,-0.2875,0.6323,0.0545,-0.226,0.6271,-0.2691,-0.2288,-0.2667,-0.1784,-0.1784,0.2913,0.4325,0.1941,-0.2217,-0.1879,-0.0354,-0.237,0.0722,0.1072,-0.0653,-0.0319,0.087,-0.236,-0.0266,-0.3032,-0.065,-0.2338,-0.3231,0.0342,-0.0354,0.2614,-0.3764,0.1091,-0.2367,0.0213,0.3092,-0.168,0.1029,0.5173,0.0763,0.4503,0.0259,-0.184,-0.1609,0.0382,0.3039,-0.1681,-0.2148,-0.1645,-0.1925,-0.1368,0.0576,-0.2073,-0.1368,-0.2226,-0.156,-0.3885,-0.2061,0.0975,0.0852,-0.1162,-0.1592,-0.1592,0.5155,-0.1924,-0.1683,-0.1843,-0.1718,-0.1818,0.5155,0.1029,-0.2001,0.5155,0.0214,-0.1705,-0.1781,-0.1781,0.0975,-0.1195,-0.1579,-0.1652,0.5155,-0.1705,0.1909,0.2804,-0.1851,-0.2421,0.2576,-0.1742,-0.1541,-0.169,-0.1981,-0.1502,-0.1637,0.0764,-0.2001,-0.1295,0.0454,0.2268,-0.3197,-0.2085,-0.2353,0.0675,0.4503,0.0341,-0.1591,0.0975,-0.1379,-0.3196,0.0421,0.1033,-0.2055,0.3771,0.1135,0.0874,-0.117,0.4691,0.0423,0.1409,0.0964,-0.1761,-0.1424,-0.1632,0.0964,0.0964,-0.1931,0.4291,0.2231,0.1135,-0.2562,-0.2097,0.0432,0.5609,0.6018,0.0449,0.0322,-0.1632,0.0369,-0.1625,-0.1822,-0.1896,-0.1842,-0.2344,-0.2326,0.0695,0.0695,-0.1683,-0.1683,0.0107,-0.1917,0.1029,0.1029,-0.1622,-0.1358,-0.1519,-0.2611,-0.3306,-0.1358,0.38,-0.2065,-0.1742,0.1797,0.4146,0.6559,-0.1906,-0.1279,-0.2017,-0.1813,-0.2001,-0.2001,0.0584,-0.1192,-0.1111,-0.1223,0.1086,-0.0821,-0.1524,0.1023,-0.1026,-0.0952,-0.0923,-0.1226,-0.1345,-0.0979,-0.1051,-0.1147,-0.1145,-0.0952,-0.1271,-0.1091,0.1542,0.4617,0.3728,0.1095,-0.1119,0.1521,0.5169,0.1272,0.0179,0.2773,-0.1167,0.1655,-0.0833,-0.1248,-0.1682,0.1118,-0.0812,-0.1197,-0.092,0.2053,-0.1555,-0.0833,0.3555,-0.1654,0.1003,-0.1117,-0.1437,-0.1332,-0.1524,-0.1524,-0.0821,-0.1077,0.1536,0.1706,-0.1023,0.1655,0.1095,-0.0966,-0.1251,0.3653,-0.1111,0.0815,-0.1247,0.4344,-0.112,-0.1399,-0.1157,-0.1277,0.1616,-0.0935,-0.0842,-0.0818,0.1534,0.3336,-0.1322,-0.1023,-0.1091,-0.1091,-0.1023,-0.1212,0.4433,-0.1023,-0.0999,0.1825,0.1825,0.5129,-0.1654,-0.1635,0.2162,0.2162,-0.1197,-0.1111,-0.1313,-0.1176,-0.1223,-0.1298,0.2887,-0.0966,-0.0952,-0.0952,-0.1152,-0.172,-0.1441,-0.1008,-0.1051,-0.1268,0.38,-0.112,-0.1117,-0.1067,0.317,-0.1496,-0.2529,0.1251,-0.1426,-0.1168,-0.1422,-0.1091,0.373,-0.1277,-0.1104,-0.0813,-0.1275,0.3482,-0.0994,-0.1228,0.1611,-0.0813,-0.0737,-0.0893,-0.1271,-0.1377,-0.1377,-0.14,-0.14,0.1086,-0.1286,-0.1206,-0.0966,0.5392,-0.1021,-0.1085,-0.1085,-0.1135,-0.1117,-0.0966,-0.0966,-0.1154,-0.0995,-0.1151,-0.0966,-0.1117,-0.0952,-0.0952,-0.1256,-0.1334,0.1023,0.0704,-0.0952,-0.0923,0.1095,-0.1312,-0.1289,-0.1117,0.3863,-0.1146,0.2321,0.2766,-0.1146,-0.1353,-0.1033,-0.0999,0.1349,0.1349,-0.0995,-0.0966,-0.0966,0.2983,-0.0966,0.1086,0.2029,0.2029,-0.1248,0.1246,0.1616,-0.1247,-0.1563,-0.1563,-0.1272,-0.0952,-0.1849,0.2745,-0.1378,0.1616,-0.1287,0.3555,-0.0966,-0.1247,-0.0917,-0.1654,-0.0895,-0.1047,-0.1258,-0.1026,-0.1322,-0.1092,0.0993,-0.1023,0.2029,-0.1582,0.1747,-0.1068,-0.1182,-0.1266,0.5392,-0.0966,-0.0994,-0.0963,-0.1441,0.1282,0.281,-0.1416,-0.1111,0.1251,0.109,-0.1046,-0.1046,0.2091,-0.1051,0.2088,0.4655,-0.164,-0.0952,-0.0952,-0.0945,0.1331,-0.0678,-0.0678,0.0555,-0.1563,0.1616,-0.124,-0.1405,-0.1117,-0.1117,-0.1497,0.1811,0.0662,-0.0678,-0.1512,0.4565,0.1478,-0.1558,-0.1128,0.1544,-0.1206,-0.0966,-0.0966,-0.1512,-0.0791,-0.1085,-0.1085,-0.0967,-0.1418,0.0624,-0.1347,-0.1332,-0.1119,-0.0952,-0.0952,-0.1206,0.2718,-0.1248,-0.1003,-0.1098,-0.0914,-0.1248,-0.1654,-0.1654,-0.0944,0.3482,-0.0966,-0.1123,0.3482,-0.1285,-0.2007,-0.1363,-0.1229,-0.1991,-0.1098,-0.1091,0.1491,0.3653,0.3653,-0.153,-0.135,-0.1146,-0.1146,-0.0969,-0.1247,-0.1451,-0.092,-0.092,0.1616,0.1616,0.4409,0.4409,-0.0969,-0.1149,-0.1117,0.1935,-0.111,-0.1091,-0.1091,-0.1021,-0.1023,-0.3123,-0.1654,-0.1404,0.4617,0.1825,0.1251,0.1558,-0.2067,0.1247,-0.0994,-0.0994,-0.1428,-0.1128,-0.1414,0.2376,-0.0961,-0.0961,-0.1256,0.3177,-0.092,-0.092,-0.1051,0.1095,0.1095,-0.1486],
+    "home": [-0.2009,0.8,0.3438,-0.1892,-0.2205,1.6511,0.0493,1.5354,1.2766,0.9101,-0.6926,-0.2982,0.2974,-0.0959,-0.2272,0.4661,0.7297,-0.3567,1.5878,-0.2939,-0.6328,0.071,-0.0838,-0.074,-0.7873,0.047,-0.1198,-0.4461,0.3457,-0.5636,0.0539,0.8683,0.2496,-0.311,0.0337,-0.1913,-0.3213,-0.3324,-0.7214,-0.7378,2.5837,1.2915,-0.5825,0.1787,0.1787,0.1247,-0.0205,0.0022,-0.4737,0.4002,-0.6231,1.06,-0.4937,-0.2995,0.8554,-0.1235,0.1601,-0.4823,0.5741,-0.1057,-0.1618,0.5856,0.2635,-0.0978,-0.1273,-0.2931,-0.3607,-0.429,0.2456,-0.4056,-0.6022,-0.5077,-0.2411,-0.2572,-0.2752,1.2095,-0.4264,1.5771,0.2576,0.0042,-0.4059,-0.0806,-0.3832,0.2507,-0.2306,0.0737,0.6643,0.9767,-0.2998,0.9767,0.3021,-0.2444,1.6955,-0.3067,-0.2334,-0.3753,-0.0111,0.2118,0.854,-0.4468,0.7863,-0.2465,0.2093,0.74,0.2321,-0.1376,-0.1303,0.2023,0.2561,-0.2781,-0.2795,0.1134,-0.394,0.3528,0.0284,1.1893,0.759,0.9364,-0.2884,-0.2653,-0.12,-0.2753,0.8152,-0.6091,0.1798,0.2237,-0.1533,-0.2244,0.3577,-0.3302,0.5746,-0.0873,0.0314,-0.2594,-0.2986,-0.355,0.5001,0.4948,0.0107,-0.4274,0.8073,0.4846,-0.232,0.6054,-0.1863,-0.1863,-0.3022,-0.2371,0.5301,-0.2528,0.0299,-0.2731,-0.2699,-0.096,0.1809,-0.1194,0.1638,0.3641,-0.2509,-0.2232,-0.22,0.2043,-0.355,-0.3329,0.2765,0.1724,-0.2081,-0.2995,0.2304,-0.2049,-0.1977,0.0293,0.0937,-0.196,-0.2156,0.1902,0.46,-0.3998,-0.2639,-0.256,-0.2167,-0.2928,-0.1682,-0.235,-0.0403,-0.2477,-0.2054,0.2092,-0.0527,0.134,-0.016,-0.1824,-0.0422,0.7072,-0.2244,-0.2744,-0.2152,-0.1443,-0.2023,-0.2023,-0.2222,-0.2318,-0.1957,-0.0447,-0.2077,-0.1903,-0.2023,-0.1569,-0.1569,-0.2141,0.028,0.1043,-0.1714,-0.155,0.7739,-0.1911,0.3293,-0.1535,0.9369,0.1215,-0.2215,-0.1783,0.1143,0.3008,0.3502,-0.2089,-0.217,0.059,0.7739,0.1567,0.0462,0.1352,-0.1947,-0.2794,-0.1602,-0.1804,-0.1184,-0.0027,-0.165,0.4062,0.0113,0.1678,0.2268,0.3294,-0.185,-0.1371,-0.0118,0.0332,-0.1748,-0.1173,0.0669,0.1338,-0.1173,-0.1929,-0.1216,-0.1999,-0.1659,0.1476,-0.1962,-0.1017,-0.1517,-0.1517,0.0714,-0.1866,-0.1389,0.2399,-0.1177,-0.1682,0.0714,-0.1184,-0.132,0.0714,0.4317,-0.1415,0.1946,0.1946,0.1476,-0.1118,-0.1367,-0.1371,0.0714,-0.1415,0.1707,-0.2185,-0.1336,0.4066,-0.003,-0.1455,-0.1166,-0.137,-0.1682,-0.1445,-0.108,-0.0353,-0.1455,-0.1097,0.5778,0.0847,-0.2401,-0.1156,0.0181,0.6418,0.4062,0.1504,-0.1385,0.1476,-0.0966,-0.1812,-0.2622,-0.1654,-0.1812,-0.1567,-0.042,-0.1188,-0.1052,0.2748,-0.1547,0.1256,-0.1416,-0.1668,-0.1282,-0.1194,-0.1416,-0.1416,0.105,-0.2575,-0.2336,-0.042,-0.1735,-0.143,0.4895,-0.1628,0.1765,-0.1444,-0.1427,-0.1194,-0.2071,-0.1166,-0.14,-0.1338,-0.1594,-0.2005,-0.2674,-0.1712,-0.1712,-0.1389,-0.1389,0.8571,-0.1687,-0.1184,-0.1184,-0.134,-0.1079,-0.1251,-0.173,-0.5486,-0.1079,0.1211,-0.1369,-0.1543,0.0744,0.3732,-0.1801,-0.1401,-0.1032,0.0372,-0.2919,-0.132,-0.132,-0.0988,-0.0831,-0.0734,-0.1121,-0.0884,-0.0746,-0.11,-0.0916,0.0742,-0.0824,-0.0852,-0.0778,-0.1122,-0.0737,-0.0789,-0.0914,-0.0913,-0.0824,-0.0846,-0.0889,0.331,0.0728,0.5277,0.3135,-0.0895,-0.1059,0.1108,0.5197,-0.1326,0.2657,-0.0821,-0.1394,-0.0687,-0.1067,-0.1305,-0.1334,-0.0622,-0.0785,-0.0737,-0.089,0.3492,-0.0692,-0.1287,-0.0724,-0.1236,0.0186,0.1892,-0.0947,0.1932,0.1932,-0.0746,-0.0829,-0.1142,-0.1063,-0.1019,-0.1394,0.3135,-0.0641,0.1617,-0.1316,-0.0734,-0.1126,-0.1199,0.1606,0.3311,-0.1199,0.2822,0.2083,-0.1166,-0.0787,-0.0727,-0.0756,0.2832,0.4562,-0.1319,-0.1019,-0.0889,-0.0889,-0.1019,-0.1331,0.0734,-0.1019,-0.093,-0.0838,-0.0838,-0.1497,-0.0724,0.1878,-0.0852,-0.0852,-0.0785,-0.0734,-0.1225,-0.1015,-0.1121,-0.1457,-0.0949,-0.0641,-0.0824,-0.0824,-0.0913,0.4609,-0.1846,-0.0772,-0.0789,-0.1253,0.2528,0.3311,0.0186,-0.0992,-0.1859,0.4563,-0.1104,-0.1376,-0.2453,-0.1168,-0.1136,-0.0889,0.1406,0.2083,-0.0964,-0.0711,0.0812,0.1463,-0.0887,-0.106,0.2036,-0.0711,-0.0773,-0.0944,-0.0846,0.1137,0.1137,-0.1356,-0.1356,-0.0884,-0.1142,-0.1034,-0.0641,-0.1301,-0.0883,-0.1056,-0.1056,-0.0832,-0.0978,-0.0641,-0.0641,-0.0879,-0.0908,-0.1262,-0.0641,0.0186,-0.0745,-0.0745,0.4819,0.1321,-0.0916,0.2419,-0.0824,-0.0852,0.3135,-0.1041,-0.081,-0.0978,0.4246,0.3777,-0.1493,-0.111,0.3777,0.0813,-0.0883,-0.093,0.247,0.247,-0.0908,-0.0641,-0.0641,0.157,-0.0641,-0.0884,-0.1084,-0.1084,-0.1181,0.2675,-0.1166,-0.1199,-0.1878,-0.1878,-0.0963,-0.0745,-0.1226,-0.1269,0.1381,-0.1166,-0.099,-0.1287,-0.0641,-0.1199,-0.0651,-0.0724,-0.0764,-0.0738,-0.1367,-0.087,-0.0692,-0.1122,-0.1557,-0.1019,-0.1084,-0.117,-0.1085,-0.0869,-0.0966,-0.109,-0.1301,-0.0641,-0.0887,-0.0824,-0.1283,-0.1363,0.3286,-0.0939,-0.0734,-0.1376,0.4264,0.1745,0.1745,-0.1048,-0.0789,-0.0759,0.2812,-0.1245,-0.0824,-0.0824,0.0839,-0.1152,-0.0632,-0.0632,0.0662,-0.1878,-0.1166,-0.1104,-0.1993,-0.0978,-0.0978,-0.1139,-0.139,-0.0861,-0.0632,0.2043,-0.0999,0.1894,0.4296,-0.0833,0.2788,-0.1034,-0.0641,-0.0641,-0.1532,-0.0641,-0.1056,-0.1056,-0.087,-0.1419,0.0805,-0.0975,-0.0947,-0.0908,-0.0824,-0.0824,-0.1034,-0.1505,-0.1181,0.1711,-0.0805,-0.0806,-0.1181,-0.0724,-0.0724,-0.0752,0.1463,-0.0641,-0.1972,0.1463,-0.1188,-0.3027,-0.1847,0.1157,0.4183,0.2851,-0.0889,-0.124,-0.1316,-0.1316,0.8222,-0.1178,0.3777,0.3777,-0.0775,-0.1199,-0.0822,-0.0737,-0.0737,-0.1166,-0.1166,-0.1002,-0.1002,-0.0775,0.0301,-0.0978,-0.1051,-0.0783,-0.0889,-0.0889,-0.0883,-0.1019,-0.1365,-0.0724,0.1846,0.0728,-0.0838,-0.1376,-0.1221,-0.1581,0.1572,-0.0887,-0.0887,-0.1102,0.2794,0.0862,0.0785,-0.074,-0.074,0.1005,-0.1586,-0.0737,-0.0737,-0.0935,0.3135,0.3135,0.4508],
+    "renters": [-0.4408,-0.9996,0.4365,0.5653,-0.94,1.2032,-0.5677,1.7375,1.5022,0.161,0.8002,-0.4627,-0.445,-0.3325,-0.2324,-0.9735,1.9813,0.0651,0.8243,0.201,-0.2441,-0.354,-0.1786,-0.6609,-0.5799,-0.2033,-0.6091,0.185,-0.0913,-0.0111,-0.5331,-0.4887,0.5734,-0.1278,-0.4943,0.4679,-0.3836,-0.3761,-0.4943,0.3175,-0.1765,-0.1791,-0.5384,-0.4251,-0.4251,0.0244,-0.0586,0.1577,0.0529,0.0895,-0.026,0.3552,-0.4276,-0.569,0.7356,-0.33,0.7559,-0.4063,0.3487,0.7386,0.0002,-0.357,-0.3796,-0.5083,0.8455,0.609,0.1262,0.0702,-0.3493,-0.3718,-0.5498,-0.4852,-0.3236,0.6919,0.108,0.2073,0.1793,-0.4603,-0.2808,-0.3149,-0.2602,-0.3182,-0.256,0.0905,0.5363,-0.2553,0.4091,0.0264,-0.2538,0.0264,-0.25,-0.3429,0.063,-0.245,0.112,-0.2954,-0.2534,-0.3453,-0.3824,-0.4206,-0.0126,-0.0082,0.3198,-0.2516,1.0197,-0.202,0.1008,-0.308,-0.2788,-0.226,-0.2676,-0.2651,-0.3774,0.4792,0.5422,-0.2914,0.0721,0.0855,-0.2334,-0.1823,0.7296,-0.1873,0.0203,2.7633,0.4849,-0.2773,-0.3315,-0.1635,-0.1803,0.1842,-0.2979,0.268,-0.1997,0.2284,-0.2447,-0.2298,-0.2145,0.1382,-0.2737,-0.3203,-0.2679,-0.2975,-0.2179,-0.2817,-0.1656,-0.1656,-0.2022,-0.2155,0.1603,-0.198,0.9972,-0.2326,-0.2437,-0.1856,-0.2045,0.2345,-0.2311,0.1764,-0.2304,-0.1855,-0.1851,-0.2006,-0.2789,0.1528,-0.2804,-0.312,-0.1434,-0.182,-0.1404,-0.1298,-0.1282,0.6046,0.2926,0.2854,0.2741,-0.1715,-0.1939,1.7415,-0.1739,-0.1567,-0.2376,-0.1806,-0.1154,-0.143,0.1959,-0.2577,-0.1438,-0.1324,-0.1663,0.1909,-0.1491,-0.1555,-0.1561,-0.2199,-0.2091,-0.196,-0.1209,-0.1051,-0.1371,-0.1371,-0.1554,-0.1593,-0.1821,-0.1509,-0.224,-0.1518,0.3723,-0.1344,-0.1344,-0.2307,-0.1524,-0.1872,-0.1573,-0.1361,-0.2179,-0.1808,-0.2196,-0.1124,-0.2861,-0.1783,0.2547,-0.1386,0.1939,0.5823,-0.185,-0.1701,-0.2014,-0.1587,-0.2179,-0.1573,1.2552,-0.2135,-0.1867,-0.2127,0.2962,0.2934,-0.0853,-0.1392,-0.0981,-0.1104,0.6767,0.256,-0.1601,-0.2114,0.2915,-0.1101,0.7216,-0.1329,0.2941,-0.1146,-0.1996,-0.1558,-0.1146,-0.1287,-0.1207,-0.1597,-0.1503,-0.1569,0.3316,-0.1046,-0.0888,-0.0888,0.2852,0.3654,-0.1106,-0.1396,-0.0827,-0.1362,0.2852,-0.0853,-0.0934,0.2852,0.2588,-0.1171,0.2316,0.2316,-0.1569,-0.1031,-0.1174,-0.108,0.2852,-0.1171,-0.1556,0.7068,-0.1405,0.4002,-0.1003,-0.1226,-0.0821,-0.1309,-0.1364,-0.1055,-0.0781,0.2618,-0.1341,-0.1085,-0.1514,-0.1744,-0.2534,-0.0837,-0.1659,-0.147,-0.1104,0.2458,-0.138,-0.1569,-0.0815,-0.1237,0.7384,-0.1255,-0.1257,-0.1063,0.2797,-0.0942,-0.0915,-0.1403,-0.1321,-0.1261,-0.0983,-0.159,-0.1136,-0.1074,-0.0983,-0.0983,-0.1699,-0.1712,-0.1894,0.2797,-0.1308,-0.1056,-0.1742,-0.097,-0.1264,-0.1349,-0.1122,-0.1074,0.2657,-0.1004,-0.1513,-0.1455,-0.1332,0.3329,1.2095,-0.118,-0.118,-0.1106,-0.1106,-0.2406,-0.1456,-0.0853,-0.0853,-0.1339,-0.1016,-0.1112,-0.1206,2.0315,-0.1016,-0.1122,-0.1035,-0.1428,-0.1158,-0.211,-0.1339,-0.128,-0.0827,-0.1735,0.8575,-0.0934,-0.0934,-0.0618,-0.0607,-0.0561,-0.0865,-0.0848,-0.0625,-0.1067,-0.0902,-0.0642,-0.0503,-0.0584,-0.0522,-0.0863,-0.0496,-0.0677,-0.0875,-0.0928,-0.0503,-0.0553,-0.0709,-0.101,-0.0942,-0.0926,-0.0853,-0.0791,-0.0832,-0.1273,-0.1147,-0.0858,-0.13,-0.075,0.4135,-0.0657,-0.0987,-0.0835,0.3637,-0.0635,-0.0585,-0.0585,-0.083,-0.137,-0.0744,0.3307,-0.0576,0.343,0.3205,-0.1459,-0.0859,-0.1435,-0.1435,-0.0625,-0.0878,-0.0656,-0.0789,-0.0586,0.4135,-0.0853,-0.0417,-0.0957,0.335,-0.0561,0.358,-0.0992,-0.0718,-0.0856,-0.1108,-0.0961,-0.1162,-0.0908,-0.0685,-0.0613,-0.0643,-0.0895,-0.0833,-0.0767,-0.0586,-0.0709,-0.0709,-0.0586,-0.0844,0.6139,-0.0586,-0.0562,-0.0592,-0.0592,-0.1503,-0.0576,-0.1366,-0.052,-0.052,-0.0585,-0.0561,0.4304,-0.0806,-0.0865,-0.1106,-0.0823,-0.0417,-0.0503,-0.0503,-0.1049,-0.176,0.7131,-0.0725,-0.0677,0.3786,0.3423,-0.0856,0.3205,-0.0762,-0.1233,-0.1336,-0.0862,-0.0978,0.9063,-0.1084,-0.0899,-0.0709,-0.0685,-0.1162,-0.0776,-0.0756,0.2715,-0.1042,-0.0779,-0.0897,-0.1069,-0.0756,-0.0778,-0.0953,-0.0553,0.5032,0.5032,0.3724,0.3724,-0.0848,-0.1026,-0.0831,-0.0417,-0.1068,-0.0844,-0.0824,-0.0824,-0.0839,-0.0983,-0.0417,-0.0417,-0.0717,-0.0807,0.3737,-0.0417,0.3205,-0.0686,-0.0686,-0.1118,-0.1253,-0.0902,-0.076,-0.0503,-0.0584,-0.0853,-0.0984,-0.0576,-0.0983,-0.0963,-0.106,-0.1461,-0.11,-0.106,0.2481,-0.0522,-0.0562,-0.1206,-0.1206,-0.0807,-0.0417,-0.0417,-0.0623,-0.0417,-0.0848,-0.0841,-0.0841,0.377,-0.1306,-0.0908,-0.0992,0.7871,0.7871,-0.0925,-0.0686,-0.0795,-0.1226,0.3767,-0.0908,-0.1022,0.3307,-0.0417,-0.0992,-0.0471,-0.0576,-0.0671,-0.0463,-0.0978,-0.0709,-0.0481,0.3923,-0.1155,-0.0586,-0.0841,-0.0998,-0.0874,-0.0887,-0.1051,-0.0955,-0.1068,-0.0417,-0.0779,-0.072,0.3639,-0.084,-0.0815,-0.0697,-0.0561,-0.0978,-0.1768,-0.0718,-0.0718,-0.0602,-0.0677,-0.0562,-0.0838,-0.0897,-0.0503,-0.0503,-0.0595,-0.0679,-0.0592,-0.0592,-0.0925,0.7871,-0.0908,-0.0958,0.5228,-0.0983,-0.0983,-0.1354,0.4224,-0.0627,-0.0592,-0.1316,-0.0864,-0.1337,-0.1926,-0.0718,-0.0818,-0.0831,-0.0417,-0.0417,0.3245,-0.0646,-0.0824,-0.0824,-0.0797,0.3661,-0.0756,-0.105,-0.0859,-0.0794,-0.0503,-0.0503,-0.0831,0.2789,0.377,-0.0944,-0.0779,-0.0696,0.377,-0.0576,-0.0576,-0.0635,-0.1042,-0.0417,0.5205,-0.1042,0.3982,1.2061,0.7365,-0.1074,-0.1722,-0.0973,-0.0709,-0.0924,0.335,0.335,-0.2,-0.1166,-0.106,-0.106,-0.0597,-0.0992,-0.0738,-0.0585,-0.0585,-0.0908,-0.0908,-0.0953,-0.0953,-0.0597,-0.0941,-0.0983,-0.0691,-0.0661,-0.0709,-0.0709,-0.0844,-0.0586,-0.1081,-0.0576,0.3563,-0.0942,-0.0592,-0.0978,-0.0798,-0.0873,-0.0653,-0.0779,-0.0779,-0.0686,-0.1042,0.2872,-0.0632,-0.0728,-0.0728,-0.1219,-0.1191,-0.0585,-0.0585,-0.0847,-0.0853,-0.0853,-0.1677],
+    "life": [-0.0314,-0.2266,-1.8205,0.9789,-1.1028,-1.1343,-0.8068,-1.0041,-0.9851,-1.0307,0.7618,-0.5657,-0.2252,-0.128,-0.6622,0.6647,-0.5186,0.0999,-0.51,-0.4949,0.405,0.1059,0.739,-0.5445,-0.4869,-0.4323,-0.4348,0.1622,-0.3232,0.9261,-0.3516,-0.3096,-0.3725,0.3352,-0.3543,-0.246,-0.4575,0.7115,-0.4205,-0.4279,-0.424,-0.319,1.4001,-0.2829,-0.2829,-0.2463,-0.3438,0.2261,0.3571,-0.2562,-0.0427,-0.2462,0.5618,-0.3801,-0.3172,0.3221,-0.4416,1.4942,-0.2152,-0.3405,0.5022,-0.1816,-0.2235,-0.3312,-0.2736,-0.2483,0.5583,-0.0061,0.1975,-0.1543,-0.3443,3.6627,-0.2639,-0.3144,-0.2169,-0.273,-0.3973,-0.2352,-0.2341,0.0546,-0.2633,-0.0565,-0.2248,0.3397,0.1463,-0.1754,-0.1632,-0.1529,0.2852,-0.1529,-0.1439,-0.24,-0.3066,-0.0104,0.1017,-0.3685,-0.1965,-0.0792,-0.2483,-0.1813,-0.2495,0.2334,-0.349,-0.1321,-0.1968,-0.1432,0.0969,-0.3568,-0.2285,0.3455,0.8809,-0.2038,0.3215,0.023,-0.2179,-0.145,-0.1203,-0.1308,-0.2235,-0.1486,-0.2332,-0.1696,-0.2593,-0.2384,-0.2838,-0.1855,-0.271,0.5827,-0.1022,-0.1846,-0.2167,-0.1957,0.0911,-0.1886,-0.227,-0.1631,-0.1269,-0.0934,-0.2965,-0.2355,-0.1022,-0.1488,0.0309,-0.3708,-0.0014,-0.0014,-0.1605,0.0201,-0.093,-0.1696,-0.1204,-0.02,1.1467,-0.1827,-0.1236,-0.108,0.0966,-0.1933,0.8589,0.005,-0.3532,-0.12,-0.1884,0.4127,0.5563,-0.2188,-0.1224,-0.1176,-0.0943,-0.1108,-0.1251,-0.1865,-0.1569,-0.121,0.2538,0.5312,-0.0861,-0.1462,-0.1414,-0.1174,1.6746,-0.114,-0.0928,-0.0917,-0.1446,-0.3145,-0.1275,-0.0992,-0.1077,-0.0842,-0.0884,1.2546,-0.0937,-0.0905,-0.2596,-0.161,-0.1061,0.1814,-0.1567,-0.1567,-0.1049,-0.1272,0.0604,-0.0839,1.474,-0.1326,-0.1216,-0.2686,-0.2686,-0.3056,-0.1145,-0.1316,-0.2191,-0.2253,-0.1061,-0.2437,-0.1114,0.2221,-0.1035,-0.1279,0.1122,0.5841,-0.1553,-0.152,-0.0938,-0.1322,-0.2336,-0.1045,-0.1061,-0.1072,-0.1838,0.2216,1.1314,0.4425,0.1452,-0.0999,-0.0729,-0.0893,-0.0659,-0.0581,-0.08,-0.0869,0.2376,-0.2212,-0.0872,-0.1417,-0.0865,0.1147,-0.1248,0.3202,-0.1351,-0.0774,0.3202,-0.0999,0.4272,-0.1312,0.75,-0.0809,-0.0974,0.0923,-0.0595,-0.0595,-0.0779,0.1691,-0.1077,0.113,-0.0931,-0.1203,-0.0779,-0.0729,-0.1172,-0.0779,-0.0989,-0.1063,-0.0605,-0.0605,-0.0809,0.1582,0.9759,-0.1008,-0.0779,-0.1063,-0.1164,-0.0934,-0.1586,-0.1345,-0.0548,-0.1936,-0.089,0.5709,-0.1006,-0.1332,-0.0985,-0.0738,-0.1475,0.3934,-0.0648,-0.1194,-0.317,-0.0636,-0.0986,-0.0768,-0.0581,-0.1082,0.1385,-0.0809,0.1395,-0.1415,-0.1292,-0.0802,-0.0966,-0.1026,-0.0642,-0.0858,0.1289,-0.068,-0.0984,0.2199,-0.0655,0.0052,0.1496,-0.1302,-0.0655,-0.0655,0.3756,-0.1172,-0.1279,-0.0642,-0.1543,-0.1243,-0.0579,-0.0778,-0.0772,-0.0854,-0.1009,-0.1302,-0.1143,-0.1442,0.2217,0.6617,-0.1038,-0.1782,-0.1291,-0.0762,-0.0762,-0.1077,-0.1077,-0.0966,-0.118,-0.0729,-0.0729,0.2255,0.7691,0.6686,-0.1563,-0.208,0.7691,-0.1614,0.4866,-0.1991,-0.0749,-0.1047,-0.1272,-0.1706,0.5773,-0.1038,-0.1868,-0.1172,-0.1172,-0.0447,-0.0661,-0.0715,-0.0638,-0.0552,-0.1597,-0.1134,-0.0577,-0.0395,-0.0403,-0.0767,-0.0393,-0.0705,-0.0649,-0.1088,-0.1183,0.2922,-0.0403,-0.0748,-0.0657,-0.0394,-0.0786,-0.0475,-0.0379,-0.0681,0.1583,-0.0738,-0.0545,-0.0629,-0.1062,-0.1021,-0.0824,-0.137,-0.1105,0.3278,-0.0768,0.4904,-0.0702,-0.0976,0.3041,-0.0545,0.1928,-0.0567,-0.0461,-0.0749,-0.0405,-0.126,-0.1172,0.306,0.306,-0.1597,-0.1624,-0.0594,0.2549,-0.0396,-0.0824,-0.0379,-0.0552,-0.0627,-0.0556,-0.0715,-0.0476,-0.0664,-0.0587,-0.0492,0.8156,-0.0639,-0.0571,-0.054,0.6554,0.2294,0.2165,-0.093,-0.0397,-0.0517,-0.0396,-0.0657,-0.0657,-0.0396,-0.0521,-0.0607,-0.0396,-0.0374,-0.051,-0.051,-0.1921,-0.0461,0.329,-0.0496,-0.0496,-0.0702,-0.0715,-0.071,-0.0667,-0.0638,-0.076,-0.088,-0.0552,-0.0403,-0.0403,0.2733,-0.1016,-0.0796,0.4806,-0.1088,0.2486,-0.0496,-0.0492,-0.0405,-0.0477,-0.0725,-0.0551,-0.0701,-0.0599,-0.0985,0.2519,-0.0894,-0.0657,-0.0389,-0.0571,0.2854,-0.1962,-0.0438,-0.0546,0.609,-0.0721,-0.0507,-0.1962,0.2003,-0.1551,-0.0748,-0.0826,-0.0826,-0.0736,-0.0736,-0.0552,-0.1608,-0.0736,-0.0552,-0.1088,0.6225,-0.0613,-0.0613,-0.1126,0.262,-0.0552,-0.0552,-0.1248,0.2501,-0.1317,-0.0552,-0.0405,0.5188,0.5188,-0.0595,-0.0632,-0.0577,-0.0301,-0.0403,-0.0767,-0.0379,-0.1333,-0.0418,0.262,-0.0418,-0.0436,-0.2036,-0.1469,-0.0436,-0.0629,-0.0503,-0.0374,-0.0846,-0.0846,0.2501,-0.0552,-0.0552,-0.0375,-0.0552,-0.0552,-0.0706,-0.0706,-0.1391,-0.0744,-0.054,-0.0664,-0.0856,-0.0856,0.6588,0.5188,-0.1045,-0.1053,-0.076,-0.054,0.6339,-0.0567,-0.0552,-0.0664,-0.0624,-0.0461,0.5672,-0.0498,-0.0638,-0.0897,-0.0488,-0.1439,0.5776,-0.0396,-0.0706,-0.1666,-0.0906,0.2771,-0.1374,0.2479,-0.1088,-0.0552,0.609,-0.1089,-0.1139,-0.059,-0.0347,-0.0911,-0.0715,-0.0599,-0.1264,-0.05,-0.05,-0.0488,-0.1088,-0.0679,-0.0659,-0.0868,-0.0403,-0.0403,-0.0449,-0.046,0.188,0.188,-0.0573,-0.0856,-0.054,0.323,-0.1072,0.262,0.262,-0.2326,-0.0695,-0.0549,0.188,0.1641,-0.0601,-0.0775,-0.123,-0.0936,-0.0526,-0.0736,-0.0552,-0.0552,-0.0809,0.1014,-0.0613,-0.0613,-0.1223,-0.0873,0.3534,-0.1221,-0.1172,-0.1159,-0.0403,-0.0403,-0.0736,-0.1081,-0.1391,-0.1208,-0.1032,0.2663,-0.1391,-0.0461,-0.0461,0.2638,-0.0546,-0.0552,-0.1439,-0.0546,-0.0663,-0.1177,-0.0605,-0.0497,-0.1219,-0.0361,-0.0657,-0.068,-0.0556,-0.0556,-0.1238,0.8608,-0.0436,-0.0436,-0.0933,-0.0664,-0.091,-0.0976,-0.0976,-0.054,-0.054,-0.073,-0.073,-0.0933,-0.0489,0.262,-0.0617,-0.0798,-0.0657,-0.0657,0.6225,-0.0396,-0.087,-0.0461,-0.0704,-0.0786,-0.051,-0.0599,-0.0749,-0.0743,-0.039,0.609,0.609,-0.0773,-0.1002,-0.0567,-0.0318,-0.1299,-0.1299,-0.0596,-0.0704,-0.0976,-0.0976,0.2118,-0.0379,-0.0379,-0.1248],
+    "health": [0.72,-1.6672,-1.805,-1.9602,-0.0031,-1.0869,0.2898,-1.0367,-0.9752,0.5993,-0.2638,-0.5668,-0.6018,-0.2703,-0.7512,-0.7513,-0.5534,0.1239,-0.5318,-0.3585,-0.1698,0.2744,0.1729,-0.5185,-0.2329,-0.4544,-0.3957,0.7763,-0.3782,0.0217,-0.3621,0.2281,-0.4311,-0.0795,-0.323,-0.2336,0.4496,-0.3962,-0.4483,-0.1298,-0.4002,-0.2963,-0.9283,-0.2649,-0.2649,-0.28,-0.3467,-0.3289,0.2675,-0.2584,-0.0856,-0.243,-0.0807,-0.3418,-0.3552,0.1466,-0.0475,-0.0559,-0.2149,-0.0051,-0.2929,-0.2026,-0.2162,-0.311,0.4383,-0.2158,0.1678,0.5856,-0.0035,1.5591,-0.4395,-0.1151,-0.2518,0.0593,-0.2057,-0.2976,0.106,-0.2344,0.125,0.0419,-0.2938,0.4428,-0.2311,-0.2323,0.2121,-0.2,-0.1665,-0.1631,0.0258,-0.1631,-0.1404,-0.2258,-0.2792,-0.3476,0.9882,0.096,-0.1808,-0.2615,-0.3363,2.347,-0.2215,0.0703,0.32,-0.1434,-0.2012,-0.1513,-0.2787,0.5731,-0.2046,-0.2986,0.2111,-0.1719,2.5514,-0.2656,0.1053,-0.1461,-0.1319,-0.1476,-0.2058,-0.1613,-0.2109,-0.1541,-0.2406,-0.2535,-0.265,-0.2107,-0.2626,-0.1867,-0.1095,-0.2143,-0.262,0.1728,0.129,0.3456,-0.2957,-0.1752,-0.1273,-0.1052,0.0391,-0.2409,-0.1132,-0.1644,-0.024,-0.2765,0.0766,0.0766,-0.1728,0.386,-0.1036,-0.1425,-0.1471,0.9726,0.3673,-0.1475,-0.1119,-0.0964,-0.2151,-0.1937,-0.313,-0.198,0.2082,-0.1178,-0.154,0.0697,-0.2196,-0.2456,-0.1306,-0.1395,-0.0923,-0.1351,0.327,-0.1643,-0.138,0.1569,-0.1208,0.1187,-0.0922,-0.1544,-0.1314,-0.1299,0.0737,-0.1363,-0.1242,-0.1093,-0.1751,1.6372,-0.1157,-0.1328,-0.1138,-0.0977,-0.0978,-0.236,-0.0854,-0.1024,1.0494,-0.1654,-0.0943,0.1833,-0.1426,-0.1426,-0.1263,-0.1381,-0.3723,-0.0856,0.0844,-0.1107,-0.1202,0.104,0.104,0.2633,-0.1111,-0.1546,0.7524,0.5133,-0.1027,0.8384,-0.1132,-0.1268,-0.1163,-0.1419,-0.1156,-0.1736,-0.1577,-0.1548,-0.0881,-0.1099,1.061,-0.1115,-0.1027,-0.1281,-0.2,-0.1889,-0.2607,0.4758,-0.1162,-0.0893,-0.1003,-0.0972,-0.062,-0.0644,-0.1073,-0.0862,-0.158,-0.231,-0.0971,0.1612,-0.0917,0.3864,0.4113,-0.1583,0.2172,-0.0833,-0.1583,-0.1,0.1964,-0.1538,0.5479,-0.0804,-0.0981,-0.1505,-0.0703,-0.0703,-0.0985,-0.1922,-0.096,-0.1137,-0.0871,0.4158,-0.0985,-0.1003,-0.1041,-0.0985,-0.1038,-0.0924,-0.0704,-0.0704,-0.0804,0.1993,-0.1604,-0.0898,-0.0985,-0.0924,-0.1153,-0.118,0.8995,-0.1269,-0.0529,0.3309,-0.0807,0.4552,-0.0813,-0.1107,-0.0864,-0.081,0.5648,-0.1378,-0.0673,-0.1177,1.6493,-0.0817,-0.0872,-0.0708,-0.0644,-0.1036,0.237,-0.0804,-0.0932,-0.14,-0.1205,-0.072,-0.0955,-0.092,-0.0672,-0.0943,-0.1666,-0.0806,-0.1007,-0.1166,-0.079,-0.2497,-0.1317,0.7602,-0.079,-0.079,-0.164,-0.1253,0.1117,-0.0672,-0.1381,-0.1104,-0.0712,-0.0687,-0.0803,-0.0976,-0.1152,0.7602,-0.1214,0.9053,0.9755,0.0904,-0.0919,-0.1445,-0.117,-0.0644,-0.0644,-0.096,-0.096,-0.0993,0.2026,-0.1003,-0.1003,0.7702,-0.1611,0.5246,-0.1333,-0.1866,-0.1611,-0.0993,-0.1322,0.1923,-0.0788,-0.1205,-0.1212,0.9397,-0.1128,-0.0874,-0.1505,-0.1041,-0.1041,-0.0349,-0.0617,-0.061,-0.0615,-0.0713,-0.1228,0.5952,-0.0732,-0.0384,-0.0414,-0.0995,-0.0497,-0.055,0.2837,0.5966,0.4916,0.5308,-0.0414,-0.0611,-0.0603,-0.0426,-0.072,-0.0565,-0.0406,0.1727,-0.0897,-0.0753,-0.0606,-0.0476,-0.093,0.5999,-0.0703,0.1596,0.2536,-0.0959,-0.0856,-0.0855,-0.0654,0.1979,0.2463,-0.0536,-0.1075,-0.0745,-0.062,0.2189,-0.0398,-0.0992,0.6495,0.2417,0.2417,-0.1228,0.2275,-0.0491,-0.103,-0.0464,-0.0703,-0.0406,-0.0465,-0.0575,-0.0672,-0.061,-0.0652,-0.0496,-0.0502,-0.0478,0.1506,-0.0581,-0.053,-0.0537,-0.1032,-0.1236,-0.0909,0.2587,-0.0478,-0.06,-0.0464,-0.0603,-0.0603,-0.0464,-0.0629,-0.0804,-0.0464,-0.0436,-0.0702,-0.0702,0.193,-0.062,-0.0964,-0.06,-0.06,-0.0654,-0.061,-0.059,-0.0593,-0.0615,-0.0766,-0.0784,-0.0465,-0.0414,-0.0414,0.7233,-0.1005,-0.0781,-0.1173,0.5966,-0.0975,-0.0658,-0.0478,-0.0398,-0.046,-0.0853,-0.0548,-0.095,-0.051,-0.0882,-0.0844,-0.0814,-0.0603,-0.0376,-0.053,-0.0778,-0.1066,-0.0537,-0.0652,-0.101,-0.062,-0.054,-0.1066,-0.1061,-0.1409,-0.0611,-0.0803,-0.0803,-0.0707,-0.0707,-0.0713,-0.2607,-0.0656,-0.0465,-0.1047,0.203,-0.0573,-0.0573,0.7501,0.5676,-0.0465,-0.0465,0.3175,-0.1265,-0.1066,-0.0465,-0.0398,-0.0896,-0.0896,-0.0579,-0.0705,-0.0732,-0.032,-0.0414,-0.0995,-0.0406,0.5412,-0.0516,0.5676,-0.0438,-0.0433,0.4326,0.2323,-0.0433,-0.0652,-0.0478,-0.0436,-0.0843,-0.0843,-0.1265,-0.0465,-0.0465,-0.0344,-0.0465,-0.0713,-0.0759,-0.0759,-0.1081,-0.0776,-0.0537,-0.0496,-0.0726,-0.0726,-0.1185,-0.0896,-0.0891,-0.088,-0.0756,-0.0537,-0.1237,-0.0745,-0.0465,-0.0496,-0.0515,-0.062,-0.1194,-0.0472,-0.0689,-0.1004,-0.0555,-0.0874,-0.1485,-0.0464,-0.0759,0.5651,-0.106,0.5698,0.3661,-0.0898,-0.1047,-0.0465,-0.101,0.2268,0.4003,-0.0656,-0.0393,-0.0756,-0.061,-0.051,-0.1068,-0.0509,-0.0509,-0.065,0.5966,-0.0534,-0.0649,0.214,-0.0414,-0.0414,-0.0377,-0.0381,-0.0868,-0.0868,-0.0529,-0.0726,-0.0537,-0.097,0.1986,0.5676,0.5676,0.3369,-0.0763,0.186,-0.0868,-0.0787,-0.0796,-0.0693,-0.0901,0.5576,-0.0508,-0.0656,-0.0465,-0.0465,-0.0801,-0.0847,-0.0573,-0.0573,-0.1862,-0.082,-0.0747,0.6969,0.6495,0.2586,-0.0414,-0.0414,-0.0656,-0.0913,-0.1081,-0.0934,0.4938,-0.1024,-0.1081,-0.062,-0.062,-0.0741,-0.0652,-0.0465,-0.1158,-0.0652,-0.0661,-0.1271,-0.0666,-0.0458,-0.0953,-0.0361,-0.0603,-0.0641,-0.0672,-0.0672,-0.0952,0.3961,-0.0433,-0.0433,-0.1102,-0.0496,0.2593,0.1979,0.1979,-0.0537,-0.0537,-0.0736,-0.0736,-0.1102,-0.0556,0.5676,-0.0591,0.2311,-0.0603,-0.0603,0.203,-0.0464,-0.1171,-0.062,-0.0711,-0.072,-0.0702,-0.051,-0.0706,-0.0747,-0.0418,-0.101,-0.101,0.2672,-0.1161,-0.074,-0.0319,-0.0941,-0.0941,-0.0508,-0.0727,0.1979,0.1979,-0.1543,-0.0406,-0.0406,-0.0945],
+    "disability": [-1.6561,-1.4565,-1.4783,-0.9237,-0.1858,-1.2818,0.0285,-0.8028,-0.8167,-0.5622,-0.5995,-0.4571,-0.4734,0.5476,-0.5674,0.0015,-0.4077,-0.0271,-0.3942,-0.285,1.6243,-0.4975,-0.5101,0.2242,-0.3996,-0.3484,-0.3373,-0.1808,-0.2772,-0.548,-0.3144,0.0319,-0.0414,-0.3525,-0.2653,-0.3704,0.1454,0.2472,-0.0334,-0.3696,-0.3606,-0.2369,2.0311,-0.2444,-0.2444,-0.201,-0.2695,-0.2763,1.3027,-0.2177,0.4112,-0.1955,1.3338,-0.3088,-0.2484,0.4213,-0.0176,0.0766,-0.1876,-0.2574,-0.2375,-0.1542,-0.1962,-0.2626,-0.2542,-0.1646,0.5526,0.0163,0.3719,0.8417,3.6374,-0.2126,-0.2009,-0.2816,-0.1574,-0.2271,0.3187,-0.1747,-0.1729,0.0814,0.036,0.5561,-0.1844,-0.2095,-0.2283,-0.1447,-0.1376,-0.1364,-0.0003,-0.1364,-0.116,-0.2011,-0.2618,0.9318,0.0538,0.5465,-0.161,-0.0571,0.2188,0.0577,-0.2098,-0.2517,0.27,-0.1043,-0.1464,-0.1212,-0.1917,0.8703,0.1625,0.5186,-0.0076,-0.1332,-0.1605,-0.0142,-0.1742,-0.1161,-0.1094,-0.1065,0.2015,-0.1279,-0.1983,-0.1275,-0.216,-0.1812,0.1247,-0.1723,-0.195,-0.1966,-0.09,0.1438,0.3328,-0.1459,0.4823,-0.1729,0.3392,-0.1346,-0.127,-0.076,0.2713,-0.1834,-0.0859,-0.1469,1.0655,0.6203,1.1757,1.1757,-0.136,0.0633,-0.0756,-0.1281,-0.0975,0.4101,-0.2673,0.207,-0.0885,-0.0781,0.4374,-0.164,0.5755,0.0357,1.3353,-0.097,-0.1517,0.4078,-0.1817,0.0799,-0.0966,-0.1096,-0.0709,-0.0963,-0.1202,-0.132,-0.1106,-0.1122,-0.1351,-0.2043,-0.0692,-0.1324,-0.1183,-0.1004,-0.0032,-0.1013,-0.0895,-0.0838,-0.1196,-0.2952,-0.093,-0.0911,-0.0837,-0.0808,-0.072,-0.2335,-0.0667,-0.0768,-0.2258,-0.123,-0.08,0.1824,-0.1172,-0.1172,-0.1008,-0.1054,0.8192,-0.0648,-0.2553,-0.0997,-0.0984,0.9446,0.9446,0.404,-0.0864,-0.1294,-0.1791,0.4797,-0.0804,0.4262,-0.086,-0.1444,-0.1065,-0.1186,-0.1031,-0.1594,-0.1176,-0.1142,-0.0712,-0.098,-0.2225,-0.0904,-0.0804,-0.1069,-0.1688,-0.1365,0.481,-0.2132,-0.0945,-0.0727,-0.0696,-0.0706,-0.051,-0.0455,-0.067,-0.0662,0.1982,0.342,-0.065,0.4433,-0.0675,-0.1271,-0.1209,0.4443,-0.1077,-0.0641,0.4443,-0.0833,-0.153,-0.118,-0.205,-0.0928,-0.0965,0.6844,-0.0585,-0.0585,-0.0645,0.1677,-0.0771,-0.1074,-0.0681,-0.1175,-0.0645,-0.0696,-0.0838,-0.0645,-0.0732,-0.0844,-0.0502,-0.0502,-0.0928,0.7563,-0.1824,-0.0736,-0.0645,-0.0844,-0.0896,-0.0765,-0.1592,-0.1128,-0.0425,0.9159,-0.0631,-0.1559,-0.0759,0.2331,-0.0683,-0.0597,-0.1489,0.0646,-0.0636,-0.0787,-0.2808,-0.0628,-0.0782,-0.0559,-0.0455,-0.0777,0.406,-0.0928,-0.092,-0.1179,-0.0939,-0.0745,-0.0782,-0.0664,-0.0611,-0.0696,0.6266,-0.0567,-0.0791,-0.1074,-0.071,0.9136,0.0815,0.1832,-0.071,-0.071,0.1835,-0.1176,-0.1446,-0.0611,-0.1015,-0.0833,-0.0498,-0.0532,-0.0596,-0.0802,-0.0851,0.1832,-0.0897,0.1695,-0.1717,-0.1541,-0.0799,0.2444,-0.0962,-0.0598,-0.0598,-0.0771,-0.0771,-0.098,-0.0986,-0.0696,-0.0696,-0.1598,0.1094,0.1711,-0.1108,-0.1769,0.1094,0.1268,-0.1745,0.1918,-0.0623,-0.0995,-0.081,0.1506,0.1094,-0.0822,0.186,-0.0838,-0.0838,-0.0284,-0.0456,-0.0458,-0.0483,-0.0515,0.4195,-0.1229,-0.0523,-0.0327,-0.0365,0.2346,-0.0396,-0.0472,0.2562,0.2255,-0.1031,-0.1047,-0.0365,-0.0554,-0.0474,-0.0319,-0.0439,-0.0381,-0.0302,-0.0656,-0.0815,-0.0566,-0.0443,-0.0389,-0.0609,-0.1059,-0.055,0.1234,-0.0784,-0.0756,-0.0664,0.1605,-0.0488,0.4753,-0.0808,-0.0389,0.5168,-0.0479,-0.0455,-0.0668,-0.0306,0.2482,-0.1098,-0.0821,-0.0821,0.4195,0.2596,-0.0417,-0.0817,-0.0386,-0.055,-0.0302,-0.0419,-0.0557,-0.0436,-0.0458,-0.0419,-0.0506,-0.0387,-0.0405,-0.1433,-0.0471,-0.0622,-0.0593,0.1595,0.459,0.0892,-0.0715,-0.0324,-0.0506,-0.0386,-0.0474,-0.0474,-0.0386,-0.0452,-0.0484,-0.0386,-0.0372,-0.0473,-0.0473,-0.1148,-0.0455,-0.0731,-0.0433,-0.0433,-0.0488,-0.0458,-0.0502,-0.0476,-0.0483,-0.0537,-0.0522,-0.0419,-0.0365,-0.0365,-0.1236,-0.0725,-0.0568,-0.0978,0.2255,-0.0936,-0.0402,-0.0405,-0.0306,-0.0461,-0.077,-0.0563,-0.07,-0.0513,-0.0877,-0.0917,-0.0655,-0.0474,-0.0304,-0.0622,-0.0998,0.4772,-0.0367,-0.0458,-0.1347,-0.0584,-0.064,0.4772,0.4808,0.5234,-0.0554,-0.0929,-0.0929,-0.066,-0.066,-0.0515,0.588,-0.0511,-0.0419,-0.0678,-0.1078,-0.0457,-0.0457,0.2085,-0.1156,-0.0419,-0.0419,0.1902,0.1713,0.2365,-0.0419,-0.0306,-0.125,-0.125,-0.0604,-0.046,-0.0523,-0.0244,-0.0365,0.2346,-0.0302,-0.107,-0.0405,-0.1156,-0.033,-0.047,-0.1327,-0.0919,-0.047,-0.0479,-0.0407,-0.0372,-0.0627,-0.0627,0.1713,-0.0419,-0.0419,-0.0277,-0.0419,-0.0515,-0.0525,-0.0525,0.2724,-0.057,-0.0593,-0.0506,-0.059,-0.059,-0.1574,-0.125,-0.0801,-0.0684,-0.0642,-0.0593,-0.1353,-0.0479,-0.0419,-0.0506,-0.0454,-0.0455,0.156,-0.0417,-0.0467,0.2304,-0.0448,0.1304,-0.1155,-0.0386,-0.0525,0.0953,0.2191,-0.1067,0.1827,-0.0883,-0.0678,-0.0419,-0.1347,0.5251,-0.1042,-0.063,-0.0276,-0.0592,-0.0458,-0.0513,-0.1166,-0.0443,-0.0443,-0.0454,0.2255,-0.0436,-0.0456,-0.0805,-0.0365,-0.0365,-0.0329,-0.0311,0.3747,0.3747,-0.0393,-0.059,-0.0593,-0.076,-0.1075,-0.1156,-0.1156,0.4573,-0.0549,-0.0573,0.3747,-0.0721,-0.0532,-0.0496,-0.1172,0.2274,-0.0367,-0.0511,-0.0419,-0.0419,-0.0606,0.1209,-0.0457,-0.0457,0.4495,-0.0656,-0.0585,-0.115,-0.1098,-0.0849,-0.0365,-0.0365,-0.0511,-0.0612,0.2724,0.2467,-0.0942,0.1199,0.2724,-0.0455,-0.0455,-0.0758,-0.0458,-0.0419,0.2142,-0.0458,-0.0565,-0.1079,-0.0457,-0.0436,-0.1098,-0.0284,-0.0474,-0.0625,-0.0436,-0.0436,-0.1097,-0.1471,-0.047,-0.047,0.2259,-0.0506,-0.0731,0.4753,0.4753,-0.0593,-0.0593,-0.0533,-0.0533,0.2259,-0.0388,-0.1156,-0.0455,-0.0675,-0.0474,-0.0474,-0.1078,-0.0386,-0.0861,-0.0455,-0.0707,-0.0439,-0.0473,-0.0513,-0.0566,-0.0605,-0.0344,-0.1347,-0.1347,0.243,0.224,-0.0483,-0.024,0.2836,0.2836,-0.0502,-0.0805,0.4753,0.4753,0.1985,-0.0302,-0.0302,-0.1115],
+    "umbrella": [-0.6826,1.2415,2.165,0.0849,0.4842,0.4316,-0.0788,1.4391,0.1723,-1.1938,0.5307,0.1155,0.3459,0.1745,0.614,-0.2246,-0.0574,-0.6508,0.6559,-0.6224,-0.4429,-0.555,-0.3935,0.2759,0.7561,0.1626,0.6797,-0.6109,-0.0738,-0.6866,0.161,-0.2216,-0.3325,-0.3089,0.5463,-0.2556,-0.1636,-0.1625,0.2603,0.2014,-0.1076,1.0747,-0.521,0.2977,0.2977,0.1065,0.2837,-0.0082,-0.4254,0.2874,-0.1628,0.3112,-0.4019,3.1534,-0.5401,-0.028,-0.4636,-0.0339,-0.1736,-0.4915,-0.1605,0.4722,0.4061,3.0154,-0.3665,-0.1317,-0.3151,-0.3514,-0.3602,-0.3457,-0.53,-0.4605,1.3779,0.3658,-0.1169,0.2756,0.0122,0.4104,-0.3082,-0.2822,-0.1752,0.0459,-0.4156,-0.0519,-0.308,-0.0106,-0.0781,-0.0455,-0.2924,-0.0455,0.5047,2.1639,-0.2111,0.0312,-0.2906,-0.0337,-0.363,-0.3691,-0.0301,-0.3492,-0.1264,0.9383,-0.3513,0.2407,-0.3571,0.0324,-0.2974,-0.2552,-0.0312,-0.2428,-0.2351,0.5347,-0.3274,-0.2897,-0.2653,0.2799,-0.0005,0.0048,-0.2903,0.2696,-0.3898,-0.2978,0.0509,-0.3843,-0.2838,0.3362,-0.3911,0.0006,-0.2261,-0.2583,-0.2776,-0.2602,-0.2016,-0.1964,-0.0084,0.3248,-0.2552,0.0646,-0.2918,0.2247,0.0538,-0.0589,-0.1924,-0.2347,-0.1574,-0.1574,0.2143,-0.212,0.1009,0.6717,-0.1951,-0.2328,0.0853,0.0218,1.2071,0.0353,-0.1911,-0.0039,-0.2275,-0.0084,-0.1887,1.2413,1.3436,0.0713,-0.2582,-0.0224,-0.2054,0.2701,0.1185,-0.2237,0.1315,-0.2945,-0.2439,-0.1704,-0.1688,-0.1872,-0.1617,-0.2334,0.8015,0.388,-0.2115,0.0755,0.1267,0.1161,-0.1873,-0.2083,0.0286,-0.2167,-0.1793,-0.1726,-0.1888,-0.1611,0.0699,-0.1711,-0.2465,0.4438,0.0276,-0.1494,0.0746,0.0746,-0.1997,0.2943,-0.1851,0.0528,-0.1963,0.3571,-0.2132,-0.1334,-0.1334,-0.1924,0.1479,0.3122,-0.1561,-0.1323,0.1103,-0.1467,0.3228,-0.1733,-0.2363,-0.2396,0.0834,-0.1938,0.1901,-0.2017,0.454,0.3083,0.0987,-0.1857,0.1103,0.1125,-0.3226,0.1956,-0.1856,-0.2299,-0.1026,-0.1349,-0.1452,-0.134,0.6554,-0.165,-0.1255,-0.1276,-0.128,-0.219,-0.1436,0.2484,-0.1503,-0.1124,-0.1036,-0.107,-0.124,-0.1684,-0.107,-0.2184,-0.0997,0.1311,-0.1449,0.1389,0.1309,-0.0957,0.1745,0.1745,-0.1213,-0.1554,-0.161,-0.1349,-0.1462,-0.1195,-0.1213,-0.1452,-0.1726,-0.1213,-0.1357,0.1632,-0.1127,-0.1127,0.1389,-0.0968,-0.1243,-0.1693,-0.1213,0.1632,-0.1694,-0.1163,-0.1091,-0.2028,0.1089,-0.1281,-0.1381,-0.1105,0.7699,-0.131,-0.1381,-0.1035,-0.1319,-0.0983,-0.1481,-0.1474,-0.2057,-0.146,0.7887,0.1807,-0.165,0.1871,-0.1153,0.1389,-0.1166,-0.2397,-0.1932,0.3979,0.165,0.0894,-0.1295,-0.1437,-0.0906,-0.1296,0.2245,-0.1334,-0.1616,-0.1552,-0.118,-0.0883,-0.1616,-0.1616,-0.1515,-0.2369,0.3184,-0.1295,-0.2052,-0.1686,-0.1261,0.0969,0.0414,0.1857,-0.1744,-0.0883,0.2358,-0.0973,-0.1217,-0.1226,0.155,0.2258,-0.2238,0.6473,0.6473,-0.161,-0.161,-0.2519,0.3867,-0.1452,-0.1452,-0.1137,-0.0956,-0.1096,-0.2219,-0.3429,-0.0956,-0.1234,-0.1487,0.2427,0.1953,-0.17,-0.14,-0.1028,-0.1062,0.7646,-0.2034,-0.1726,-0.1726,0.1487,-0.0964,-0.0884,0.1984,-0.0781,-0.0606,-0.0798,-0.0859,-0.0792,-0.0934,-0.0819,-0.094,0.5061,-0.071,-0.0571,-0.0741,-0.0737,-0.0934,-0.11,-0.1124,-0.1171,-0.1005,-0.1191,-0.083,-0.0873,-0.0713,0.1884,-0.1316,0.2831,-0.0979,-0.07,-0.1205,-0.0554,-0.1033,0.2935,-0.1069,-0.0588,-0.1025,-0.0637,-0.087,-0.1064,-0.0673,-0.0738,-0.0963,-0.0741,-0.0697,-0.1106,-0.0771,-0.1106,-0.1106,-0.0606,-0.0671,-0.1122,-0.0966,-0.0974,-0.1205,-0.083,-0.0853,0.2188,-0.0833,-0.0884,-0.092,0.4208,0.2144,-0.0805,-0.1019,-0.0894,0.1987,0.204,-0.0727,-0.0621,-0.069,-0.1014,-0.1197,-0.1318,-0.0974,-0.1124,-0.1124,-0.0974,0.2134,-0.1152,-0.0974,0.2222,-0.1009,-0.1009,-0.1356,-0.0963,-0.1137,-0.0926,-0.0926,-0.1025,-0.0884,-0.1087,-0.1172,0.1984,-0.1319,-0.0959,-0.0853,-0.0934,-0.0934,-0.0876,-0.1358,-0.1201,-0.0657,-0.0571,-0.1141,-0.1115,-0.0805,-0.0697,0.2142,-0.1598,-0.1252,-0.145,0.4165,-0.1638,0.1859,-0.1486,-0.1124,0.4514,0.1987,-0.1009,-0.0657,-0.0772,-0.0814,-0.0816,0.2153,-0.125,-0.0657,-0.0696,-0.0851,-0.11,-0.1513,-0.1513,0.1908,0.1908,-0.0781,-0.1072,-0.1088,-0.0853,-0.0947,-0.0764,-0.1232,-0.1232,-0.0753,-0.0868,-0.0853,-0.0853,-0.0752,-0.0861,-0.1127,-0.0853,-0.0697,-0.0695,-0.0695,-0.1101,-0.0958,-0.0859,-0.0837,-0.0934,-0.0819,-0.083,-0.0813,-0.1017,-0.0868,0.1802,-0.1006,-0.1321,-0.0994,-0.1006,-0.1207,-0.0833,0.2222,-0.0882,-0.0882,-0.0861,-0.0853,-0.0853,0.2166,-0.0853,-0.0781,-0.1223,-0.1223,-0.1104,-0.0795,0.204,0.4208,-0.1507,-0.1507,-0.0895,-0.0695,-0.1647,0.1746,-0.1181,0.204,-0.0899,-0.0738,-0.0853,0.4208,-0.0878,-0.0963,-0.0668,-0.0934,-0.1187,-0.0892,-0.094,-0.1015,-0.1148,-0.0974,-0.1223,-0.1093,-0.1054,-0.0694,-0.0935,0.2712,-0.0947,-0.0853,-0.0816,-0.0728,-0.1211,0.2283,-0.0958,-0.113,-0.0884,0.4165,-0.1342,-0.0947,-0.0947,-0.0966,-0.0571,-0.083,-0.1189,0.254,-0.0934,-0.0934,-0.0711,0.3835,-0.0584,-0.0584,-0.1217,-0.1507,0.204,-0.1162,-0.1203,-0.0868,-0.0868,-0.1112,-0.1219,-0.0722,-0.0584,-0.0999,-0.0827,-0.1184,0.1352,-0.0614,0.1224,-0.1088,-0.0853,-0.0853,0.2697,-0.0573,-0.1232,-0.1232,-0.082,-0.1466,-0.0909,-0.0821,-0.0771,-0.0993,-0.0934,-0.0934,-0.1088,-0.1299,-0.1104,-0.0847,-0.0568,-0.0712,-0.1104,-0.0963,-0.0963,-0.0766,-0.0814,-0.0853,-0.1258,-0.0814,-0.1168,-0.1581,-0.0767,0.4894,0.2445,0.1901,-0.1124,0.2523,-0.0833,-0.0833,-0.1374,-0.1038,-0.1006,-0.1006,-0.0843,0.4208,-0.0819,-0.0637,-0.0637,0.204,0.204,-0.0812,-0.0812,-0.0843,-0.0939,-0.0868,-0.0951,-0.0697,-0.1124,-0.1124,-0.0764,-0.0974,-0.1811,-0.0963,-0.1382,-0.1005,-0.1009,0.4165,0.2407,0.6244,0.5337,-0.0816,-0.0816,0.2609,-0.0779,-0.0855,-0.0935,-0.0895,-0.0895,0.4524,0.1625,-0.0637,-0.0637,-0.0823,-0.083,-0.083,-0.1402],
+    "business": [0.4515,2.1009,1.4391,-0.5331,1.3446,-1.022,0.95,-0.898,-0.2913,-0.5254,-0.6253,0.9499,0.9728,-0.2139,-0.0734,-0.0652,-0.1589,0.3327,-1.0637,0.0902,-0.2636,0.3575,0.0123,0.0444,1.2791,1.2407,0.723,0.2269,-0.2817,-0.2962,-0.0042,0.0024,-0.0019,-0.0797,0.574,-0.2817,0.308,0.636,1.7824,0.195,-0.702,-0.7018,-0.7591,-0.0458,-0.0458,-0.3158,0.3368,0.0903,-0.5885,0.2509,-0.2033,-0.5153,-0.5874,-0.6673,-0.2897,-0.2596,-0.2032,-0.6694,-0.2424,-0.571,-0.4706,0.3724,-0.4896,-0.518,-0.0088,-0.0626,-0.3907,0.0554,0.2113,-0.5624,-0.7544,-0.6527,-0.127,-0.2221,0.258,-0.5797,-0.2957,-0.3583,-0.0098,0.1134,0.1413,-0.3972,1.2415,-0.077,-0.1164,0.0552,-0.3297,-0.3197,0.3597,-0.3197,0.1388,-0.381,-0.4841,0.1794,-0.2003,0.3787,0.7081,0.3035,-0.1887,-0.5311,0.0693,-0.5214,-0.4362,-0.3504,-0.3643,0.6971,-0.1603,-0.3417,0.2884,0.2585,-0.3792,-0.3555,-0.5153,-0.1669,-0.329,-0.3328,-0.2681,-0.3154,0.4958,0.6923,0.4099,0.7566,-0.3933,-0.3872,-0.1647,-0.2082,-0.4583,0.1585,0.1139,0.2078,-0.0378,0.2471,0.0248,0.2605,-0.073,-0.3413,-0.0438,-0.2196,0.4044,1.4988,-0.2316,-0.0869,-0.2668,-0.2796,-0.24,-0.24,0.9288,-0.0182,-0.2161,0.1568,-0.222,-0.3919,-0.3258,-0.2765,-0.3466,-0.0825,-0.0254,-0.3065,-0.3408,0.3777,-0.2805,-0.1219,-0.3934,-0.3459,0.0116,-0.3406,0.7396,0.7751,-0.0166,0.4813,0.2804,-0.022,0.0265,0.2339,0.1548,-0.2613,-0.0016,-0.2183,-0.0919,0.2055,-0.2494,0.7885,0.6164,0.618,-0.2432,-0.318,0.52,0.4127,-0.2141,-0.1646,0.0138,-0.2571,-0.2081,-0.1857,0.1926,-0.1051,0.1105,0.1622,0.7966,0.7966,0.1992,0.7546,-0.258,-0.219,-0.2508,0.271,0.3606,-0.2,-0.2,-0.2722,-0.2444,-0.0717,-0.0142,-0.0248,-0.1994,-0.2337,0.2545,0.131,-0.2162,0.338,-0.2118,0.2359,-0.2591,-0.0465,-0.2379,0.2228,-0.1147,0.1367,-0.1994,-0.0217,-0.2934,-0.2892,-0.289,-0.3334,-0.1349,0.3532,0.4873,-0.1614,-0.0058,-0.169,-0.1468,0.0482,-0.175,-0.2648,0.0948,-0.1978,-0.1535,-0.1514,-0.1531,-0.1436,-0.152,0.1858,-0.1436,0.5495,-0.1578,0.5316,-0.2374,-0.1504,-0.1629,-0.1292,0.372,0.372,-0.1471,-0.1816,0.59,0.1247,0.4584,0.1478,-0.1471,0.4873,0.5756,-0.1471,-0.1668,0.3361,-0.1193,-0.1193,-0.1504,-0.1442,-0.1995,0.5316,-0.1471,0.3361,0.0449,-0.1476,-0.1717,-0.1846,-0.1584,-0.1847,0.4409,-0.1576,-0.2235,0.2026,0.4805,-0.1201,0.0191,-0.1393,-0.1386,0.036,-0.3047,0.4309,-0.2155,-0.1483,-0.169,-0.234,-0.1731,-0.1504,0.24,0.801,-0.1965,-0.167,0.2968,0.0758,-0.1205,0.2683,-0.1369,-0.1409,0.014,-0.1779,0.2151,-0.1931,0.1461,-0.1482,0.2151,0.2151,-0.1742,0.2704,-0.2192,-0.1205,0.7459,0.5999,-0.1341,-0.1877,-0.2338,0.069,0.3865,-0.1482,-0.2016,-0.1882,-0.1735,-0.1583,0.3837,-0.2113,-0.1924,-0.1916,-0.1916,0.59,0.59,-0.2131,-0.1757,0.4873,0.4873,-0.158,-0.1408,-0.1628,0.7594,-0.2872,-0.1408,-0.1551,0.1782,-0.2092,-0.1794,-0.1788,-0.1873,-0.1831,0.0178,-0.2195,-0.1847,0.5756,0.5756,-0.1178,0.3212,0.3433,0.4006,0.1256,-0.0958,-0.1305,0.118,0.0748,0.2081,0.0375,0.268,-0.1669,0.0604,-0.1042,-0.1096,-0.1,0.2081,0.3616,0.3469,-0.1063,-0.1112,-0.129,-0.0901,0.1507,-0.1072,-0.1477,-0.135,-0.1629,-0.127,-0.1381,-0.1349,-0.0823,0.2173,-0.1622,-0.1058,-0.0833,0.348,-0.0959,-0.1134,-0.0928,-0.0935,-0.0927,0.3333,-0.0994,-0.0752,-0.1102,-0.1432,-0.1055,-0.1055,-0.0958,-0.1067,0.0433,-0.1029,0.2428,-0.1349,-0.0901,0.2697,-0.1082,-0.1025,0.3433,0.115,-0.1241,-0.1202,-0.0872,-0.1459,0.053,-0.1051,-0.102,-0.1054,-0.1012,-0.1094,-0.1288,-0.1163,0.3105,0.2428,0.3469,0.3469,0.2428,0.3751,-0.1353,0.2428,0.2267,0.3168,0.3168,-0.1807,0.3333,-0.1214,0.2644,0.2644,0.348,0.3433,0.0627,0.3819,0.4006,0.5175,0.041,0.2697,0.2081,0.2081,-0.1219,0.1486,-0.1164,-0.0998,-0.1042,-0.1224,-0.1224,-0.0872,-0.0752,0.041,0.1693,-0.1089,0.5206,-0.129,-0.1316,-0.1204,0.4506,0.3469,-0.1251,-0.1051,0.1235,-0.0881,-0.0836,-0.0992,-0.1351,0.1865,-0.0938,-0.0881,-0.0942,-0.1073,0.3616,-0.1185,-0.1185,-0.1176,-0.1176,0.1256,-0.1319,0.4404,0.2697,-0.1345,-0.106,0.3691,0.3691,-0.1235,-0.1114,0.2697,0.2697,-0.1517,-0.1279,-0.1141,0.2697,-0.0752,-0.1159,-0.1159,-0.1,0.1667,0.118,-0.0774,0.2081,0.0375,-0.0901,-0.1146,0.2604,-0.1114,-0.1258,-0.0842,-0.1762,-0.1325,-0.0842,-0.1056,0.2778,0.2267,-0.1225,-0.1225,-0.1279,0.2697,0.2697,-0.1079,0.2697,0.1256,0.4255,0.4255,-0.1134,-0.1024,-0.102,-0.1241,-0.1314,-0.1314,-0.1452,-0.1159,0.5124,-0.1285,-0.1125,-0.102,-0.1329,-0.0927,0.2697,-0.1241,0.2822,0.3333,-0.0986,0.2477,0.4432,0.0563,0.3077,-0.0966,-0.174,0.2428,0.4255,-0.2009,-0.0995,-0.1026,-0.1276,-0.1632,-0.1345,0.2697,-0.1351,-0.1042,-0.1345,-0.1176,-0.0961,0.4352,0.3433,-0.129,-0.1448,0.0461,0.0461,0.2992,-0.1042,0.0675,-0.1396,-0.1238,0.2081,0.2081,0.0969,-0.135,-0.0767,-0.0767,0.2298,-0.1314,-0.102,0.2071,-0.1216,-0.1114,-0.1114,-0.1623,0.0841,-0.0993,-0.0767,-0.0993,0.1091,-0.1221,-0.1388,-0.1016,-0.1396,0.4404,0.2697,0.2697,-0.1567,-0.0779,0.3691,0.3691,-0.1,0.2105,-0.1061,-0.1251,-0.1432,0.0866,0.2081,0.2081,0.4404,-0.1311,-0.1134,-0.1047,-0.1008,-0.1,-0.1134,0.3333,0.3333,0.0711,-0.0992,0.2697,-0.1232,-0.0992,0.0495,-0.163,-0.0944,-0.1153,-0.1776,-0.0943,0.3469,-0.1472,-0.1025,-0.1025,-0.1373,-0.1395,-0.0842,-0.0842,0.0895,-0.1241,0.1086,-0.0959,-0.0959,-0.102,-0.102,-0.1099,-0.1099,0.0895,0.2103,-0.1114,0.0802,0.0809,0.3469,0.3469,-0.106,0.2428,0.6335,0.3333,-0.1095,-0.1112,0.3168,-0.129,-0.1372,-0.1701,0.074,-0.1351,-0.1351,-0.1223,-0.1176,-0.099,-0.0944,0.0972,0.0972,-0.1177,-0.1334,-0.0959,-0.0959,-0.1117,-0.0901,-0.0901,0.1633]
+  },
+  "bias": {
+    "auto": -1.6659,
+    "home": -1.5318,
+    "renters": -1.4646,
+    "life": -1.1926,
+    "health": -0.9789,
+    "disability": -0.9244,
+    "umbrella": -1.6874,
+    "business": -1.3713
+  },
+  "calibration": {
+    "auto": {
+      "a": 2.3154,
+      "b": -0.3103
+    },
+    "home": {
+      "a": 1.8001,
+      "b": -0.4024
+    },
+    "renters": {
+      "a": 1.6191,
+      "b": -0.2713
+    },
+    "life": {
+      "a": 1.6738,
+      "b": -0.3565
+    },
+    "health": {
+      "a": 1.8481,
+      "b": 0.2848
+    },
+    "disability": {
+      "a": 1.5521,
+      "b": -0.1856
+    },
+    "umbrella": {
+      "a": 2.6613,
+      "b": -0.1783
+    },
+    "business": {
+      "a": 3.0125,
+      "b": 0.0496
+    }
+  },
+  "thresholds": {
+    "auto": 0.3,
+    "home": 0.3,
+    "renters": 0.3,
+    "life": 0.4,
+    "health": 0.35,
+    "disability": 0.35,
+    "umbrella": 0.3,
+    "business": 0.35
+  },
+  "metrics": {
+    "auto": {
+      "positives": 14,
+      "precision": 0.75,
+      "recall": 0.857,
+      "f1": 0.8,
+      "brier": 0.0614
+    },
+    "home": {
+      "positives": 12,
+      "precision": 0.75,
+      "recall": 0.75,
+      "f1": 0.75,
+      "brier": 0.0693
+    },
+    "renters": {
+      "positives": 7,
+      "precision": 0.625,
+      "recall": 0.714,
+      "f1": 0.667,
+      "brier": 0.058
+    },
+    "life": {
+      "positives": 8,
+      "precision": 0.8,
+      "recall": 1,
+      "f1": 0.889,
+      "brier": 0.0344
+    },
+    "health": {
+      "positives": 8,
+      "precision": 0.889,
+      "recall": 1,
+      "f1": 0.941,
+      "brier": 0.0261
+    },
+    "disability": {
+      "positives": 8,
+      "precision": 1,
+      "recall": 1,
+      "f1": 1,
+      "brier": 0.0092
+    },
+    "umbrella": {
+      "positives": 10,
+      "precision": 1,
+      "recall": 1,
+      "f1": 1,
+      "brier": 0.0156
+    },
+    "business": {
+      "positives": 15,
+      "precision": 1,
+      "recall": 1,
+      "f1": 1,
+      "brier": 0.0206
+    }
+  },
+  "training": {
+    "examples": 69,
+    "folds": 5,
+    "epochs": 400,
+    "l2": 0.001,
+    "features": 710
+  }
+};
@@ -0,0 +1,387 @@
+/**
+ * Form Catalog
+ * Standard ISO policy forms and endorsements: what each base form excludes and
+ * what each endorsement adds to or removes from coverage
+ */
+
+// Standard exclusion wording shared by several base forms
+const HOMEOWNERS_LIABILITY_EXCLUSIONS = [
+  'Expected or intended injury',
+  'Business activities',
+  'Professional services',
+  'Motor vehicle liability',
+  'Watercraft liability (above size and horsepower limits)',
+  'Aircraft and hovercraft liability',
+  'Communicable disease',
+  'Sexual molestation, corporal punishment or abuse',
+  'Controlled substances'
+];
+
+const HOMEOWNERS_PROPERTY_EXCLUSIONS = [
+  'Earth movement',
+  'Water damage (flood, surface water, sewer back-up)',
+  'Ordinance or law',
+  'Power failure',
+  'Neglect',
+  'War',
+  'Nuclear hazard',
+  'Intentional loss',
+  'Governmental action'
+];
+
+const DWELLING_EXCLUSIONS = [
+  'Earth movement',
+  'Water damage (flood, surface water, sewer back-up)',
+  'Ordinance or law',
+  'Neglect',
+  'War',
+  'Nuclear hazard',
+  'Intentional loss',
+  'Personal liability (no Section II coverage without endorsement)'
+];
+
+const PERSONAL_AUTO_EXCLUSIONS = [
+  'Intentional acts',
+  'Vehicle used as a public or livery conveyance',
+  'Business use of vehicle',
+  'Racing or competitive events',
+  'Vehicles furnished or available for regular use',
+  'Property owned or transported by an insured',
+  'Vehicles with fewer than four wheels'
+];
+
+const GENERAL_LIABILITY_EXCLUSIONS = [
+  'Expected or intended injury',
+  'Contractual liability',
+  'Liquor liability',
+  "Workers' compensation and employers liability",
+  'Pollution',
+  'Aircraft, auto or watercraft',
+  'Damage to your product',
+  'Damage to your work',
+  'Recall of products, work or impaired property',
+  'Electronic data',
+  'Access or disclosure of confidential or personal information'
+];
+
+const BUSINESS_AUTO_EXCLUSIONS = [
+  'Expected or intended injury',
+  'Contractual liability',
+  "Workers' compensation and employee injury",
+  'Care, custody or control',
+  'Pollution',
+  'Racing',
+  'War'
+];
+
+export const FORM_KINDS = {
+  BASE: 'base',
+  ENDORSEMENT: 'endorsement',
+  CONDITIONS: 'conditions'
+};
+
+/**
+ * Catalog keyed by normalized form number ("HO 00 03").
+ * - policyType: policy type the form belongs to (matches POLICY_TYPES keys)
+ * - exclusions: exclusions the form introduces
+ * - adds / removes: coverage the form grants or takes away
+ * - restores: exclusions from the base form that the endorsement gives back
+ */
+export const FORM_CATALOG = {
+  // Homeowners
+  'HO 00 02': {
+    title: 'Homeowners 2 - Broad Form',
+    kind: FORM_KINDS.BASE,
+    policyType: 'home',
+    exclusions: [...HOMEOWNERS_PROPERTY_EXCLUSIONS, ...HOMEOWNERS_LIABILITY_EXCLUSIONS]
+  },
+  'HO 00 03': {
+    title: 'Homeowners 3 - Special Form',
+    kind: FORM_KINDS.BASE,
+    policyType: 'home',
+    exclusions: [...HOMEOWNERS_PROPERTY_EXCLUSIONS, ...HOMEOWNERS_LIABILITY_EXCLUSIONS]
+  },
+  'HO 00 04': {
+    title: 'Homeowners 4 - Contents Broad Form',
+    kind: FORM_KINDS.BASE,
+    policyType: 'renters',
+    exclusions: [...HOMEOWNERS_PROPERTY_EXCLUSIONS, ...HOMEOWNERS_LIABILITY_EXCLUSIONS]
+  },
+  'HO 00 05': {
+    title: 'Homeowners 5 - Comprehensive Form',
+    kind: FORM_KINDS.BASE,
+    policyType: 'home',
+    exclusions: [...HOMEOWNERS_PROPERTY_EXCLUSIONS, ...HOMEOWNERS_LIABILITY_EXCLUSIONS]
+  },
+  'HO 00 06': {
+    title: 'Homeowners 6 - Unit-Owners Form',
+    kind: FORM_KINDS.BASE,
+    policyType: 'home',
+    exclusions: [...HOMEOWNERS_PROPERTY_EXCLUSIONS, ...HOMEOWNERS_LIABILITY_EXCLUSIONS]
+  },
+  'HO 00 08': {
+    title: 'Homeowners 8 - Modified Coverage Form',
+    kind: FORM_KINDS.BASE,
+    policyType: 'home',
+    exclusions: [...HOMEOWNERS_PROPERTY_EXCLUSIONS, ...HOMEOWNERS_LIABILITY_EXCLUSIONS]
+  },
+  'HO 04 20': {
+    title: 'Specified Additional Amount of Insurance for Coverage A',
+    kind: FORM_KINDS.ENDORSEMENT,
+    policyType: 'home',
+    adds: ['Extended dwelling replacement cost (additional amount above Coverage A)']
+  },
+  'HO 04 35': {
+    title: 'Loss Assessment Coverage',
+    kind: FORM_KINDS.ENDORSEMENT,
+    policyType: 'home',
+    adds: ['Increased loss assessment coverage']
+  },
+  'HO 04 41': {
+    title: 'Additional Insured - Residence Premises',
+    kind: FORM_KINDS.ENDORSEMENT,
+    policyType: 'home',
+    adds: ['Additional insured on residence premises']
+  },
+  'HO 04 54': {
+    title: 'Earthquake',
+    kind: FORM_KINDS.ENDORSEMENT,
+    policyType: 'home',
+    adds: ['Earthquake coverage'],
+    restores: ['Earth movement']
+  },
+  'HO 04 61': {
+    title: 'Scheduled Personal Property Endorsement',
+    kind: FORM_KINDS.ENDORSEMENT,
+    policyType: 'home',
+    adds: ['Scheduled personal property (jewelry, furs, fine arts and similar)']
+  },
+  'HO 04 77': {
+    title: 'Ordinance or Law Increased Amount of Coverage',
+    kind: FORM_KINDS.ENDORSEMENT,
+    policyType: 'home',
+    adds: ['Increased ordinance or law coverage']
+  },
+  'HO 04 90': {
+    title: 'Personal Property Replacement Cost Loss Settlement',
+    kind: FORM_KINDS.ENDORSEMENT,
+    policyType: 'home',
+    adds: ['Replacement cost settlement for personal property']
+  },
+  'HO 04 95': {
+    title: 'Limited Water Back-up and Sump Discharge or Overflow Coverage',
+    kind: FORM_KINDS.ENDORSEMENT,
+    policyType: 'home',
+    adds: ['Limited water back-up and sump overflow coverage']
+  },
+  'HO 04 96': {
+    title: 'No Section II - Liability Coverages for Home Day Care Business',
+    kind: FORM_KINDS.ENDORSEMENT,
+    policyType: 'home',
+    removes: ['Liability coverage for home day care business'],
+    exclusions: ['Home day care business liability']
+  },
+  'HO 24 70': {
+    title: 'Additional Residence Rented to Others',
+    kind: FORM_KINDS.ENDORSEMENT,
+    policyType: 'home',
+    adds: ['Liability for additional residence rented to others']
+  },
+  'HO 24 71': {
+    title: 'Business Pursuits',
+    kind: FORM_KINDS.ENDORSEMENT,
+    policyType: 'home',
+    adds: ['Liability for business pursuits of an insured'],
+    restores: ['Business activities']
+  },
+
+  // Dwelling property
+  'DP 00 01': {
+    title: 'Dwelling Property 1 - Basic Form',
+    kind: FORM_KINDS.BASE,
+    policyType: 'home',
+    exclusions: DWELLING_EXCLUSIONS
+  },
+  'DP 00 02': {
+    title: 'Dwelling Property 2 - Broad Form',
+    kind: FORM_KINDS.BASE,
+    policyType: 'home',
+    exclusions: DWELLING_EXCLUSIONS
+  },
+  'DP 00 03': {
+    title: 'Dwelling Property 3 - Special Form',
+    kind: FORM_KINDS.BASE,
+    policyType: 'home',
+    exclusions: DWELLING_EXCLUSIONS
+  },
+
+  // Personal auto
+  'PP 00 01': {
+    title: 'Personal Auto Policy',
+    kind: FORM_KINDS.BASE,
+    policyType: 'auto',
+    exclusions: PERSONAL_AUTO_EXCLUSIONS
+  },
+  'PP 03 03': {
+    title: 'Towing and Labor Costs Coverage',
+    kind: FORM_KINDS.ENDORSEMENT,
+    policyType: 'auto',
+    adds: ['Towing and labor costs']
+  },
+  'PP 03 05': {
+    title: 'Joint Ownership Coverage',
+    kind: FORM_KINDS.ENDORSEMENT,
+    policyType: 'auto',
+    adds: ['Coverage for jointly owned vehicles']
+  },
+  'PP 03 06': {
+    title: 'Extended Non-Owned Coverage for Named Individual',
+    kind: FORM_KINDS.ENDORSEMENT,
+    policyType: 'auto',
+    adds: ['Liability for non-owned vehicles furnished for regular use'],
+    restores: ['Vehicles furnished or available for regular use']
+  },
+  'PP 03 09': {
+    title: 'Limited Mexico Coverage',
+    kind: FORM_KINDS.ENDORSEMENT,
+    policyType: 'auto',
+    adds: ['Limited coverage for short trips into Mexico']
+  },
+  'PP 03 13': {
+    title: 'Miscellaneous Type Vehicle Endorsement',
+    kind: FORM_KINDS.ENDORSEMENT,
+    policyType: 'auto',
+    adds: ['Coverage for motorcycles, motor homes and similar vehicles'],
+    restores: ['Vehicles with fewer than four wheels']
+  },
+
+  // Commercial general liability
+  'CG 00 01': {
+    title: 'Commercial General Liability Coverage Form (Occurrence)',
+    kind: FORM_KINDS.BASE,
+    policyType: 'business',
+    exclusions: GENERAL_LIABILITY_EXCLUSIONS
+  },
+  'CG 00 02': {
+    title: 'Commercial General Liability Coverage Form (Claims-Made)',
+    kind: FORM_KINDS.BASE,
+    policyType: 'business',
+    exclusions: GENERAL_LIABILITY_EXCLUSIONS
+  },
+  'CG 20 10': {
+    title: 'Additional Insured - Owners, Lessees or Contractors - Scheduled Person or Organization',
+    kind: FORM_KINDS.ENDORSEMENT,
+    policyType: 'business',
+    adds: ['Additional insured status for ongoing operations']
+  },
+  'CG 20 37': {
+    title: 'Additional Insured - Owners, Lessees or Contractors - Completed Operations',
+    kind: FORM_KINDS.ENDORSEMENT,
+    policyType: 'business',
+    adds: ['Additional insured status for completed operations']
+  },
+  'CG 21 06': {
+    title: 'Exclusion - Access or Disclosure of Confidential or Personal Information and Data-Related Liability',
+    kind: FORM_KINDS.ENDORSEMENT,
+    policyType: 'business',
+    removes: ['Liability for data breaches and electronic data'],
+    exclusions: ['Access or disclosure of confidential or personal information', 'Electronic data']
+  },
+  'CG 21 39': {
+    title: 'Contractual Liability Limitation',
+    kind: FORM_KINDS.ENDORSEMENT,
+    policyType: 'business',
+    removes: ['Coverage for liability assumed under most insured contracts'],
+    exclusions: ['Liability assumed under contract (narrowed insured contract definition)']
+  },
+  'CG 21 47': {
+    title: 'Employment-Related Practices Exclusion',
+    kind: FORM_KINDS.ENDORSEMENT,
+    policyType: 'business',
+    exclusions: ['Employment-related practices']
+  },
+  'CG 21 49': {
+    title: 'Total Pollution Exclusion Endorsement',
+    kind: FORM_KINDS.ENDORSEMENT,
+    policyType: 'business',
+    removes: ['Limited pollution exceptions of the base form'],
+    exclusions: ['Total pollution']
+  },
+  'CG 21 67': {
+    title: 'Fungi or Bacteria Exclusion',
+    kind: FORM_KINDS.ENDORSEMENT,
+    policyType: 'business',
+    exclusions: ['Fungi or bacteria (mold)']
+  },
+  'CG 24 04': {
+    title: 'Waiver of Transfer of Rights of Recovery Against Others to Us',
+    kind: FORM_KINDS.ENDORSEMENT,
+    policyType: 'business',
+    adds: ['Waiver of subrogation for scheduled parties']
+  },
+  'CG 25 03': {
+    title: 'Designated Construction Project(s) General Aggregate Limit',
+    kind: FORM_KINDS.ENDORSEMENT,
+    policyType: 'business',
+    adds: ['Separate general aggregate limit per designated project']
+  },
+
+  // Business auto
+  'CA 00 01': {
+    title: 'Business Auto Coverage Form',
+    kind: FORM_KINDS.BASE,
+    policyType: 'business',
+    exclusions: BUSINESS_AUTO_EXCLUSIONS
+  },
+  'CA 04 44': {
+    title: 'Waiver of Transfer of Rights of Recovery Against Others to Us',
+    kind: FORM_KINDS.ENDORSEMENT,
+    policyType: 'business',
+    adds: ['Waiver of subrogation for scheduled parties']
+  },
+  'CA 20 48': {
+    title: 'Designated Insured for Covered Autos Liability Coverage',
+    kind: FORM_KINDS.ENDORSEMENT,
+    policyType: 'business',
+    adds: ['Insured status for designated persons or organizations']
+  },
+  'CA 99 10': {
+    title: 'Drive Other Car Coverage - Broadened Coverage for Named Individuals',
+    kind: FORM_KINDS.ENDORSEMENT,
+    policyType: 'business',
+    adds: ['Coverage for named individuals driving non-owned autos']
+  },
+
+  // Interline
+  'IL 00 17': {
+    title: 'Common Policy Conditions',
+    kind: FORM_KINDS.CONDITIONS,
+    policyType: 'business'
+  },
+  'IL 00 21': {
+    title: 'Nuclear Energy Liability Exclusion Endorsement (Broad Form)',
+    kind: FORM_KINDS.ENDORSEMENT,
+    policyType: 'business',
+    exclusions: ['Nuclear energy liability']
+  }
+};
+
+// Two-letter ISO line-of-business prefixes recognized in form numbers
+export const FORM_PREFIXES = {
+  HO: 'home',
+  DP: 'home',
+  PP: 'auto',
+  CG: 'business',
+  CA: 'business',
+  CP: 'business',
+  BP: 'business',
+  IL: 'business',
+  CU: 'umbrella',
+  DL: 'umbrella'
+};
+
+export default {
+  FORM_KINDS,
+  FORM_CATALOG,
+  FORM_PREFIXES
+};
@@ -79,6 +79,49 @@ export const POLICY_RULES = {
         earthquake: 'high',
         tornado: 'medium'
       }
+    },
+    // Rules that differ by policy form; see POLICY_SUBTYPES in utils/policyTypes.js
+    subTypes: {
+      ho3: {
+        perils: { dwelling: 'open', personalProperty: 'named' }
+      },
+      ho5: {
+        perils: { dwelling: 'open', personalProperty: 'open' }
+      },
+      ho2: {
+        perils: { dwelling: 'named', personalProperty: 'named' }
+      },
+      ho8: {
+        perils: { dwelling: 'named', personalProperty: 'named' },
+        minimumCoverages: {
+          dwelling: { basis: 'actual_cash_value' }
+        }
+      },
+      ho6: {
+        perils: { dwelling: 'named', personalProperty: 'named' },
+        // The association's master policy insures the building; the unit owner insures walls-in
+        minimumCoverages: {
+          dwelling: { basis: 'walls_in', minimum: 25000, recommended: 50000 },
+          lossAssessment: { minimum: 1000, recommended: 50000 }
+        },
+        expectedCoverages: {
+          omit: ['Other Structures Coverage'],
+          add: [{ name: 'Loss Assessment', required: false, recommended: true, minLimit: 25000 }],
+          minLimits: { 'Dwelling Coverage': 25000, 'Personal Property Coverage': 25000 }
+        }
+      },
+      dwelling_fire: {
+        perils: { dwelling: 'named', personalProperty: 'named' },
+        // Landlord and non-owner-occupied forms: contents are optional and there is no theft or
+        // personal liability in the base form
+        expectedCoverages: {
+          omit: ['Personal Property Coverage', 'Additional Living Expenses', 'Medical Payments to Others'],
+          add: [{ name: 'Fair Rental Value', required: false, recommended: true }]
+        }
+      },
+      mobile_home: {
+        riskFactors: { location: { tornado: 'high' } }
+      }
     }
   },
 
@@ -139,6 +182,22 @@ export const POLICY_RULES = {
         higherCost: true
       }
     },
+    subTypes: {
+      term: { family: 'term' },
+      whole: {
+        family: 'permanent',
+        expectedCoverages: {
+          add: [{ name: 'Cash Value', required: false, recommended: true }]
+        }
+      },
+      universal: {
+        family: 'permanent',
+        expectedCoverages: {
+          add: [{ name: 'No-Lapse Guarantee', required: false, recommended: true }]
+        }
+      },
+      variable: { family: 'permanent' }
+    },
     riskFactors: {
       age: {
         young: [18, 35],
@@ -184,6 +243,26 @@ export const POLICY_RULES = {
         family: 17400
       }
     },
+    subTypes: {
+      // IRS limits for 2026 HSA-eligible plans
+      hdhp: {
+        costSharing: {
+          deductible: { minimum: { individual: 1700, family: 3400 } },
+          outOfPocketMax: { individual: 8500, family: 17000 }
+        },
+        hsa: {
+          eligible: true,
+          contributionLimit: { individual: 4400, family: 8750, catchUp: 1000 }
+        },
+        expectedCoverages: {
+          add: [{ name: 'Health Savings Account', required: false, recommended: true }]
+        }
+      },
+      hmo: { network: 'required', referralsRequired: true },
+      ppo: { network: 'flexible', referralsRequired: false },
+      epo: { network: 'required', referralsRequired: false },
+      pos: { network: 'flexible', referralsRequired: true }
+    },
     essentialBenefits: [
       'Ambulatory patient services',
       'Emergency services',
@@ -196,9 +275,179 @@ export const POLICY_RULES = {
       'Preventive and wellness services',
       'Pediatric services'
     ]
+  },
+
+  disability: {
+    incomeReplacement: {
+      minimum: 0.5, // of gross monthly earnings
+      recommended: 0.65,
+      // Insurers rarely issue more than this, counting group and individual coverage together
+      issueLimit: 0.7
+    },
+    eliminationPeriod: {
+      // The insured lives on savings through the elimination period and the first benefit
+      // payment, which arrives a month after it ends
+      savingsBufferMonths: 1
+    },
+    definitions: {
+      own_occupation: { strength: 'strong' },
+      modified_own_occupation: { strength: 'moderate' },
+      any_occupation: { strength: 'weak' }
+    },
+    recommendedRiders: ['Residual Disability', 'Cost of Living Adjustment', 'Future Increase Option'],
+    subTypes: {
+      short_term: {
+        eliminationPeriod: { recommendedMaxDays: 14 },
+        benefitPeriod: { recommendedMinMonths: 3 }
+      },
+      long_term: {
+        eliminationPeriod: { recommendedMaxDays: 90, maxDays: 180 },
+        // Benefits should last until Social Security retirement age
+        benefitPeriod: { recommendedToAge: 65 }
+      }
+    }
+  },
+
+  umbrella: {
+    limits: {
+      minimum: 1000000,
+      increment: 1000000
+    },
+    // Underlying limits most personal umbrella carriers require when the declarations do not say
+    underlyingRequirements: {
+      auto: { perPerson: 250000, perAccident: 500000, propertyDamage: 100000, combinedSingle: 500000 },
+      home: { perOccurrence: 300000 },
+      renters: { perOccurrence: 300000 },
+      watercraft: { perOccurrence: 300000 }
+    },
+    commonExclusions: ['Business pursuits', 'Professional services', 'Aircraft', 'Watercraft over 26 feet', 'Intentional acts']
+  },
+
+  business: {
+    // Commercial declarations list coverage parts and endorsements by name, often without a limit
+    coveragesListedByName: true,
+    minimumCoverages: {
+      generalLiability: {
+        eachOccurrence: { minimum: 1000000, recommended: 1000000 },
+        generalAggregate: { minimum: 2000000, recommended: 2000000 }
+      },
+      // Part Two limits: each accident / disease policy limit / disease each employee
+      employersLiability: {
+        minimum: { eachAccident: 100000, diseasePolicyLimit: 500000, diseaseEachEmployee: 100000 },
+        recommended: { eachAccident: 1000000, diseasePolicyLimit: 1000000, diseaseEachEmployee: 1000000 }
+      },
+      commercialAuto: {
+        combinedSingleLimit: { minimum: 500000, recommended: 1000000 }
+      },
+      professionalLiability: {
+        perClaim: { minimum: 1000000, recommended: 2000000 }
+      },
+      cyber: {
+        aggregate: { minimum: 250000, recommended: 1000000 },
+        socialEngineering: { recommended: 100000 },
+        waitingPeriodHours: { max: 12 }
+      }
+    },
+    // What premium is rated on for each line; a class rated on another basis is flagged for audit
+    exposureBases: {
+      bop: ['revenue', 'area', 'payroll'],
+      general_liability: ['revenue', 'payroll', 'area', 'units'],
+      commercial_auto: ['units'],
+      workers_compensation: ['payroll'],
+      professional_liability: ['revenue', 'units'],
+      cyber: ['revenue']
+    },
+    riskFactors: {
+      experienceMod: {
+        credit: [0, 0.99],
+        unity: [1, 1],
+        debit: [1.01, 10]
+      },
+      // Payroll or revenue reported this far below the actual figure usually ends in an audit bill
+      exposureVariance: { warning: 0.15, high: 0.3 }
+    },
+    // Hired and non-owned auto and social engineering are checked by the commercial lines analyzer
+    subTypes: {
+      bop: {
+        // Most carriers cap BOP eligibility by revenue and building size
+        eligibility: { maxRevenue: 5000000, maxSquareFeet: 35000 },
+        expectedCoverages: {
+          omit: ['General Liability'],
+          add: [
+            { name: 'Business Liability', required: true, minLimit: 1000000, aliases: ['General Liability', 'Each Occurrence'] },
+            { name: 'Business Personal Property', required: true },
+            { name: 'Business Income', required: false, recommended: true },
+            { name: 'Employment Practices Liability', required: false, recommended: true }
+          ]
+        }
+      },
+      general_liability: {
+        expectedCoverages: {
+          add: [
+            { name: 'Products-Completed Operations', required: false, recommended: true }
+          ]
+        }
+      },
+      commercial_auto: {
+        expectedCoverages: {
+          omit: ['General Liability'],
+          add: [
+            { name: 'Auto Liability', required: true, minLimit: 1000000, aliases: ['Covered Autos Liability', 'Combined Single Limit'] },
+            { name: 'Uninsured Motorist', required: false, recommended: true }
+          ]
+        }
+      },
+      workers_compensation: {
+        expectedCoverages: {
+          omit: ['General Liability'],
+          add: [
+            { name: 'Workers Compensation', required: true },
+            { name: 'Employers Liability', required: true, minLimit: 500000 }
+          ]
+        }
+      },
+      professional_liability: {
+        claimsMade: true,
+        expectedCoverages: {
+          omit: ['General Liability'],
+          add: [{ name: 'Professional Liability', required: true, minLimit: 1000000 }]
+        }
+      },
+      cyber: {
+        claimsMade: true,
+        expectedCoverages: {
+          omit: ['General Liability'],
+          add: [
+            { name: 'Breach Response', required: true },
+            { name: 'Cyber Extortion', required: false, recommended: true },
+            { name: 'Business Interruption', required: false, recommended: true }
+          ]
+        }
+      }
+    }
   }
 };
 
+/**
+ * Rules for a policy type, with the overrides of its sub-type merged in
+ * @param {string} policyType - Policy type (home, life, health ...)
+ * @param {string} subType - Sub-type from classification (ho6, term, hdhp ...), optional
+ * @returns {Object} Rules; empty when the type has none
+ */
+export function getPolicyRules(policyType, subType = null) {
+  const { subTypes = {}, ...rules } = POLICY_RULES[policyType] || {};
+  return subType && subTypes[subType] ? mergeRules(rules, subTypes[subType]) : rules;
+}
+
+function mergeRules(base, overrides) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overrides)) {
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    merged[key] = isObject && base[key] && typeof base[key] === 'object' ? mergeRules(base[key], value) : value;
+  }
+  return merged;
+}
+
 export const INDUSTRY_BENCHMARKS = {
   auto: {
     averagePremiums: {
@@ -317,6 +566,7 @@ export const RISK_ASSESSMENT_CRITERIA = {
 
 export default {
   POLICY_RULES,
+  getPolicyRules,
   INDUSTRY_BENCHMARKS,
   COMPLIANCE_REQUIREMENTS,
   RISK_ASSESSMENT_CRITERIA
@@ -0,0 +1,24 @@
+import { describe, it, expect } from 'vitest';
+import { POLICY_RULES, getPolicyRules } from './policyRules.js';
+
+describe('getPolicyRules', () => {
+  it('merges the rules of a sub-type into those of its type', () => {
+    const rules = getPolicyRules('home', 'mobile_home');
+
+    expect(rules.riskFactors.location.tornado).toBe('high');
+    expect(rules.riskFactors.location.earthquake).toBe(POLICY_RULES.home.riskFactors.location.earthquake);
+    expect(rules.subTypes).toBeUndefined();
+  });
+
+  it('replaces lists and values rather than merging them', () => {
+    expect(getPolicyRules('health', 'hdhp').hsa).toMatchObject({ eligible: true, contributionLimit: { individual: 4400 } });
+    expect(getPolicyRules('home', 'ho6').expectedCoverages.omit).toEqual(['Other Structures Coverage']);
+  });
+
+  it('keeps the type rules for an unknown or missing sub-type and is empty for unknown types', () => {
+    const { subTypes, ...homeRules } = POLICY_RULES.home;
+    expect(getPolicyRules('home', 'ho99')).toEqual(homeRules);
+    expect(getPolicyRules('home')).toEqual(homeRules);
+    expect(getPolicyRules('pet')).toEqual({});
+  });
+});
@@ -3,6 +3,8 @@
  * Standardized data structures for policy analysis results
  */
 
+import { findSection, getSectionText } from '../utils/sectionTree.js';
+
 /**
  * Base Analysis Result Model
  */
@@ -241,11 +243,31 @@ export class DocumentAnalysisResult extends BaseAnalysisResult {
     // Extraction results
     this.extractedText = data.extractedText || '';
     this.structuredData = data.structuredData || {};
-    this.extractionMethod = data.extractionMethod || '';
-    this.extractionConfidence = data.extractionConfidence || 0;
+    this.fieldProvenance = data.fieldProvenance || {}; // { [field]: { value, page, start, end, snippet, context, method, confidence } }
+    this.extractionMethod = data.extractionMethod || data.extractionQuality?.method || '';
+    this.extractionQuality = data.extractionQuality || null; // { method, confidence, level, ocrPages, lowConfidenceWords }
+    this.extractionConfidence = data.extractionConfidence || data.extractionQuality?.confidence || 0;
+    
+    // Schema-validated AI extraction pass, when enabled
+    this.aiExtraction = data.aiExtraction || null; // { success, model, policyType, data, validation, agreements, disagreements, filledFields }
+    
+    // Section tree of the normalized text ("SECTION II - LIABILITY" > "EXCLUSIONS" ...)
+    this.sections = data.sections || null; // { id, kind, level, label, title, heading, start, contentStart, end, children }
+    
+    // Standard forms and endorsements found in the document
+    this.forms = data.forms || []; // [{ number, edition, title, kind, known, exclusions, adds, removes }]
+    
+    // Multi-document packets
+    this.documentRole = data.documentRole || 'unknown'; // declarations, endorsement, policy_form, id_card, renewal_notice
+    this.packet = data.packet || null; // { documentCount, documents, overrides, warnings }
+    this.emails = data.emails || []; // Emails the documents arrived in: [{ fileName, from, to, subject, date, messageId, attachments, skipped }]
+    
+    // ACORD XML / AL3 imports
+    this.policy = data.policy || null; // PolicyModels instance built from the structured data
+    this.structuredInput = data.structuredInput || null; // { format, policyType, lineOfBusiness, policyForm }
     
     // Document quality metrics
-    this.documentQuality = data.documentQuality || 'unknown'; // poor, fair, good, excellent
+    this.documentQuality = data.documentQuality || data.extractionQuality?.level || 'unknown'; // poor, fair, good, excellent
     this.readabilityScore = data.readabilityScore || 0;
     this.completenessScore = data.completenessScore || 0;
     
@@ -258,17 +280,57 @@ export class DocumentAnalysisResult extends BaseAnalysisResult {
     return this.structuredData[key] || null;
   }
 
+  /**
+   * Section whose heading matches a query, e.g. getSection('exclusions') or getSection(/^section ii\b/i)
+   */
+  getSection(query) {
+    return findSection(this.sections, query);
+  }
+
+  getSectionText(query) {
+    return getSectionText(this.extractedText, this.getSection(query));
+  }
+
+  hasExtractionDisagreements() {
+    return (this.aiExtraction?.disagreements?.length || 0) > 0;
+  }
+
+  getFieldProvenance(key) {
+    return this.fieldProvenance[key] || null;
+  }
+
+  /**
+   * First field of a list that has a recorded source
+   */
+  findSource(keys = []) {
+    const key = keys.find(candidate => this.fieldProvenance[candidate]);
+    return key ? { field: key, ...this.fieldProvenance[key] } : null;
+  }
+
   hasExtractedData() {
     return Object.keys(this.structuredData).length > 0;
   }
 
   isHighQuality() {
-    return this.documentQuality === 'good' || this.documentQuality === 'excellent';
+    const quality = this.extractionQuality?.level || this.documentQuality;
+    return quality === 'good' || quality === 'excellent';
+  }
+
+  getLowConfidenceWordCount() {
+    return this.extractionQuality?.lowConfidenceWords || 0;
   }
 
   getTextLength() {
     return this.extractedText.length;
   }
+
+  isPacket() {
+    return (this.packet?.documentCount || 0) > 1;
+  }
+
+  getDocumentsByRole(role) {
+    return (this.packet?.documents || []).filter(doc => doc.role === role);
+  }
 }
 
 /**
@@ -286,10 +348,22 @@ export class PolicyClassificationResult extends BaseAnalysisResult {
     this.allClassifications = data.allClassifications || [];
     this.suggestedTypes = data.suggestedTypes || [];
     
+    // Every type a package policy covers (home and auto bundles), with calibrated probabilities
+    this.labels = data.labels || (this.isConfident ? [this.primaryType] : []);
+    this.isPackage = data.isPackage || this.labels.length > 1;
+    this.probabilities = data.probabilities || {}; // { [type]: probability }
+    
+    // Form or plan within the type (ho3, ho6, term, hdhp ...); subTypes has one per label
+    this.subType = data.subType || null;
+    this.subTypeDetails = data.subTypeDetails || null; // { subType, label, family, confidence, evidence, alternatives }
+    this.subTypes = data.subTypes || {};
+    
     // Classification details
-    this.method = data.method || 'keyword-matching';
+    this.method = data.method || data.metadata?.method || 'keyword-matching';
     this.keywordsFound = data.keywordsFound || [];
     this.patternsMatched = data.patternsMatched || [];
+    // Evidence per candidate type from PolicyClassifier.explainClassification
+    this.details = data.details || []; // [{ type, label, confidence, selected, definitiveKeywords, coverageKeywords, typeKeywords, structuredPatterns, exclusions, formNumbers, modelTerms, reasons }]
     
     // Validation
     this.userValidation = data.userValidation || null;
@@ -300,15 +374,35 @@ export class PolicyClassificationResult extends BaseAnalysisResult {
     return this.confidence >= 0.8;
   }
 
+  getSubTypeLabel() {
+    return this.subTypeDetails?.label || null;
+  }
+
+  getExplanation(type = this.primaryType) {
+    return this.details.find(detail => detail.type === type) || null;
+  }
+
+  /**
+   * Whether the user set the policy type instead of the classifier
+   */
+  isUserOverride() {
+    return this.method === 'user-override';
+  }
+
   getAlternativeTypes() {
     return this.allClassifications
       .filter(c => c.type !== this.primaryType)
       .slice(0, 3);
   }
 
+  /**
+   * @param {string|Array<string>} actualType - Actual policy type, or every type of a package
+   */
   setUserValidation(actualType, isCorrect) {
+    const actualLabels = Array.isArray(actualType) ? actualType : [actualType];
     this.userValidation = {
-      actualType,
+      actualType: actualLabels[0],
+      actualLabels,
       isCorrect,
       timestamp: new Date().toISOString()
     };
@@ -342,6 +436,9 @@ export class ComprehensiveAnalysisResult extends BaseAnalysisResult {
     this.completeness = data.completeness || 0;
     this.reliability = data.reliability || 0;
     this.dataQuality = data.dataQuality || 'fair';
+
+    // Outputs of stages registered on top of the built-in ones, keyed by output name
+    this.stageOutputs = data.stageOutputs || {};
   }
 
   hasAllComponents() {
@@ -378,6 +475,52 @@ export class ComprehensiveAnalysisResult extends BaseAnalysisResult {
   }
 }
 
+/**
+ * Portfolio Analysis Result Model
+ * Combines the comprehensive analyses of every policy in a household's or client's book
+ */
+export class PortfolioAnalysisResult extends BaseAnalysisResult {
+  constructor(data = {}) {
+    super(data);
+    this.analysisType = 'portfolio';
+
+    // [{ itemId, name, result: ComprehensiveAnalysisResult }] and [{ itemId, name, error, errorCode }]
+    this.analyses = data.analyses || [];
+    this.failures = data.failures || [];
+
+    this.policyTypes = data.policyTypes || {}; // policy type -> number of policies
+    this.overallScore = data.overallScore || 0;
+    this.overallRating = data.overallRating || 'N/A';
+    this.riskCounts = data.riskCounts || { critical: 0, high: 0, medium: 0, low: 0 };
+
+    // Issues of single policies, tagged with the policy, and risks only the whole book shows
+    this.criticalIssues = data.criticalIssues || [];
+    this.portfolioRisks = data.portfolioRisks || [];
+    this.prioritizedRecommendations = data.prioritizedRecommendations || [];
+  }
+
+  getPolicyCount() {
+    return this.analyses.length;
+  }
+
+  getAnalysis(itemId) {
+    return this.analyses.find(analysis => analysis.itemId === itemId) || null;
+  }
+
+  getAnalysesByType(policyType) {
+    return this.analyses.filter(analysis => analysis.result.classificationAnalysis?.labels?.includes(policyType));
+  }
+
+  hasFailures() {
+    return this.failures.length > 0;
+  }
+
+  getSuccessRate() {
+    const total = this.analyses.length + this.failures.length;
+    return total > 0 ? this.analyses.length / total : 0;
+  }
+}
+
 /**
  * Analysis Factory
  */
@@ -394,13 +537,15 @@ export class AnalysisFactory {
         return new PolicyClassificationResult(data);
       case 'comprehensive':
         return new ComprehensiveAnalysisResult(data);
+      case 'portfolio':
+        return new PortfolioAnalysisResult(data);
       default:
         return new BaseAnalysisResult({ ...data, analysisType: type });
     }
   }
 
   static getSupportedTypes() {
-    return ['risk', 'ai', 'document', 'classification', 'comprehensive'];
+    return ['risk', 'ai', 'document', 'classification', 'comprehensive', 'portfolio'];
   }
 }
 
@@ -412,6 +557,7 @@ export default {
   DocumentAnalysisResult,
   PolicyClassificationResult,
   ComprehensiveAnalysisResult,
+  PortfolioAnalysisResult,
   AnalysisFactory
 };
 
@@ -62,6 +62,9 @@ export class AutoPolicy extends BasePolicy {
     // Vehicle information
     this.vehicles = data.vehicles || [];
     
+    // Listed drivers
+    this.drivers = data.drivers || [];
+    
     // Coverage details
     this.coverages = {
       bodilyInjuryLiability: data.coverages?.bodilyInjuryLiability || null,
@@ -98,6 +101,17 @@ export class AutoPolicy extends BasePolicy {
     });
   }
 
+  addDriver(driver) {
+    this.drivers.push({
+      id: this.generateId(),
+      name: driver.name,
+      dateOfBirth: driver.dateOfBirth,
+      licenseNumber: driver.licenseNumber,
+      licenseState: driver.licenseState,
+      ...driver
+    });
+  }
+
   getCoverageLimit(coverageType) {
     return this.coverages[coverageType]?.limit || 0;
   }
@@ -463,11 +477,479 @@ export class HealthPolicy extends BasePolicy {
   }
 }
 
+/**
+ * Disability Insurance Policy Model
+ */
+export class DisabilityPolicy extends BasePolicy {
+  constructor(data = {}) {
+    super(data);
+    this.policyType = 'disability';
+    
+    this.term = data.term || 'long_term'; // short_term, long_term
+    this.groupPolicy = data.groupPolicy ?? false; // Employer group plans pay taxable benefits when employer-paid
+    this.employerPaid = data.employerPaid ?? null;
+    
+    // Benefit amount: a flat monthly/weekly benefit, or a percentage of earnings up to a maximum
+    this.benefit = {
+      monthly: data.benefit?.monthly || null,
+      weekly: data.benefit?.weekly || null,
+      percentOfEarnings: data.benefit?.percentOfEarnings || null,
+      maximum: data.benefit?.maximum || null,
+      ...data.benefit
+    };
+    
+    this.eliminationPeriodDays = data.eliminationPeriodDays ?? null;
+    this.benefitPeriod = {
+      months: data.benefitPeriod?.months ?? null,
+      toAge: data.benefitPeriod?.toAge ?? null,
+      ...data.benefitPeriod
+    };
+    
+    // own_occupation, modified_own_occupation, any_occupation
+    this.definitionOfDisability = data.definitionOfDisability || null;
+    this.ownOccupationMonths = data.ownOccupationMonths ?? null; // Own-occupation period before any-occupation applies
+    
+    this.renewability = data.renewability || null; // non_cancelable, guaranteed_renewable, conditionally_renewable
+    this.riders = data.riders || []; // residual disability, cost of living, future increase option ...
+    this.offsets = data.offsets || []; // Social Security, workers' compensation ...
+  }
+
+  /**
+   * Monthly benefit in dollars; percentage benefits need the insured's monthly earnings
+   */
+  getMonthlyBenefit(monthlyEarnings = null) {
+    if (this.benefit.monthly) return this.benefit.monthly;
+    if (this.benefit.weekly) return Math.round(this.benefit.weekly * 52 / 12);
+    if (this.benefit.percentOfEarnings && monthlyEarnings) {
+      const amount = monthlyEarnings * this.benefit.percentOfEarnings / 100;
+      return this.benefit.maximum ? Math.min(amount, this.benefit.maximum) : amount;
+    }
+    return null;
+  }
+
+  /**
+   * Months of benefits for a disability starting at the given age
+   */
+  getBenefitPeriodMonths(age = null) {
+    if (this.benefitPeriod.months) return this.benefitPeriod.months;
+    if (this.benefitPeriod.toAge && age !== null) return Math.max(0, (this.benefitPeriod.toAge - age) * 12);
+    return null;
+  }
+
+  isOwnOccupation() {
+    return this.definitionOfDisability === 'own_occupation' || this.definitionOfDisability === 'modified_own_occupation';
+  }
+
+  hasRider(name) {
+    const normalized = name.toLowerCase();
+    return this.riders.some(rider => (rider.name || rider).toLowerCase().includes(normalized));
+  }
+
+  validate() {
+    const baseValidation = super.validate();
+    const errors = [...baseValidation.errors];
+    
+    if (!this.benefit.monthly && !this.benefit.weekly && !this.benefit.percentOfEarnings) {
+      errors.push('Benefit amount is required');
+    }
+    
+    if (this.eliminationPeriodDays === null) {
+      errors.push('Elimination period is required');
+    }
+    
+    if (!this.benefitPeriod.months && !this.benefitPeriod.toAge) {
+      errors.push('Benefit period is required');
+    }
+    
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+/**
+ * Personal Umbrella Policy Model
+ * The umbrella pays above the underlying auto, home and watercraft liability limits it
+ * requires; when an underlying limit is lower, the insured pays the difference
+ */
+export class UmbrellaPolicy extends BasePolicy {
+  constructor(data = {}) {
+    super(data);
+    this.policyType = 'umbrella';
+    
+    this.limit = data.limit || null; // Each occurrence
+    this.aggregate = data.aggregate || null;
+    this.retainedLimit = data.retainedLimit || null; // Self-insured retention for claims no underlying policy covers
+    
+    // Required underlying limits by exposure: { auto: { perPerson, perAccident, propertyDamage } or
+    // { combinedSingle }, home: { perOccurrence }, watercraft: { perOccurrence } }
+    this.underlyingRequirements = data.underlyingRequirements || {};
+    
+    // Underlying policies scheduled on the declarations: [{ policyType, insurer, policyNumber, limits }]
+    this.scheduledUnderlying = data.scheduledUnderlying || [];
+    
+    this.uninsuredMotorist = data.uninsuredMotorist || null; // Excess UM/UIM when included
+    this.exclusions = data.exclusions || [];
+  }
+
+  addUnderlyingPolicy(underlying) {
+    this.scheduledUnderlying.push({
+      id: this.generateId(),
+      policyType: underlying.policyType,
+      insurer: underlying.insurer || '',
+      policyNumber: underlying.policyNumber || '',
+      limits: underlying.limits || {},
+      ...underlying
+    });
+  }
+
+  getRequirement(exposure) {
+    return this.underlyingRequirements[exposure] || null;
+  }
+
+  validate() {
+    const baseValidation = super.validate();
+    const errors = [...baseValidation.errors];
+    
+    if (!this.limit) {
+      errors.push('Umbrella limit is required');
+    }
+    
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+/**
+ * Commercial Policy Model
+ * Shared structure of commercial lines: the insured business, its rating class codes and
+ * the exposures premium is computed from (payroll, revenue, area, vehicles)
+ */
+export class BusinessPolicy extends BasePolicy {
+  constructor(data = {}) {
+    super(data);
+    this.policyType = 'business';
+    this.commercialLine = data.commercialLine || null; // bop, commercial_auto, workers_compensation ...
+    
+    // Insured business
+    this.businessName = data.businessName || '';
+    this.entityType = data.entityType || null; // LLC, corporation, partnership, sole proprietor
+    this.naicsCode = data.naicsCode || null;
+    this.yearsInBusiness = data.yearsInBusiness ?? null;
+    this.locations = data.locations || []; // [{ address, state, occupancy }]
+    
+    // Rating classes: { code, description, state, exposureBasis, exposure, rate, premium }
+    this.classCodes = data.classCodes || [];
+    
+    // Policy-level exposures as declared on the application
+    this.exposures = {
+      payroll: data.exposures?.payroll ?? null,
+      revenue: data.exposures?.revenue ?? null,
+      employees: data.exposures?.employees ?? null,
+      squareFeet: data.exposures?.squareFeet ?? null,
+      vehicles: data.exposures?.vehicles ?? null,
+      ...data.exposures
+    };
+    
+    this.coverages = { ...data.coverages };
+    this.endorsements = data.endorsements || []; // [{ name, formNumber, limit }]
+  }
+
+  addClassCode(classCode) {
+    this.classCodes.push({
+      code: classCode.code,
+      description: classCode.description || '',
+      exposureBasis: classCode.exposureBasis || null,
+      exposure: classCode.exposure ?? null,
+      rate: classCode.rate ?? null,
+      ...classCode
+    });
+  }
+
+  /**
+   * Sum of class code exposures on one basis (e.g. all rated payroll)
+   */
+  getClassExposure(basis) {
+    return this.classCodes
+      .filter(classCode => classCode.exposureBasis === basis && classCode.exposure)
+      .reduce((sum, classCode) => sum + classCode.exposure, 0);
+  }
+
+  hasEndorsement(name) {
+    const normalized = name.toLowerCase();
+    return this.endorsements.some(endorsement => endorsement.name?.toLowerCase().includes(normalized));
+  }
+
+  getStates() {
+    return [...new Set(this.locations.map(location => location.state).filter(Boolean))];
+  }
+
+  validate() {
+    const baseValidation = super.validate();
+    const errors = [...baseValidation.errors];
+    
+    if (!this.businessName) {
+      errors.push('Business name is required');
+    }
+    
+    for (const classCode of this.classCodes) {
+      if (classCode.exposureBasis && classCode.exposure === null) {
+        errors.push(`Class code ${classCode.code} has no ${classCode.exposureBasis} exposure`);
+      }
+    }
+    
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+/**
+ * Businessowners Policy (BOP) Model
+ * Property and general liability packaged for small businesses
+ */
+export class BusinessOwnersPolicy extends BusinessPolicy {
+  constructor(data = {}) {
+    super({ ...data, commercialLine: 'bop' });
+    
+    this.coverages = {
+      building: data.coverages?.building || null,
+      businessPersonalProperty: data.coverages?.businessPersonalProperty || null,
+      businessIncome: data.coverages?.businessIncome || null,
+      eachOccurrence: data.coverages?.eachOccurrence || null,
+      generalAggregate: data.coverages?.generalAggregate || null,
+      productsCompletedOperations: data.coverages?.productsCompletedOperations || null,
+      ...data.coverages
+    };
+    
+    this.propertyDeductible = data.propertyDeductible || null;
+  }
+
+  hasHiredNonOwnedAuto() {
+    return this.hasEndorsement('hired') || this.hasEndorsement('non-owned');
+  }
+
+  validate() {
+    const baseValidation = super.validate();
+    const errors = [...baseValidation.errors];
+    
+    if (!this.coverages.eachOccurrence) {
+      errors.push('General liability each occurrence limit is required');
+    }
+    
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+/**
+ * Business Auto Policy Model
+ * Covered autos are defined by ISO symbols: 1 any auto, 2 owned autos, 7 scheduled autos,
+ * 8 hired autos, 9 non-owned autos
+ */
+export class CommercialAutoPolicy extends BusinessPolicy {
+  constructor(data = {}) {
+    super({ ...data, commercialLine: 'commercial_auto' });
+    
+    this.vehicles = data.vehicles || [];
+    this.drivers = data.drivers || [];
+    this.liabilitySymbols = data.liabilitySymbols || [];
+    
+    this.coverages = {
+      combinedSingleLimit: data.coverages?.combinedSingleLimit || null,
+      uninsuredMotorist: data.coverages?.uninsuredMotorist || null,
+      medicalPayments: data.coverages?.medicalPayments || null,
+      hiredPhysicalDamage: data.coverages?.hiredPhysicalDamage || null,
+      ...data.coverages
+    };
+  }
+
+  coversHiredAutos() {
+    return this.liabilitySymbols.includes(1) || this.liabilitySymbols.includes(8) || this.hasEndorsement('hired');
+  }
+
+  coversNonOwnedAutos() {
+    return this.liabilitySymbols.includes(1) || this.liabilitySymbols.includes(9) || this.hasEndorsement('non-owned');
+  }
+
+  validate() {
+    const baseValidation = super.validate();
+    const errors = [...baseValidation.errors];
+    
+    if (this.liabilitySymbols.length === 0) {
+      errors.push('Liability covered auto symbols are required');
+    }
+    
+    if (!this.coverages.combinedSingleLimit) {
+      errors.push('Liability limit is required');
+    }
+    
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+/**
+ * Workers' Compensation and Employers Liability Policy Model
+ * Premium is rated on payroll per $100 by class code and adjusted by the experience mod
+ */
+export class WorkersCompensationPolicy extends BusinessPolicy {
+  constructor(data = {}) {
+    super({ ...data, commercialLine: 'workers_compensation' });
+    
+    this.statesCovered = data.statesCovered || []; // Item 3.A
+    this.otherStates = data.otherStates || []; // Item 3.C
+    this.experienceMod = data.experienceMod ?? null;
+    
+    this.employersLiability = {
+      eachAccident: data.employersLiability?.eachAccident || null,
+      diseasePolicyLimit: data.employersLiability?.diseasePolicyLimit || null,
+      diseaseEachEmployee: data.employersLiability?.diseaseEachEmployee || null,
+      ...data.employersLiability
+    };
+  }
+
+  /**
+   * Premium before the experience mod and premium discounts
+   */
+  getManualPremium() {
+    return this.classCodes
+      .filter(classCode => classCode.exposureBasis === 'payroll' && classCode.exposure && classCode.rate)
+      .reduce((sum, classCode) => sum + (classCode.exposure / 100) * classCode.rate, 0);
+  }
+
+  validate() {
+    const baseValidation = super.validate();
+    const errors = [...baseValidation.errors];
+    
+    if (this.statesCovered.length === 0) {
+      errors.push('At least one covered state is required');
+    }
+    
+    if (this.classCodes.length === 0) {
+      errors.push('At least one class code is required');
+    }
+    
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+/**
+ * Claims-made liability shared by professional liability and cyber: a claim is covered when
+ * it is made during the policy period for an act after the retroactive date
+ */
+export class ClaimsMadePolicy extends BusinessPolicy {
+  constructor(data = {}) {
+    super(data);
+    
+    this.claimsMade = data.claimsMade ?? true;
+    this.retroactiveDate = data.retroactiveDate || null; // 'full prior acts' or a date
+    this.perClaimLimit = data.perClaimLimit || null;
+    this.aggregateLimit = data.aggregateLimit || null;
+    this.retention = data.retention || null;
+    this.defenseInsideLimits = data.defenseInsideLimits ?? null;
+    this.extendedReportingPeriod = data.extendedReportingPeriod || null;
+  }
+
+  hasFullPriorActs() {
+    return /full prior acts/i.test(this.retroactiveDate || '');
+  }
+}
+
+/**
+ * Professional Liability (Errors and Omissions) Policy Model
+ */
+export class ProfessionalLiabilityPolicy extends ClaimsMadePolicy {
+  constructor(data = {}) {
+    super({ ...data, commercialLine: 'professional_liability' });
+    this.professionalServices = data.professionalServices || '';
+  }
+
+  validate() {
+    const baseValidation = super.validate();
+    const errors = [...baseValidation.errors];
+    
+    if (!this.perClaimLimit) {
+      errors.push('Per claim limit is required');
+    }
+    
+    if (this.claimsMade && !this.retroactiveDate) {
+      errors.push('Retroactive date is required on a claims-made policy');
+    }
+    
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+/**
+ * Cyber Liability Policy Model
+ */
+export class CyberPolicy extends ClaimsMadePolicy {
+  constructor(data = {}) {
+    super({ ...data, commercialLine: 'cyber' });
+    
+    this.coverages = {
+      breachResponse: data.coverages?.breachResponse || null,
+      businessInterruption: data.coverages?.businessInterruption || null,
+      cyberExtortion: data.coverages?.cyberExtortion || null,
+      dataRestoration: data.coverages?.dataRestoration || null,
+      privacyLiability: data.coverages?.privacyLiability || null,
+      regulatoryDefense: data.coverages?.regulatoryDefense || null,
+      socialEngineering: data.coverages?.socialEngineering || null,
+      ...data.coverages
+    };
+    
+    this.waitingPeriodHours = data.waitingPeriodHours ?? null;
+  }
+
+  validate() {
+    const baseValidation = super.validate();
+    const errors = [...baseValidation.errors];
+    
+    if (!this.aggregateLimit) {
+      errors.push('Aggregate limit is required');
+    }
+    
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+}
+
+// Commercial line sub-types with a model of their own
+const COMMERCIAL_MODELS = {
+  bop: BusinessOwnersPolicy,
+  commercial_auto: CommercialAutoPolicy,
+  workers_compensation: WorkersCompensationPolicy,
+  professional_liability: ProfessionalLiabilityPolicy,
+  cyber: CyberPolicy
+};
+
 /**
  * Policy Factory
  */
 export class PolicyFactory {
-  static createPolicy(type, data) {
+  /**
+   * @param {string} type - Policy type
+   * @param {Object} data - Policy data
+   * @param {string} subType - Commercial line (bop, workers_compensation ...) of a business policy
+   */
+  static createPolicy(type, data, subType = null) {
     switch (type.toLowerCase()) {
       case 'auto':
         return new AutoPolicy(data);
@@ -479,6 +961,14 @@ export class PolicyFactory {
         return new LifePolicy(data);
       case 'health':
         return new HealthPolicy(data);
+      case 'disability':
+        return new DisabilityPolicy(data);
+      case 'umbrella':
+        return new UmbrellaPolicy(data);
+      case 'business': {
+        const Model = COMMERCIAL_MODELS[subType] || BusinessPolicy;
+        return new Model({ ...data, commercialLine: subType });
+      }
       default:
         return new BasePolicy({ ...data, policyType: type });
     }
@@ -488,13 +978,16 @@ export class PolicyFactory {
     return ['auto', 'home', 'renters', 'life', 'health', 'disability', 'umbrella', 'business'];
   }
 
-  static getModelForType(type) {
+  static getModelForType(type, subType = null) {
     const models = {
       auto: AutoPolicy,
       home: HomePolicy,
       renters: RentersPolicy,
       life: LifePolicy,
-      health: HealthPolicy
+      health: HealthPolicy,
+      disability: DisabilityPolicy,
+      umbrella: UmbrellaPolicy,
+      business: COMMERCIAL_MODELS[subType] || BusinessPolicy
     };
     
     return models[type.toLowerCase()] || BasePolicy;
@@ -508,6 +1001,15 @@ export default {
   RentersPolicy,
   LifePolicy,
   HealthPolicy,
+  DisabilityPolicy,
+  UmbrellaPolicy,
+  BusinessPolicy,
+  BusinessOwnersPolicy,
+  CommercialAutoPolicy,
+  WorkersCompensationPolicy,
+  ClaimsMadePolicy,
+  ProfessionalLiabilityPolicy,
+  CyberPolicy,
   PolicyFactory
 };
 
@@ -0,0 +1,171 @@
+/**
+ * Policy Extraction Schemas
+ * Strict JSON schemas mirroring the policy models in PolicyModels.js. Every property
+ * is required and nullable so a model must answer each field explicitly, and no
+ * property outside the schema is accepted.
+ */
+
+const nullable = (type, extra = {}) => ({ type: [type, 'null'], ...extra });
+
+const money = () => nullable('number', { minimum: 0 });
+
+const isoDate = () => nullable('string', { pattern: '^\\d{4}-\\d{2}-\\d{2}$' });
+
+const strictObject = (properties, { allowNull = false } = {}) => ({
+  type: allowNull ? ['object', 'null'] : 'object',
+  properties,
+  required: Object.keys(properties),
+  additionalProperties: false
+});
+
+// A coverage line: headline limit in dollars plus the limit as written ("100/300/100", "$1M CSL")
+const coverage = () => strictObject({
+  limit: money(),
+  limitText: nullable('string'),
+  deductible: money()
+}, { allowNull: true });
+
+const coverageGroup = names => strictObject(Object.fromEntries(names.map(name => [name, coverage()])));
+
+const moneyGroup = names => strictObject(Object.fromEntries(names.map(name => [name, money()])));
+
+const BASE_PROPERTIES = {
+  policyNumber: nullable('string'),
+  insuranceProvider: nullable('string'),
+  effectiveDate: isoDate(),
+  expirationDate: isoDate(),
+  premium: money(),
+  paymentFrequency: { enum: ['monthly', 'quarterly', 'semi-annual', 'annual', null] }
+};
+
+// Verbatim quotes from the document supporting each answered field, keyed by field path
+const EVIDENCE = {
+  type: 'object',
+  additionalProperties: { type: 'string' }
+};
+
+const policySchema = (policyType, properties) => ({
+  title: `${policyType} policy`,
+  policyType,
+  ...strictObject({ ...BASE_PROPERTIES, ...properties, evidence: EVIDENCE })
+});
+
+export const POLICY_SCHEMAS = {
+  auto: policySchema('auto', {
+    vehicles: {
+      type: 'array',
+      items: strictObject({
+        year: nullable('integer'),
+        make: nullable('string'),
+        model: nullable('string'),
+        vin: nullable('string')
+      })
+    },
+    coverages: coverageGroup([
+      'bodilyInjuryLiability',
+      'propertyDamageLiability',
+      'collision',
+      'comprehensive',
+      'uninsuredMotorist',
+      'personalInjuryProtection',
+      'medicalPayments'
+    ]),
+    deductibles: moneyGroup(['collision', 'comprehensive'])
+  }),
+
+  home: policySchema('home', {
+    property: strictObject({
+      address: nullable('string'),
+      yearBuilt: nullable('integer'),
+      constructionType: nullable('string'),
+      roofType: nullable('string')
+    }),
+    coverages: coverageGroup([
+      'dwelling',
+      'personalProperty',
+      'liability',
+      'additionalLivingExpenses',
+      'otherStructures',
+      'medicalPayments'
+    ]),
+    deductibles: moneyGroup(['allPerils', 'windHail', 'hurricane', 'earthquake'])
+  }),
+
+  renters: policySchema('renters', {
+    rentalProperty: strictObject({
+      address: nullable('string')
+    }),
+    coverages: coverageGroup([
+      'personalProperty',
+      'liability',
+      'additionalLivingExpenses',
+      'medicalPayments'
+    ]),
+    deductible: money()
+  }),
+
+  life: policySchema('life', {
+    policySubType: { enum: ['term', 'whole', 'universal', 'variable', null] },
+    deathBenefit: money(),
+    cashValue: money(),
+    termLength: nullable('integer', { minimum: 0 }),
+    insured: strictObject({
+      name: nullable('string'),
+      dateOfBirth: isoDate()
+    }),
+    beneficiaries: strictObject({
+      primary: { type: 'array', items: strictObject({ name: nullable('string'), relationship: nullable('string'), percentage: nullable('number') }) },
+      contingent: { type: 'array', items: strictObject({ name: nullable('string'), relationship: nullable('string'), percentage: nullable('number') }) }
+    }),
+    riders: {
+      type: 'array',
+      items: strictObject({ type: nullable('string'), benefit: money() })
+    }
+  }),
+
+  health: policySchema('health', {
+    planType: { enum: ['HMO', 'PPO', 'EPO', 'POS', null] },
+    metalTier: { enum: ['Bronze', 'Silver', 'Gold', 'Platinum', null] },
+    deductible: moneyGroup(['individual', 'family']),
+    outOfPocketMax: moneyGroup(['individual', 'family']),
+    copays: moneyGroup(['primaryCare', 'specialist', 'urgentCare', 'emergencyRoom']),
+    coinsurance: nullable('number', { minimum: 0, maximum: 100 })
+  })
+};
+
+// Policy types without a dedicated model only get the common policy fields
+const BASE_SCHEMA = policySchema('base', {});
+
+/**
+ * Schema the model must fill for a policy type
+ * @param {string} policyType - e.g. 'auto', 'home'
+ * @returns {Object} JSON schema, the common base schema for types without a model
+ */
+export function getPolicySchema(policyType) {
+  return POLICY_SCHEMAS[policyType?.toLowerCase()] || BASE_SCHEMA;
+}
+
+/**
+ * Build a record with every schema field set to its empty value (null, [] or {})
+ * @param {Object} schema - Schema from getPolicySchema
+ * @returns {Object} Record that satisfies the schema
+ */
+export function buildEmptyRecord(schema) {
+  const types = [].concat(schema.type || []);
+
+  if (types.includes('object') && schema.properties && !types.includes('null')) {
+    return Object.fromEntries(
+      Object.entries(schema.properties).map(([key, property]) => [key, buildEmptyRecord(property)])
+    );
+  }
+  if (types.includes('null') || schema.enum?.includes(null)) return null;
+  if (types.includes('array')) return [];
+  if (types.includes('object')) return {};
+  return null;
+}
+
+export default {
+  POLICY_SCHEMAS,
+  getPolicySchema,
+  buildEmptyRecord
+};
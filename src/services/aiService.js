@@ -8,7 +8,7 @@ const openai = new OpenAI({
   dangerouslyAllowBrowser: true,
 });
 
-export const generatePolicyAnalysis = async (policy, policyClassification, riskAnalysis) => {
+export const generatePolicyAnalysis = async (policy, policyClassification, riskAnalysis, { signal } = {}) => {
   try {
     const policyType = policyClassification?.primaryType || policy.coverageType || 'auto';
     
@@ -32,7 +32,7 @@ export const generatePolicyAnalysis = async (policy, policyClassification, riskA
         }
       ],
       temperature: 0.3,
-    });
+    }, { signal });
 
     const analysis = completion.choices[0].message.content;
     
@@ -58,34 +58,37 @@ export const generatePolicyAnalysis = async (policy, policyClassification, riskA
 
 /**
  * Generate enhanced policy analysis using multiple AI calls
+ * @param {Object} options - { signal: AbortSignal that cancels the requests in flight }
  */
-export const generateEnhancedAnalysis = async (policy, policyClassification, riskAnalysis, userProfile) => {
+export const generateEnhancedAnalysis = async (policy, policyClassification, riskAnalysis, userProfile, options = {}) => {
   try {
     const policyType = policyClassification?.primaryType || 'auto';
     
     // Step 1: Basic policy analysis
-    const basicAnalysis = await generatePolicyAnalysis(policy, policyClassification, riskAnalysis);
+    const basicAnalysis = await generatePolicyAnalysis(policy, policyClassification, riskAnalysis, options);
     
     // Step 2: Risk-specific analysis
-    const riskSpecificAnalysis = await generateRiskSpecificAnalysis(policy, riskAnalysis, policyType);
+    const riskSpecificAnalysis = await generateRiskSpecificAnalysis(policy, riskAnalysis, policyType, options);
     
     // Step 3: Personalized recommendations
-    const personalizedRecs = await generatePersonalizedRecommendations(policy, userProfile, policyType);
+    const personalizedRecs = await generatePersonalizedRecommendations(policy, userProfile, policyType, options);
     
     // Combine all analyses
     return combineAnalyses(basicAnalysis, riskSpecificAnalysis, personalizedRecs);
     
   } catch (error) {
+    // A cancelled analysis makes no further requests
+    if (options.signal?.aborted) throw error;
     console.error('Enhanced AI Analysis failed:', error);
     // Fallback to basic analysis
-    return await generatePolicyAnalysis(policy, policyClassification, riskAnalysis);
+    return await generatePolicyAnalysis(policy, policyClassification, riskAnalysis, options);
   }
 };
 
 /**
  * Generate risk-specific analysis
  */
-async function generateRiskSpecificAnalysis(policy, riskAnalysis, policyType) {
+async function generateRiskSpecificAnalysis(policy, riskAnalysis, policyType, { signal } = {}) {
   if (!riskAnalysis || !riskAnalysis.success) {
     return null;
   }
@@ -127,7 +130,7 @@ async function generateRiskSpecificAnalysis(policy, riskAnalysis, policyType) {
       }
     ],
     temperature: 0.2,
-  });
+  }, { signal });
 
   return {
     riskInsights: completion.choices[0].message.content,
@@ -139,7 +142,7 @@ async function generateRiskSpecificAnalysis(policy, riskAnalysis, policyType) {
 /**
  * Generate personalized recommendations
  */
-async function generatePersonalizedRecommendations(policy, userProfile, policyType) {
+async function generatePersonalizedRecommendations(policy, userProfile, policyType, { signal } = {}) {
   if (!userProfile || Object.keys(userProfile).length === 0) {
     return null;
   }
@@ -181,7 +184,7 @@ async function generatePersonalizedRecommendations(policy, userProfile, policyTy
       }
     ],
     temperature: 0.4,
-  });
+  }, { signal });
 
   return {
     personalizedInsights: completion.choices[0].message.content,
@@ -190,6 +193,28 @@ async function generatePersonalizedRecommendations(policy, userProfile, policyTy
   };
 }
 
+/**
+ * Model used by the AI extraction pass to fill policy schemas
+ * Implements the extraction model interface: complete({ system, prompt, signal }) -> raw response text
+ */
+export const extractionModel = {
+  name: 'google/gemini-2.0-flash-001',
+
+  async complete({ system, prompt, signal = null }) {
+    const completion = await openai.chat.completions.create({
+      model: this.name,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: prompt }
+      ],
+      response_format: { type: 'json_object' },
+      temperature: 0,
+    }, { signal });
+
+    return completion.choices[0].message.content;
+  }
+};
+
 /**
  * Get system prompt based on policy type
  */
@@ -4,123 +4,649 @@
  */
 
 import documentProcessor from './documentProcessor.js';
+import documentWorkerClient from './documentWorkerClient.js';
+import packetAssembler from './packetAssembler.js';
 import policyClassifier from './policyClassifier.js';
 import riskEngine from './riskEngine.js';
-import { generateEnhancedAnalysis } from './aiService.js';
-import { ComprehensiveAnalysisResult } from '../models/AnalysisModels.js';
+import { generateEnhancedAnalysis, extractionModel } from './aiService.js';
+import { AIExtractor } from './extractors/aiExtractor.js';
+import { ExtractionError, EXTRACTION_ERROR_CODES, PASSWORD_ERROR_CODES, throwIfCancelled } from './extractors/extractionErrors.js';
+import { ComprehensiveAnalysisResult, DocumentAnalysisResult, PolicyClassificationResult } from '../models/AnalysisModels.js';
 import { validatePolicyData, validateFileUpload } from '../utils/validation.js';
+import { detectFileType, EMAIL_TYPES, STRUCTURED_TYPES } from '../utils/fileTypes.js';
+import { POLICY_TYPES } from '../utils/policyTypes.js';
 import { calculateConfidenceScore } from '../utils/riskScoring.js';
+import { hashContent, hashFile } from '../utils/contentHash.js';
+import StageCache from './stageCache.js';
+import { BUILT_IN_STAGES, PIPELINE_INPUTS, validateStageDefinition } from './pipelineStages.js';
+import { PipelineRun, RUN_STATUS, generateRunId } from './pipelineRun.js';
 
 export class AnalysisPipeline {
-  constructor() {
-    this.stages = [
-      'validation',
-      'document_processing',
-      'policy_classification',
-      'risk_analysis',
-      'ai_analysis',
-      'result_compilation'
-    ];
-    
-    this.currentStage = 0;
-    this.stageProgress = {};
-    this.errors = [];
-    this.warnings = [];
+  /**
+   * @param {Object} options - Pipeline options, as for configure()
+   */
+  constructor(options = {}) {
+    // Stage plugins by name; stages lists their names in the order they start
+    this.stageDefinitions = new Map();
+    this.stageDependencies = new Map();
+    this.stages = [];
+    BUILT_IN_STAGES.forEach(stage => this.registerStage(stage));
+
+    // Stage outputs keyed by a hash of their inputs, kept across runs. runs is the run
+    // registry: every running analysis and the most recent finished ones, whose inputs and
+    // stage keys let them be resumed from any stage
+    this.cache = new StageCache();
+    this.runs = new Map();
+    this.maxRuns = 20;
+
+    // AI extraction is opt-in; any object with complete({ system, prompt }) can serve as the model
+    this.options = {
+      aiExtraction: false,
+      extractionModel,
+      ...options
+    };
+  }
+
+  /**
+   * Set pipeline options
+   * @param {Object} options - { aiExtraction: run the schema-validated AI extraction pass,
+   *   extractionModel: model used by that pass (e.g. a MockExtractionModel) }
+   */
+  configure(options = {}) {
+    this.options = { ...this.options, ...options };
+    return this;
+  }
+
+  /**
+   * Add a stage to the pipeline, e.g. a fraud check or a carrier-specific rule pass; see
+   * pipelineStages.js for the stage shape. Its outputs are available to later stages and on
+   * the compiled result's stageOutputs.
+   * @param {Object} stage - Stage definition
+   * @throws {Error} When the name or an output is taken, an input has no producer, or the
+   *   stage's ordering forms a cycle
+   */
+  registerStage(stage) {
+    const definition = validateStageDefinition(stage);
+    const { name } = definition;
+    if (this.stageDefinitions.has(name)) {
+      throw new Error(`Pipeline stage ${name} is already registered`);
+    }
+    for (const output of definition.outputs) {
+      const producer = this.findProducer(output);
+      if (producer) throw new Error(`Pipeline stage ${name}: ${output} is already produced by ${producer}`);
+    }
+    for (const input of definition.inputs) {
+      if (!PIPELINE_INPUTS.includes(input) && !this.findProducer(input)) {
+        throw new Error(`Pipeline stage ${name} reads ${input}, which no registered stage produces`);
+      }
+    }
+
+    this.stageDefinitions.set(name, definition);
+    try {
+      this.orderStages();
+    } catch (error) {
+      this.stageDefinitions.delete(name);
+      this.orderStages();
+      throw error;
+    }
+    return this;
+  }
+
+  /**
+   * Remove a registered stage and its cached outputs
+   * @returns {boolean} Whether the stage was registered
+   * @throws {Error} When another stage reads its outputs, or it compiles the result
+   */
+  unregisterStage(name) {
+    const definition = this.stageDefinitions.get(name);
+    if (!definition) return false;
+
+    if (definition.outputs.includes('result')) {
+      throw new Error(`Pipeline stage ${name} compiles the result and cannot be removed`);
+    }
+    const reader = [...this.stageDefinitions.values()]
+      .find(other => other.inputs.some(input => definition.outputs.includes(input)));
+    if (reader) {
+      throw new Error(`Pipeline stage ${name} cannot be removed: ${reader.name} reads its outputs`);
+    }
+
+    this.stageDefinitions.delete(name);
+    this.cache.invalidateStages([name]);
+    this.orderStages();
+    return true;
+  }
+
+  getStage(name) {
+    return this.stageDefinitions.get(name) || null;
+  }
+
+  findProducer(output) {
+    for (const definition of this.stageDefinitions.values()) {
+      if (definition.outputs.includes(output)) return definition.name;
+    }
+    return null;
+  }
+
+  /**
+   * Work out each stage's dependencies (the producers of its inputs, plus after/before) and
+   * sort the stages so every stage comes after its dependencies; independent stages keep
+   * their registration order
+   * @throws {Error} When the dependencies form a cycle
+   */
+  orderStages() {
+    const dependencies = new Map([...this.stageDefinitions.keys()].map(name => [name, new Set()]));
+    for (const definition of this.stageDefinitions.values()) {
+      const own = dependencies.get(definition.name);
+      definition.inputs.map(input => this.findProducer(input)).filter(Boolean).forEach(producer => own.add(producer));
+      definition.after.filter(name => dependencies.has(name)).forEach(name => own.add(name));
+      definition.before.filter(name => dependencies.has(name)).forEach(name => dependencies.get(name).add(definition.name));
+    }
+
+    const ordered = [];
+    const remaining = [...dependencies.keys()];
+    while (remaining.length > 0) {
+      const next = remaining.find(name => [...dependencies.get(name)].every(dependency => ordered.includes(dependency)));
+      if (!next) {
+        throw new Error(`Pipeline stages depend on each other in a cycle: ${remaining.join(', ')}`);
+      }
+      ordered.push(next);
+      remaining.splice(remaining.indexOf(next), 1);
+    }
+
+    this.stages = ordered;
+    this.stageDependencies = new Map([...dependencies].map(([name, names]) => [name, [...names]]));
+  }
+
+  /**
+   * A stage and every stage that depends on it, directly or through other stages
+   */
+  getDependentStages(stage) {
+    const dependents = new Set([stage]);
+    for (const name of this.stages) {
+      if (this.stageDependencies.get(name).some(dependency => dependents.has(dependency))) {
+        dependents.add(name);
+      }
+    }
+    return dependents;
   }
 
   /**
    * Execute complete analysis pipeline
-   * @param {File} file - Policy document file
+   * Stages whose inputs match an earlier run are served from the stage cache. Each analysis
+   * runs in its own PipelineRun, so several can run on one pipeline at the same time.
+   * @param {File|File[]} files - Policy document file, or every file of a policy packet
+   *   (declarations, endorsements, policy forms, ID cards, renewal notices)
    * @param {Object} policyData - Manual policy data input
-   * @param {Object} userProfile - User profile data
+   * @param {Object} userProfile - User profile data; null when the user gave none
+   * @param {Function} progressCallback - Progress update callback; updates carry the analysisId
+   * @param {Object} options - { passwords: passwords of encrypted PDFs keyed by document path
+   *   (see getDocumentPath), relatedPolicies: completed analyses or models of the user's other policies, e.g. the
+   *   auto and home under an umbrella, signal: AbortSignal that cancels the analysis }
+   * @returns {Promise<Object>} Complete analysis results; failures carry an errorCode such as
+   *   PDF_PASSWORD_REQUIRED or PDF_PASSWORD_INCORRECT when the user can fix them (errorDetails
+   *   then holds the fileName and documentPath of the locked PDF), or PROCESSING_CANCELLED
+   *   when the analysis was cancelled
+   */
+  async executeAnalysis(files, policyData = {}, userProfile = null, progressCallback = null, options = {}) {
+    return this.startAnalysis(files, policyData, userProfile, progressCallback, options).result;
+  }
+
+  /**
+   * Start an analysis without waiting for it; takes the same arguments as executeAnalysis
+   * @returns {Object} { analysisId, cancel(): cancel the analysis, result: Promise of the
+   *   executeAnalysis result }
+   */
+  startAnalysis(files, policyData = {}, userProfile = null, progressCallback = null, options = {}) {
+    const run = this.createRun({
+      files: (Array.isArray(files) ? files : [files]).filter(Boolean),
+      policyData,
+      userProfile,
+      // Only the limits the analyzers read, so other changes to those analyses keep the cache
+      relatedPolicies: options.relatedPolicies?.length ? riskEngine.summarizeRelatedPolicies(options.relatedPolicies) : null,
+      passwords: options.passwords || null,
+      classificationOverride: null
+    }, progressCallback, options);
+
+    return { analysisId: run.id, cancel: () => run.cancel(), result: this.runPipeline(run) };
+  }
+
+  /**
+   * Re-run an earlier analysis from a named stage with some of its inputs changed. The stage
+   * and every stage that depends on it run again; the others reuse that run's outputs.
+   * @param {string} analysisId - analysisId of the earlier run
+   * @param {string} stage - First stage to run again, e.g. 'policy_classification' or 'risk_analysis'
+   * @param {Object} changes - Inputs to replace: { policyData, userProfile, relatedPolicies
+   *   (as summarized by riskEngine.summarizeRelatedPolicies), passwords,
+   *   classificationOverride: policy type(s) that replace the classifier's }
    * @param {Function} progressCallback - Progress update callback
-   * @returns {Promise<Object>} Complete analysis results
+   * @param {Object} options - { signal: AbortSignal that cancels the analysis }
+   * @returns {Promise<Object>} Complete analysis results, as from executeAnalysis
    */
-  async executeAnalysis(file, policyData = {}, userProfile = {}, progressCallback = null) {
+  async rerunFromStage(analysisId, stage, changes = {}, progressCallback = null, options = {}) {
+    const previousRun = this.runs.get(analysisId);
+    const run = this.createRun({ ...previousRun?.inputs, ...changes }, progressCallback, options);
+
+    if (previousRun?.status !== RUN_STATUS.COMPLETED) {
+      const reason = previousRun?.isActive ? 'has not finished yet' : 'is no longer available to re-run';
+      return this.failRun(run, new Error(`Analysis ${analysisId} ${reason}`));
+    }
+    if (!this.stageDefinitions.has(stage)) {
+      return this.failRun(run, new Error(`Unknown pipeline stage: ${stage}`));
+    }
+
+    return this.runPipeline(run, { previousRun, fromStage: stage });
+  }
+
+  /**
+   * Re-run an analysis from the classification stage with the policy type the user says the
+   * document is; documents are not processed again. Once the re-run succeeds, the correction is
+   * recorded as classification feedback.
+   * @param {ComprehensiveAnalysisResult} analysisResult - Result of executeAnalysis
+   * @param {string|Array<string>} actualLabels - Actual policy type, or every type of a package
+   * @param {Object} userProfile - User profile data; the earlier run's when omitted
+   * @param {Function} progressCallback - Progress update callback
+   * @param {Object} options - { signal: AbortSignal that cancels the analysis }
+   * @returns {Promise<Object>} Complete analysis results, as from executeAnalysis
+   */
+  async reanalyzeWithPolicyType(analysisResult, actualLabels, userProfile = null, progressCallback = null, options = {}) {
     try {
-      this.reset();
-      const analysisId = this.generateAnalysisId();
-      
-      this.updateProgress('validation', 0, 'Starting analysis validation...', progressCallback);
-      
-      // Stage 1: Validation
-      const validationResult = await this.validateInputs(file, policyData, userProfile);
-      if (!validationResult.success) {
-        throw new Error(`Validation failed: ${validationResult.errors.join(', ')}`);
+      const known = this.runs.get(analysisResult.id)?.status === RUN_STATUS.COMPLETED;
+      const analysisId = known ? analysisResult.id : this.adoptResult(analysisResult);
+      const changes = { classificationOverride: actualLabels, ...(userProfile ? { userProfile } : {}) };
+      const result = await this.rerunFromStage(analysisId, 'policy_classification', changes, progressCallback, options);
+
+      // Recorded after the re-run, so the replaced classification is the one the user corrected;
+      // a re-run that failed records nothing
+      if (result.success) {
+        this.submitClassificationFeedback(analysisResult, actualLabels);
       }
-      this.updateProgress('validation', 100, 'Validation completed', progressCallback);
-
-      // Stage 2: Document Processing
-      this.updateProgress('document_processing', 0, 'Processing document...', progressCallback);
-      const documentResult = await this.processDocument(file);
-      this.updateProgress('document_processing', 100, 'Document processing completed', progressCallback);
-
-      // Stage 3: Policy Classification
-      this.updateProgress('policy_classification', 0, 'Classifying policy type...', progressCallback);
-      const classificationResult = await this.classifyPolicy(documentResult, policyData);
-      this.updateProgress('policy_classification', 100, 'Policy classification completed', progressCallback);
-
-      // Stage 4: Risk Analysis
-      this.updateProgress('risk_analysis', 0, 'Analyzing risks...', progressCallback);
-      const riskResult = await this.analyzeRisks(documentResult, classificationResult, userProfile);
-      this.updateProgress('risk_analysis', 100, 'Risk analysis completed', progressCallback);
-
-      // Stage 5: AI Analysis
-      this.updateProgress('ai_analysis', 0, 'Generating AI insights...', progressCallback);
-      const aiResult = await this.generateAIAnalysis(documentResult, classificationResult, riskResult, userProfile);
-      this.updateProgress('ai_analysis', 100, 'AI analysis completed', progressCallback);
-
-      // Stage 6: Result Compilation
-      this.updateProgress('result_compilation', 0, 'Compiling final results...', progressCallback);
-      const finalResult = await this.compileResults(
-        analysisId,
-        documentResult,
-        classificationResult,
-        riskResult,
-        aiResult,
-        userProfile
-      );
-      this.updateProgress('result_compilation', 100, 'Analysis completed successfully', progressCallback);
+      return result;
+
+    } catch (error) {
+      console.error('Reanalysis failed:', error);
+      return this.createFailureResult(error);
+    }
+  }
+
+  /**
+   * Register a compiled result whose run is no longer known, e.g. one restored from storage,
+   * so it can be re-run from classification on
+   * @returns {string} analysisId to re-run
+   */
+  adoptResult(analysisResult) {
+    const documentAnalysis = analysisResult.documentAnalysis;
+    if (!documentAnalysis) {
+      throw new Error('The analysis has no processed documents to re-run');
+    }
+
+    const processingErrors = documentAnalysis.processingErrors || [];
+    const documentResult = {
+      ...documentAnalysis,
+      success: documentAnalysis.status === 'completed' || Boolean(documentAnalysis.extractedText),
+      processingWarning: processingErrors[0] || null
+    };
+    const run = new PipelineRun({
+      id: analysisResult.id,
+      inputs: { files: [], policyData: {}, userProfile: null, relatedPolicies: null, passwords: null, classificationOverride: null },
+      stages: [...this.stages]
+    });
+    run.adoptedStages = ['validation', 'document_processing'];
+    run.keys = {
+      validation: hashContent({ stage: 'validation', adopted: analysisResult.id }),
+      document_processing: hashContent({ stage: 'document_processing', adopted: analysisResult.id })
+    };
+
+    this.cache.set('validation', run.keys.validation, {
+      validation: { success: true, errors: [], warnings: [], inputSources: analysisResult.metadata?.inputSources || [] }
+    });
+    this.cache.set('document_processing', run.keys.document_processing, { documentResult });
+    run.finish(RUN_STATUS.COMPLETED);
+    this.registerRun(run);
+    return run.id;
+  }
+
+  /**
+   * Create and register the execution context of a new analysis
+   * @param {Object} inputs - { files, policyData, userProfile, relatedPolicies, passwords,
+   *   classificationOverride }
+   * @param {Object} options - { signal: AbortSignal that cancels the analysis }
+   */
+  createRun(inputs, progressCallback = null, options = {}) {
+    const run = new PipelineRun({
+      inputs,
+      stages: [...this.stages],
+      progressCallback,
+      signal: options.signal || null
+    });
+    this.registerRun(run);
+    return run;
+  }
+
+  /**
+   * Run every stage, reusing cached outputs where a stage's inputs are unchanged. Each stage
+   * starts once the stages it depends on have finished, so independent stages run concurrently.
+   * @param {PipelineRun} run - Execution context of the analysis
+   * @param {Object} resume - { previousRun, fromStage } when re-running an earlier analysis
+   */
+  async runPipeline(run, resume = {}) {
+    // Stages registered while the analysis runs apply from the next one
+    const definitions = new Map(this.stageDefinitions);
+    const dependencies = this.stageDependencies;
+
+    try {
+      const forced = resume.previousRun ? this.getDependentStages(resume.fromStage) : new Set();
+      const values = { ...run.inputs };
+      const pending = new Map();
+
+      const schedule = (name) => {
+        if (!pending.has(name)) {
+          pending.set(name, Promise.all(dependencies.get(name).map(schedule)).then(() =>
+            this.runStage(run, definitions.get(name), values, { resume, forced })
+          ));
+        }
+        return pending.get(name);
+      };
+      await Promise.all(run.stages.map(schedule));
+
+      const finalResult = values.result;
+      finalResult.metadata.stageKeys = { ...run.keys };
+      finalResult.stageOutputs = this.collectStageOutputs(values, definitions);
+      // A stage's cached warnings can include ones a concurrent stage raised meanwhile
+      run.warnings = [...new Set(run.warnings)];
+
+      run.finish(RUN_STATUS.COMPLETED);
+      this.registerRun(run);
 
       return {
         success: true,
-        analysisId,
+        analysisId: run.id,
         result: finalResult,
-        processingTime: Date.now() - this.startTime,
-        stages: this.stageProgress,
-        warnings: this.warnings
+        processingTime: run.getProcessingTime(),
+        stages: run.stageProgress,
+        warnings: run.warnings
       };
 
     } catch (error) {
       console.error('Analysis pipeline failed:', error);
-      
-      return {
-        success: false,
-        error: error.message,
-        analysisId: this.generateAnalysisId(),
-        processingTime: Date.now() - this.startTime,
-        stages: this.stageProgress,
-        errors: this.errors,
-        warnings: this.warnings,
-        failedStage: this.stages[this.currentStage]
-      };
+      return this.failRun(run, error);
     }
   }
 
+  /**
+   * Run one stage, or take its outputs from the cache
+   * When resuming, stages the resumed stage does not lead to keep the earlier run's keys while
+   * their inputs are unchanged, and the resumed stage and everything after it always run again.
+   * @param {PipelineRun} run - Execution context of the analysis
+   * @param {Object} definition - Registered stage
+   * @param {Object} values - Pipeline inputs and every output produced so far; the stage's
+   *   outputs are added to it
+   */
+  async runStage(run, definition, values, { resume, forced }) {
+    const { name, label } = definition;
+    run.currentStage = name;
+    run.throwIfCancelled();
+
+    const inputs = Object.fromEntries(definition.inputs.map(input => [input, values[input]]));
+    const context = {
+      pipeline: this,
+      run,
+      analysisId: run.id,
+      signal: run.signal,
+      progress: (percent, message) => run.updateProgress(name, percent, message),
+      warn: message => run.warn(message)
+    };
+
+    try {
+      if (definition.enabled && !(await definition.enabled(inputs, context))) {
+        run.updateProgress(name, 100, `${label} skipped`);
+        run.stageProgress[name].skipped = true;
+        return;
+      }
+
+      const [startMessage, doneMessage = `${label} completed`] = typeof definition.messages === 'function'
+        ? definition.messages(inputs, context)
+        : definition.messages;
+      const { previousRun } = resume;
+      const adopted = previousRun?.adoptedStages.includes(name) && !forced.has(name);
+      if (adopted) run.adoptedStages.push(name);
+      const reuse = previousRun && !forced.has(name)
+        && (adopted || this.readsSameInputs(run, definition, previousRun)) && previousRun.keys[name];
+      run.keys[name] = reuse || await this.getStageKey(run, definition, inputs, context);
+
+      const cached = definition.cache && !forced.has(name) && this.cache.get(name, run.keys[name]);
+      if (cached) {
+        run.warnings.push(...cached.warnings);
+        Object.assign(values, cached.output);
+        run.updateProgress(name, 100, `${doneMessage} (cached)`);
+        run.stageProgress[name].cached = true;
+        return;
+      }
+
+      const warningCount = run.warnings.length;
+      if (startMessage) run.updateProgress(name, 0, startMessage);
+      const returned = (await definition.run(inputs, context)) || {};
+      run.throwIfCancelled();
+      const outputs = Object.fromEntries(definition.outputs.map(output => [output, returned[output]]));
+      Object.assign(values, outputs);
+
+      if (definition.cache && Object.values(outputs).every(output => this.isCacheable(output))) {
+        this.cache.set(name, run.keys[name], outputs, run.warnings.slice(warningCount));
+      }
+      run.updateProgress(name, 100, doneMessage);
+
+    } catch (error) {
+      if (!definition.optional || run.cancelled) {
+        error.stage = error.stage || name;
+        throw error;
+      }
+      run.warn(`${label} failed: ${error.message}`);
+      run.updateProgress(name, 100, `${label} failed`);
+      run.stageProgress[name].failed = true;
+    }
+  }
+
+  /**
+   * Whether a stage reads the same pipeline inputs and upstream stage keys as in an earlier
+   * run, so that run's key still identifies its outputs
+   */
+  readsSameInputs(run, definition, previousRun) {
+    return definition.inputs.every(input => {
+      if (PIPELINE_INPUTS.includes(input)) {
+        const [current, previous] = [run.inputs[input], previousRun.inputs[input]];
+        return current === previous || hashContent(current ?? null) === hashContent(previous ?? null);
+      }
+      const producer = this.findProducer(input);
+      return !producer || run.keys[producer] === previousRun.keys[producer];
+    });
+  }
+
+  /**
+   * Cache key of a stage: a hash of the pipeline inputs it reads, the keys of the stages whose
+   * outputs it reads, its version and its own cacheKey, so a changed input invalidates that
+   * stage and everything downstream of it, and nothing else
+   */
+  async getStageKey(run, definition, inputs, context) {
+    const pipelineInputs = {};
+    for (const input of definition.inputs.filter(input => PIPELINE_INPUTS.includes(input))) {
+      pipelineInputs[input] = input === 'files'
+        ? await Promise.all((inputs.files || []).map(async file => ({ name: file.name, hash: await hashFile(file) })))
+        : inputs[input];
+    }
+
+    return hashContent({
+      stage: definition.name,
+      version: definition.version || null,
+      dependsOn: definition.inputs
+        .map(input => this.findProducer(input))
+        .filter(Boolean)
+        .map(producer => run.keys[producer] || null),
+      inputs: pipelineInputs,
+      extra: definition.cacheKey ? await definition.cacheKey(inputs, context) : null
+    });
+  }
+
+  /**
+   * Outputs of stages registered on top of the built-in ones, keyed by output name
+   */
+  collectStageOutputs(values, definitions = this.stageDefinitions) {
+    const builtIn = BUILT_IN_STAGES.map(stage => stage.name);
+    return Object.fromEntries(
+      [...definitions.values()]
+        .filter(definition => !builtIn.includes(definition.name))
+        .flatMap(definition => definition.outputs.map(output => [output, values[output]]))
+    );
+  }
+
+  /**
+   * Fallbacks stand in for a failure that may not repeat; the next run should try again
+   */
+  isCacheable(output) {
+    return output !== undefined && output !== null &&
+      output.success !== false &&
+      !output.processingError &&
+      // Extraction or OCR that failed softly may succeed next time; keep it out of the cache
+      !output.processingWarning &&
+      !(typeof output.extractedText === 'string' && !output.extractedText.trim()) &&
+      !output.packet?.documents?.some(doc => doc.error) &&
+      !output.metadata?.fallback &&
+      !['fallback', 'error-fallback'].includes(output.method);
+  }
+
+  /**
+   * Add a run to the registry, or move it to the end once it finishes. Finished runs beyond
+   * maxRuns are dropped oldest first; running ones stay until they finish.
+   */
+  registerRun(run) {
+    this.runs.delete(run.id);
+    this.runs.set(run.id, run);
+
+    const finished = [...this.runs.values()].filter(entry => !entry.isActive);
+    finished.slice(0, Math.max(0, finished.length - this.maxRuns)).forEach(entry => this.runs.delete(entry.id));
+  }
+
+  /**
+   * Record a run's failure
+   * @returns {Object} Failure result, as from executeAnalysis
+   */
+  failRun(run, error) {
+    const cancelled = run.cancelled || error.code === EXTRACTION_ERROR_CODES.PROCESSING_CANCELLED;
+    // A stage interrupted by the cancellation can fail with an error of its own
+    if (cancelled && error.code !== EXTRACTION_ERROR_CODES.PROCESSING_CANCELLED) {
+      const stage = error.stage;
+      error = new ExtractionError('The analysis was cancelled.', EXTRACTION_ERROR_CODES.PROCESSING_CANCELLED);
+      error.stage = stage;
+    }
+    run.errors.push(error.message);
+    run.finish(cancelled ? RUN_STATUS.CANCELLED : RUN_STATUS.FAILED);
+    // Stop stages still running alongside the one that failed
+    run.controller.abort();
+    this.registerRun(run);
+    return this.createFailureResult(error, run);
+  }
+
+  /**
+   * Status of a running or recently finished analysis
+   * @returns {Object|null} { id, status, currentStage, overallProgress, stages, warnings,
+   *   startedAt, completedAt }
+   */
+  getRun(analysisId) {
+    return this.runs.get(analysisId)?.getStatus() || null;
+  }
+
+  /**
+   * @param {Object} filter - { status: only runs with this RUN_STATUS }
+   */
+  listRuns({ status = null } = {}) {
+    return [...this.runs.values()]
+      .filter(run => !status || run.status === status)
+      .map(run => run.getStatus());
+  }
+
+  /**
+   * Cancel a running analysis; it resolves with a PROCESSING_CANCELLED failure
+   * @returns {boolean} Whether the analysis was running
+   */
+  cancelRun(analysisId) {
+    return this.runs.get(analysisId)?.cancel() || false;
+  }
+
+  /**
+   * @returns {number} Number of analyses cancelled
+   */
+  cancelAll() {
+    return [...this.runs.values()].filter(run => run.cancel()).length;
+  }
+
+  /**
+   * Drop cached outputs of a stage and every stage that depends on it, e.g. after changing the
+   * rules the risk analyzers read
+   */
+  invalidateFrom(stage) {
+    if (!this.stageDefinitions.has(stage)) throw new Error(`Unknown pipeline stage: ${stage}`);
+    this.cache.invalidateStages([...this.getDependentStages(stage)]);
+  }
+
+  getCacheStats() {
+    return {
+      ...this.cache.getStats(),
+      runs: this.runs.size,
+      activeRuns: [...this.runs.values()].filter(run => run.isActive).length
+    };
+  }
+
+  /**
+   * Drop cached stage outputs and finished runs; running analyses are left alone
+   */
+  clearCache() {
+    this.cache.clear();
+    for (const run of [...this.runs.values()]) {
+      if (!run.isActive) this.runs.delete(run.id);
+    }
+  }
+
+  createFailureResult(error, run = null) {
+    return {
+      success: false,
+      error: error.message,
+      errorCode: error.code || null,
+      errorDetails: error.details || null,
+      analysisId: run?.id || generateRunId(),
+      processingTime: run ? run.getProcessingTime() : 0,
+      stages: run?.stageProgress || {},
+      errors: run?.errors || [error.message],
+      warnings: run?.warnings || [],
+      failedStage: error.stage || run?.currentStage || null
+    };
+  }
+
   /**
    * Validate all inputs before processing
+   * @returns {Object} { success, errors, warnings, inputSources: [{ fileName, fileType, structured,
+   *   confidence }] } - ACORD XML and AL3 files are high-confidence structured input; everything
+   *   else is extracted from the document
    */
-  async validateInputs(file, policyData, userProfile) {
+  async validateInputs(files, policyData, userProfile) {
     const errors = [];
     const warnings = [];
+    const inputSources = [];
 
     // File validation
-    if (file) {
-      const fileValidation = validateFileUpload(file);
+    for (const file of files) {
+      const detection = await detectFileType(file);
+      const structured = STRUCTURED_TYPES.includes(detection.type);
+      inputSources.push({
+        fileName: file.name,
+        fileType: detection.type,
+        structured,
+        confidence: structured ? 'high' : 'extracted'
+      });
+
+      const fileValidation = validateFileUpload(file, detection);
+      const prefix = files.length > 1 ? `${file.name}: ` : '';
       if (!fileValidation.isValid) {
-        errors.push(...fileValidation.errors);
+        errors.push(...fileValidation.errors.map(error => prefix + error));
       }
-      warnings.push(...fileValidation.warnings);
+      warnings.push(...fileValidation.warnings.map(warning => prefix + warning));
     }
 
     // Policy data validation (if provided)
@@ -133,21 +659,124 @@ export class AnalysisPipeline {
     }
 
     // Must have either file or policy data
-    if (!file && (!policyData || Object.keys(policyData).length === 0)) {
+    if (files.length === 0 && (!policyData || Object.keys(policyData).length === 0)) {
       errors.push('Either a policy document file or manual policy data must be provided');
     }
 
     return {
       success: errors.length === 0,
       errors,
-      warnings
+      warnings,
+      inputSources
     };
   }
 
+  /**
+   * Key of a document in the passwords option: the file's position in the analyzed files, and
+   * for an email attachment the email's position and the attachment's, e.g. '0' or '1/2'.
+   * Names are not unique: two uploads, or an upload and an attachment, can share one.
+   */
+  getDocumentPath(fileIndex, attachmentIndex = null) {
+    return attachmentIndex === null ? `${fileIndex}` : `${fileIndex}/${attachmentIndex}`;
+  }
+
+  /**
+   * Process every document of a policy packet and merge them into one policy record
+   */
+  async processDocuments(files, options = {}, run = new PipelineRun()) {
+    const { passwords = {} } = options;
+    const { signal } = run;
+    const { entries, emails } = await this.expandEmails(files, run);
+
+    if (entries.length <= 1) {
+      const [entry] = entries;
+      const result = await this.processDocument(entry?.file, {
+        password: passwords?.[entry?.path],
+        documentPath: entry?.path,
+        signal,
+        email: entry?.email,
+        onProgress: progress => run.updateProgress('document_processing', progress.percent, progress.message)
+      }, run);
+      return result.extractedText
+        ? { ...result, documentRole: packetAssembler.identifyRole(result).role, emails }
+        : { ...result, emails };
+    }
+
+    const results = [];
+    for (const [index, { file, email, path }] of entries.entries()) {
+      const prefix = `${file.name} (${index + 1} of ${entries.length})`;
+      run.updateProgress('document_processing', Math.round((index / entries.length) * 100), `Processing ${prefix}...`);
+      results.push(await this.processDocument(file, {
+        password: passwords?.[path],
+        documentPath: path,
+        signal,
+        email,
+        // Each document fills its own share of the stage
+        onProgress: progress => run.updateProgress(
+          'document_processing',
+          Math.round(((index + progress.percent / 100) / entries.length) * 100),
+          `${prefix}: ${progress.message}`
+        )
+      }, run));
+    }
+
+    const packetResult = { ...packetAssembler.assemble(results), emails };
+
+    // The imported policy model of a structured file stays the packet's policy
+    const structuredResult = results.find(result => result.structuredInput);
+    if (structuredResult) {
+      packetResult.policy = structuredResult.policy;
+      packetResult.structuredInput = structuredResult.structuredInput;
+    }
+    run.warnings.push(...packetResult.packet.warnings);
+
+    // Individual failures were already reported; only flag a packet with no readable documents
+    if (!packetResult.extractedText) {
+      packetResult.processingWarning = 'No text could be extracted from any document in the packet';
+    }
+
+    return packetResult;
+  }
+
+  /**
+   * Replace emailed packets (.eml, .msg) by their attachments, each remembering the email it came in
+   * @returns {Promise<Object>} { entries: [{ file, email, path: see getDocumentPath }], emails }
+   */
+  async expandEmails(files, run = new PipelineRun()) {
+    const entries = [];
+    const emails = [];
+
+    for (const [fileIndex, file] of files.entries()) {
+      const { type } = await detectFileType(file);
+      if (!EMAIL_TYPES.includes(type)) {
+        entries.push({ file, email: null, path: this.getDocumentPath(fileIndex) });
+        continue;
+      }
+
+      try {
+        const { email, files: attachments } = await documentProcessor.extractEmail(file, type);
+        emails.push(email);
+        entries.push(...attachments.map((attachment, attachmentIndex) => ({
+          file: attachment,
+          email,
+          path: this.getDocumentPath(fileIndex, attachmentIndex)
+        })));
+        run.warnings.push(...email.skipped.map(skipped => `${file.name}: skipped ${skipped.fileName} (${skipped.reason})`));
+      } catch (error) {
+        console.error('Email extraction failed:', error);
+        run.warnings.push(`${file.name}: ${error.message}`);
+      }
+    }
+
+    return { entries, emails };
+  }
+
   /**
    * Process uploaded document
+   * @param {Object} options - { password, signal, onProgress } passed to the processing worker,
+   *   the document's path (see getDocumentPath) and the email it was attached to, if any
    */
-  async processDocument(file) {
+  async processDocument(file, options = {}, run = new PipelineRun()) {
     if (!file) {
       return {
         success: false,
@@ -155,27 +784,14 @@ export class AnalysisPipeline {
       };
     }
 
+    let result;
     try {
-      const result = await documentProcessor.processDocument(file);
-      
-      if (!result.success) {
-        this.warnings.push(`Document processing warning: ${result.error}`);
-        return {
-          success: true,
-          fileName: file.name,
-          fileSize: file.size,
-          fileType: file.type,
-          extractedText: '',
-          structuredData: {},
-          processingWarning: result.error
-        };
-      }
-
-      return result;
-
+      result = await documentWorkerClient.processDocument(file, options);
     } catch (error) {
+      // A cancelled run stops instead of falling back
+      run.throwIfCancelled();
       console.error('Document processing failed:', error);
-      this.warnings.push(`Document processing failed: ${error.message}`);
+      run.warnings.push(`Document processing failed: ${error.message}`);
       
       // Return minimal structure to allow pipeline to continue
       return {
@@ -188,13 +804,82 @@ export class AnalysisPipeline {
         processingError: error.message
       };
     }
+
+    if (!result.success) {
+      // A locked PDF cannot be analyzed at all; stop so the user can enter its password.
+      // A cancelled run stops here as well.
+      if (PASSWORD_ERROR_CODES.includes(result.errorCode) || result.errorCode === EXTRACTION_ERROR_CODES.PROCESSING_CANCELLED) {
+        throw new ExtractionError(result.error, result.errorCode, {
+          fileName: file.name,
+          documentPath: options.documentPath ?? null,
+          emailSubject: options.email?.subject || null
+        });
+      }
+
+      run.warnings.push(`Document processing warning: ${result.error}`);
+      return {
+        success: true,
+        fileName: file.name,
+        fileSize: file.size,
+        fileType: file.type,
+        extractedText: '',
+        structuredData: {},
+        processingWarning: result.error,
+        processingErrorCode: result.errorCode || null
+      };
+    }
+
+    return documentProcessor.applyEmailSource(result, options.email);
   }
 
   /**
    * Classify policy type
+   * @param {string|Array<string>} override - Policy type(s) the user set; they replace the
+   *   classifier's, which stays in the result's metadata
    */
-  async classifyPolicy(documentResult, policyData) {
+  async classifyPolicy(documentResult, policyData, override = null, run = new PipelineRun()) {
+    if (override) {
+      const text = documentResult.extractedText || '';
+      const structuredData = documentResult.structuredData || {};
+      const classification = await this.classifyPolicy(documentResult, policyData, null, run);
+      return policyClassifier.explainClassification(
+        text,
+        structuredData,
+        policyClassifier.overrideClassification(classification, override, text, structuredData)
+      );
+    }
+
     try {
+      // ACORD data states its line of business; there is nothing to infer
+      const structuredType = documentResult.structuredInput?.policyType;
+      if (structuredType) {
+        const classification = {
+          type: structuredType,
+          confidence: 1,
+          label: POLICY_TYPES[structuredType]?.label || structuredType,
+          category: POLICY_TYPES[structuredType]?.category || null
+        };
+        return policyClassifier.addSubTypes({
+          success: true,
+          primaryType: structuredType,
+          confidence: 1,
+          isConfident: true,
+          labels: [structuredType],
+          isPackage: false,
+          allClassifications: [classification],
+          suggestedTypes: [classification],
+          metadata: {
+            classificationDate: new Date().toISOString(),
+            method: 'structured-input',
+            lineOfBusiness: documentResult.structuredInput.lineOfBusiness
+          }
+        }, documentResult.extractedText || '', {
+          ...documentResult.structuredData,
+          policyForm: documentResult.structuredInput.policyForm,
+          lineOfBusiness: documentResult.structuredInput.lineOfBusiness
+        });
+      }
+
       // Use manual policy data if available, otherwise use extracted text
       const textToClassify = documentResult.extractedText || '';
       const structuredData = {
@@ -204,59 +889,134 @@ export class AnalysisPipeline {
 
       const result = policyClassifier.classifyPolicy(textToClassify, structuredData);
       
-      if (!result.success) {
-        this.warnings.push(`Policy classification warning: ${result.error}`);
-        return {
-          success: true,
-          primaryType: policyData.coverageType || 'auto',
-          confidence: 0.5,
-          isConfident: false,
-          method: 'fallback'
-        };
+      if (result.success) {
+        return policyClassifier.explainClassification(textToClassify, structuredData, result);
       }
 
-      return result;
+      run.warnings.push(`Policy classification warning: ${result.error}`);
+      return {
+        success: true,
+        primaryType: policyData.coverageType || 'auto',
+        confidence: 0.5,
+        isConfident: false,
+        labels: [policyData.coverageType || 'auto'],
+        method: 'fallback'
+      };
 
     } catch (error) {
       console.error('Policy classification failed:', error);
-      this.warnings.push(`Policy classification failed: ${error.message}`);
+      run.warnings.push(`Policy classification failed: ${error.message}`);
       
       return {
         success: true,
         primaryType: policyData.coverageType || 'auto',
         confidence: 0.3,
         isConfident: false,
+        labels: [policyData.coverageType || 'auto'],
         method: 'error-fallback',
         error: error.message
       };
     }
   }
 
+  /**
+   * Record the user's confirmation or correction of an analysis' policy type; the classifier
+   * learns from it before the next document
+   * @param {ComprehensiveAnalysisResult} analysisResult - Result of executeAnalysis
+   * @param {string|Array<string>} actualLabels - Actual policy type, or every type of a package
+   * @returns {Object} Feedback entry
+   */
+  submitClassificationFeedback(analysisResult, actualLabels) {
+    const documentAnalysis = analysisResult.documentAnalysis || {};
+    const classification = analysisResult.classificationAnalysis || {};
+
+    const entry = policyClassifier.recordFeedback(
+      documentAnalysis.extractedText,
+      documentAnalysis.structuredData,
+      classification,
+      actualLabels
+    );
+    classification.setUserValidation?.(entry.actualLabels, entry.correct);
+    return entry;
+  }
+
+  /**
+   * Fill the policy schema with the extraction model and reconcile it with the regex extraction
+   * Regex values win on disagreement; the model only fills fields that were not found
+   */
+  async runAIExtraction(documentResult, classificationResult, run = new PipelineRun()) {
+    try {
+      const extractor = new AIExtractor(this.options.extractionModel);
+      const result = await extractor.extract(
+        documentResult.extractedText,
+        classificationResult.primaryType,
+        documentResult.structuredData || {},
+        { signal: run.signal }
+      );
+
+      const { structuredData, fieldProvenance, ...aiExtraction } = result;
+      if (!result.success) {
+        run.warnings.push(`AI extraction warning: ${result.error}`);
+        return { ...documentResult, aiExtraction };
+      }
+
+      for (const disagreement of result.disagreements) {
+        run.warnings.push(
+          `AI extraction disagrees on ${disagreement.field}: document shows "${disagreement.regexValue}", model read "${disagreement.aiValue}"`
+        );
+      }
+
+      return {
+        ...documentResult,
+        structuredData,
+        fieldProvenance: { ...documentResult.fieldProvenance, ...fieldProvenance },
+        aiExtraction
+      };
+
+    } catch (error) {
+      // A cancelled run stops instead of falling back
+      run.throwIfCancelled();
+      console.error('AI extraction failed:', error);
+      run.warnings.push(`AI extraction failed: ${error.message}`);
+      return documentResult;
+    }
+  }
+
   /**
    * Analyze risks
+   * @param {Array<Object>} relatedPolicies - Liability limits of the user's other policies
    */
-  async analyzeRisks(documentResult, classificationResult, userProfile) {
+  async analyzeRisks(documentResult, classificationResult, userProfile, run = new PipelineRun(), relatedPolicies = null) {
     try {
       // Combine document data with manual input
       const policyData = {
         ...documentResult.structuredData,
+        structuredData: documentResult.structuredData || {},
+        forms: documentResult.forms || [],
+        sections: documentResult.sections || null,
+        policy: documentResult.policy || null,
         extractedText: documentResult.extractedText,
         fileName: documentResult.fileName,
         fileType: documentResult.fileType
       };
 
-      const result = await riskEngine.analyzeRisks(policyData, classificationResult, userProfile);
+      const result = await riskEngine.analyzeRisks(policyData, classificationResult, userProfile || {}, {
+        signal: run.signal,
+        relatedPolicies: relatedPolicies || []
+      });
       
       if (!result.success) {
-        this.warnings.push(`Risk analysis warning: ${result.error}`);
+        run.warnings.push(`Risk analysis warning: ${result.error}`);
         return this.createFallbackRiskAnalysis(classificationResult.primaryType);
       }
 
       return result;
 
     } catch (error) {
+      // A cancelled run stops instead of falling back
+      run.throwIfCancelled();
       console.error('Risk analysis failed:', error);
-      this.warnings.push(`Risk analysis failed: ${error.message}`);
+      run.warnings.push(`Risk analysis failed: ${error.message}`);
       
       return this.createFallbackRiskAnalysis(classificationResult.primaryType);
     }
@@ -265,11 +1025,15 @@ export class AnalysisPipeline {
   /**
    * Generate AI analysis
    */
-  async generateAIAnalysis(documentResult, classificationResult, riskResult, userProfile) {
+  async generateAIAnalysis(documentResult, classificationResult, riskResult, userProfile, run = new PipelineRun()) {
     try {
       // Combine all data for AI analysis
       const policyData = {
         ...documentResult.structuredData,
+        structuredData: documentResult.structuredData || {},
+        forms: documentResult.forms || [],
+        sections: documentResult.sections || null,
+        policy: documentResult.policy || null,
         extractedText: documentResult.extractedText,
         fileName: documentResult.fileName,
         fileType: documentResult.fileType
@@ -279,7 +1043,8 @@ export class AnalysisPipeline {
         policyData,
         classificationResult,
         riskResult,
-        userProfile
+        userProfile,
+        { signal: run.signal }
       );
 
       return {
@@ -288,8 +1053,10 @@ export class AnalysisPipeline {
       };
 
     } catch (error) {
+      // A cancelled run stops instead of falling back
+      run.throwIfCancelled();
       console.error('AI analysis failed:', error);
-      this.warnings.push(`AI analysis failed: ${error.message}`);
+      run.warnings.push(`AI analysis failed: ${error.message}`);
       
       return this.createFallbackAIAnalysis(classificationResult.primaryType, riskResult);
     }
@@ -298,11 +1065,21 @@ export class AnalysisPipeline {
   /**
    * Compile final results
    */
-  async compileResults(analysisId, documentResult, classificationResult, riskResult, aiResult, userProfile) {
+  async compileResults(analysisId, documentResult, classificationResult, riskResult, aiResult, userProfile, run = new PipelineRun()) {
+    const processingErrors = [documentResult.processingWarning, documentResult.processingError].filter(Boolean);
+    const documentAnalysis = new DocumentAnalysisResult({
+      ...documentResult,
+      status: documentResult.success && processingErrors.length === 0 ? 'completed' : 'failed',
+      processingErrors
+    });
+
     const comprehensiveResult = new ComprehensiveAnalysisResult({
       id: analysisId,
-      documentAnalysis: documentResult,
-      classificationAnalysis: classificationResult,
+      documentAnalysis,
+      classificationAnalysis: new PolicyClassificationResult({
+        ...classificationResult,
+        status: classificationResult.success ? 'completed' : 'failed'
+      }),
       riskAnalysis: riskResult,
       aiAnalysis: aiResult,
       analysisDate: new Date().toISOString()
@@ -328,7 +1105,8 @@ export class AnalysisPipeline {
       userProfile: userProfile || {},
       structuredData: documentResult.structuredData || {},
       aiAnalysisFailed: !aiResult.success,
-      documentQuality: documentResult.success ? 'good' : 'poor',
+      documentQuality: documentResult.success ? documentAnalysis.documentQuality : 'poor',
+      structuredInput: Boolean(documentResult.structuredInput),
       analyzersUsed: ['document', 'classification', 'risk', 'ai'].filter(a => 
         (a === 'document' && documentResult.success) ||
         (a === 'classification' && classificationResult.success) ||
@@ -340,6 +1118,7 @@ export class AnalysisPipeline {
     const confidenceScore = calculateConfidenceScore(confidenceData);
     comprehensiveResult.confidence = confidenceScore.score;
     comprehensiveResult.metadata.confidenceFactors = confidenceScore.factors;
+    comprehensiveResult.metadata.inputSources = run.inputSources;
 
     return comprehensiveResult;
   }
@@ -347,37 +1126,6 @@ export class AnalysisPipeline {
   /**
    * Helper methods
    */
-  reset() {
-    this.currentStage = 0;
-    this.stageProgress = {};
-    this.errors = [];
-    this.warnings = [];
-    this.startTime = Date.now();
-  }
-
-  generateAnalysisId() {
-    return Date.now().toString(36) + Math.random().toString(36).substr(2);
-  }
-
-  updateProgress(stage, progress, message, callback) {
-    this.stageProgress[stage] = { progress, message, timestamp: new Date().toISOString() };
-    
-    if (callback) {
-      callback({
-        stage,
-        progress,
-        message,
-        overallProgress: this.calculateOverallProgress()
-      });
-    }
-  }
-
-  calculateOverallProgress() {
-    const completedStages = Object.keys(this.stageProgress).length;
-    const totalStages = this.stages.length;
-    return Math.round((completedStages / totalStages) * 100);
-  }
-
   calculateOverallScore(riskResult, aiResult) {
     let score = 75; // Base score
     
@@ -0,0 +1,214 @@
+import { describe, it, expect, vi } from 'vitest';
+import { AnalysisPipeline } from './analysisPipeline.js';
+import { PipelineRun, RUN_STATUS } from './pipelineRun.js';
+import { ComprehensiveAnalysisResult } from '../models/AnalysisModels.js';
+import documentProcessor from './documentProcessor.js';
+import documentWorkerClient from './documentWorkerClient.js';
+import { EXTRACTION_ERROR_CODES } from './extractors/extractionErrors.js';
+
+describe('AnalysisPipeline.reanalyzeWithPolicyType', () => {
+  it('records no feedback when the re-run fails', async () => {
+    const pipeline = new AnalysisPipeline();
+    const submit = vi.spyOn(pipeline, 'submitClassificationFeedback');
+    const earlier = new PipelineRun({
+      inputs: { files: [], policyData: {}, userProfile: null, passwords: null, classificationOverride: null },
+      stages: [...pipeline.stages]
+    });
+    earlier.finish(RUN_STATUS.COMPLETED);
+    pipeline.registerRun(earlier);
+
+    const result = await pipeline.reanalyzeWithPolicyType({ id: earlier.id }, 'home');
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('Validation failed');
+    expect(submit).not.toHaveBeenCalled();
+  });
+
+  it('records no feedback when the result cannot be re-run', async () => {
+    const pipeline = new AnalysisPipeline();
+    const submit = vi.spyOn(pipeline, 'submitClassificationFeedback');
+
+    const result = await pipeline.reanalyzeWithPolicyType({ id: 'restored' }, 'home');
+    expect(result.success).toBe(false);
+    expect(submit).not.toHaveBeenCalled();
+  });
+});
+
+describe('AnalysisPipeline.startAnalysis', () => {
+  it('keeps only the liability limits of related policies as an input, and no profile when none is given', async () => {
+    const pipeline = new AnalysisPipeline();
+    const related = new ComprehensiveAnalysisResult({
+      classificationAnalysis: { primaryType: 'auto', labels: ['auto'] },
+      documentAnalysis: { structuredData: { liabilityLimits: '100/300/50', policyNumber: 'A-1' }, extractedText: 'AUTO POLICY' }
+    });
+
+    const { analysisId, result } = pipeline.startAnalysis([], {}, undefined, null, { relatedPolicies: [related] });
+    await result;
+    expect(pipeline.runs.get(analysisId).inputs).toMatchObject({
+      userProfile: null,
+      relatedPolicies: [{ policyType: 'auto', liabilityLimits: '100/300/50', propertyDamage: null }]
+    });
+  });
+});
+
+describe('AnalysisPipeline.processDocuments passwords', () => {
+  const pdf = name => new File(['%PDF-1.4\n'], name, { type: 'application/pdf' });
+  const email = new File(['From: agent@example.com\r\nSubject: Renewal\r\n\r\nAttached.'], 'renewal.eml', { type: 'message/rfc822' });
+
+  it('keys passwords by document path, so same-named files and attachments each get their own', async () => {
+    const pipeline = new AnalysisPipeline();
+    vi.spyOn(documentProcessor, 'extractEmail').mockResolvedValue({
+      email: { subject: 'Renewal', skipped: [] },
+      files: [pdf('dec.pdf')]
+    });
+    const processed = vi.spyOn(documentWorkerClient, 'processDocument').mockImplementation(async (file, { password }) => ({
+      success: true, fileName: file.name, extractedText: `DECLARATIONS ${password}`, structuredData: {}
+    }));
+
+    await pipeline.processDocuments([pdf('dec.pdf'), pdf('dec.pdf'), email], { passwords: { 0: 'first', 1: 'second', '2/0': 'emailed' } });
+    expect(processed.mock.calls.map(([, options]) => [options.documentPath, options.password])).toEqual([
+      ['0', 'first'], ['1', 'second'], ['2/0', 'emailed']
+    ]);
+    vi.restoreAllMocks();
+  });
+
+  it('names the path of a locked document in the failure', async () => {
+    const pipeline = new AnalysisPipeline();
+    vi.spyOn(documentWorkerClient, 'processDocument').mockResolvedValue({
+      success: false, error: 'This PDF is password protected', errorCode: EXTRACTION_ERROR_CODES.PDF_PASSWORD_REQUIRED
+    });
+
+    await expect(pipeline.processDocuments([pdf('dec.pdf')])).rejects.toMatchObject({
+      code: EXTRACTION_ERROR_CODES.PDF_PASSWORD_REQUIRED,
+      details: { fileName: 'dec.pdf', documentPath: '0' }
+    });
+    vi.restoreAllMocks();
+  });
+});
+
+describe('AnalysisPipeline.registerStage', () => {
+  const BUILT_IN_ORDER = [
+    'validation', 'document_processing', 'policy_classification', 'ai_extraction',
+    'risk_analysis', 'ai_analysis', 'result_compilation'
+  ];
+  const stage = (name, overrides = {}) => ({ name, outputs: [name], run: () => ({ [name]: true }), ...overrides });
+
+  it('orders the built-in stages', () => {
+    expect(new AnalysisPipeline().stages).toEqual(BUILT_IN_ORDER);
+  });
+
+  it('places a stage after the producers of its inputs and before the stages it names', () => {
+    const pipeline = new AnalysisPipeline();
+    pipeline.registerStage(stage('fraud_check', { inputs: ['riskResult'], before: ['ai_analysis'] }));
+
+    const order = pipeline.stages;
+    expect(order.indexOf('fraud_check')).toBeGreaterThan(order.indexOf('risk_analysis'));
+    expect(order.indexOf('fraud_check')).toBeLessThan(order.indexOf('ai_analysis'));
+    expect(pipeline.getStage('fraud_check')).toMatchObject({ label: 'fraud_check', after: [], optional: false, cache: true });
+    expect(pipeline.findProducer('fraud_check')).toBe('fraud_check');
+  });
+
+  it('keeps independent stages in registration order', () => {
+    const pipeline = new AnalysisPipeline();
+    pipeline.registerStage(stage('carrier_rules', { inputs: ['documentResult'] }));
+    pipeline.registerStage(stage('fraud_check', { inputs: ['documentResult'] }));
+
+    const order = pipeline.stages;
+    expect(order.indexOf('carrier_rules')).toBeLessThan(order.indexOf('fraud_check'));
+    expect(order.filter(name => BUILT_IN_ORDER.includes(name))).toEqual(BUILT_IN_ORDER);
+  });
+
+  it('rejects incomplete definitions', () => {
+    const pipeline = new AnalysisPipeline();
+    expect(() => pipeline.registerStage({ outputs: ['x'], run: () => ({}) })).toThrow();
+    expect(() => pipeline.registerStage({ name: 'x', outputs: ['x'] })).toThrow();
+    expect(() => pipeline.registerStage(stage('x', { inputs: 'policyData' }))).toThrow();
+    expect(() => pipeline.registerStage(stage('x', { outputs: ['policyData'] }))).toThrow();
+    expect(pipeline.stages).toEqual(BUILT_IN_ORDER);
+  });
+
+  it('rejects a taken name or output and inputs nothing produces', () => {
+    const pipeline = new AnalysisPipeline();
+
+    expect(() => pipeline.registerStage(stage('risk_analysis'))).toThrow('Pipeline stage risk_analysis is already registered');
+    expect(() => pipeline.registerStage(stage('second_opinion', { outputs: ['riskResult'] })))
+      .toThrow('Pipeline stage second_opinion: riskResult is already produced by risk_analysis');
+    expect(() => pipeline.registerStage(stage('fraud_check', { inputs: ['claimsHistory'] })))
+      .toThrow('Pipeline stage fraud_check reads claimsHistory, which no registered stage produces');
+  });
+
+  it('rolls back a stage that would close a cycle', () => {
+    const pipeline = new AnalysisPipeline();
+
+    expect(() => pipeline.registerStage(stage('loop', { after: ['result_compilation'], before: ['validation'] })))
+      .toThrow('Pipeline stages depend on each other in a cycle');
+    expect(pipeline.getStage('loop')).toBeFalsy();
+    expect(pipeline.stages).toEqual(BUILT_IN_ORDER);
+  });
+});
+
+describe('AnalysisPipeline.unregisterStage', () => {
+  const stage = (name, overrides = {}) => ({ name, outputs: [name], run: () => ({ [name]: true }), ...overrides });
+
+  it('removes a plugin stage nothing reads', () => {
+    const pipeline = new AnalysisPipeline();
+    pipeline.registerStage(stage('fraud_check', { inputs: ['documentResult'] }));
+
+    expect(pipeline.unregisterStage('fraud_check')).toBe(true);
+    expect(pipeline.stages).not.toContain('fraud_check');
+    expect(pipeline.unregisterStage('fraud_check')).toBe(false);
+  });
+
+  it('keeps the result stage and stages whose outputs are read', () => {
+    const pipeline = new AnalysisPipeline();
+    pipeline.registerStage(stage('fraud_check', { inputs: ['documentResult'] }));
+    pipeline.registerStage(stage('fraud_report', { inputs: ['fraud_check'] }));
+
+    expect(() => pipeline.unregisterStage('result_compilation')).toThrow('compiles the result and cannot be removed');
+    expect(() => pipeline.unregisterStage('fraud_check')).toThrow('Pipeline stage fraud_check cannot be removed: fraud_report reads its outputs');
+    expect(pipeline.stages).toContain('fraud_check');
+  });
+});
+
+describe('AnalysisPipeline.getDependentStages', () => {
+  it('collects a stage and everything downstream of it', () => {
+    const pipeline = new AnalysisPipeline();
+
+    expect([...pipeline.getDependentStages('policy_classification')].sort()).toEqual([
+      'ai_analysis', 'ai_extraction', 'policy_classification', 'result_compilation', 'risk_analysis'
+    ]);
+    expect([...pipeline.getDependentStages('result_compilation')]).toEqual(['result_compilation']);
+  });
+
+  it('includes plugin stages reading a changed output', () => {
+    const pipeline = new AnalysisPipeline();
+    pipeline.registerStage({ name: 'fraud_check', inputs: ['documentResult'], outputs: ['fraudScore'], run: () => ({ fraudScore: 0 }) });
+
+    expect(pipeline.getDependentStages('document_processing')).toContain('fraud_check');
+    expect(pipeline.getDependentStages('policy_classification')).not.toContain('fraud_check');
+  });
+});
+
+describe('AnalysisPipeline.runPipeline scheduling', () => {
+  it('runs a stage once its dependencies finish and independent stages side by side', async () => {
+    const pipeline = new AnalysisPipeline();
+    const stage = name => ({ name, inputs: ['documentResult'], outputs: [name], run: () => ({ [name]: true }) });
+    pipeline.registerStage(stage('carrier_rules'));
+    pipeline.registerStage(stage('fraud_check'));
+
+    const events = [];
+    vi.spyOn(pipeline, 'runStage').mockImplementation(async (run, definition, values) => {
+      events.push(`start ${definition.name}`);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      if (definition.name === 'result_compilation') values.result = { metadata: {} };
+      events.push(`end ${definition.name}`);
+    });
+
+    const response = await pipeline.runPipeline(pipeline.createRun({ files: [] }));
+
+    expect(response.success).toBe(true);
+    expect(events.indexOf('start carrier_rules')).toBeGreaterThan(events.indexOf('end document_processing'));
+    expect(events.indexOf('start fraud_check')).toBeLessThan(events.indexOf('end carrier_rules'));
+    expect(events.indexOf('start result_compilation')).toBeGreaterThan(events.indexOf('end fraud_check'));
+    vi.restoreAllMocks();
+  });
+});
@@ -0,0 +1,260 @@
+/**
+ * Batch Analysis
+ * Analyzes a queue of policies, a few at a time, retrying failures that may not repeat, and
+ * summarizes the results as one portfolio. Each file is its own analysis run on the pipeline.
+ */
+
+import analysisPipeline from './analysisPipeline.js';
+import portfolioAnalyzer from './portfolioAnalyzer.js';
+import { generateRunId } from './pipelineRun.js';
+import { EXTRACTION_ERROR_CODES, PASSWORD_ERROR_CODES } from './extractors/extractionErrors.js';
+
+export const BATCH_ITEM_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+export const BATCH_STATUS = {
+  IDLE: 'idle',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+};
+
+const DEFAULT_CONCURRENCY = 3;
+const DEFAULT_MAX_ATTEMPTS = 2;
+
+// Failures that would fail the same way again; the user has to act first
+const PERMANENT_ERROR_CODES = [...PASSWORD_ERROR_CODES, EXTRACTION_ERROR_CODES.PROCESSING_CANCELLED];
+const PERMANENT_FAILED_STAGES = ['validation'];
+
+export class BatchAnalysis {
+  /**
+   * @param {Array<File|Object>} entries - Policies to analyze: a File, or { file | files, name,
+   *   policyData, passwords: keyed by document path, as for executeAnalysis } for a policy of
+   *   several files or with manual data
+   * @param {Object} options - { pipeline: AnalysisPipeline to run on, userProfile: the
+   *   household's or client's profile, concurrency: analyses run at once, maxAttempts: tries
+   *   per policy, onUpdate(snapshot): called on every status or progress change }
+   */
+  constructor(entries = [], options = {}) {
+    this.id = generateRunId();
+    this.pipeline = options.pipeline || analysisPipeline;
+    this.userProfile = options.userProfile || {};
+    this.concurrency = Math.max(1, options.concurrency || DEFAULT_CONCURRENCY);
+    this.maxAttempts = Math.max(1, options.maxAttempts || DEFAULT_MAX_ATTEMPTS);
+    this.onUpdate = options.onUpdate || null;
+
+    this.status = BATCH_STATUS.IDLE;
+    this.items = [];
+    this.active = new Map(); // item id -> cancel() of its running analysis
+    this.summary = null;
+    this.drained = null;
+
+    this.add(entries);
+  }
+
+  /**
+   * Queue more policies; they start right away when the batch is running
+   * @returns {Array<Object>} Queued items
+   */
+  add(entries) {
+    const added = entries.map(entry => {
+      const files = entry instanceof Blob ? [entry] : (entry.files || [entry.file]).filter(Boolean);
+      return {
+        id: generateRunId(),
+        name: entry.name || files.map(file => file.name).join(', ') || 'Manual policy data',
+        files,
+        policyData: entry.policyData || {},
+        passwords: entry.passwords || null,
+        status: BATCH_ITEM_STATUS.QUEUED,
+        attempts: 0,
+        progress: 0,
+        message: 'Queued',
+        analysisId: null,
+        result: null,
+        error: null,
+        errorCode: null
+      };
+    });
+
+    this.items.push(...added);
+    if (this.status === BATCH_STATUS.RUNNING) {
+      this.pump();
+    } else {
+      this.notify();
+    }
+    return added;
+  }
+
+  /**
+   * Run the queue
+   * @returns {Promise<PortfolioAnalysisResult>} Portfolio summary, once no policy is queued or running
+   */
+  start() {
+    // A retry after cancel() resumes the batch; analyses still settling keep their promise
+    this.status = BATCH_STATUS.RUNNING;
+    if (!this.drained) {
+      this.summary = null;
+      let resolve;
+      const promise = new Promise(done => { resolve = done; });
+      this.drained = { promise, resolve };
+    }
+
+    const { promise } = this.drained;
+    this.pump();
+    return promise;
+  }
+
+  /**
+   * Queue a failed or cancelled policy again with a fresh set of attempts; a finished batch
+   * starts again and compiles a new summary
+   * @returns {Promise<PortfolioAnalysisResult>|null} Summary of the restarted batch, or null
+   *   when the item cannot be retried
+   */
+  retry(itemId) {
+    const item = this.items.find(candidate => candidate.id === itemId);
+    if (!item || ![BATCH_ITEM_STATUS.FAILED, BATCH_ITEM_STATUS.CANCELLED].includes(item.status)) return null;
+
+    Object.assign(item, { status: BATCH_ITEM_STATUS.QUEUED, attempts: 0, progress: 0, message: 'Queued', error: null, errorCode: null });
+    return this.start();
+  }
+
+  /**
+   * Cancel queued policies and the analyses still running; the summary covers what completed
+   */
+  cancel() {
+    if (this.status !== BATCH_STATUS.RUNNING) return;
+    this.status = BATCH_STATUS.CANCELLED;
+
+    for (const item of this.items.filter(candidate => candidate.status === BATCH_ITEM_STATUS.QUEUED)) {
+      Object.assign(item, { status: BATCH_ITEM_STATUS.CANCELLED, message: 'Cancelled' });
+    }
+    this.active.forEach(cancel => cancel());
+    this.pump();
+  }
+
+  /**
+   * Start queued policies while fewer than concurrency are running, and finish the batch
+   * once nothing is left
+   */
+  pump() {
+    if (this.status === BATCH_STATUS.RUNNING) {
+      for (const item of this.items) {
+        if (this.active.size >= this.concurrency) break;
+        if (item.status === BATCH_ITEM_STATUS.QUEUED) this.launch(item);
+      }
+    }
+
+    if (this.active.size === 0 && !this.items.some(item => item.status === BATCH_ITEM_STATUS.QUEUED)) {
+      this.finish();
+    }
+    this.notify();
+  }
+
+  async launch(item) {
+    item.status = BATCH_ITEM_STATUS.RUNNING;
+    item.attempts++;
+    item.progress = 0;
+    item.message = item.attempts > 1 ? `Retrying (attempt ${item.attempts} of ${this.maxAttempts})...` : 'Starting analysis...';
+
+    const { analysisId, cancel, result } = this.pipeline.startAnalysis(
+      item.files,
+      item.policyData,
+      this.userProfile,
+      (progress) => {
+        item.progress = progress.overallProgress;
+        item.message = progress.message;
+        this.notify();
+      },
+      { passwords: item.passwords }
+    );
+    item.analysisId = analysisId;
+    this.active.set(item.id, cancel);
+
+    const outcome = await result;
+    this.active.delete(item.id);
+    this.settle(item, outcome);
+    this.pump();
+  }
+
+  /**
+   * Record an analysis' outcome; a failure that may not repeat goes back to the end of the queue
+   */
+  settle(item, outcome) {
+    if (outcome.success) {
+      Object.assign(item, { status: BATCH_ITEM_STATUS.COMPLETED, progress: 100, message: 'Completed', result: outcome.result, error: null, errorCode: null });
+      return;
+    }
+
+    Object.assign(item, { error: outcome.error, errorCode: outcome.errorCode });
+    if (outcome.errorCode === EXTRACTION_ERROR_CODES.PROCESSING_CANCELLED) {
+      Object.assign(item, { status: BATCH_ITEM_STATUS.CANCELLED, message: 'Cancelled' });
+      return;
+    }
+
+    const retryable = !PERMANENT_ERROR_CODES.includes(outcome.errorCode) && !PERMANENT_FAILED_STAGES.includes(outcome.failedStage);
+    if (retryable && item.attempts < this.maxAttempts && this.status === BATCH_STATUS.RUNNING) {
+      this.items.splice(this.items.indexOf(item), 1);
+      this.items.push(item);
+      Object.assign(item, { status: BATCH_ITEM_STATUS.QUEUED, message: `Failed: ${outcome.error}. Queued to retry` });
+      return;
+    }
+
+    Object.assign(item, { status: BATCH_ITEM_STATUS.FAILED, message: outcome.error });
+  }
+
+  finish() {
+    if (!this.drained) return;
+
+    const completed = this.items.filter(item => item.status === BATCH_ITEM_STATUS.COMPLETED);
+    const unfinished = this.items.filter(item => [BATCH_ITEM_STATUS.FAILED, BATCH_ITEM_STATUS.CANCELLED].includes(item.status));
+    this.summary = portfolioAnalyzer.summarize(
+      completed.map(item => ({ itemId: item.id, name: item.name, result: item.result })),
+      {
+        userProfile: this.userProfile,
+        failures: unfinished.map(item => ({ itemId: item.id, name: item.name, error: item.error || item.message, errorCode: item.errorCode }))
+      }
+    );
+    if (this.status === BATCH_STATUS.RUNNING) this.status = BATCH_STATUS.COMPLETED;
+
+    const { resolve } = this.drained;
+    this.drained = null;
+    resolve(this.summary);
+  }
+
+  /**
+   * Counts of items by status
+   */
+  getCounts() {
+    const counts = Object.fromEntries(Object.values(BATCH_ITEM_STATUS).map(status => [status, 0]));
+    this.items.forEach(item => counts[item.status]++);
+    return counts;
+  }
+
+  /**
+   * Plain copy of the batch state for rendering
+   */
+  getSnapshot() {
+    const finished = this.items.filter(item => ![BATCH_ITEM_STATUS.QUEUED, BATCH_ITEM_STATUS.RUNNING].includes(item.status));
+    return {
+      id: this.id,
+      status: this.status,
+      items: this.items.map(item => ({ ...item })),
+      counts: this.getCounts(),
+      overallProgress: this.items.length > 0
+        ? Math.round(this.items.reduce((sum, item) => sum + (finished.includes(item) ? 100 : item.progress), 0) / this.items.length)
+        : 0,
+      summary: this.summary
+    };
+  }
+
+  notify() {
+    if (this.onUpdate) this.onUpdate(this.getSnapshot());
+  }
+}
+
+export default BatchAnalysis;
@@ -0,0 +1,132 @@
+import { describe, it, expect } from 'vitest';
+import { BatchAnalysis, BATCH_ITEM_STATUS, BATCH_STATUS } from './batchAnalysis.js';
+import { ComprehensiveAnalysisResult } from '../models/AnalysisModels.js';
+import { EXTRACTION_ERROR_CODES } from './extractors/extractionErrors.js';
+
+/**
+ * Stand-in for the analysis pipeline: every analysis waits until the test settles it
+ */
+class FakePipeline {
+  constructor() {
+    this.analyses = [];
+    this.maxRunning = 0;
+  }
+
+  get running() {
+    return this.analyses.filter(analysis => !analysis.settled);
+  }
+
+  startAnalysis(files) {
+    let resolve;
+    const analysis = {
+      fileName: files[0]?.name,
+      settled: false,
+      result: new Promise(done => { resolve = done; }),
+      settle: (outcome) => {
+        analysis.settled = true;
+        resolve(outcome);
+      }
+    };
+    analysis.cancel = () => analysis.settle({ success: false, error: 'Analysis was cancelled', errorCode: EXTRACTION_ERROR_CODES.PROCESSING_CANCELLED });
+
+    this.analyses.push(analysis);
+    this.maxRunning = Math.max(this.maxRunning, this.running.length);
+    return { analysisId: `run-${this.analyses.length}`, cancel: analysis.cancel, result: analysis.result };
+  }
+
+  // Let the batch react to settled analyses
+  async flush() {
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  async completeRunning(primaryType = 'home') {
+    for (const analysis of this.running) {
+      analysis.settle({
+        success: true,
+        result: new ComprehensiveAnalysisResult({
+          overallScore: 80,
+          classificationAnalysis: { primaryType, labels: [primaryType] },
+          documentAnalysis: { structuredData: {} }
+        })
+      });
+    }
+    await this.flush();
+  }
+}
+
+const file = (name) => new File(['policy'], name, { type: 'text/plain' });
+
+describe('BatchAnalysis', () => {
+  it('runs no more analyses at once than its concurrency', async () => {
+    const pipeline = new FakePipeline();
+    const batch = new BatchAnalysis([file('a.txt'), file('b.txt'), file('c.txt')], { pipeline, concurrency: 2 });
+    const done = batch.start();
+
+    expect(pipeline.running).toHaveLength(2);
+    await pipeline.completeRunning();
+    expect(pipeline.running).toHaveLength(1);
+    await pipeline.completeRunning();
+
+    const summary = await done;
+    expect(pipeline.maxRunning).toBe(2);
+    expect(batch.status).toBe(BATCH_STATUS.COMPLETED);
+    expect(summary.getPolicyCount()).toBe(3);
+    expect(summary.policyTypes).toEqual({ home: 3 });
+  });
+
+  it('retries a failure that may not repeat, but not a validation failure', async () => {
+    const pipeline = new FakePipeline();
+    const batch = new BatchAnalysis([file('flaky.txt'), file('invalid.txt')], { pipeline, maxAttempts: 2 });
+    const done = batch.start();
+
+    const [first, second] = pipeline.running;
+    first.settle({ success: false, error: 'timeout', failedStage: 'ai_analysis' });
+    second.settle({ success: false, error: 'Unsupported file', failedStage: 'validation' });
+    await pipeline.flush();
+
+    expect(pipeline.running.map(analysis => analysis.fileName)).toEqual(['flaky.txt']);
+    await pipeline.completeRunning();
+
+    const summary = await done;
+    const byName = name => batch.getSnapshot().items.find(item => item.name === name);
+    expect(byName('flaky.txt')).toMatchObject({ status: BATCH_ITEM_STATUS.COMPLETED, attempts: 2 });
+    expect(byName('invalid.txt')).toMatchObject({ status: BATCH_ITEM_STATUS.FAILED, attempts: 1 });
+    expect(summary.failures).toHaveLength(1);
+  });
+
+  it('resumes a cancelled batch when an item is retried before the cancelled analyses settle', async () => {
+    const pipeline = new FakePipeline();
+    const batch = new BatchAnalysis([file('a.txt'), file('b.txt')], { pipeline, concurrency: 1 });
+    const done = batch.start();
+
+    batch.cancel();
+    const retried = batch.retry(batch.items[1].id);
+    expect(retried).toBe(done);
+    expect(batch.status).toBe(BATCH_STATUS.RUNNING);
+
+    // The retried item starts once the cancelled analysis frees its slot
+    await pipeline.flush();
+    expect(pipeline.running.map(analysis => analysis.fileName)).toEqual(['b.txt']);
+
+    await pipeline.completeRunning();
+    const summary = await retried;
+    expect(summary.getPolicyCount()).toBe(1);
+    expect(summary.failures.map(failure => failure.name)).toEqual(['a.txt']);
+  });
+
+  it('starts a retried item right away while the batch runs', async () => {
+    const pipeline = new FakePipeline();
+    const batch = new BatchAnalysis([file('a.txt'), file('b.txt')], { pipeline, concurrency: 2, maxAttempts: 1 });
+    const done = batch.start();
+
+    pipeline.running[0].settle({ success: false, error: 'timeout', failedStage: 'ai_analysis' });
+    await pipeline.flush();
+    expect(batch.items[0].status).toBe(BATCH_ITEM_STATUS.FAILED);
+
+    batch.retry(batch.items[0].id);
+    expect(pipeline.running.map(analysis => analysis.fileName)).toEqual(['b.txt', 'a.txt']);
+
+    await pipeline.completeRunning();
+    expect((await done).getPolicyCount()).toBe(2);
+  });
+});
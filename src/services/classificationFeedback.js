@@ -0,0 +1,214 @@
+/**
+ * Classification Feedback Service
+ * Keeps user confirmations and corrections of policy classifications in local storage,
+ * turns them into weight adjustments for the policy classifier, and reports classifier
+ * accuracy over time.
+ *
+ * Each entry keeps an excerpt of the classified text, so corrections can also be exported
+ * as a training dataset for scripts/trainClassifier.js.
+ */
+
+const STORAGE_KEY = 'policyai.classificationFeedback.v1';
+
+// Oldest entries are dropped beyond this, keeping local storage use to a few megabytes
+const MAX_ENTRIES = 500;
+const MAX_EXCERPT_LENGTH = 8000;
+
+export class ClassificationFeedback {
+  /**
+   * @param {Storage} storage - Web Storage implementation; defaults to localStorage, or
+   *   memory when it is unavailable
+   */
+  constructor(storage = getDefaultStorage()) {
+    this.storage = storage;
+    this.entries = this.load();
+  }
+
+  /**
+   * Record what a classified document really was
+   * @param {Object} feedback - { text: classified text, classification: classifier result,
+   *   actualLabels: every type the document covers (or actualType for one), source }
+   * @returns {Object} Stored entry
+   */
+  record({ text = '', classification = {}, actualLabels = null, actualType = null, source = 'user' }) {
+    const labels = normalizeLabels(actualLabels || actualType);
+    if (labels.length === 0) {
+      throw new Error('Classification feedback needs the actual policy type');
+    }
+
+    const predictedLabels = normalizeLabels(
+      classification.labels?.length ? classification.labels : classification.primaryType !== 'unknown' ? classification.primaryType : []
+    );
+
+    const entry = {
+      id: Date.now().toString(36) + Math.random().toString(36).substr(2),
+      recordedAt: new Date().toISOString(),
+      source,
+      predictedType: classification.primaryType || 'unknown',
+      predictedLabels,
+      actualType: labels[0],
+      actualLabels: labels,
+      confidence: classification.confidence ?? null,
+      method: classification.metadata?.method || classification.method || null,
+      correct: sameLabels(predictedLabels, labels),
+      excerpt: text.slice(0, MAX_EXCERPT_LENGTH)
+    };
+
+    this.entries = [...this.entries, entry].slice(-MAX_ENTRIES);
+    this.save();
+    return entry;
+  }
+
+  getEntries() {
+    return [...this.entries];
+  }
+
+  /**
+   * Labeled examples for fine-tuning or retraining: { text, labels }
+   */
+  getExamples() {
+    return this.entries
+      .filter(entry => entry.excerpt.trim())
+      .map(entry => ({ text: entry.excerpt, labels: entry.actualLabels }));
+  }
+
+  /**
+   * Corrections in the dataset format read by scripts/trainClassifier.js (JSON Lines)
+   */
+  exportDataset() {
+    return this.entries
+      .filter(entry => entry.excerpt.trim())
+      .map(entry => JSON.stringify({ id: `feedback-${entry.id}`, labels: entry.actualLabels, text: entry.excerpt }))
+      .join('\n');
+  }
+
+  /**
+   * Classifier accuracy over time, by type, and the confusions that keep coming back
+   * @param {Object} options - { period: 'day' | 'week' | 'month' }
+   * @returns {Object} { total, correct, accuracy, periods: [{ period, total, correct, accuracy }],
+   *   byType: { [type]: { total, correct, accuracy } }, confusions: [{ predicted, actual, count,
+   *   firstSeen, lastSeen, recurrences }] }
+   */
+  getAccuracyReport({ period = 'week' } = {}) {
+    const periods = new Map();
+    const byType = {};
+    const confusions = new Map();
+
+    for (const entry of this.entries) {
+      const key = getPeriodKey(entry.recordedAt, period);
+      const bucket = periods.get(key) || { period: key, total: 0, correct: 0 };
+      bucket.total++;
+      if (entry.correct) bucket.correct++;
+      periods.set(key, bucket);
+
+      for (const type of entry.actualLabels) {
+        byType[type] = byType[type] || { total: 0, correct: 0 };
+        byType[type].total++;
+        if (entry.predictedLabels.includes(type)) byType[type].correct++;
+      }
+
+      if (entry.predictedType !== entry.actualType) {
+        const confusionKey = `${entry.predictedType}->${entry.actualType}`;
+        const confusion = confusions.get(confusionKey) || {
+          predicted: entry.predictedType,
+          actual: entry.actualType,
+          count: 0,
+          firstSeen: entry.recordedAt,
+          lastSeen: null
+        };
+        confusion.count++;
+        confusion.lastSeen = entry.recordedAt;
+        confusions.set(confusionKey, confusion);
+      }
+    }
+
+    const correct = this.entries.filter(entry => entry.correct).length;
+
+    return {
+      total: this.entries.length,
+      correct,
+      accuracy: ratio(correct, this.entries.length),
+      periods: [...periods.values()]
+        .sort((a, b) => a.period.localeCompare(b.period))
+        .map(bucket => ({ ...bucket, accuracy: ratio(bucket.correct, bucket.total) })),
+      byType: Object.fromEntries(Object.entries(byType).map(([type, counts]) => [type, { ...counts, accuracy: ratio(counts.correct, counts.total) }])),
+      // Every occurrence after the first happened although the correction was already known
+      confusions: [...confusions.values()]
+        .map(confusion => ({ ...confusion, recurrences: confusion.count - 1 }))
+        .sort((a, b) => b.count - a.count)
+    };
+  }
+
+  clear() {
+    this.entries = [];
+    this.save();
+  }
+
+  load() {
+    try {
+      const stored = JSON.parse(this.storage.getItem(STORAGE_KEY) || '[]');
+      return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+      console.error('Classification feedback could not be loaded:', error);
+      return [];
+    }
+  }
+
+  save() {
+    try {
+      this.storage.setItem(STORAGE_KEY, JSON.stringify(this.entries));
+    } catch (error) {
+      // Storage full or blocked: keep the feedback for this session
+      console.error('Classification feedback could not be saved:', error);
+    }
+  }
+}
+
+function getDefaultStorage() {
+  try {
+    if (typeof localStorage !== 'undefined') return localStorage;
+  } catch (error) {
+    // Access to localStorage throws when storage is disabled
+  }
+  return createMemoryStorage();
+}
+
+function createMemoryStorage() {
+  const values = new Map();
+  return {
+    getItem: key => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: key => values.delete(key)
+  };
+}
+
+function normalizeLabels(labels) {
+  return [...new Set((Array.isArray(labels) ? labels : [labels]).filter(Boolean))];
+}
+
+function sameLabels(a, b) {
+  return a.length === b.length && a.every(label => b.includes(label));
+}
+
+function ratio(part, total) {
+  return total > 0 ? Math.round((part / total) * 1000) / 1000 : null;
+}
+
+/**
+ * Day (2025-03-14), ISO week starting Monday (2025-W11) or month (2025-03) of a timestamp
+ */
+function getPeriodKey(timestamp, period) {
+  const date = new Date(timestamp);
+  const day = date.toISOString().slice(0, 10);
+
+  if (period === 'day') return day;
+  if (period === 'month') return day.slice(0, 7);
+
+  const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  thursday.setUTCDate(thursday.getUTCDate() + 3 - ((thursday.getUTCDay() + 6) % 7));
+  const firstThursday = new Date(Date.UTC(thursday.getUTCFullYear(), 0, 4));
+  const week = 1 + Math.round(((thursday - firstThursday) / 86400000 - 3 + ((firstThursday.getUTCDay() + 6) % 7)) / 7);
+  return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+export default new ClassificationFeedback();
@@ -0,0 +1,103 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { ClassificationFeedback } from './classificationFeedback.js';
+
+const memoryStorage = () => {
+  const values = new Map();
+  return {
+    getItem: key => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, String(value))
+  };
+};
+
+const predicted = (primaryType, labels = [primaryType]) => ({ primaryType, labels, confidence: 0.7, metadata: { method: 'logistic-regression' } });
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+});
+
+describe('ClassificationFeedback.record', () => {
+  it('grades the prediction against the actual labels', () => {
+    const feedback = new ClassificationFeedback(memoryStorage());
+
+    const right = feedback.record({ text: 'auto policy', classification: predicted('auto'), actualLabels: 'auto' });
+    const wrong = feedback.record({ text: 'package', classification: predicted('home'), actualLabels: ['home', 'auto'] });
+
+    expect(right).toMatchObject({ correct: true, predictedLabels: ['auto'], actualType: 'auto', method: 'logistic-regression' });
+    expect(wrong).toMatchObject({ correct: false, predictedType: 'home', actualLabels: ['home', 'auto'] });
+  });
+
+  it('counts an unknown prediction as no labels', () => {
+    const feedback = new ClassificationFeedback(memoryStorage());
+    const entry = feedback.record({ classification: { primaryType: 'unknown', labels: [] }, actualType: 'life' });
+
+    expect(entry).toMatchObject({ predictedLabels: [], correct: false });
+  });
+
+  it('needs the actual policy type', () => {
+    const feedback = new ClassificationFeedback(memoryStorage());
+    expect(() => feedback.record({ classification: predicted('auto') })).toThrow('needs the actual policy type');
+  });
+
+  it('keeps entries across instances sharing a storage', () => {
+    const storage = memoryStorage();
+    new ClassificationFeedback(storage).record({ text: 'umbrella', classification: predicted('auto'), actualType: 'umbrella' });
+
+    expect(new ClassificationFeedback(storage).getEntries()).toHaveLength(1);
+  });
+
+  it('starts empty from unreadable storage and keeps feedback when saving fails', () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const storage = { getItem: () => '{not json', setItem: () => { throw new Error('QuotaExceededError'); } };
+    const feedback = new ClassificationFeedback(storage);
+
+    expect(feedback.getEntries()).toEqual([]);
+    feedback.record({ text: 'auto', classification: predicted('auto'), actualType: 'auto' });
+    expect(feedback.getEntries()).toHaveLength(1);
+  });
+});
+
+describe('ClassificationFeedback examples', () => {
+  it('turns entries with text into training examples and dataset lines', () => {
+    const feedback = new ClassificationFeedback(memoryStorage());
+    feedback.record({ text: 'umbrella declarations', classification: predicted('auto'), actualType: 'umbrella' });
+    feedback.record({ text: '   ', classification: predicted('auto'), actualType: 'auto' });
+
+    expect(feedback.getExamples()).toEqual([{ text: 'umbrella declarations', labels: ['umbrella'] }]);
+    const [line] = feedback.exportDataset().split('\n');
+    expect(JSON.parse(line)).toMatchObject({ labels: ['umbrella'], text: 'umbrella declarations' });
+  });
+});
+
+describe('ClassificationFeedback.getAccuracyReport', () => {
+  it('reports accuracy by period and type and the confusions that recur', () => {
+    vi.useFakeTimers();
+    const feedback = new ClassificationFeedback(memoryStorage());
+    const record = (date, classification, actualType) => {
+      vi.setSystemTime(new Date(date));
+      feedback.record({ text: actualType, classification, actualType });
+    };
+
+    record('2025-03-03T12:00:00Z', predicted('auto'), 'umbrella');
+    record('2025-03-05T12:00:00Z', predicted('auto'), 'auto');
+    record('2025-03-12T12:00:00Z', predicted('auto'), 'umbrella');
+    record('2025-03-13T12:00:00Z', predicted('home'), 'home');
+
+    const report = feedback.getAccuracyReport();
+    expect(report).toMatchObject({ total: 4, correct: 2, accuracy: 0.5 });
+    expect(report.periods).toEqual([
+      { period: '2025-W10', total: 2, correct: 1, accuracy: 0.5 },
+      { period: '2025-W11', total: 2, correct: 1, accuracy: 0.5 }
+    ]);
+    expect(report.byType.umbrella).toEqual({ total: 2, correct: 0, accuracy: 0 });
+    expect(report.confusions).toEqual([expect.objectContaining({
+      predicted: 'auto', actual: 'umbrella', count: 2, recurrences: 1, firstSeen: '2025-03-03T12:00:00.000Z', lastSeen: '2025-03-12T12:00:00.000Z'
+    })]);
+
+    expect(feedback.getAccuracyReport({ period: 'month' }).periods).toEqual([{ period: '2025-03', total: 4, correct: 2, accuracy: 0.5 }]);
+  });
+
+  it('has no accuracy without feedback', () => {
+    expect(new ClassificationFeedback(memoryStorage()).getAccuracyReport()).toMatchObject({ total: 0, accuracy: null, periods: [] });
+  });
+});
@@ -0,0 +1,428 @@
+/**
+ * Multi-Label Classifier
+ * One-vs-rest logistic regression over word n-grams. Each label gets its own weights and
+ * Platt calibration fitted on cross-validated scores, so a probability of 0.8 means the
+ * label was right about 80% of the time on held-out training documents, and a bundled
+ * home and auto policy can score high on both labels at once.
+ *
+ * Models are plain JSON (see src/data/classifierModel.js) produced by
+ * scripts/trainClassifier.js from labeled examples: [{ text, labels: ['home', 'auto'] }]
+ */
+
+import { DEFAULT_NGRAM_RANGE, countNgrams, vectorize } from '../../utils/textFeatures.js';
+
+export const MODEL_FORMAT = 'policy-classifier/1';
+
+const DEFAULT_TRAINING_OPTIONS = {
+  ngramRange: DEFAULT_NGRAM_RANGE,
+  minDocumentFrequency: 2,
+  maxFeatures: 2000,
+  epochs: 400,
+  learningRate: 0.5,
+  l2: 0.001,
+  folds: 5,
+  seed: 42,
+  defaultThreshold: 0.5
+};
+
+// Candidate decision thresholds, chosen per label for the best held-out F1
+const THRESHOLD_CANDIDATES = [0.3, 0.35, 0.4, 0.45, 0.5, 0.55, 0.6, 0.65, 0.7];
+
+export class MultiLabelClassifier {
+  /**
+   * @param {Object} model - Trained model: { format, labels, ngramRange, vocabulary, weights,
+   *   bias, calibration, thresholds, metrics, training }
+   */
+  constructor(model) {
+    if (model?.format !== MODEL_FORMAT) {
+      throw new Error(`Unsupported classifier model format: ${model?.format || 'none'}`);
+    }
+
+    this.model = model;
+    this.labels = model.labels;
+    this.ngramRange = model.ngramRange || DEFAULT_NGRAM_RANGE;
+    this.vocabulary = new Map(model.vocabulary.map((gram, index) => [gram, index]));
+  }
+
+  /**
+   * Probability of every label for a text
+   * @returns {Object} { [label]: probability }
+   */
+  predict(text) {
+    const vector = vectorize(text, this.vocabulary, this.ngramRange);
+
+    return Object.fromEntries(this.labels.map(label => {
+      const score = linearScore(vector, this.model.weights[label], this.model.bias[label]);
+      const { a, b } = this.model.calibration[label];
+      return [label, sigmoid(a * score + b)];
+    }));
+  }
+
+  /**
+   * Number of known n-grams in a text; too few and the prediction is mostly the prior
+   */
+  countKnownFeatures(text) {
+    return vectorize(text, this.vocabulary, this.ngramRange).length;
+  }
+
+  /**
+   * N-grams of a text that pushed a label's score up the most, or down the most
+   * @param {Object} options - { negative: list the terms that count against the label }
+   * @returns {Array} [{ term, contribution }]; contributions are negative for negative terms
+   */
+  explain(text, label, count = 5, { negative = false } = {}) {
+    const weights = this.model.weights[label];
+    if (!weights) return [];
+
+    const direction = negative ? -1 : 1;
+    return vectorize(text, this.vocabulary, this.ngramRange)
+      .map(([index, value]) => ({ term: this.model.vocabulary[index], contribution: weights[index] * value }))
+      // Collapsed amounts and bare numbers say little to a reader
+      .filter(term => term.contribution * direction > 0 && term.term.replace(/<num>|\d/g, '').trim())
+      .sort((a, b) => (b.contribution - a.contribution) * direction)
+      .slice(0, count);
+  }
+
+  /**
+   * Online logistic updates from a few more labeled examples, such as user corrections,
+   * without retraining; the base weights are left untouched
+   * @param {Array} examples - [{ text, labels: [...] }]
+   * @param {Object} options - { passes, learningRate }
+   * @returns {Object} Adjustments for withAdjustments(): { weights: { [label]: { [term]: delta } },
+   *   bias: { [label]: delta }, examples }
+   */
+  fineTune(examples, { passes = 5, learningRate = 0.5 } = {}) {
+    const vectors = examples.map(example => vectorize(example.text, this.vocabulary, this.ngramRange));
+    const weightDeltas = Object.fromEntries(this.labels.map(label => [label, new Map()]));
+    const biasDeltas = Object.fromEntries(this.labels.map(label => [label, 0]));
+
+    for (let pass = 0; pass < passes; pass++) {
+      vectors.forEach((vector, index) => {
+        for (const label of this.labels) {
+          const weights = this.model.weights[label];
+          const deltas = weightDeltas[label];
+          const { a, b } = this.model.calibration[label];
+
+          let score = this.model.bias[label] + biasDeltas[label];
+          for (const [feature, value] of vector) score += (weights[feature] + (deltas.get(feature) || 0)) * value;
+
+          // Gradient of the log loss of the calibrated probability
+          const target = examples[index].labels.includes(label) ? 1 : 0;
+          const gradient = (sigmoid(a * score + b) - target) * a;
+          if (Math.abs(gradient) < 1e-6) continue;
+
+          for (const [feature, value] of vector) deltas.set(feature, (deltas.get(feature) || 0) - learningRate * gradient * value);
+          biasDeltas[label] -= learningRate * gradient;
+        }
+      });
+    }
+
+    return {
+      weights: Object.fromEntries(this.labels.map(label => [
+        label,
+        Object.fromEntries([...weightDeltas[label]].map(([feature, delta]) => [this.model.vocabulary[feature], round(delta)]))
+      ])),
+      bias: Object.fromEntries(this.labels.map(label => [label, round(biasDeltas[label])])),
+      examples: examples.length
+    };
+  }
+
+  /**
+   * Copy of this classifier with adjustments added to its weights; terms the vocabulary
+   * does not know are ignored
+   */
+  withAdjustments(adjustments) {
+    const weights = { ...this.model.weights };
+    const bias = { ...this.model.bias };
+
+    for (const label of this.labels) {
+      const termDeltas = Object.entries(adjustments?.weights?.[label] || {});
+      if (termDeltas.length > 0) {
+        weights[label] = [...weights[label]];
+        for (const [term, delta] of termDeltas) {
+          const index = this.vocabulary.get(term);
+          if (index !== undefined) weights[label][index] += delta;
+        }
+      }
+      bias[label] += adjustments?.bias?.[label] || 0;
+    }
+
+    return new MultiLabelClassifier({ ...this.model, weights, bias, adjustedExamples: adjustments?.examples || 0 });
+  }
+
+  getThreshold(label) {
+    return this.model.thresholds?.[label] ?? DEFAULT_TRAINING_OPTIONS.defaultThreshold;
+  }
+
+  toJSON() {
+    return this.model;
+  }
+
+  /**
+   * Train a model from labeled examples
+   * @param {Array} examples - [{ text, labels: [...] }]
+   * @param {Object} options - { labels: label set (default: every label seen), ngramRange,
+   *   minDocumentFrequency, maxFeatures, epochs, learningRate, l2, folds, seed }
+   * @returns {MultiLabelClassifier} Trained classifier; `model.metrics` holds the
+   *   cross-validated precision, recall, F1 and Brier score of every label
+   */
+  static train(examples, options = {}) {
+    const settings = { ...DEFAULT_TRAINING_OPTIONS, ...options };
+    const labels = settings.labels || [...new Set(examples.flatMap(example => example.labels))].sort();
+    if (examples.length < settings.folds * 2) {
+      throw new Error(`At least ${settings.folds * 2} labeled examples are needed to train with ${settings.folds} folds`);
+    }
+
+    // Held-out scores of every example, from folds that did not train on it, calibrate the final model
+    const folds = assignFolds(examples.length, settings.folds, settings.seed);
+    const heldOutScores = examples.map(() => ({}));
+
+    for (let fold = 0; fold < settings.folds; fold++) {
+      const trainIndexes = folds.flatMap((assigned, index) => (assigned === fold ? [] : [index]));
+      const testIndexes = folds.flatMap((assigned, index) => (assigned === fold ? [index] : []));
+      const fitted = fitLabels(trainIndexes.map(index => examples[index]), labels, settings);
+
+      for (const index of testIndexes) {
+        const vector = vectorize(examples[index].text, fitted.vocabularyIndex, settings.ngramRange);
+        for (const label of labels) {
+          heldOutScores[index][label] = linearScore(vector, fitted.weights[label], fitted.bias[label]);
+        }
+      }
+    }
+
+    const fitted = fitLabels(examples, labels, settings);
+    const calibration = {};
+    const thresholds = {};
+    const metrics = {};
+
+    for (const label of labels) {
+      const targets = examples.map(example => (example.labels.includes(label) ? 1 : 0));
+      const scores = heldOutScores.map(scoresByLabel => scoresByLabel[label]);
+      calibration[label] = fitPlatt(scores, targets);
+
+      const probabilities = scores.map(score => sigmoid(calibration[label].a * score + calibration[label].b));
+      thresholds[label] = chooseThreshold(probabilities, targets, settings.defaultThreshold);
+      metrics[label] = evaluate(probabilities, targets, thresholds[label]);
+    }
+
+    return new MultiLabelClassifier({
+      format: MODEL_FORMAT,
+      trainedAt: new Date().toISOString(),
+      labels,
+      ngramRange: settings.ngramRange,
+      vocabulary: fitted.vocabulary,
+      weights: Object.fromEntries(labels.map(label => [label, fitted.weights[label].map(weight => round(weight))])),
+      bias: Object.fromEntries(labels.map(label => [label, round(fitted.bias[label])])),
+      calibration: Object.fromEntries(labels.map(label => [label, { a: round(calibration[label].a), b: round(calibration[label].b) }])),
+      thresholds,
+      metrics,
+      training: {
+        examples: examples.length,
+        folds: settings.folds,
+        epochs: settings.epochs,
+        l2: settings.l2,
+        features: fitted.vocabulary.length
+      }
+    });
+  }
+}
+
+/**
+ * Vocabulary and per-label weights for a set of examples
+ */
+function fitLabels(examples, labels, settings) {
+  const vocabulary = buildVocabulary(examples, settings);
+  const vocabularyIndex = new Map(vocabulary.map((gram, index) => [gram, index]));
+  const vectors = examples.map(example => vectorize(example.text, vocabularyIndex, settings.ngramRange));
+  const weights = {};
+  const bias = {};
+
+  for (const label of labels) {
+    const targets = examples.map(example => (example.labels.includes(label) ? 1 : 0));
+    ({ weights: weights[label], bias: bias[label] } = fitLogistic(vectors, targets, vocabulary.length, settings));
+  }
+
+  return { vocabulary, vocabularyIndex, weights, bias };
+}
+
+/**
+ * N-grams found in at least `minDocumentFrequency` examples, most widespread first
+ */
+function buildVocabulary(examples, { ngramRange, minDocumentFrequency, maxFeatures }) {
+  const documentFrequency = new Map();
+
+  for (const example of examples) {
+    for (const gram of countNgrams(example.text, ngramRange).keys()) {
+      documentFrequency.set(gram, (documentFrequency.get(gram) || 0) + 1);
+    }
+  }
+
+  return [...documentFrequency]
+    .filter(([, frequency]) => frequency >= minDocumentFrequency)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, maxFeatures)
+    .map(([gram]) => gram);
+}
+
+/**
+ * Batch gradient descent on L2-regularized log loss; positives and negatives are weighted
+ * so a label seen in few examples is not simply predicted absent
+ */
+function fitLogistic(vectors, targets, featureCount, { epochs, learningRate, l2 }) {
+  const weights = new Array(featureCount).fill(0);
+  let bias = 0;
+
+  const positives = targets.filter(Boolean).length;
+  const negatives = targets.length - positives;
+  const classWeight = [
+    negatives > 0 ? targets.length / (2 * negatives) : 1,
+    positives > 0 ? targets.length / (2 * positives) : 1
+  ];
+
+  for (let epoch = 0; epoch < epochs; epoch++) {
+    const gradient = new Array(featureCount).fill(0);
+    let biasGradient = 0;
+
+    vectors.forEach((vector, index) => {
+      const error = (sigmoid(linearScore(vector, weights, bias)) - targets[index]) * classWeight[targets[index]];
+      for (const [feature, value] of vector) gradient[feature] += error * value;
+      biasGradient += error;
+    });
+
+    for (let feature = 0; feature < featureCount; feature++) {
+      weights[feature] -= learningRate * (gradient[feature] / vectors.length + l2 * weights[feature]);
+    }
+    bias -= learningRate * (biasGradient / vectors.length);
+  }
+
+  return { weights, bias };
+}
+
+/**
+ * Platt scaling: fit p = sigmoid(a * score + b) to held-out scores with Newton's method,
+ * using Platt's smoothed targets so a perfectly separated label does not become 0 or 1
+ */
+function fitPlatt(scores, targets) {
+  const positives = targets.filter(Boolean).length;
+  const negatives = targets.length - positives;
+  const high = (positives + 1) / (positives + 2);
+  const low = 1 / (negatives + 2);
+  const smoothed = targets.map(target => (target ? high : low));
+
+  let a = 1;
+  let b = 0;
+
+  for (let iteration = 0; iteration < 100; iteration++) {
+    let gradA = 0;
+    let gradB = 0;
+    let hAA = 1e-6;
+    let hAB = 0;
+    let hBB = 1e-6;
+
+    scores.forEach((score, index) => {
+      const p = sigmoid(a * score + b);
+      const error = p - smoothed[index];
+      const variance = p * (1 - p);
+      gradA += error * score;
+      gradB += error;
+      hAA += variance * score * score;
+      hAB += variance * score;
+      hBB += variance;
+    });
+
+    const determinant = hAA * hBB - hAB * hAB;
+    if (Math.abs(determinant) < 1e-12) break;
+
+    const stepA = (hBB * gradA - hAB * gradB) / determinant;
+    const stepB = (hAA * gradB - hAB * gradA) / determinant;
+    a -= stepA;
+    b -= stepB;
+
+    if (Math.abs(stepA) < 1e-8 && Math.abs(stepB) < 1e-8) break;
+  }
+
+  return { a, b };
+}
+
+function chooseThreshold(probabilities, targets, fallback) {
+  if (!targets.some(Boolean)) return fallback;
+
+  let best = { threshold: fallback, f1: evaluate(probabilities, targets, fallback).f1 };
+  for (const threshold of THRESHOLD_CANDIDATES) {
+    const { f1 } = evaluate(probabilities, targets, threshold);
+    if (f1 > best.f1) best = { threshold, f1 };
+  }
+
+  return best.threshold;
+}
+
+function evaluate(probabilities, targets, threshold) {
+  let truePositives = 0;
+  let falsePositives = 0;
+  let falseNegatives = 0;
+  let brier = 0;
+
+  probabilities.forEach((probability, index) => {
+    const predicted = probability >= threshold;
+    if (predicted && targets[index]) truePositives++;
+    if (predicted && !targets[index]) falsePositives++;
+    if (!predicted && targets[index]) falseNegatives++;
+    brier += (probability - targets[index]) ** 2;
+  });
+
+  const precision = truePositives + falsePositives > 0 ? truePositives / (truePositives + falsePositives) : 0;
+  const recall = truePositives + falseNegatives > 0 ? truePositives / (truePositives + falseNegatives) : 0;
+
+  return {
+    positives: truePositives + falseNegatives,
+    precision: round(precision, 3),
+    recall: round(recall, 3),
+    f1: round(precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0, 3),
+    brier: round(brier / probabilities.length, 4)
+  };
+}
+
+/**
+ * Fold of every example after a seeded shuffle, so retraining on the same data gives the same model
+ */
+function assignFolds(count, folds, seed) {
+  const random = mulberry32(seed);
+  const order = Array.from({ length: count }, (_, index) => index);
+
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+
+  const assignment = new Array(count);
+  order.forEach((index, position) => { assignment[index] = position % folds; });
+  return assignment;
+}
+
+function mulberry32(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function linearScore(vector, weights, bias) {
+  let score = bias;
+  for (const [feature, value] of vector) score += weights[feature] * value;
+  return score;
+}
+
+function sigmoid(value) {
+  return 1 / (1 + Math.exp(-value));
+}
+
+function round(value, digits = 4) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+export default MultiLabelClassifier;
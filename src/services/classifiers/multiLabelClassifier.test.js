@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import { MultiLabelClassifier, MODEL_FORMAT } from './multiLabelClassifier.js';
+
+const AUTO_TERMS = ['vehicle collision', 'comprehensive deductible', 'bodily injury', 'listed driver', 'garaging address', 'uninsured motorist'];
+const HOME_TERMS = ['dwelling coverage', 'other structures', 'personal property', 'roof surfacing', 'wind hail', 'loss of use'];
+
+// Each example uses four of the six terms of its line, so every term is seen in several documents
+const pick = (terms, offset) => [0, 1, 2, 3].map(step => terms[(offset + step) % terms.length]).join(' ');
+const EXAMPLES = [
+  ...[0, 1, 2, 3, 4, 5].map(offset => ({ text: `auto declarations ${pick(AUTO_TERMS, offset)}`, labels: ['auto'] })),
+  ...[0, 1, 2, 3, 4, 5].map(offset => ({ text: `homeowners declarations ${pick(HOME_TERMS, offset)}`, labels: ['home'] })),
+  ...[0, 3].map(offset => ({ text: `package declarations ${pick(AUTO_TERMS, offset)} ${pick(HOME_TERMS, offset + 1)}`, labels: ['auto', 'home'] }))
+];
+
+const OPTIONS = { epochs: 150, folds: 3 };
+const classifier = MultiLabelClassifier.train(EXAMPLES, OPTIONS);
+
+describe('MultiLabelClassifier.train', () => {
+  it('learns a label per line of business', () => {
+    const auto = classifier.predict('auto declarations bodily injury listed driver vehicle collision');
+    const home = classifier.predict('homeowners declarations dwelling coverage wind hail loss of use');
+
+    expect(classifier.labels).toEqual(['auto', 'home']);
+    expect(auto.auto).toBeGreaterThan(classifier.getThreshold('auto'));
+    expect(auto.home).toBeLessThan(classifier.getThreshold('home'));
+    expect(home.home).toBeGreaterThan(classifier.getThreshold('home'));
+    expect(home.auto).toBeLessThan(classifier.getThreshold('auto'));
+  });
+
+  it('records cross-validated metrics and the training settings', () => {
+    const { metrics, training } = classifier.toJSON();
+
+    expect(metrics.auto).toMatchObject({ positives: 8, recall: 1 });
+    expect(metrics.home.f1).toBeGreaterThan(0.9);
+    expect(training).toMatchObject({ examples: 14, folds: 3, epochs: 150 });
+  });
+
+  it('gives the same model for the same examples', () => {
+    const again = MultiLabelClassifier.train(EXAMPLES, OPTIONS).toJSON();
+    expect({ ...again, trainedAt: null }).toEqual({ ...classifier.toJSON(), trainedAt: null });
+  });
+
+  it('needs two examples per fold', () => {
+    expect(() => MultiLabelClassifier.train(EXAMPLES.slice(0, 5), OPTIONS)).toThrow('At least 6 labeled examples');
+  });
+});
+
+describe('MultiLabelClassifier', () => {
+  it('rejects models of another format', () => {
+    expect(() => new MultiLabelClassifier({ format: 'other' })).toThrow('Unsupported classifier model format: other');
+    expect(new MultiLabelClassifier(classifier.toJSON()).model.format).toBe(MODEL_FORMAT);
+  });
+
+  it('scores a package policy high on both labels', () => {
+    const probabilities = classifier.predict('package declarations vehicle collision listed driver dwelling coverage wind hail');
+    expect(probabilities.auto).toBeGreaterThan(classifier.getThreshold('auto'));
+    expect(probabilities.home).toBeGreaterThan(classifier.getThreshold('home'));
+  });
+
+  it('counts only the n-grams the model knows', () => {
+    expect(classifier.countKnownFeatures('an entirely unrelated sentence')).toBe(0);
+    expect(classifier.countKnownFeatures('bodily injury')).toBe(3);
+  });
+
+  it('explains a prediction by the terms for and against the label', () => {
+    const text = 'auto declarations bodily injury listed driver wind hail';
+    const reasons = classifier.explain(text, 'auto', 3);
+    const against = classifier.explain(text, 'auto', 3, { negative: true });
+
+    expect(reasons).toHaveLength(3);
+    expect(reasons.every(reason => reason.contribution > 0)).toBe(true);
+    expect(against.map(reason => reason.term)).toEqual(expect.arrayContaining(['wind hail']));
+    expect(against.every(reason => reason.contribution < 0)).toBe(true);
+    expect(classifier.explain(text, 'life')).toEqual([]);
+  });
+});
+
+describe('MultiLabelClassifier.fineTune', () => {
+  const correction = { text: 'auto declarations wind hail roof surfacing', labels: ['home'] };
+
+  it('moves predictions toward corrected labels without changing the base model', () => {
+    const before = classifier.predict(correction.text);
+    const baseWeights = JSON.stringify(classifier.toJSON().weights);
+
+    const adjustments = classifier.fineTune([correction]);
+    const tuned = classifier.withAdjustments(adjustments);
+    const after = tuned.predict(correction.text);
+
+    expect(adjustments.examples).toBe(1);
+    expect(after.home).toBeGreaterThan(before.home);
+    expect(after.auto).toBeLessThan(before.auto);
+    expect(JSON.stringify(classifier.toJSON().weights)).toBe(baseWeights);
+    expect(tuned.toJSON().adjustedExamples).toBe(1);
+  });
+
+  it('ignores adjustments to terms the vocabulary does not know', () => {
+    const tuned = classifier.withAdjustments({ weights: { auto: { 'flood zone': 5 } }, bias: {} });
+    expect(tuned.predict(correction.text)).toEqual(classifier.predict(correction.text));
+  });
+});
@@ -3,52 +3,131 @@
  * Handles extraction and preprocessing of policy documents
  */
 
+import PdfExtractor from './extractors/pdfExtractor.js';
+import DocxExtractor from './extractors/docxExtractor.js';
+import OcrExtractor from './extractors/ocrExtractor.js';
+import DeclarationsTableExtractor from './extractors/declarationsTableExtractor.js';
+import ImageDecoder from './extractors/imageDecoder.js';
+import EmailExtractor from './extractors/emailExtractor.js';
+import packetAssembler from './packetAssembler.js';
+import acordImporter from './importers/acordImporter.js';
+import formRecognizer from './formRecognizer.js';
+import textNormalizer from './textNormalizer.js';
+import ProvenanceTracker, { EXTRACTION_METHODS } from './extractors/provenanceTracker.js';
+import { findLimitExpression } from '../utils/limitParser.js';
+import { detectFileType, getExtensionType, FILE_TYPES } from '../utils/fileTypes.js';
+import { ExtractionError, EXTRACTION_ERROR_CODES, throwIfCancelled } from './extractors/extractionErrors.js';
+
+// Share of overall document progress taken by each processing phase
+const PROGRESS_PHASES = {
+  reading: [0, 5],
+  parsing: [5, 40],
+  ocr: [40, 90],
+  analyzing: [90, 100]
+};
+
 export class DocumentProcessor {
   constructor() {
-    this.supportedFormats = ['pdf', 'txt', 'doc', 'docx', 'jpg', 'png'];
+    this.supportedFormats = ['pdf', 'txt', 'doc', 'docx', 'png', 'jpeg', 'tiff', 'heic', 'eml', 'msg', 'acord', 'al3'];
+    this.pdfExtractor = new PdfExtractor();
+    this.docxExtractor = new DocxExtractor();
+    this.ocrExtractor = new OcrExtractor();
+    this.tableExtractor = new DeclarationsTableExtractor();
+    this.imageDecoder = new ImageDecoder();
+    this.emailExtractor = new EmailExtractor();
   }
 
   /**
    * Process uploaded document and extract text content
    * @param {File} file - The uploaded file
+   * @param {Object} options - { password: password of an encrypted PDF,
+   *   onProgress({ phase, percent, page, pageCount, message }): incremental progress,
+   *   signal: AbortSignal that cancels processing between pages }
    * @returns {Promise<Object>} Processed document data
    */
-  async processDocument(file) {
+  async processDocument(file, options = {}) {
     try {
-      const fileType = this.getFileType(file);
+      this.reportProgress(options, 'reading', 0, { message: `Reading ${file.name}...` });
+
+      // Identify the format from the file content; the name can be wrong
+      const detection = await detectFileType(file);
+      const fileType = detection.type;
       const fileSize = file.size;
       const fileName = file.name;
 
       // Validate file
-      this.validateFile(file);
+      this.validateFile(file, fileType);
 
       let extractedText = '';
+      let pages = [];
+      let tables = [];
       let metadata = {};
 
       switch (fileType) {
         case 'pdf':
-          ({ text: extractedText, metadata } = await this.processPDF(file));
+          ({ text: extractedText, pages, metadata } = await this.processPDF(file, options));
           break;
         case 'txt':
           extractedText = await this.processText(file);
           break;
         case 'doc':
         case 'docx':
-          extractedText = await this.processWord(file);
+          ({ text: extractedText, tables, metadata } = await this.processWord(file, fileType));
           break;
-        case 'jpg':
+        case 'jpeg':
         case 'png':
-          extractedText = await this.processImage(file);
+          ({ text: extractedText, pages, metadata } = await this.processImage(file, options));
+          break;
+        case 'tiff':
+        case 'heic':
+          ({ text: extractedText, pages, metadata } = await this.processConvertedImage(file, fileType, options));
           break;
+        case 'eml':
+        case 'msg':
+          // Attachments are full documents of their own; the email result is their packet
+          return await this.processEmail(file, fileType, options);
+        case 'acord':
+        case 'al3':
+          // Structured policy data maps straight onto the policy models; nothing to OCR or pattern-match
+          return await this.processStructured(file, fileType, detection, options);
         default:
           throw new Error(`Unsupported file type: ${fileType}`);
       }
 
-      // Clean and normalize text
+      throwIfCancelled(options.signal);
+      this.reportProgress(options, 'analyzing', 0, { message: 'Extracting policy data...' });
+
+      // Clean and normalize text, keeping line and section structure
       const cleanedText = this.cleanText(extractedText);
+      const sections = textNormalizer.buildSectionTree(cleanedText);
+      const extractionQuality = this.assessExtractionQuality(cleanedText, pages, metadata);
       
-      // Extract structured data
-      const structuredData = this.extractStructuredData(cleanedText);
+      // Extract structured data, recording where every value was found
+      const provenance = new ProvenanceTracker(cleanedText, pages, pageText => this.cleanText(pageText));
+      const structuredData = this.extractStructuredData(cleanedText, provenance);
+
+      // Rebuild declarations coverage tables from the layout before it was flattened
+      const coverages = this.tableExtractor.extract({ pages, tables, text: extractedText });
+      if (coverages.length > 0) {
+        structuredData.coverages = coverages;
+        this.recordCoverageProvenance(coverages, provenance);
+      }
+
+      // Standard ISO forms and endorsements listed in the document
+      const forms = formRecognizer.detectForms(cleanedText);
+      if (forms.length > 0) {
+        structuredData.formNumbers = forms.map(form => form.number);
+        for (const form of forms) {
+          provenance.record(`forms.${form.number}`, {
+            value: form.number,
+            start: form.start,
+            end: form.end,
+            confidence: form.known ? 0.95 : 0.6
+          });
+        }
+      }
+
+      this.reportProgress(options, 'analyzing', 1, { message: `Finished ${fileName}` });
 
       return {
         success: true,
@@ -57,7 +136,13 @@ export class DocumentProcessor {
         fileType,
         extractedText: cleanedText,
         structuredData,
-        metadata,
+        fieldProvenance: provenance.toJSON(),
+        sections,
+        pages,
+        tables,
+        forms,
+        metadata: { ...metadata, fileTypeWarnings: detection.warnings },
+        extractionQuality,
         processingDate: new Date().toISOString()
       };
 
@@ -66,6 +151,7 @@ export class DocumentProcessor {
       return {
         success: false,
         error: error.message,
+        errorCode: error.code || null,
         fileName: file.name,
         fileSize: file.size,
         fileType: this.getFileType(file)
@@ -74,18 +160,16 @@ export class DocumentProcessor {
   }
 
   /**
-   * Get file type from file object
+   * Get file type from file object by its name; processDocument sniffs the content instead
    */
   getFileType(file) {
-    const extension = file.name.split('.').pop().toLowerCase();
-    return extension;
+    return getExtensionType(file.name) || file.name.split('.').pop().toLowerCase();
   }
 
   /**
    * Validate uploaded file
    */
-  validateFile(file) {
-    const fileType = this.getFileType(file);
+  validateFile(file, fileType = this.getFileType(file)) {
     const maxSize = 10 * 1024 * 1024; // 10MB
 
     if (!this.supportedFormats.includes(fileType)) {
@@ -102,36 +186,218 @@ export class DocumentProcessor {
   }
 
   /**
-   * Process PDF files (mock implementation - in production would use pdf-parse or similar)
-   */
-  async processPDF(file) {
-    // Mock PDF processing - in production, use pdf-parse or PDF.js
-    const text = await this.readFileAsText(file);
-    
-    // Simulate PDF text extraction
-    const mockPolicyText = `
-    POLICY NUMBER: ${Math.random().toString(36).substr(2, 9).toUpperCase()}
-    INSURANCE COMPANY: Sample Insurance Co.
-    POLICY TYPE: Auto Insurance
-    COVERAGE PERIOD: 01/01/2024 - 01/01/2025
-    
-    COVERAGE DETAILS:
-    Bodily Injury Liability: $50,000 per person / $100,000 per accident
-    Property Damage Liability: $25,000 per accident
-    Collision Coverage: $500 deductible
-    Comprehensive Coverage: $250 deductible
-    Uninsured Motorist: $50,000 per person / $100,000 per accident
-    
-    PREMIUM: $1,200 annually
-    DEDUCTIBLE: $500 collision, $250 comprehensive
-    `;
+   * Check whether a file is an encrypted PDF that needs a password before it can be processed
+   * @param {File} file - The uploaded file
+   * @param {string} password - Password to verify, if any
+   * @returns {Promise<Object>} { encrypted, locked, errorCode }
+   */
+  async checkEncryption(file, password = null) {
+    const { type } = await detectFileType(file);
+    if (type !== 'pdf') {
+      return { encrypted: false, locked: false, errorCode: null };
+    }
+
+    const data = await this.readFileAsArrayBuffer(file);
+    return this.pdfExtractor.checkEncryption(data, password);
+  }
+
+  /**
+   * Process PDF files with PDF.js, returning per-page text and document metadata
+   */
+  async processPDF(file, options = {}) {
+    const { password = null, signal = null } = options;
+    const data = await this.readFileAsArrayBuffer(file);
+    const result = await this.pdfExtractor.extract(data, {
+      password,
+      signal,
+      onPage: (pageNumber, pageCount) => this.reportProgress(options, 'parsing', pageNumber / pageCount, {
+        page: pageNumber,
+        pageCount,
+        message: `Parsed page ${pageNumber} of ${pageCount}`
+      })
+    });
+    const { scannedPages } = result.metadata;
+
+    if (scannedPages.length === 0) {
+      return result;
+    }
+
+    // Pages without a text layer are scans; run them through the same OCR path as images
+    const images = await this.pdfExtractor.renderPages(data, scannedPages, { password, signal });
+    const recognized = await this.recognizePages(images, options);
+    for (const { pageNumber, ocr } of recognized) {
+      const page = result.pages.find(p => p.pageNumber === pageNumber);
+      page.text = ocr.text;
+      page.lines = ocr.lines;
+      page.ocr = ocr;
+    }
 
     return {
-      text: mockPolicyText,
+      text: result.pages.map(page => page.text).join('\n\n'),
+      pages: result.pages,
       metadata: {
-        pages: 1,
-        extractionMethod: 'pdf-parse'
+        ...result.metadata,
+        extractionMethod: scannedPages.length === result.pages.length ? 'ocr' : 'pdfjs+ocr',
+        ocrPages: scannedPages
+      }
+    };
+  }
+
+  /**
+   * OCR page images one at a time, reporting progress and stopping when cancelled
+   * @returns {Promise<Array>} [{ pageNumber, ocr }]
+   */
+  async recognizePages(images, options = {}) {
+    const recognized = [];
+
+    for (const [index, { pageNumber, image }] of images.entries()) {
+      throwIfCancelled(options.signal);
+
+      const ocr = await this.ocrExtractor.recognize(image, {
+        onProgress: percent => this.reportProgress(options, 'ocr', (index + percent / 100) / images.length, {
+          page: pageNumber,
+          pageCount: images.length,
+          message: images.length > 1
+            ? `Running OCR on page ${index + 1} of ${images.length} (${percent}%)`
+            : `Running OCR (${percent}%)`
+        })
+      });
+      recognized.push({ pageNumber, ocr });
+    }
+
+    return recognized;
+  }
+
+  /**
+   * Forward processing progress to the caller as an overall percentage
+   */
+  reportProgress(options, phase, fraction = 0, details = {}) {
+    if (!options?.onProgress) return;
+
+    const [from, to] = PROGRESS_PHASES[phase];
+    options.onProgress({
+      phase,
+      percent: Math.round(from + (to - from) * Math.min(1, Math.max(0, fraction))),
+      page: null,
+      pageCount: null,
+      ...details
+    });
+  }
+
+  /**
+   * Process an emailed policy packet: every attachment is processed as its own document and
+   * the results are merged like an uploaded packet, with the sender and date as provenance
+   */
+  async processEmail(file, fileType, options = {}) {
+    const { email, files } = await this.extractEmail(file, fileType);
+    const results = [];
+
+    for (const [index, attachment] of files.entries()) {
+      throwIfCancelled(options.signal);
+
+      const result = await this.processDocument(attachment, {
+        ...options,
+        onProgress: options.onProgress && (progress => options.onProgress({
+          ...progress,
+          percent: Math.round(((index + progress.percent / 100) / files.length) * 100),
+          message: `${attachment.name} (${index + 1} of ${files.length}): ${progress.message}`
+        }))
+      });
+      results.push(this.applyEmailSource(result, email));
+    }
+
+    const packet = packetAssembler.assemble(results);
+    return {
+      ...packet,
+      fileName: file.name,
+      fileSize: file.size,
+      fileType,
+      metadata: { ...packet.metadata, email },
+      email
+    };
+  }
+
+  /**
+   * Import ACORD XML or AL3 policy data; values come from the data itself, so the result
+   * carries the policy model and skips OCR, pattern extraction and table rebuilding
+   */
+  async processStructured(file, fileType, detection, options = {}) {
+    this.reportProgress(options, 'parsing', 0, { message: `Reading ${fileType === 'al3' ? 'AL3' : 'ACORD'} policy data...` });
+    const result = await acordImporter.importFile(file, fileType);
+    this.reportProgress(options, 'analyzing', 1, { message: `Finished ${file.name}` });
+
+    return {
+      ...result,
+      metadata: { ...result.metadata, fileTypeWarnings: detection.warnings }
+    };
+  }
+
+  /**
+   * Read an email and turn its policy attachments into files; a message without usable
+   * attachments is read from its body instead
+   * @param {File} file - .eml or .msg file
+   * @param {string} fileType - 'eml' or 'msg'
+   * @returns {Promise<Object>} { email: { fileName, from, to, subject, date, messageId, attachments, skipped }, files }
+   */
+  async extractEmail(file, fileType) {
+    const data = await this.readFileAsArrayBuffer(file);
+    const message = await this.emailExtractor.extract(data, fileType);
+
+    const files = message.documents.map(document => new File(
+      [document.content],
+      document.fileName,
+      { type: document.mimeType !== 'application/octet-stream' ? document.mimeType : FILE_TYPES[document.fileType]?.mimeTypes[0] || '' }
+    ));
+
+    if (files.length === 0) {
+      if (!message.text.trim()) {
+        throw new ExtractionError(
+          'Email contains no policy documents: there are no supported attachments and the message body is empty.',
+          EXTRACTION_ERROR_CODES.EMAIL_NO_DOCUMENTS,
+          { skipped: message.skipped }
+        );
       }
+      const bodyName = `${file.name.replace(/\.[^.]+$/, '')} (message body).txt`;
+      files.push(new File([message.text], bodyName, { type: 'text/plain' }));
+    }
+
+    return {
+      email: {
+        fileName: file.name,
+        from: message.from,
+        to: message.to,
+        subject: message.subject,
+        date: message.date,
+        messageId: message.messageId,
+        attachments: files.map(attachment => attachment.name),
+        skipped: message.skipped
+      },
+      files
+    };
+  }
+
+  /**
+   * Record the email a document arrived in on the result and on each field's provenance
+   * @param {Object} result - Result of processDocument for an attachment
+   * @param {Object} email - Email details from extractEmail
+   */
+  applyEmailSource(result, email) {
+    if (!email) return result;
+
+    const source = {
+      type: 'email',
+      messageFile: email.fileName,
+      sender: email.from,
+      sentDate: email.date,
+      subject: email.subject
+    };
+
+    return {
+      ...result,
+      source,
+      fieldProvenance: Object.fromEntries(
+        Object.entries(result.fieldProvenance || {}).map(([field, entry]) => [field, { ...entry, source }])
+      )
     };
   }
 
@@ -143,19 +409,59 @@ export class DocumentProcessor {
   }
 
   /**
-   * Process Word documents (mock implementation)
+   * Process Word documents: .docx packages are parsed, legacy .doc is rejected
    */
-  async processWord(file) {
-    // Mock Word processing - in production, use mammoth.js or similar
-    return await this.readFileAsText(file);
+  async processWord(file, fileType) {
+    if (fileType === 'doc') {
+      throw this.docxExtractor.createLegacyDocError();
+    }
+
+    const data = await this.readFileAsArrayBuffer(file);
+    return await this.docxExtractor.extract(data);
   }
 
   /**
-   * Process image files with OCR (mock implementation)
+   * Process image files with on-device OCR
    */
-  async processImage(file) {
-    // Mock OCR processing - in production, use Tesseract.js or cloud OCR
-    return "Mock OCR extracted text from image";
+  async processImage(file, options = {}) {
+    const [{ ocr }] = await this.recognizePages([{ pageNumber: 1, image: file }], options);
+
+    return {
+      text: ocr.text,
+      pages: [{ pageNumber: 1, text: ocr.text, lines: ocr.lines, ocr }],
+      metadata: {
+        pages: 1,
+        extractionMethod: 'ocr',
+        ocrPages: [1],
+        orientation: ocr.orientation,
+        skewAngle: ocr.skewAngle
+      }
+    };
+  }
+
+  /**
+   * Process TIFF scans and HEIC photos: decode them to page images, then OCR every page
+   */
+  async processConvertedImage(file, fileType, options = {}) {
+    const images = fileType === 'tiff'
+      ? await this.imageDecoder.decodeTiff(await this.readFileAsArrayBuffer(file))
+      : await this.imageDecoder.decodeHeic(file);
+
+    const recognized = await this.recognizePages(images, options);
+    const pages = recognized.map(({ pageNumber, ocr }) => ({ pageNumber, text: ocr.text, lines: ocr.lines, ocr }));
+
+    return {
+      text: pages.map(page => page.text).join('\n\n'),
+      pages,
+      metadata: {
+        pages: pages.length,
+        extractionMethod: 'ocr',
+        sourceFormat: fileType,
+        ocrPages: pages.map(page => page.pageNumber),
+        orientation: pages[0]?.ocr.orientation,
+        skewAngle: pages[0]?.ocr.skewAngle
+      }
+    };
   }
 
   /**
@@ -170,23 +476,69 @@ export class DocumentProcessor {
     });
   }
 
+  /**
+   * Read file as raw bytes
+   */
+  async readFileAsArrayBuffer(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = (e) => resolve(e.target.result);
+      reader.onerror = (e) => reject(new Error('Failed to read file'));
+      reader.readAsArrayBuffer(file);
+    });
+  }
+
   /**
    * Clean and normalize extracted text
+   * Keeps line breaks and non-ASCII text; see TextNormalizer.normalize
    */
   cleanText(text) {
-    if (!text) return '';
-    
-    return text
-      .replace(/\r\n/g, '\n') // Normalize line endings
-      .replace(/\s+/g, ' ') // Normalize whitespace
-      .replace(/[^\x20-\x7E\n]/g, '') // Remove non-printable characters
-      .trim();
+    return textNormalizer.normalize(text);
+  }
+
+  /**
+   * Assess how trustworthy the extracted text is. Native text layers are exact;
+   * OCR pages contribute their mean word confidence.
+   */
+  assessExtractionQuality(text, pages = [], metadata = {}) {
+    const ocrPages = pages.filter(page => page.ocr);
+    let confidence;
+
+    if (!text) {
+      confidence = 0;
+    } else if (ocrPages.length === 0) {
+      confidence = 100;
+    } else {
+      const nativePageCount = pages.length - ocrPages.length;
+      const ocrConfidenceTotal = ocrPages.reduce((sum, page) => sum + page.ocr.confidence, 0);
+      confidence = Math.round((ocrConfidenceTotal + nativePageCount * 100) / pages.length);
+    }
+
+    return {
+      method: ocrPages.length === 0 ? (metadata.extractionMethod || 'text') :
+              ocrPages.length === pages.length ? 'ocr' : 'mixed',
+      confidence,
+      level: this.getQualityLevel(confidence),
+      ocrPages: ocrPages.map(page => page.pageNumber),
+      wordCount: ocrPages.reduce((sum, page) => sum + page.ocr.wordCount, 0),
+      lowConfidenceWords: ocrPages.reduce((sum, page) => sum + page.ocr.lowConfidenceWords, 0)
+    };
+  }
+
+  /**
+   * Map an extraction confidence (0-100) to a document quality level
+   */
+  getQualityLevel(confidence) {
+    if (confidence >= 90) return 'excellent';
+    if (confidence >= 75) return 'good';
+    if (confidence >= 50) return 'fair';
+    return 'poor';
   }
 
   /**
    * Extract structured data from text using regex patterns
    */
-  extractStructuredData(text) {
+  extractStructuredData(text, provenance = null) {
     const patterns = {
       policyNumber: /(?:policy\s*(?:number|#|no\.?)\s*:?\s*)([A-Z0-9\-]+)/i,
       insuranceCompany: /(?:insurance\s*company|insurer|carrier)\s*:?\s*([^\n]+)/i,
@@ -195,22 +547,59 @@ export class DocumentProcessor {
       expirationDate: /(?:expiration\s*date|expires?|through)\s*:?\s*([0-9\/\-]+)/i,
       premium: /(?:premium|cost|price)\s*:?\s*\$?([0-9,]+\.?\d*)/i,
       deductible: /(?:deductible)\s*:?\s*\$?([0-9,]+\.?\d*)/i,
-      liabilityLimits: /(?:bodily\s*injury|liability)\s*:?\s*\$?([0-9,]+)/i,
-      propertyDamage: /(?:property\s*damage)\s*:?\s*\$?([0-9,]+)/i
+      liabilityLimits: /(?:bodily\s*injury|liability|combined\s*single\s*limit|csl)(?:\s*limits?)?\s*:?\s*([^\n]*\d[^\n]*)/i,
+      propertyDamage: /(?:property\s*damage)(?:\s*limits?)?\s*:?\s*([^\n]*\d[^\n]*)/i
     };
 
+    // Limits keep the whole expression (split limits, CSL, qualifiers) for the shared parser
+    const limitKeys = ['liabilityLimits', 'propertyDamage'];
     const extractedData = {};
 
     for (const [key, pattern] of Object.entries(patterns)) {
       const match = text.match(pattern);
       if (match) {
-        extractedData[key] = match[1].trim();
+        const value = limitKeys.includes(key) ? findLimitExpression(match[1]) : match[1].trim();
+        if (value) {
+          extractedData[key] = value;
+
+          // Every pattern ends with its capture group, so the value sits at the end of the match
+          const groupStart = match.index + match[0].length - match[1].length;
+          const start = groupStart + match[1].indexOf(value);
+          provenance?.record(key, { value, start, end: start + value.length, method: EXTRACTION_METHODS.REGEX });
+        }
       }
     }
 
     return extractedData;
   }
 
+  /**
+   * Locate each declarations table row in the extracted text
+   */
+  recordCoverageProvenance(coverages, provenance) {
+    for (const row of coverages) {
+      const { start } = provenance.locate(row.coverageName);
+      let end = start === null ? null : start + row.coverageName.length;
+
+      // Extend the span over the row's cells that follow the coverage name
+      for (const cell of [row.limits, row.deductible, row.premium]) {
+        if (!cell || end === null) continue;
+        const span = provenance.locate(cell, end);
+        if (span.start !== null && span.start - end < 80) {
+          end = span.end;
+        }
+      }
+
+      provenance.record(`coverages.${row.coverageName}`, {
+        value: row,
+        start,
+        end,
+        page: row.page,
+        method: EXTRACTION_METHODS.TABLE
+      });
+    }
+  }
+
   /**
    * Get document processing statistics
    */
@@ -219,10 +608,19 @@ export class DocumentProcessor {
       supportedFormats: this.supportedFormats,
       maxFileSize: '10MB',
       features: [
-        'PDF text extraction',
-        'Word document processing',
-        'Image OCR (mock)',
+        'PDF text extraction (PDF.js, per page)',
+        'PDF metadata extraction',
+        'Word .docx extraction (paragraphs, tables, headers and footers)',
+        'On-device image OCR with per-word confidence',
+        'Multi-page TIFF and HEIC photo support',
+        'Emailed packets (.eml, .msg) with attachment extraction',
+        'Content-based file type detection',
+        'ACORD XML and AL3 policy data import',
+        'Scanned PDF OCR fallback',
+        'Orientation and skew correction',
         'Structured data extraction',
+        'Declarations coverage table reconstruction',
+        'ISO form and endorsement recognition',
         'Text cleaning and normalization'
       ]
     };
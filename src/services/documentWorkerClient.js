@@ -0,0 +1,115 @@
+/**
+ * Document Worker Client
+ * Sends documents to the processing worker and relays its progress. Each document gets
+ * a fresh worker, so cancelling terminates the worker and stops OCR mid-page. Falls back
+ * to the main thread where workers are unavailable or a format needs the DOM.
+ */
+
+import DocumentProcessorWorker from './workers/documentProcessor.worker.js?worker';
+import documentProcessor from './documentProcessor.js';
+import { detectFileType } from '../utils/fileTypes.js';
+import { EXTRACTION_ERROR_CODES } from './extractors/extractionErrors.js';
+
+// Word and ACORD XML are parsed with DOMParser and HEIC conversion draws on a DOM canvas;
+// emails can carry any of them as attachments. AL3 import is cheap and stays with ACORD.
+const MAIN_THREAD_TYPES = ['docx', 'heic', 'eml', 'msg', 'acord', 'al3'];
+
+export class DocumentWorkerClient {
+  constructor() {
+    this.nextId = 1;
+  }
+
+  /**
+   * Process a document, in a worker where possible
+   * @param {File} file - The uploaded file
+   * @param {Object} options - { password, onProgress({ phase, percent, page, pageCount, message }),
+   *   signal: AbortSignal that cancels processing }
+   * @returns {Promise<Object>} Same result as documentProcessor.processDocument; a cancelled run
+   *   fails with errorCode PROCESSING_CANCELLED
+   */
+  async processDocument(file, options = {}) {
+    if (options.signal?.aborted) {
+      return this.createCancelledResult(file);
+    }
+
+    if (!(await this.canUseWorker(file))) {
+      return documentProcessor.processDocument(file, options);
+    }
+
+    return this.runInWorker(file, options);
+  }
+
+  /**
+   * Whether this file can be processed off the main thread
+   */
+  async canUseWorker(file) {
+    if (typeof Worker === 'undefined') return false;
+
+    const { type } = await detectFileType(file);
+    return !MAIN_THREAD_TYPES.includes(type);
+  }
+
+  runInWorker(file, { password = null, onProgress, signal } = {}) {
+    const id = this.nextId++;
+    const worker = new DocumentProcessorWorker();
+
+    return new Promise((resolve) => {
+      // Set once the worker answers; it has loaded and may be partway through the document
+      let started = false;
+      const finish = (result) => {
+        signal?.removeEventListener('abort', cancel);
+        worker.terminate();
+        resolve(result);
+      };
+      const cancel = () => finish(this.createCancelledResult(file));
+
+      signal?.addEventListener('abort', cancel, { once: true });
+
+      worker.addEventListener('message', (event) => {
+        const message = event.data;
+        if (message?.id !== id) return;
+        started = true;
+
+        if (message.type === 'progress') {
+          onProgress?.(message.progress);
+        } else if (message.type === 'result') {
+          finish(message.result);
+        } else if (message.type === 'error') {
+          finish(this.createFailure(file, message.error.message, message.error.code));
+        }
+      });
+
+      // A worker that fails to load (e.g. blocked by a content security policy) is retried on
+      // the main thread; one that crashed while processing would likely crash there too
+      worker.addEventListener('error', (event) => {
+        event.preventDefault?.();
+        if (started) {
+          finish(this.createFailure(file, `Document processing failed: ${event.message || 'the processing worker stopped'}`));
+          return;
+        }
+        signal?.removeEventListener('abort', cancel);
+        worker.terminate();
+        resolve(documentProcessor.processDocument(file, { password, onProgress, signal }));
+      });
+
+      worker.postMessage({ type: 'process', id, file, password });
+    });
+  }
+
+  createCancelledResult(file) {
+    return this.createFailure(file, 'Document processing was cancelled.', EXTRACTION_ERROR_CODES.PROCESSING_CANCELLED);
+  }
+
+  createFailure(file, error, errorCode = null) {
+    return {
+      success: false,
+      error,
+      errorCode,
+      fileName: file.name,
+      fileSize: file.size,
+      fileType: documentProcessor.getFileType(file)
+    };
+  }
+}
+
+export default new DocumentWorkerClient();
@@ -0,0 +1,57 @@
+import { describe, it, expect, vi } from 'vitest';
+import { DocumentWorkerClient } from './documentWorkerClient.js';
+import documentProcessor from './documentProcessor.js';
+
+// Stands in for the bundled worker; each test scripts what it does with the process message
+const workerScript = { onProcess: () => {} };
+
+vi.mock('./workers/documentProcessor.worker.js?worker', () => ({
+  default: class FakeWorker {
+    constructor() {
+      this.listeners = { message: [], error: [] };
+      this.terminated = false;
+    }
+    addEventListener(type, listener) {
+      this.listeners[type].push(listener);
+    }
+    emit(type, event) {
+      this.listeners[type].forEach(listener => listener(event));
+    }
+    postMessage(message) {
+      queueMicrotask(() => workerScript.onProcess(this, message));
+    }
+    terminate() {
+      this.terminated = true;
+    }
+  }
+}));
+
+const file = new File(['%PDF-1.4'], 'dec.pdf', { type: 'application/pdf' });
+
+describe('DocumentWorkerClient.runInWorker', () => {
+  it('retries on the main thread when the worker fails to load', async () => {
+    const fallback = vi.spyOn(documentProcessor, 'processDocument').mockResolvedValue({ success: true, fileName: 'dec.pdf' });
+    workerScript.onProcess = worker => worker.emit('error', { message: 'blocked' });
+
+    const result = await new DocumentWorkerClient().runInWorker(file);
+    expect(result.success).toBe(true);
+    expect(fallback).toHaveBeenCalledOnce();
+    fallback.mockRestore();
+  });
+
+  it('fails the document when the worker crashes after it started', async () => {
+    const fallback = vi.spyOn(documentProcessor, 'processDocument');
+    const progress = [];
+    workerScript.onProcess = (worker, { id }) => {
+      worker.emit('message', { data: { type: 'started', id } });
+      worker.emit('message', { data: { type: 'progress', id, progress: { percent: 40 } } });
+      worker.emit('error', { message: 'out of memory' });
+    };
+
+    const result = await new DocumentWorkerClient().runInWorker(file, { onProgress: update => progress.push(update.percent) });
+    expect(result).toMatchObject({ success: false, error: 'Document processing failed: out of memory', fileName: 'dec.pdf' });
+    expect(progress).toEqual([40]);
+    expect(fallback).not.toHaveBeenCalled();
+    fallback.mockRestore();
+  });
+});
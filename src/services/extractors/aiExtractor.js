@@ -0,0 +1,262 @@
+/**
+ * AI Extractor
+ * Optional extraction pass that asks a language model to fill the strict schema of the
+ * classified policy type, validates the answer against that schema and reconciles it
+ * with the regex/table extraction. Regex values are kept when the two disagree; the
+ * model only fills fields the regex pass could not find.
+ */
+
+import { getPolicySchema } from '../../models/policySchemas.js';
+import { validateAgainstSchema } from '../../utils/validation.js';
+import { parseMoney, parseLimit } from '../../utils/limitParser.js';
+import { ProvenanceTracker, EXTRACTION_METHODS } from './provenanceTracker.js';
+
+// Longest document excerpt sent to the model
+const MAX_PROMPT_CHARS = 24000;
+
+const COMMON_FIELDS = [
+  { path: 'policyNumber', field: 'policyNumber', kind: 'identifier' },
+  { path: 'insuranceProvider', field: 'insuranceCompany', kind: 'text' },
+  { path: 'effectiveDate', field: 'effectiveDate', kind: 'date' },
+  { path: 'expirationDate', field: 'expirationDate', kind: 'date' },
+  { path: 'premium', field: 'premium', kind: 'money' }
+];
+
+// Schema paths compared with the regex structuredData field they describe
+const RECONCILED_FIELDS = {
+  auto: [
+    { path: 'coverages.bodilyInjuryLiability', field: 'liabilityLimits', kind: 'limit' },
+    { path: 'coverages.propertyDamageLiability', field: 'propertyDamage', kind: 'limit' }
+  ],
+  home: [
+    { path: 'coverages.liability', field: 'liabilityLimits', kind: 'limit' },
+    { path: 'deductibles.allPerils', field: 'deductible', kind: 'money' }
+  ],
+  renters: [
+    { path: 'coverages.liability', field: 'liabilityLimits', kind: 'limit' },
+    { path: 'deductible', field: 'deductible', kind: 'money' }
+  ],
+  health: [
+    { path: 'deductible.individual', field: 'deductible', kind: 'money' }
+  ]
+};
+
+export class AIExtractor {
+  /**
+   * @param {Object} model - Extraction model: { name, complete({ system, prompt, schema, policyType, text, signal }) }
+   *   resolving to the raw response text
+   */
+  constructor(model) {
+    this.name = 'AI Extractor';
+    this.version = '1.0.0';
+    this.model = model;
+  }
+
+  /**
+   * Fill the policy schema with the model and reconcile it with the regex extraction
+   * @param {string} text - Extracted document text
+   * @param {string} policyType - Classified policy type
+   * @param {Object} structuredData - Regex/table extraction result
+   * @param {Object} options - { signal: AbortSignal passed on to the model request }
+   * @returns {Promise<Object>} { success, model, policyType, data, validation, agreements,
+   *   disagreements, filledFields, structuredData, fieldProvenance }
+   */
+  async extract(text, policyType, structuredData = {}, { signal = null } = {}) {
+    const schema = getPolicySchema(policyType);
+    const excerpt = (text || '').slice(0, MAX_PROMPT_CHARS);
+
+    const response = await this.model.complete({
+      system: this.getSystemPrompt(),
+      prompt: this.buildPrompt(excerpt, schema),
+      schema,
+      policyType: schema.policyType,
+      text: excerpt,
+      signal
+    });
+
+    const data = this.parseResponse(response);
+    if (data === null) {
+      return this.createFailure(schema, 'Model response is not valid JSON');
+    }
+
+    const validation = validateAgainstSchema(data, schema);
+    if (!validation.isValid) {
+      return { ...this.createFailure(schema, 'Model response does not match the policy schema'), data, validation };
+    }
+
+    return {
+      success: true,
+      model: this.model.name,
+      policyType: schema.policyType,
+      data,
+      validation,
+      ...this.reconcile(data, structuredData, schema.policyType, text)
+    };
+  }
+
+  getSystemPrompt() {
+    return 'You extract data from insurance policy documents. Answer with a single JSON object that matches the ' +
+      'given JSON schema exactly. Use null for anything the document does not state; never guess. Amounts are ' +
+      'plain numbers in dollars, dates are YYYY-MM-DD. For every field you answer, put a short verbatim quote ' +
+      'from the document in "evidence" keyed by the field path (e.g. "coverages.dwelling").';
+  }
+
+  buildPrompt(text, schema) {
+    return `JSON schema:\n${JSON.stringify(schema, null, 2)}\n\nDocument:\n"""\n${text}\n"""`;
+  }
+
+  /**
+   * Parse the model response, tolerating a Markdown code fence around the JSON
+   * @returns {Object|null} Parsed object, or null when the response is not a JSON object
+   */
+  parseResponse(response) {
+    if (response && typeof response === 'object') return response;
+    if (typeof response !== 'string') return null;
+
+    const body = response.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    try {
+      const parsed = JSON.parse(body);
+      return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Compare model answers with the regex extraction
+   * @returns {Object} { agreements, disagreements, filledFields, structuredData, fieldProvenance }
+   */
+  reconcile(data, structuredData, policyType, text = '') {
+    const merged = { ...structuredData };
+    const tracker = new ProvenanceTracker(text);
+    const agreements = [];
+    const disagreements = [];
+    const filledFields = [];
+
+    for (const { path, field, kind } of [...COMMON_FIELDS, ...(RECONCILED_FIELDS[policyType] || [])]) {
+      const aiValue = this.getPath(data, path);
+      const aiComparable = kind === 'limit' ? this.getCoverageLimit(aiValue) : aiValue;
+      if (aiComparable === null || aiComparable === undefined) continue;
+
+      const regexValue = structuredData[field];
+      if (regexValue === null || regexValue === undefined || regexValue === '') {
+        merged[field] = this.formatValue(aiComparable, kind);
+        filledFields.push(field);
+
+        const evidence = data.evidence?.[path];
+        const span = tracker.locate(evidence || merged[field]);
+        tracker.record(field, { value: merged[field], ...span, method: EXTRACTION_METHODS.AI });
+        continue;
+      }
+
+      if (this.valuesMatch(regexValue, aiComparable, kind)) {
+        agreements.push(field);
+      } else {
+        disagreements.push({
+          field,
+          path,
+          kind,
+          regexValue,
+          aiValue: aiComparable,
+          evidence: data.evidence?.[path] || null
+        });
+      }
+    }
+
+    return {
+      agreements,
+      disagreements,
+      filledFields,
+      structuredData: merged,
+      fieldProvenance: tracker.toJSON()
+    };
+  }
+
+  /**
+   * Whether a regex value and a model value describe the same thing
+   */
+  valuesMatch(regexValue, aiValue, kind) {
+    switch (kind) {
+      case 'money':
+        return parseMoney(regexValue) === parseMoney(aiValue);
+      case 'date':
+        return this.normalizeDate(regexValue) === this.normalizeDate(aiValue);
+      case 'identifier':
+        return this.normalizeIdentifier(regexValue) === this.normalizeIdentifier(aiValue);
+      case 'limit': {
+        const regexLimit = parseLimit(regexValue);
+        const aiLimit = parseLimit(aiValue);
+        return ['amount', 'perAccident', 'propertyDamage', 'aggregate'].every(part =>
+          regexLimit[part] === null || aiLimit[part] === null || regexLimit[part] === aiLimit[part]
+        );
+      }
+      default: {
+        const regexText = this.normalizeIdentifier(regexValue);
+        const aiText = this.normalizeIdentifier(aiValue);
+        // Every string includes '', so an empty answer would agree with anything
+        if (!regexText || !aiText) return regexText === aiText;
+        return regexText.includes(aiText) || aiText.includes(regexText);
+      }
+    }
+  }
+
+  // A coverage answered as { limit, limitText } is compared by the limit as written
+  getCoverageLimit(coverage) {
+    if (!coverage) return null;
+    return coverage.limitText || coverage.limit;
+  }
+
+  formatValue(value, kind) {
+    if (kind === 'money' && typeof value === 'number') {
+      return value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+    }
+    if (kind === 'limit' && typeof value === 'number') {
+      return `$${value.toLocaleString('en-US')}`;
+    }
+    return value;
+  }
+
+  /**
+   * Bring "01/15/2024", "1-15-24" and "2024-01-15" to YYYY-MM-DD
+   */
+  normalizeDate(value) {
+    const text = String(value).trim();
+
+    const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    if (iso) return [iso[1], iso[2].padStart(2, '0'), iso[3].padStart(2, '0')].join('-');
+
+    const us = text.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{2}|\d{4})$/);
+    if (us) {
+      const year = us[3].length === 2 ? `20${us[3]}` : us[3];
+      return [year, us[1].padStart(2, '0'), us[2].padStart(2, '0')].join('-');
+    }
+
+    return text;
+  }
+
+  normalizeIdentifier(value) {
+    return String(value).toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  getPath(data, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+  }
+
+  createFailure(schema, error) {
+    return {
+      success: false,
+      error,
+      model: this.model.name,
+      policyType: schema.policyType,
+      data: null,
+      validation: null,
+      agreements: [],
+      disagreements: [],
+      filledFields: [],
+      structuredData: null,
+      fieldProvenance: {}
+    };
+  }
+}
+
+export default AIExtractor;
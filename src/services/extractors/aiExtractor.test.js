@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { AIExtractor } from './aiExtractor.js';
+import { MockExtractionModel } from './mockExtractionModel.js';
+
+const TEXT = 'Policy Number: AB-123 Carrier: Acme Mutual Premium: $1,200.00 Effective Date: 01/15/2024 ' +
+  'Bodily Injury 100/300/100';
+
+const extractWith = (response, structuredData = {}, policyType = 'auto') =>
+  new AIExtractor(new MockExtractionModel({ [policyType]: response, default: response })).extract(TEXT, policyType, structuredData);
+
+describe('AIExtractor.extract', () => {
+  it('keeps regex values, records agreements and disagreements, and fills missing fields', async () => {
+    const result = await extractWith({
+      policyNumber: 'AB123',
+      premium: 1500,
+      effectiveDate: '2024-01-15',
+      insuranceProvider: 'Acme Mutual',
+      coverages: { bodilyInjuryLiability: { limit: 100000, limitText: '100/300/100' } },
+      evidence: { insuranceProvider: 'Acme Mutual' }
+    }, { policyNumber: 'AB-123', premium: '1,200.00', effectiveDate: '01/15/2024', liabilityLimits: '100/300/100' });
+
+    expect(result.success).toBe(true);
+    expect(result.agreements).toEqual(expect.arrayContaining(['policyNumber', 'effectiveDate', 'liabilityLimits']));
+    expect(result.disagreements.map(({ field }) => field)).toEqual(['premium']);
+    expect(result.structuredData.premium).toBe('1,200.00');
+    expect(result.filledFields).toEqual(['insuranceCompany']);
+    expect(result.structuredData.insuranceCompany).toBe('Acme Mutual');
+    expect(result.fieldProvenance.insuranceCompany).toMatchObject({ method: 'ai' });
+  });
+
+  it('fails on a response that is not JSON', async () => {
+    const result = await extractWith('not json');
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Model response is not valid JSON');
+  });
+
+  it('fails on a response outside the policy schema', async () => {
+    const result = await extractWith({ unexpected: 1 });
+    expect(result.success).toBe(false);
+    expect(result.validation.isValid).toBe(false);
+  });
+
+  it('passes the request to the model', async () => {
+    const model = new MockExtractionModel();
+    await new AIExtractor(model).extract(TEXT, 'home', {});
+    expect(model.requests).toHaveLength(1);
+    expect(model.requests[0]).toMatchObject({ policyType: 'home', text: TEXT });
+  });
+});
+
+describe('AIExtractor.valuesMatch', () => {
+  const extractor = new AIExtractor(new MockExtractionModel());
+
+  it('compares money, dates, identifiers and limits by value', () => {
+    expect(extractor.valuesMatch('$1,200.00', 1200, 'money')).toBe(true);
+    expect(extractor.valuesMatch('01/15/2024', '2024-01-15', 'date')).toBe(true);
+    expect(extractor.valuesMatch('AB-123', 'ab 123', 'identifier')).toBe(true);
+    expect(extractor.valuesMatch('100/300/100', '$100,000 per person', 'limit')).toBe(true);
+    expect(extractor.valuesMatch('100/300/100', '50/100/25', 'limit')).toBe(false);
+  });
+
+  it('matches text when one value contains the other', () => {
+    expect(extractor.valuesMatch('Acme Mutual Insurance Company', 'Acme Mutual', 'text')).toBe(true);
+    expect(extractor.valuesMatch('Acme Mutual', 'Beacon Insurance', 'text')).toBe(false);
+  });
+
+  it('does not count an empty answer as agreeing', () => {
+    expect(extractor.valuesMatch('Acme Mutual', '', 'text')).toBe(false);
+    expect(extractor.valuesMatch('Acme Mutual', ' - ', 'text')).toBe(false);
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * Commercial Exposure Extractor
+ * Reads the rating details of commercial policies from declarations text: class codes with
+ * their exposure bases (payroll, revenue, area, vehicles), employees, experience mod,
+ * employers liability limits, auto symbols, claims-made terms and cyber sublimits
+ */
+
+import { parseMoney } from '../../utils/limitParser.js';
+
+const MONEY = '\\$?\\s?(\\d[\\d,]*(?:\\.\\d+)?(?:\\s?(?:k|m|mm|million)\\b)?)';
+
+// Single-value fields: pattern, and how to read the captured text
+const FIELD_PATTERNS = {
+  payroll: { pattern: new RegExp(`(?:total|annual|estimated)?\\s*(?:payroll|remuneration)\\s*:?\\s*${MONEY}`, 'i'), read: parseMoney },
+  revenue: { pattern: new RegExp(`(?:annual|gross|total)?\\s*(?:revenues?|sales|receipts)\\s*:?\\s*${MONEY}`, 'i'), read: parseMoney },
+  employees: { pattern: /(?:number of employees|employees|full[- ]time equivalents?)\s*:?\s*(\d{1,5})\b/i, read: Number },
+  squareFeet: { pattern: /(\d[\d,]*)\s*(?:sq\.?\s*ft|square feet)/i, read: parseMoney },
+  vehicles: { pattern: /(?:number of (?:vehicles|autos|power units)|power units)\s*:?\s*(\d{1,4})\b/i, read: Number },
+  yearsInBusiness: { pattern: /(?:years in business)\s*:?\s*(\d{1,3})\b/i, read: Number },
+  experienceMod: { pattern: /experience\s*mod(?:ification)?(?:\s*(?:factor|rate))?\s*:?\s*(\d\.\d{1,3})/i, read: Number },
+  eachOccurrence: { pattern: new RegExp(`each occurrence(?: limit)?\\s*:?\\s*${MONEY}`, 'i'), read: parseMoney },
+  generalAggregate: { pattern: new RegExp(`general aggregate(?: limit)?\\s*:?\\s*${MONEY}`, 'i'), read: parseMoney },
+  perClaimLimit: { pattern: new RegExp(`(?:each|per) claim(?: limit)?\\s*:?\\s*${MONEY}`, 'i'), read: parseMoney },
+  aggregateLimit: { pattern: new RegExp(`(?:policy |annual )?aggregate(?: limit)?(?: of liability)?\\s*:?\\s*${MONEY}`, 'i'), read: parseMoney },
+  retention: { pattern: new RegExp(`(?:retention|self[- ]insured retention|sir)\\s*:?\\s*${MONEY}`, 'i'), read: parseMoney },
+  retroactiveDate: { pattern: /retro(?:active)?\s*date\s*:?\s*(full prior acts|none|\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4}|\d{4}-\d{2}-\d{2})/i, read: value => value },
+  waitingPeriodHours: { pattern: /waiting period\s*:?\s*(\d{1,3})\s*hours?/i, read: Number },
+  socialEngineering: { pattern: new RegExp(`social engineering[^\\n$]*?${MONEY}`, 'i'), read: parseMoney },
+  combinedSingleLimit: { pattern: new RegExp(`(?:combined single limit|csl)\\s*:?\\s*${MONEY}`, 'i'), read: parseMoney }
+};
+
+const EMPLOYERS_LIABILITY_PATTERNS = {
+  eachAccident: new RegExp(`(?:bodily injury by accident[^\\n$]*?${MONEY}|${MONEY}\\s*each accident)`, 'i'),
+  diseasePolicyLimit: new RegExp(`(?:by disease[^\\n$]*?policy limit[^\\n$]*?${MONEY}|${MONEY}\\s*(?:disease[- ])?policy limit)`, 'i'),
+  diseaseEachEmployee: new RegExp(`(?:by disease[^\\n$]*?each employee[^\\n$]*?${MONEY}|${MONEY}\\s*(?:disease[- ])?each employee)`, 'i')
+};
+
+// "8810 Clerical Office Employees NOC   Payroll $250,000   Rate 0.15"
+const CLASS_CODE_PATTERN = /\b(?:class(?:\s*code)?|code)\s*(?:no\.?|#)?\s*:?\s*(\d{4,5})\b([^\n]*)/gi;
+
+const EXPOSURE_BASES = [
+  { basis: 'payroll', pattern: /\b(?:payroll|remuneration)\b/i },
+  { basis: 'revenue', pattern: /\b(?:sales|revenues?|receipts)\b/i },
+  { basis: 'area', pattern: /\b(?:sq\.?\s*ft|square feet|area)\b/i },
+  { basis: 'units', pattern: /\b(?:units|vehicles|each)\b/i }
+];
+
+const US_STATE = /\b(A[LKZR]|C[AOT]|D[EC]|FL|GA|HI|I[ADLN]|K[SY]|LA|M[ADEINOST]|N[CDEHJMVY]|O[HKR]|PA|RI|S[CD]|T[NX]|UT|V[AT]|W[AIVY])\b/g;
+
+export class CommercialExposureExtractor {
+  constructor() {
+    this.name = 'Commercial Exposure Extractor';
+    this.version = '1.0.0';
+  }
+
+  /**
+   * Extract commercial rating details from document text
+   * @param {string} text - Cleaned document text
+   * @returns {Object|null} { classCodes, exposures, employersLiability, statesCovered, otherStates,
+   *   liabilitySymbols, endorsements, claimsMade, defenseInsideLimits, ...limits }; null when
+   *   the text holds none of them
+   */
+  extract(text) {
+    if (!text) return null;
+
+    const result = { exposures: {} };
+    let found = 0;
+
+    for (const [field, { pattern, read }] of Object.entries(FIELD_PATTERNS)) {
+      const match = text.match(pattern);
+      const value = match ? read(match[1]) : null;
+      if (value === null || value === undefined || Number.isNaN(value)) continue;
+
+      const target = ['payroll', 'revenue', 'employees', 'squareFeet', 'vehicles'].includes(field) ? result.exposures : result;
+      target[field] = value;
+      found++;
+    }
+
+    const classCodes = this.extractClassCodes(text);
+    if (classCodes.length > 0) {
+      result.classCodes = classCodes;
+      found++;
+    }
+
+    const employersLiability = this.extractEmployersLiability(text);
+    if (employersLiability) {
+      result.employersLiability = employersLiability;
+      found++;
+    }
+
+    const states = this.extractWorkersCompStates(text);
+    Object.assign(result, states);
+
+    const symbols = this.extractAutoSymbols(text);
+    if (symbols.length > 0) {
+      result.liabilitySymbols = symbols;
+      found++;
+    }
+
+    result.endorsements = this.extractEndorsements(text);
+    if (/\bclaims[- ]made\b/i.test(text)) result.claimsMade = true;
+    if (/defense (?:costs?|expenses?)?\s*(?:are\s*)?(?:within|inside|included in|reduce) (?:the )?limits?/i.test(text)) {
+      result.defenseInsideLimits = true;
+    } else if (/defense (?:costs?|expenses?)?\s*(?:are\s*)?(?:outside|in addition to) (?:the )?limits?/i.test(text)) {
+      result.defenseInsideLimits = false;
+    }
+    if (/extended reporting period/i.test(text)) result.extendedReportingPeriod = true;
+
+    found += result.endorsements.length + (result.claimsMade ? 1 : 0);
+    return found > 0 ? result : null;
+  }
+
+  /**
+   * Rating class rows with the exposure they are rated on
+   * @returns {Array} [{ code, description, exposureBasis, exposure, rate, premium }]
+   */
+  extractClassCodes(text) {
+    const classCodes = [];
+
+    for (const match of text.matchAll(CLASS_CODE_PATTERN)) {
+      const [, code, rest] = match;
+      if (classCodes.some(classCode => classCode.code === code)) continue;
+
+      const basis = EXPOSURE_BASES.find(({ pattern }) => pattern.test(rest))?.basis || null;
+      const amounts = [...rest.matchAll(/\$?\s?\d[\d,]*(?:\.\d+)?/g)].map(amount => amount[0].trim());
+      const rateMatch = rest.match(/\brate\s*:?\s*(\d+(?:\.\d+)?)/i);
+      const premiumMatch = rest.match(/\bpremium\s*:?\s*\$?\s?(\d[\d,]*(?:\.\d+)?)/i);
+      const exposureText = amounts.find(amount => amount !== rateMatch?.[1] && !premiumMatch?.[0].includes(amount));
+
+      classCodes.push({
+        code,
+        description: rest.split(/\$|\d|\b(?:payroll|sales|revenue|rate|premium)\b/i)[0].replace(/^[\s\-–:]+|[\s\-–:]+$/g, ''),
+        exposureBasis: basis,
+        exposure: exposureText ? parseMoney(exposureText) : null,
+        rate: rateMatch ? Number(rateMatch[1]) : null,
+        premium: premiumMatch ? parseMoney(premiumMatch[1]) : null
+      });
+    }
+
+    return classCodes;
+  }
+
+  /**
+   * Employers liability (Part Two) limits, also written "100/500/100"
+   */
+  extractEmployersLiability(text) {
+    // The phrase also appears in the policy title, whose window can reach only part of the
+    // limits that follow a later mention; the most complete section wins
+    let best = null;
+
+    for (const mention of text.matchAll(/employers'?\s*liability/gi)) {
+      const [section] = text.slice(mention.index).match(/^[^\n]*(?:\n[^\n]*){0,4}/);
+      const limits = {};
+      for (const [field, pattern] of Object.entries(EMPLOYERS_LIABILITY_PATTERNS)) {
+        const match = section.match(pattern);
+        const value = match && parseMoney(match.slice(1).find(Boolean));
+        if (value) limits[field] = value;
+      }
+
+      const split = section.match(/\b(\d{3,4})\s*\/\s*(\d{3,4})\s*\/\s*(\d{3,4})\b/);
+      if (split && Object.keys(limits).length === 0) {
+        [limits.eachAccident, limits.diseasePolicyLimit, limits.diseaseEachEmployee] = split.slice(1).map(value => Number(value) * 1000);
+      }
+
+      if (Object.keys(limits).length > Object.keys(best || {}).length) best = limits;
+    }
+
+    return best;
+  }
+
+  /**
+   * States of Item 3.A (workers compensation law applies) and 3.C (other states coverage)
+   */
+  extractWorkersCompStates(text) {
+    const states = {};
+    const itemA = text.match(/3\.?\s*A\.?[^\n]*?(?:states?)?[^\n]*?:\s*([^\n]+)/i);
+    const itemC = text.match(/3\.?\s*C\.?[^\n]*?(?:states?)?[^\n]*?:\s*([^\n]+)/i);
+
+    if (itemA) states.statesCovered = [...new Set(itemA[1].match(US_STATE) || [])];
+    if (itemC) {
+      states.otherStates = /all states/i.test(itemC[1]) ? ['ALL'] : [...new Set(itemC[1].match(US_STATE) || [])];
+    }
+    return states;
+  }
+
+  /**
+   * Covered auto symbols of business auto liability ("Symbol 1", "Symbols 7, 8, 9")
+   */
+  extractAutoSymbols(text) {
+    const match = text.match(/\bsymbols?\s*:?\s*((?:\d{1,2}\s*(?:,|and|&)?\s*)+)/i);
+    if (!match) return [];
+
+    return [...new Set(match[1].match(/\d{1,2}/g).map(Number).filter(symbol => symbol >= 1 && symbol <= 10))];
+  }
+
+  /**
+   * Commercial endorsements that close common gaps
+   */
+  extractEndorsements(text) {
+    const endorsements = [];
+    const known = [
+      { name: 'Hired and Non-Owned Auto', pattern: /hired (?:and|&) non-?owned auto/i },
+      { name: 'Hired Auto', pattern: /\bhired auto(?:s| liability)?\b(?! and| &)/i },
+      { name: 'Non-Owned Auto', pattern: /(?<!hired (?:and|&) )\bnon-?owned auto/i },
+      { name: 'Employment Practices Liability', pattern: /employment practices liability/i },
+      { name: 'Data Breach', pattern: /data (?:breach|compromise) (?:coverage|response|endorsement)/i },
+      { name: 'Waiver of Subrogation', pattern: /waiver of (?:our right to recover|subrogation)/i },
+      { name: 'Additional Insured', pattern: /additional insureds?\b/i }
+    ];
+
+    for (const { name, pattern } of known) {
+      if (pattern.test(text)) endorsements.push({ name });
+    }
+    return endorsements;
+  }
+}
+
+export default CommercialExposureExtractor;
@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { CommercialExposureExtractor } from './commercialExposureExtractor.js';
+
+const WORKERS_COMP_TEXT = `WORKERS COMPENSATION AND EMPLOYERS LIABILITY POLICY
+Item 3.A. Workers Compensation Law of the states listed here: CA, NV
+Item 3.B. Employers Liability:
+Bodily Injury by Accident $100,000 each accident
+Bodily Injury by Disease $500,000 policy limit
+Bodily Injury by Disease $100,000 each employee
+Item 3.C. Other States Insurance: NONE
+Class Code 8810 Clerical Office Employees NOC Payroll $250,000 Rate 0.15 Premium $375
+Class Code 5403 Carpentry Payroll $400,000 Rate 8.12 Premium $32,480
+Experience Modification Factor: 1.30`;
+
+const extractor = new CommercialExposureExtractor();
+
+describe('CommercialExposureExtractor.extract', () => {
+  it("reads a workers' compensation declarations", () => {
+    const result = extractor.extract(WORKERS_COMP_TEXT);
+
+    expect(result).toMatchObject({
+      experienceMod: 1.3,
+      statesCovered: ['CA', 'NV'],
+      otherStates: [],
+      employersLiability: { eachAccident: 100000, diseasePolicyLimit: 500000, diseaseEachEmployee: 100000 }
+    });
+    expect(result.classCodes).toEqual([
+      { code: '8810', description: 'Clerical Office Employees NOC', exposureBasis: 'payroll', exposure: 250000, rate: 0.15, premium: 375 },
+      { code: '5403', description: 'Carpentry', exposureBasis: 'payroll', exposure: 400000, rate: 8.12, premium: 32480 }
+    ]);
+  });
+
+  it('reads employers liability written as split limits in thousands', () => {
+    expect(extractor.extract('Part Two Employers Liability limits 500/500/500').employersLiability).toEqual({
+      eachAccident: 500000, diseasePolicyLimit: 500000, diseaseEachEmployee: 500000
+    });
+  });
+
+  it('reads business auto symbols and endorsements', () => {
+    const result = extractor.extract(`BUSINESS AUTO DECLARATIONS
+Covered Auto Liability Symbols: 7, 8
+Combined Single Limit: $500,000
+Number of Vehicles: 4
+Additional Insured - Owners, Lessees or Contractors`);
+
+    expect(result).toMatchObject({ liabilitySymbols: [7, 8], combinedSingleLimit: 500000, exposures: { vehicles: 4 } });
+    expect(result.endorsements).toEqual([{ name: 'Additional Insured' }]);
+  });
+
+  it('tells hired and non-owned auto apart from either alone', () => {
+    expect(extractor.extractEndorsements('Hired and Non-Owned Auto Liability')).toEqual([{ name: 'Hired and Non-Owned Auto' }]);
+    expect(extractor.extractEndorsements('Hired Auto Liability')).toEqual([{ name: 'Hired Auto' }]);
+    expect(extractor.extractEndorsements('Non-Owned Auto Liability')).toEqual([{ name: 'Non-Owned Auto' }]);
+  });
+
+  it('reads claims-made terms', () => {
+    const result = extractor.extract(`CYBER LIABILITY - CLAIMS MADE
+Retroactive Date: 01/01/2022
+Social Engineering Fraud sublimit $50,000
+Waiting Period: 24 hours
+Defense costs are within the limits of liability`);
+
+    expect(result).toMatchObject({
+      claimsMade: true,
+      retroactiveDate: '01/01/2022',
+      socialEngineering: 50000,
+      waitingPeriodHours: 24,
+      defenseInsideLimits: true
+    });
+  });
+
+  it('finds nothing in text without commercial rating details', () => {
+    expect(extractor.extract('Homeowners declarations page')).toBeNull();
+    expect(extractor.extract('')).toBeNull();
+  });
+});
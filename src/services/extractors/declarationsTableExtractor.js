@@ -0,0 +1,180 @@
+/**
+ * Declarations Table Extractor
+ * Reconstructs declarations-page coverage tables (coverage / limit / deductible / premium)
+ * from positioned layout lines, Word tables or column-aligned plain text
+ */
+
+import { splitTextLine } from './layoutUtils.js';
+
+const HEADER_PATTERNS = {
+  coverageName: /\b(coverages?|description|protection|covered items?)\b/i,
+  limits: /\b(limits?|limits of (liability|insurance)|amount of insurance)\b/i,
+  deductible: /\b(deductibles?|ded\.?)\b/i,
+  premium: /\b(premiums?|annual premium|charge|cost)\b/i
+};
+
+// Cell values that carry meaning without a number
+const VALUE_WORDS = /\b(included|incl\.?|excluded|not covered|none|n\/a|waived|actual cash value|acv|replacement cost)\b/i;
+
+export class DeclarationsTableExtractor {
+  constructor() {
+    this.name = 'Declarations Table Extractor';
+    this.version = '1.0.0';
+
+    // Consecutive non-row lines after which a table is considered finished
+    this.maxGapLines = 2;
+  }
+
+  /**
+   * Extract coverage rows from a processed document
+   * @param {Object} source - { pages: [{ pageNumber, lines }], tables: [[cells]], text }
+   * @returns {Array} [{ coverageName, limits, deductible, premium, page }]
+   */
+  extract({ pages = [], tables = [], text = '' } = {}) {
+    const rows = [];
+
+    // Word tables already carry exact cell boundaries
+    for (const table of tables) {
+      const lines = table.map(cells => ({
+        cells: cells.map((cellText, index) => ({ text: cellText, x0: index, x1: index + 0.5 }))
+      }));
+      rows.push(...this.extractFromLines(lines, null));
+    }
+
+    // PDF and OCR pages provide positioned lines
+    for (const page of pages) {
+      if (page.lines?.length) {
+        rows.push(...this.extractFromLines(page.lines, page.pageNumber));
+      }
+    }
+
+    // Plain text falls back to column alignment by character offset
+    if (rows.length === 0 && tables.length === 0 && !pages.some(page => page.lines?.length) && text) {
+      const lines = text.split('\n').map(line => ({ cells: splitTextLine(line) }));
+      rows.push(...this.extractFromLines(lines, null));
+    }
+
+    return this.deduplicate(rows);
+  }
+
+  /**
+   * Find header rows and read the table rows that follow each one
+   */
+  extractFromLines(lines, pageNumber) {
+    const rows = [];
+    let columns = null;
+    let gapLines = 0;
+
+    for (const line of lines) {
+      const header = this.detectHeader(line.cells);
+      if (header) {
+        columns = header;
+        gapLines = 0;
+        continue;
+      }
+
+      if (!columns) continue;
+
+      const row = this.readRow(line.cells, columns);
+      if (row) {
+        rows.push({ ...row, page: pageNumber });
+        gapLines = 0;
+      } else if (++gapLines > this.maxGapLines) {
+        columns = null;
+      }
+    }
+
+    return rows;
+  }
+
+  /**
+   * Recognize a table header and record the horizontal span of each column
+   */
+  detectHeader(cells) {
+    if (cells.length < 2) return null;
+
+    const columns = [];
+    for (const cell of cells) {
+      // Header cells are short labels, not sentences or amounts
+      if (cell.text.length > 40 || /\d/.test(cell.text)) return null;
+
+      const field = Object.keys(HEADER_PATTERNS).find(key =>
+        !columns.some(column => column.field === key) && HEADER_PATTERNS[key].test(cell.text)
+      );
+
+      if (field) {
+        columns.push({ field, x0: cell.x0, x1: cell.x1 });
+      }
+    }
+
+    const hasName = columns.some(column => column.field === 'coverageName');
+    const valueColumns = columns.filter(column => column.field !== 'coverageName').length;
+
+    return hasName && valueColumns >= 1 ? columns : null;
+  }
+
+  /**
+   * Map the cells of one line onto the header columns
+   */
+  readRow(cells, columns) {
+    if (cells.length < 2) return null;
+
+    const row = { coverageName: null, limits: null, deductible: null, premium: null };
+
+    for (const cell of cells) {
+      const column = this.findColumn(cell, columns);
+      row[column.field] = row[column.field] ? `${row[column.field]} ${cell.text}` : cell.text;
+    }
+
+    const hasValue = ['limits', 'deductible', 'premium'].some(field =>
+      row[field] && (/\d/.test(row[field]) || VALUE_WORDS.test(row[field]))
+    );
+
+    if (!row.coverageName || !/[a-z]/i.test(row.coverageName) || !hasValue) {
+      return null;
+    }
+
+    return row;
+  }
+
+  /**
+   * Pick the header column that overlaps a cell most, falling back to the nearest centre
+   */
+  findColumn(cell, columns) {
+    let best = null;
+    let bestOverlap = 0;
+
+    for (const column of columns) {
+      const overlap = Math.min(cell.x1, column.x1) - Math.max(cell.x0, column.x0);
+      if (overlap > bestOverlap) {
+        best = column;
+        bestOverlap = overlap;
+      }
+    }
+
+    if (best) return best;
+
+    const cellCenter = (cell.x0 + cell.x1) / 2;
+    return columns.reduce((nearest, column) => {
+      const distance = Math.abs((column.x0 + column.x1) / 2 - cellCenter);
+      const nearestDistance = Math.abs((nearest.x0 + nearest.x1) / 2 - cellCenter);
+      return distance < nearestDistance ? column : nearest;
+    });
+  }
+
+  /**
+   * Drop repeated rows (the same table often appears in a header and the body)
+   */
+  deduplicate(rows) {
+    const seen = new Set();
+
+    return rows.filter(row => {
+      const key = [row.coverageName, row.limits, row.deductible, row.premium].join('|').toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+}
+
+export default DeclarationsTableExtractor;
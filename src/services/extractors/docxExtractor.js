@@ -0,0 +1,264 @@
+/**
+ * DOCX Extractor
+ * Reads WordprocessingML (.docx) packages: body paragraphs, tables, headers and footers
+ */
+
+import JSZip from 'jszip';
+import { ExtractionError, EXTRACTION_ERROR_CODES } from './extractionErrors.js';
+import { CELL_SEPARATOR } from './layoutUtils.js';
+
+// Compound File Binary signature used by legacy Word 97-2003 (.doc) files
+const OLE_SIGNATURE = [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1];
+
+export class DocxExtractor {
+  constructor() {
+    this.name = 'DOCX Extractor';
+    this.version = '1.0.0';
+  }
+
+  /**
+   * Extract text and structure from DOCX bytes
+   * @param {ArrayBuffer} data - Raw .docx bytes
+   * @returns {Promise<Object>} Extracted text, sections, tables and metadata
+   */
+  async extract(data) {
+    if (this.isLegacyDoc(data)) {
+      throw this.createLegacyDocError();
+    }
+
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(data);
+    } catch (error) {
+      throw new ExtractionError(
+        'Word document could not be opened. The file may be damaged or not a .docx document.',
+        EXTRACTION_ERROR_CODES.INVALID_DOCX,
+        { cause: error.message }
+      );
+    }
+
+    const documentXml = zip.file('word/document.xml');
+    if (!documentXml) {
+      throw new ExtractionError(
+        'Word document is missing its main content part (word/document.xml).',
+        EXTRACTION_ERROR_CODES.INVALID_DOCX
+      );
+    }
+
+    const body = this.parseContentPart(await documentXml.async('string'));
+    const headers = await this.parseParts(zip, /^word\/header\d*\.xml$/);
+    const footers = await this.parseParts(zip, /^word\/footer\d*\.xml$/);
+    const properties = await this.parseCoreProperties(zip);
+
+    const text = [
+      ...headers.map(part => part.text),
+      body.text,
+      ...footers.map(part => part.text)
+    ].filter(Boolean).join('\n\n');
+
+    return {
+      text,
+      sections: {
+        headers: headers.map(part => part.text).filter(Boolean),
+        body: body.text,
+        footers: footers.map(part => part.text).filter(Boolean)
+      },
+      tables: [...body.tables, ...headers.flatMap(part => part.tables), ...footers.flatMap(part => part.tables)],
+      metadata: {
+        extractionMethod: 'docx-xml',
+        paragraphs: body.paragraphCount,
+        tables: body.tables.length,
+        headers: headers.length,
+        footers: footers.length,
+        title: properties.title || null,
+        author: properties.creator || null,
+        lastModifiedBy: properties.lastModifiedBy || null,
+        creationDate: properties.created || null,
+        modificationDate: properties.modified || null
+      }
+    };
+  }
+
+  /**
+   * Check for the OLE compound file signature of legacy .doc files
+   */
+  isLegacyDoc(data) {
+    const bytes = new Uint8Array(data, 0, Math.min(OLE_SIGNATURE.length, data.byteLength));
+    return bytes.length === OLE_SIGNATURE.length && OLE_SIGNATURE.every((byte, i) => bytes[i] === byte);
+  }
+
+  /**
+   * Error raised for Word 97-2003 documents
+   */
+  createLegacyDocError() {
+    return new ExtractionError(
+      'Legacy Word (.doc) files are not supported. Please save the document as .docx or PDF and upload it again.',
+      EXTRACTION_ERROR_CODES.LEGACY_DOC_UNSUPPORTED
+    );
+  }
+
+  /**
+   * Parse all package parts whose names match a pattern (headers, footers)
+   */
+  async parseParts(zip, pattern) {
+    const names = Object.keys(zip.files)
+      .filter(name => pattern.test(name))
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+    const parts = [];
+    for (const name of names) {
+      const part = this.parseContentPart(await zip.file(name).async('string'));
+      if (part.text) {
+        parts.push({ name, ...part });
+      }
+    }
+
+    return parts;
+  }
+
+  /**
+   * Parse a WordprocessingML part into text blocks and tables
+   */
+  parseContentPart(xml) {
+    const doc = new DOMParser().parseFromString(xml, 'application/xml');
+    const root = doc.documentElement;
+    const container = this.findChild(root, 'body') || root;
+
+    const blocks = [];
+    const tables = [];
+    let paragraphCount = 0;
+
+    const visit = (node) => {
+      for (const child of this.elementChildren(node)) {
+        switch (child.localName) {
+          case 'p': {
+            const text = this.paragraphText(child);
+            paragraphCount++;
+            if (text.trim()) blocks.push(text);
+            break;
+          }
+          case 'tbl': {
+            const rows = this.tableRows(child);
+            if (rows.length > 0) {
+              tables.push(rows);
+              blocks.push(rows.map(cells => cells.join(CELL_SEPARATOR)).join('\n'));
+            }
+            break;
+          }
+          case 'sdt':
+          case 'sdtContent':
+          case 'customXml':
+            visit(child);
+            break;
+          default:
+            break;
+        }
+      }
+    };
+
+    visit(container);
+
+    return {
+      text: blocks.join('\n'),
+      tables,
+      paragraphCount
+    };
+  }
+
+  /**
+   * Collect the text runs of a paragraph, honouring tabs and breaks
+   */
+  paragraphText(paragraph) {
+    let text = '';
+
+    const walk = (node) => {
+      for (const child of this.elementChildren(node)) {
+        switch (child.localName) {
+          case 't':
+            text += child.textContent;
+            break;
+          case 'tab':
+            text += '\t';
+            break;
+          case 'br':
+          case 'cr':
+            text += '\n';
+            break;
+          case 'noBreakHyphen':
+            text += '-';
+            break;
+          case 'delText':
+          case 'instrText':
+          case 'pPr':
+          case 'rPr':
+            // Deleted revisions, field codes and formatting carry no visible text
+            break;
+          default:
+            walk(child);
+        }
+      }
+    };
+
+    walk(paragraph);
+    return text;
+  }
+
+  /**
+   * Convert a table element into rows of cell text
+   */
+  tableRows(table) {
+    const rows = [];
+
+    for (const row of this.elementChildren(table).filter(el => el.localName === 'tr')) {
+      const cells = this.elementChildren(row)
+        .filter(el => el.localName === 'tc')
+        .map(cell => this.elementChildren(cell)
+          .filter(el => el.localName === 'p' || el.localName === 'tbl')
+          .map(el => el.localName === 'p'
+            ? this.paragraphText(el)
+            : this.tableRows(el).map(nested => nested.join(' ')).join(' '))
+          .join(' ')
+          .replace(/\s+/g, ' ')
+          .trim());
+
+      if (cells.some(cell => cell.length > 0)) {
+        rows.push(cells);
+      }
+    }
+
+    return rows;
+  }
+
+  /**
+   * Read title/author/dates from docProps/core.xml
+   */
+  async parseCoreProperties(zip) {
+    const core = zip.file('docProps/core.xml');
+    if (!core) return {};
+
+    const doc = new DOMParser().parseFromString(await core.async('string'), 'application/xml');
+    const properties = {};
+
+    for (const child of this.elementChildren(doc.documentElement)) {
+      const value = child.textContent.trim();
+      if (value) {
+        properties[child.localName] = value;
+      }
+    }
+
+    return properties;
+  }
+
+  /**
+   * Helper methods
+   */
+  elementChildren(node) {
+    return Array.from(node.childNodes).filter(child => child.nodeType === 1);
+  }
+
+  findChild(node, localName) {
+    return this.elementChildren(node).find(child => child.localName === localName) || null;
+  }
+}
+
+export default DocxExtractor;
@@ -0,0 +1,156 @@
+/**
+ * Email Extractor
+ * Reads saved emails (.eml) and Outlook messages (.msg) so emailed renewal packets can be
+ * analyzed without saving each attachment by hand. Returns the sender, date and subject
+ * together with the attachments that can be processed as policy documents.
+ */
+
+import { OutlookMessageReader } from './outlookMessageReader.js';
+import { ExtractionError, EXTRACTION_ERROR_CODES } from './extractionErrors.js';
+import { FILE_TYPES, EMAIL_TYPES, getExtensionType, sniffFileType } from '../../utils/fileTypes.js';
+
+// Inline images below this size are logos and signature graphics, not scanned documents
+const MIN_INLINE_IMAGE_SIZE = 50 * 1024;
+
+export class EmailExtractor {
+  constructor() {
+    this.name = 'Email Extractor';
+    this.version = '1.0.0';
+    this.msgReader = new OutlookMessageReader();
+    this.postalMime = null;
+  }
+
+  /**
+   * Parse an email and split its attachments into policy documents and skipped files
+   * @param {ArrayBuffer} data - Raw message bytes
+   * @param {string} fileType - 'eml' or 'msg'
+   * @returns {Promise<Object>} { from, to, subject, date, messageId, text, documents, skipped }
+   *   where documents are [{ fileName, mimeType, fileType, content: Uint8Array }]
+   */
+  async extract(data, fileType) {
+    const message = fileType === 'msg'
+      ? this.msgReader.read(data)
+      : await this.parseEml(data);
+
+    const documents = [];
+    const skipped = [];
+
+    for (const [index, attachment] of message.attachments.entries()) {
+      const fileName = attachment.fileName || `attachment-${index + 1}`;
+      const content = attachment.content;
+      const type = sniffFileType(content.subarray(0, 64 * 1024)) || getExtensionType(fileName);
+      const reason = this.getSkipReason(attachment, type, content);
+
+      if (reason) {
+        skipped.push({ fileName, mimeType: attachment.mimeType, reason });
+      } else {
+        documents.push({ fileName, mimeType: attachment.mimeType, fileType: type, content });
+      }
+    }
+
+    return {
+      from: message.from || { name: '', address: '' },
+      to: message.to || [],
+      subject: message.subject || '',
+      date: message.date || null,
+      messageId: message.messageId || null,
+      text: message.text || htmlToText(message.html),
+      documents,
+      skipped
+    };
+  }
+
+  /**
+   * Parse a MIME message; multipart bodies, transfer encodings and forwarded messages
+   * are handled by postal-mime
+   */
+  async parseEml(data) {
+    const PostalMime = await this.loadMimeParser();
+
+    let email;
+    try {
+      email = await PostalMime.parse(data, { attachmentEncoding: 'arraybuffer' });
+    } catch (error) {
+      throw new ExtractionError(
+        'Email message could not be read. The file may be damaged or not a saved email.',
+        EXTRACTION_ERROR_CODES.INVALID_EMAIL,
+        { cause: error.message }
+      );
+    }
+
+    const date = email.date && !isNaN(Date.parse(email.date)) ? new Date(email.date).toISOString() : null;
+
+    return {
+      from: email.from?.address !== undefined ? email.from : email.from?.group?.[0] || email.sender,
+      to: (email.to || []).flatMap(address => address.group || [address]),
+      subject: email.subject || '',
+      date,
+      messageId: email.messageId || null,
+      text: email.text || '',
+      html: email.html || '',
+      attachments: email.attachments.map(attachment => ({
+        fileName: attachment.filename,
+        mimeType: attachment.mimeType,
+        contentId: attachment.contentId || null,
+        content: new Uint8Array(attachment.content),
+        inline: attachment.disposition === 'inline' || attachment.related === true,
+        embeddedMessage: attachment.mimeType === 'message/rfc822'
+      }))
+    };
+  }
+
+  /**
+   * Why an attachment is not processed, or null when it is a policy document candidate
+   */
+  getSkipReason(attachment, type, content) {
+    // An attached Outlook message has no data stream of its own, only its own property storage
+    if (attachment.embeddedMessage || EMAIL_TYPES.includes(type)) return 'Attached emails are not opened';
+    if (content.length === 0) return 'Attachment is empty';
+    if (!type || !FILE_TYPES[type]) return 'Attachment type is not supported';
+
+    const isImage = attachment.mimeType?.startsWith('image/') || ['png', 'jpeg', 'tiff', 'heic'].includes(type);
+    if (isImage && (attachment.inline || attachment.contentId) && content.length < MIN_INLINE_IMAGE_SIZE) {
+      return 'Inline image in the message body';
+    }
+
+    return null;
+  }
+
+  /**
+   * Load the MIME parser only when an email is processed
+   */
+  async loadMimeParser() {
+    if (!this.postalMime) {
+      const module = await import('postal-mime');
+      this.postalMime = module.default || module;
+    }
+
+    return this.postalMime;
+  }
+}
+
+/**
+ * Plain text of an HTML email body; DOMParser is unavailable inside workers
+ */
+export function htmlToText(html = '') {
+  if (!html) return '';
+
+  return html
+    .replace(/<(script|style|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|tr|li|h[1-6]|table)>/gi, '\n')
+    .replace(/<\/t[dh]>/gi, '\t')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&amp;/gi, '&')
+    .replace(/&lt;/gi, '<')
+    .replace(/&gt;/gi, '>')
+    .replace(/&quot;/gi, '"')
+    .replace(/&#39;|&apos;/gi, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+    .replace(/[^\S\n]+/g, ' ')
+    .replace(/\n\s*\n\s*\n+/g, '\n\n')
+    .trim();
+}
+
+export default EmailExtractor;
@@ -0,0 +1,192 @@
+import { describe, it, expect } from 'vitest';
+import { EmailExtractor, htmlToText } from './emailExtractor.js';
+import { EXTRACTION_ERROR_CODES } from './extractionErrors.js';
+
+const encoder = new TextEncoder();
+const utf16 = text => new Uint8Array(Array.from(`${text}`).flatMap(character => [character.charCodeAt(0), 0]));
+const toBuffer = text => encoder.encode(text).buffer;
+
+const PDF = '%PDF-1.4\nPOLICY DECLARATIONS\n%%EOF';
+
+const EML = [
+  'From: Acme Agency <agent@acme.example>',
+  'To: Jane Doe <jane@example.com>',
+  'Subject: Your renewal documents',
+  'Date: Tue, 02 Jan 2024 10:00:00 +0000',
+  'Message-ID: <renewal-1@acme.example>',
+  'MIME-Version: 1.0',
+  'Content-Type: multipart/mixed; boundary="b1"',
+  '',
+  '--b1',
+  'Content-Type: text/plain; charset=utf-8',
+  '',
+  'Your renewal declarations are attached.',
+  '--b1',
+  'Content-Type: application/pdf; name="declarations.pdf"',
+  'Content-Disposition: attachment; filename="declarations.pdf"',
+  'Content-Transfer-Encoding: base64',
+  '',
+  btoa(PDF),
+  '--b1',
+  'Content-Type: image/png; name="logo.png"',
+  'Content-Disposition: inline; filename="logo.png"',
+  'Content-ID: <logo>',
+  'Content-Transfer-Encoding: base64',
+  '',
+  btoa(String.fromCharCode(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0)),
+  '--b1',
+  'Content-Type: application/zip; name="photos.zip"',
+  'Content-Disposition: attachment; filename="photos.zip"',
+  'Content-Transfer-Encoding: base64',
+  '',
+  btoa(String.fromCharCode(0x50, 0x4b, 0x03, 0x04, 0, 0)),
+  '--b1--',
+  ''
+].join('\r\n');
+
+/**
+ * Minimal compound file: one FAT sector, the directory, then each stream in whole sectors.
+ * A mini stream cutoff of 0 keeps every stream in regular sectors.
+ * @param {Object} tree - Storage contents: a Uint8Array is a stream, an object a storage
+ */
+function compoundFile(tree) {
+  const NONE = 0xffffffff;
+  const END_OF_CHAIN = 0xfffffffe;
+  const entries = [];
+  const add = (name, type, data = null) => {
+    entries.push({ name, type, data, left: NONE, right: NONE, child: NONE });
+    return entries.length - 1;
+  };
+  const link = (parent, children) => {
+    let previous = null;
+    for (const [name, value] of Object.entries(children)) {
+      const index = value instanceof Uint8Array ? add(name, 2, value) : add(name, 1);
+      if (!(value instanceof Uint8Array)) link(index, value);
+      if (previous === null) entries[parent].child = index;
+      else entries[previous].right = index;
+      previous = index;
+    }
+  };
+  add('Root Entry', 5);
+  link(0, tree);
+
+  const fat = [0xfffffffd];
+  const chain = count => {
+    if (count === 0) return END_OF_CHAIN;
+    const start = fat.length;
+    for (let index = 0; index < count; index++) fat.push(index === count - 1 ? END_OF_CHAIN : fat.length + 1);
+    return start;
+  };
+  const directoryStart = chain(Math.ceil(entries.length / 4));
+  const streams = entries.filter(entry => entry.data).map(entry => {
+    entry.start = chain(Math.ceil(entry.data.length / 512));
+    return entry;
+  });
+
+  const bytes = new Uint8Array((fat.length + 1) * 512);
+  const view = new DataView(bytes.buffer);
+  bytes.set([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+  view.setUint16(0x1e, 9, true);
+  view.setUint16(0x20, 6, true);
+  view.setUint32(0x2c, 1, true);
+  view.setUint32(0x30, directoryStart, true);
+  view.setUint32(0x38, 0, true);
+  view.setUint32(0x3c, END_OF_CHAIN, true);
+  view.setUint32(0x44, END_OF_CHAIN, true);
+  for (let index = 0; index < 109; index++) view.setUint32(0x4c + index * 4, index === 0 ? 0 : NONE, true);
+
+  const sector = index => (index + 1) * 512;
+  for (let index = 0; index < 128; index++) view.setUint32(sector(0) + index * 4, fat[index] ?? NONE, true);
+  entries.forEach((entry, index) => {
+    const offset = sector(directoryStart) + index * 128;
+    bytes.set(utf16(entry.name), offset);
+    view.setUint16(offset + 0x40, (entry.name.length + 1) * 2, true);
+    bytes[offset + 0x42] = entry.type;
+    view.setUint32(offset + 0x44, entry.left, true);
+    view.setUint32(offset + 0x48, entry.right, true);
+    view.setUint32(offset + 0x4c, entry.child, true);
+    view.setUint32(offset + 0x74, entry.data ? entry.start : END_OF_CHAIN, true);
+    view.setUint32(offset + 0x78, entry.data?.length || 0, true);
+  });
+  streams.forEach(entry => bytes.set(entry.data, sector(entry.start)));
+  return bytes.buffer;
+}
+
+// FILETIME of 2024-01-02T10:00:00Z in the message's fixed-length property stream
+function messageProperties() {
+  const bytes = new Uint8Array(48);
+  const view = new DataView(bytes.buffer);
+  const filetime = BigInt(Date.UTC(2024, 0, 2, 10) + 11644473600000) * 10000n;
+  view.setUint32(32, 0x00390040, true);
+  view.setUint32(40, Number(filetime & 0xffffffffn), true);
+  view.setUint32(44, Number(filetime >> 32n), true);
+  return bytes;
+}
+
+const MSG = compoundFile({
+  '__substg1.0_0037001F': utf16('Your renewal documents'),
+  '__substg1.0_0C1A001F': utf16('Acme Agency'),
+  '__substg1.0_5D01001F': utf16('agent@acme.example'),
+  '__substg1.0_0E04001F': utf16('Jane Doe; John Doe'),
+  '__substg1.0_1000001F': utf16('Your renewal declarations are attached.'),
+  '__properties_version1.0': messageProperties(),
+  '__attach_version1.0_#00000000': {
+    '__substg1.0_3707001F': utf16('declarations.pdf'),
+    '__substg1.0_370E001F': utf16('application/pdf'),
+    '__substg1.0_37010102': encoder.encode(PDF)
+  },
+  '__attach_version1.0_#00000001': {
+    '__substg1.0_3707001F': utf16('forwarded.msg'),
+    '__substg1.0_3701000D': {}
+  }
+});
+
+describe('EmailExtractor.extract', () => {
+  it('reads a saved .eml and keeps only the policy document attachments', async () => {
+    const message = await new EmailExtractor().extract(toBuffer(EML), 'eml');
+
+    expect(message).toMatchObject({
+      from: { name: 'Acme Agency', address: 'agent@acme.example' },
+      subject: 'Your renewal documents',
+      date: '2024-01-02T10:00:00.000Z',
+      messageId: '<renewal-1@acme.example>'
+    });
+    expect(message.text).toContain('Your renewal declarations are attached.');
+    expect(message.documents).toHaveLength(1);
+    expect(message.documents[0]).toMatchObject({ fileName: 'declarations.pdf', fileType: 'pdf' });
+    expect(new TextDecoder().decode(message.documents[0].content)).toBe(PDF);
+    expect(message.skipped.map(({ fileName, reason }) => [fileName, reason])).toEqual([
+      ['logo.png', 'Inline image in the message body'],
+      ['photos.zip', 'Attachment type is not supported']
+    ]);
+  });
+
+  it('reads an Outlook .msg with its attachments', async () => {
+    const message = await new EmailExtractor().extract(MSG, 'msg');
+
+    expect(message).toMatchObject({
+      from: { name: 'Acme Agency', address: 'agent@acme.example' },
+      to: [{ name: 'Jane Doe', address: '' }, { name: 'John Doe', address: '' }],
+      subject: 'Your renewal documents',
+      date: '2024-01-02T10:00:00.000Z',
+      text: 'Your renewal declarations are attached.'
+    });
+    expect(message.documents.map(document => [document.fileName, document.fileType])).toEqual([['declarations.pdf', 'pdf']]);
+    expect(new TextDecoder().decode(message.documents[0].content)).toBe(PDF);
+    expect(message.skipped).toEqual([
+      { fileName: 'forwarded.msg', mimeType: 'application/octet-stream', reason: 'Attached emails are not opened' }
+    ]);
+  });
+
+  it('fails on a file that is not an Outlook message', async () => {
+    await expect(new EmailExtractor().extract(toBuffer(PDF), 'msg'))
+      .rejects.toMatchObject({ code: EXTRACTION_ERROR_CODES.INVALID_EMAIL });
+  });
+});
+
+describe('htmlToText', () => {
+  it('keeps line breaks, separates cells and decodes entities', () => {
+    expect(htmlToText('<style>p{}</style><p>Premium&nbsp;due</p><table><tr><td>A</td><td>B &amp; C</td></tr></table>'))
+      .toBe('Premium due\nA B & C');
+  });
+});
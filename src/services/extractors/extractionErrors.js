@@ -0,0 +1,49 @@
+/**
+ * Extraction Errors
+ * Error codes raised by document extractors so callers can react to specific failures
+ */
+
+export const EXTRACTION_ERROR_CODES = {
+  LEGACY_DOC_UNSUPPORTED: 'LEGACY_DOC_UNSUPPORTED',
+  INVALID_DOCX: 'INVALID_DOCX',
+  INVALID_IMAGE: 'INVALID_IMAGE',
+  PDF_PASSWORD_REQUIRED: 'PDF_PASSWORD_REQUIRED',
+  PDF_PASSWORD_INCORRECT: 'PDF_PASSWORD_INCORRECT',
+  INVALID_EMAIL: 'INVALID_EMAIL',
+  EMAIL_NO_DOCUMENTS: 'EMAIL_NO_DOCUMENTS',
+  INVALID_ACORD: 'INVALID_ACORD',
+  INVALID_AL3: 'INVALID_AL3',
+  PROCESSING_CANCELLED: 'PROCESSING_CANCELLED'
+};
+
+// Failures the user can resolve by entering the document password
+export const PASSWORD_ERROR_CODES = [
+  EXTRACTION_ERROR_CODES.PDF_PASSWORD_REQUIRED,
+  EXTRACTION_ERROR_CODES.PDF_PASSWORD_INCORRECT
+];
+
+export class ExtractionError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'ExtractionError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Stop work between pages once the user has cancelled processing
+ * @param {AbortSignal} signal - Signal of the caller's AbortController, if any
+ */
+export function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    throw new ExtractionError('Document processing was cancelled.', EXTRACTION_ERROR_CODES.PROCESSING_CANCELLED);
+  }
+}
+
+export default {
+  EXTRACTION_ERROR_CODES,
+  PASSWORD_ERROR_CODES,
+  ExtractionError,
+  throwIfCancelled
+};
@@ -0,0 +1,103 @@
+/**
+ * Image Decoder
+ * Converts image formats the OCR engine cannot read (multi-page TIFF scans, HEIC phone
+ * photos) into PNG page images
+ */
+
+import { createCanvas, canvasToBlob } from './ocrExtractor.js';
+import { ExtractionError, EXTRACTION_ERROR_CODES } from './extractionErrors.js';
+
+export class ImageDecoder {
+  constructor() {
+    this.name = 'Image Decoder';
+    this.version = '1.0.0';
+    this.utif = null;
+    this.heic2any = null;
+  }
+
+  /**
+   * Decode every page of a TIFF file
+   * @param {ArrayBuffer} data - Raw TIFF bytes
+   * @returns {Promise<Array>} [{ pageNumber, image }] with PNG blobs
+   */
+  async decodeTiff(data) {
+    const UTIF = await this.loadTiffLibrary();
+
+    let ifds;
+    try {
+      ifds = UTIF.decode(data);
+    } catch (error) {
+      throw new ExtractionError(
+        'TIFF image could not be read. The file may be damaged.',
+        EXTRACTION_ERROR_CODES.INVALID_IMAGE,
+        { cause: error.message }
+      );
+    }
+
+    // Sub-images such as thumbnails have no width of their own once decoded
+    const images = [];
+    for (const ifd of ifds) {
+      UTIF.decodeImage(data, ifd, ifds);
+      if (!ifd.width || !ifd.height) continue;
+
+      const rgba = UTIF.toRGBA8(ifd);
+      const canvas = createCanvas(ifd.width, ifd.height);
+      const context = canvas.getContext('2d');
+      context.putImageData(new ImageData(new Uint8ClampedArray(rgba.buffer, 0, ifd.width * ifd.height * 4), ifd.width, ifd.height), 0, 0);
+
+      images.push({ pageNumber: images.length + 1, image: await canvasToBlob(canvas) });
+    }
+
+    if (images.length === 0) {
+      throw new ExtractionError('TIFF file contains no readable pages.', EXTRACTION_ERROR_CODES.INVALID_IMAGE);
+    }
+
+    return images;
+  }
+
+  /**
+   * Decode the primary image of a HEIC/HEIF photo
+   * @param {Blob} file - HEIC file
+   * @returns {Promise<Array>} [{ pageNumber: 1, image }] with a PNG blob
+   */
+  async decodeHeic(file) {
+    const heic2any = await this.loadHeicLibrary();
+
+    try {
+      const image = await heic2any({ blob: file, toType: 'image/png' });
+      return [{ pageNumber: 1, image: Array.isArray(image) ? image[0] : image }];
+    } catch (error) {
+      throw new ExtractionError(
+        'HEIC photo could not be converted. The file may be damaged or use an unsupported encoding.',
+        EXTRACTION_ERROR_CODES.INVALID_IMAGE,
+        { cause: error?.message || String(error) }
+      );
+    }
+  }
+
+  /**
+   * Lazily load the TIFF decoder so it is only fetched when a TIFF is processed
+   */
+  async loadTiffLibrary() {
+    if (!this.utif) {
+      const module = await import('utif');
+      this.utif = module.default || module;
+    }
+
+    return this.utif;
+  }
+
+  /**
+   * Lazily load the HEIC converter; it bundles a large libheif build
+   */
+  async loadHeicLibrary() {
+    if (!this.heic2any) {
+      const module = await import('heic2any');
+      this.heic2any = module.default || module;
+    }
+
+    return this.heic2any;
+  }
+}
+
+export default ImageDecoder;
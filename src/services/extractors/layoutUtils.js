@@ -0,0 +1,77 @@
+/**
+ * Layout Utilities
+ * Shared helpers for turning positioned text fragments into lines and cells
+ */
+
+// Separator placed between cells when a layout line is flattened to plain text
+export const CELL_SEPARATOR = '    ';
+
+/**
+ * Group the fragments of one visual line into cells. Fragments separated by a gap
+ * wider than a few characters are treated as belonging to different columns.
+ * @param {Array} fragments - [{ text, x0, x1 }] in any order
+ * @returns {Array} Cells [{ text, x0, x1 }] sorted left to right
+ */
+export function groupLineCells(fragments) {
+  const sorted = fragments
+    .filter(fragment => fragment.text && fragment.text.trim().length > 0)
+    .sort((a, b) => a.x0 - b.x0);
+
+  const cells = [];
+  let current = null;
+
+  for (const fragment of sorted) {
+    const charWidth = estimateCharWidth(fragment);
+
+    if (current) {
+      const gap = fragment.x0 - current.x1;
+
+      if (gap <= charWidth * 3) {
+        const needsSpace = gap > charWidth * 0.2 && !current.text.endsWith(' ') && !fragment.text.startsWith(' ');
+        current.text += (needsSpace ? ' ' : '') + fragment.text;
+        current.x1 = Math.max(current.x1, fragment.x1);
+        continue;
+      }
+    }
+
+    current = { text: fragment.text, x0: fragment.x0, x1: fragment.x1 };
+    cells.push(current);
+  }
+
+  return cells.map(cell => ({ ...cell, text: cell.text.trim() }));
+}
+
+/**
+ * Split a plain-text line into cells on tabs or runs of two or more spaces,
+ * using character offsets as positions
+ */
+export function splitTextLine(line) {
+  const cells = [];
+  const pattern = /[^\t ]+(?: [^\t ]+)*/g;
+  let match;
+
+  while ((match = pattern.exec(line)) !== null) {
+    cells.push({ text: match[0], x0: match.index, x1: match.index + match[0].length });
+  }
+
+  return cells;
+}
+
+/**
+ * Flatten layout cells back into a single text line
+ */
+export function cellsToText(cells) {
+  return cells.map(cell => cell.text).join(CELL_SEPARATOR);
+}
+
+function estimateCharWidth(fragment) {
+  const width = fragment.x1 - fragment.x0;
+  return fragment.text.length > 0 && width > 0 ? width / fragment.text.length : 5;
+}
+
+export default {
+  CELL_SEPARATOR,
+  groupLineCells,
+  splitTextLine,
+  cellsToText
+};
@@ -0,0 +1,55 @@
+/**
+ * Mock Extraction Model
+ * Local stand-in for the extraction model so the AI extraction pass can run without
+ * network access. Answers with an empty record for the requested schema, overlaid
+ * with canned responses.
+ */
+
+import { buildEmptyRecord } from '../../models/policySchemas.js';
+
+export class MockExtractionModel {
+  /**
+   * @param {Object|Function} responses - Partial records keyed by policy type (plus an optional
+   *   `default`), or a function (request) => partial record. A string is returned verbatim,
+   *   which allows testing malformed responses.
+   */
+  constructor(responses = {}) {
+    this.name = 'mock-extraction-model';
+    this.responses = responses;
+    this.requests = [];
+  }
+
+  async complete(request) {
+    this.requests.push(request);
+
+    const response = typeof this.responses === 'function'
+      ? this.responses(request)
+      : this.responses[request.policyType] ?? this.responses.default ?? {};
+
+    if (typeof response === 'string') return response;
+
+    return JSON.stringify(fillRecord(request.schema, response));
+  }
+}
+
+// Complete a partial answer with the empty value of every schema field it leaves out
+function fillRecord(schema, value) {
+  if (!isPlainObject(value) || !schema.properties) return value;
+
+  const filled = {};
+  for (const [key, property] of Object.entries(schema.properties)) {
+    filled[key] = key in value ? fillRecord(property, value[key]) : buildEmptyRecord(property);
+  }
+
+  // Fields outside the schema are kept so validation can reject them
+  for (const [key, extra] of Object.entries(value)) {
+    if (!(key in filled)) filled[key] = extra;
+  }
+  return filled;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+export default MockExtractionModel;
@@ -0,0 +1,200 @@
+/**
+ * OCR Extractor
+ * On-device text recognition for scanned policies using the Tesseract WASM engine.
+ * Worker script, WASM core and language data are bundled with the app, so no image
+ * ever leaves the browser.
+ */
+
+import tesseractWorkerSrc from 'tesseract.js/dist/worker.min.js?url';
+import tesseractCoreSrc from 'tesseract.js-core/tesseract-core-simd-lstm.wasm.js?url';
+import englishTrainedDataSrc from '@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz?url';
+import { groupLineCells } from './layoutUtils.js';
+
+const ORIENTATIONS = [0, 90, 180, 270];
+
+export class OcrExtractor {
+  constructor() {
+    this.name = 'OCR Extractor';
+    this.version = '1.0.0';
+
+    this.language = 'eng';
+    this.lowConfidenceThreshold = 60; // Word confidence below this is flagged for review
+    this.orientationRetryThreshold = 50; // Page confidence below this triggers rotation retries
+
+    this.workerPromise = null;
+    this.progressListener = null;
+  }
+
+  /**
+   * Recognize text in an image, correcting skew and page orientation
+   * @param {Blob} image - Image file or rendered page
+   * @param {Object} options - { onProgress(progress 0-100, status): progress across every
+   *   orientation pass the image may need, so a retry carries on instead of starting over }
+   * @returns {Promise<Object>} Text, words with confidence and orientation details
+   */
+  async recognize(image, options = {}) {
+    const { onProgress } = options;
+    const passProgress = pass => onProgress && ((percent, status) =>
+      onProgress(Math.round((pass * 100 + percent) / ORIENTATIONS.length), status));
+
+    let best = await this.recognizeOnce(image, 0, passProgress(0));
+
+    // A sideways or upside-down scan yields near-zero confidence; try the other orientations
+    if (best.confidence < this.orientationRetryThreshold) {
+      for (const [index, degrees] of ORIENTATIONS.entries()) {
+        if (index === 0) continue;
+        const rotated = await this.rotateImage(image, degrees);
+        const attempt = await this.recognizeOnce(rotated, degrees, passProgress(index));
+
+        if (attempt.confidence > best.confidence) {
+          best = attempt;
+        }
+      }
+    }
+
+    onProgress?.(100, 'recognizing text');
+    return best;
+  }
+
+  /**
+   * Run a single recognition pass
+   */
+  async recognizeOnce(image, orientation, onProgress) {
+    const worker = await this.getWorker();
+
+    this.progressListener = onProgress || null;
+    try {
+      const { data } = await worker.recognize(image, { rotateAuto: true }, { text: true, blocks: true });
+      const { words, lines } = this.collectLayout(data.blocks);
+      const lowConfidenceWords = words.filter(word => word.confidence < this.lowConfidenceThreshold);
+
+      return {
+        text: data.text || '',
+        confidence: Math.round(data.confidence || 0),
+        words,
+        lines,
+        wordCount: words.length,
+        lowConfidenceWords: lowConfidenceWords.length,
+        orientation,
+        skewAngle: data.rotateRadians ? Math.round((data.rotateRadians * 180 / Math.PI) * 100) / 100 : 0
+      };
+    } finally {
+      this.progressListener = null;
+    }
+  }
+
+  /**
+   * Flatten Tesseract's block hierarchy into a word list and positioned lines
+   */
+  collectLayout(blocks) {
+    const words = [];
+    const lines = [];
+
+    for (const block of blocks || []) {
+      for (const paragraph of block.paragraphs || []) {
+        for (const line of paragraph.lines || []) {
+          const lineWords = (line.words || []).map(word => ({
+            text: word.text,
+            confidence: Math.round(word.confidence),
+            bbox: word.bbox
+          }));
+
+          words.push(...lineWords);
+          lines.push({
+            y: line.bbox?.y0 ?? 0,
+            cells: groupLineCells(lineWords.map(word => ({ text: word.text, x0: word.bbox.x0, x1: word.bbox.x1 })))
+          });
+        }
+      }
+    }
+
+    return { words, lines: lines.filter(line => line.cells.length > 0) };
+  }
+
+  /**
+   * Lazily create a single shared Tesseract worker using bundled assets
+   */
+  async getWorker() {
+    if (!this.workerPromise) {
+      this.workerPromise = import('tesseract.js').then(({ createWorker, OEM }) =>
+        createWorker(this.language, OEM.LSTM_ONLY, {
+          workerPath: tesseractWorkerSrc,
+          corePath: tesseractCoreSrc,
+          langPath: englishTrainedDataSrc.slice(0, englishTrainedDataSrc.lastIndexOf('/')),
+          gzip: true,
+          logger: (message) => {
+            if (this.progressListener && message.status === 'recognizing text') {
+              this.progressListener(Math.round(message.progress * 100), message.status);
+            }
+          }
+        })
+      );
+
+      // Allow a retry after a failed initialization
+      this.workerPromise.catch(() => {
+        this.workerPromise = null;
+      });
+    }
+
+    return this.workerPromise;
+  }
+
+  /**
+   * Rotate an image by a multiple of 90 degrees
+   */
+  async rotateImage(image, degrees) {
+    const bitmap = await createImageBitmap(image);
+    const swap = degrees === 90 || degrees === 270;
+    const width = swap ? bitmap.height : bitmap.width;
+    const height = swap ? bitmap.width : bitmap.height;
+
+    const canvas = createCanvas(width, height);
+    const context = canvas.getContext('2d');
+    context.translate(width / 2, height / 2);
+    context.rotate(degrees * Math.PI / 180);
+    context.drawImage(bitmap, -bitmap.width / 2, -bitmap.height / 2);
+    bitmap.close();
+
+    return canvasToBlob(canvas);
+  }
+
+  /**
+   * Release the worker and its WASM memory
+   */
+  async terminate() {
+    if (this.workerPromise) {
+      const worker = await this.workerPromise;
+      this.workerPromise = null;
+      await worker.terminate();
+    }
+  }
+}
+
+/**
+ * Create a canvas that works both on the main thread and in workers
+ */
+export function createCanvas(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+/**
+ * Encode a canvas as a PNG blob
+ */
+export function canvasToBlob(canvas) {
+  if (typeof canvas.convertToBlob === 'function') {
+    return canvas.convertToBlob({ type: 'image/png' });
+  }
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Failed to encode image')), 'image/png');
+  });
+}
+
+export default OcrExtractor;
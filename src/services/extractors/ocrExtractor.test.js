@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { OcrExtractor } from './ocrExtractor.js';
+
+// Recognition passes are scripted: each reports progress and returns the given confidence
+const scriptedExtractor = (confidences) => {
+  const extractor = new OcrExtractor();
+  extractor.rotateImage = async image => image;
+  extractor.recognizeOnce = async (image, orientation, onProgress) => {
+    onProgress?.(50, 'recognizing text');
+    onProgress?.(100, 'recognizing text');
+    return { text: `${orientation}`, confidence: confidences[orientation], orientation };
+  };
+  return extractor;
+};
+
+describe('OcrExtractor.recognize', () => {
+  it('reports progress across orientation retries without starting over', async () => {
+    const progress = [];
+    const result = await scriptedExtractor({ 0: 10, 90: 85, 180: 5, 270: 20 })
+      .recognize('page', { onProgress: percent => progress.push(percent) });
+
+    expect(result.orientation).toBe(90);
+    expect(progress).toEqual([13, 25, 38, 50, 63, 75, 88, 100, 100]);
+  });
+
+  it('completes after one pass on an upright page', async () => {
+    const progress = [];
+    await scriptedExtractor({ 0: 90 }).recognize('page', { onProgress: percent => progress.push(percent) });
+
+    expect(progress).toEqual([13, 25, 100]);
+  });
+});
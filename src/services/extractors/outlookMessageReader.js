@@ -0,0 +1,296 @@
+/**
+ * Outlook Message Reader
+ * Reads Outlook .msg files: a compound file (the OLE container also used by Word 97-2003)
+ * holding one stream per MAPI property, with a storage for every recipient and attachment
+ */
+
+import { ExtractionError, EXTRACTION_ERROR_CODES } from './extractionErrors.js';
+
+const SIGNATURE = [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1];
+
+// Special sector numbers in allocation tables
+const END_OF_CHAIN = 0xfffffffe;
+const FREE_SECTOR = 0xffffffff;
+const NO_STREAM = 0xffffffff;
+
+const ENTRY_TYPES = { STORAGE: 1, STREAM: 2, ROOT: 5 };
+
+// MAPI property types
+const PROPERTY_TYPES = {
+  STRING8: 0x001e,
+  UNICODE: 0x001f,
+  BINARY: 0x0102,
+  OBJECT: 0x000d,
+  SYSTIME: 0x0040
+};
+
+// MAPI property ids read from the message and its attachments
+const PROPERTIES = {
+  SUBJECT: 0x0037,
+  CLIENT_SUBMIT_TIME: 0x0039,
+  TRANSPORT_HEADERS: 0x007d,
+  SENDER_NAME: 0x0c1a,
+  SENDER_EMAIL: 0x0c1f,
+  DISPLAY_TO: 0x0e04,
+  MESSAGE_DELIVERY_TIME: 0x0e06,
+  BODY: 0x1000,
+  BODY_HTML: 0x1013,
+  INTERNET_MESSAGE_ID: 0x1035,
+  SENDER_SMTP_ADDRESS: 0x5d01,
+  ATTACH_DATA: 0x3701,
+  ATTACH_FILENAME: 0x3704,
+  ATTACH_LONG_FILENAME: 0x3707,
+  ATTACH_MIME_TAG: 0x370e,
+  ATTACH_CONTENT_ID: 0x3712
+};
+
+// Milliseconds between the FILETIME epoch (1601-01-01) and the Unix epoch
+const FILETIME_EPOCH_OFFSET = 11644473600000;
+
+export class OutlookMessageReader {
+  constructor() {
+    this.name = 'Outlook Message Reader';
+    this.version = '1.0.0';
+  }
+
+  /**
+   * Read the headers, body and attachments of an Outlook message
+   * @param {ArrayBuffer} data - Raw .msg bytes
+   * @returns {Object} { from: { name, address }, to, subject, date, messageId, text, html,
+   *   headers, attachments: [{ fileName, mimeType, contentId, content: Uint8Array, embeddedMessage }] }
+   */
+  read(data) {
+    let file;
+    try {
+      file = this.openCompoundFile(data);
+    } catch (error) {
+      throw new ExtractionError(
+        'Outlook message could not be opened. The file may be damaged or not a .msg file.',
+        EXTRACTION_ERROR_CODES.INVALID_EMAIL,
+        { cause: error.message }
+      );
+    }
+
+    const root = file.entries[0];
+    const properties = this.readProperties(file, root, 32);
+    const headers = properties.string(PROPERTIES.TRANSPORT_HEADERS) || '';
+    const headerDate = headers.match(/^Date:\s*(.+)$/im)?.[1];
+
+    const date = properties.time(PROPERTIES.CLIENT_SUBMIT_TIME)
+      || properties.time(PROPERTIES.MESSAGE_DELIVERY_TIME)
+      || (headerDate && !isNaN(Date.parse(headerDate)) ? new Date(headerDate).toISOString() : null);
+
+    const senderEmail = properties.string(PROPERTIES.SENDER_EMAIL);
+    const html = properties.binary(PROPERTIES.BODY_HTML);
+
+    return {
+      from: {
+        name: properties.string(PROPERTIES.SENDER_NAME) || '',
+        // Exchange senders carry an X.500 address; prefer the SMTP one
+        address: properties.string(PROPERTIES.SENDER_SMTP_ADDRESS) || (senderEmail?.includes('@') ? senderEmail : '')
+      },
+      to: (properties.string(PROPERTIES.DISPLAY_TO) || '')
+        .split(';')
+        .map(name => name.trim())
+        .filter(Boolean)
+        .map(name => ({ name, address: '' })),
+      subject: properties.string(PROPERTIES.SUBJECT) || '',
+      date,
+      messageId: properties.string(PROPERTIES.INTERNET_MESSAGE_ID) || null,
+      text: properties.string(PROPERTIES.BODY) || '',
+      html: html ? new TextDecoder('utf-8').decode(html) : '',
+      headers,
+      attachments: this.children(file, root)
+        .filter(entry => entry.type === ENTRY_TYPES.STORAGE && entry.name.startsWith('__attach_version1.0_'))
+        .map(entry => this.readAttachment(file, entry))
+    };
+  }
+
+  readAttachment(file, storage) {
+    const properties = this.readProperties(file, storage, 8);
+    const embeddedMessage = this.children(file, storage)
+      .some(entry => entry.name === propertyStreamName(PROPERTIES.ATTACH_DATA, PROPERTY_TYPES.OBJECT));
+
+    return {
+      fileName: properties.string(PROPERTIES.ATTACH_LONG_FILENAME) || properties.string(PROPERTIES.ATTACH_FILENAME) || null,
+      mimeType: properties.string(PROPERTIES.ATTACH_MIME_TAG) || 'application/octet-stream',
+      contentId: properties.string(PROPERTIES.ATTACH_CONTENT_ID) || null,
+      content: properties.binary(PROPERTIES.ATTACH_DATA) || new Uint8Array(0),
+      embeddedMessage
+    };
+  }
+
+  /**
+   * Property accessors for one storage: variable-length values live in their own
+   * "__substg1.0_" streams, fixed-length ones (dates) in the "__properties_version1.0" stream
+   * @param {number} headerSize - Bytes before the first fixed-length entry (32 for the message, 8 for attachments)
+   */
+  readProperties(file, storage, headerSize) {
+    const streams = new Map(this.children(file, storage)
+      .filter(entry => entry.type === ENTRY_TYPES.STREAM)
+      .map(entry => [entry.name, entry]));
+
+    const readStream = (id, type) => {
+      const entry = streams.get(propertyStreamName(id, type));
+      return entry ? this.readStream(file, entry) : null;
+    };
+
+    const fixed = new Map();
+    const propertyStream = streams.get('__properties_version1.0');
+    if (propertyStream) {
+      const bytes = this.readStream(file, propertyStream);
+      const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+      for (let offset = headerSize; offset + 16 <= bytes.length; offset += 16) {
+        const tag = view.getUint32(offset, true);
+        fixed.set(tag, { low: view.getUint32(offset + 8, true), high: view.getUint32(offset + 12, true) });
+      }
+    }
+
+    return {
+      string(id) {
+        const unicode = readStream(id, PROPERTY_TYPES.UNICODE);
+        if (unicode) return new TextDecoder('utf-16le').decode(unicode).replace(/\0+$/, '');
+
+        const ansi = readStream(id, PROPERTY_TYPES.STRING8);
+        return ansi ? new TextDecoder('windows-1252').decode(ansi).replace(/\0+$/, '') : null;
+      },
+      binary(id) {
+        return readStream(id, PROPERTY_TYPES.BINARY);
+      },
+      time(id) {
+        const value = fixed.get(((id << 16) | PROPERTY_TYPES.SYSTIME) >>> 0);
+        if (!value || (value.low === 0 && value.high === 0)) return null;
+
+        const milliseconds = (value.high * 2 ** 32 + value.low) / 10000 - FILETIME_EPOCH_OFFSET;
+        return new Date(milliseconds).toISOString();
+      }
+    };
+  }
+
+  /**
+   * Parse the compound file header, allocation tables and directory
+   */
+  openCompoundFile(data) {
+    const bytes = new Uint8Array(data);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    if (bytes.length < 512 || !SIGNATURE.every((byte, index) => bytes[index] === byte)) {
+      throw new Error('Missing compound file signature');
+    }
+
+    const sectorSize = 1 << view.getUint16(0x1e, true);
+    const miniSectorSize = 1 << view.getUint16(0x20, true);
+    const miniStreamCutoff = view.getUint32(0x38, true);
+    const sectorOffset = sector => (sector + 1) * sectorSize;
+    const entriesPerSector = sectorSize / 4;
+
+    // The DIFAT lists the sectors of the FAT: 109 entries in the header, the rest chained
+    const fatSectors = [];
+    for (let index = 0; index < 109; index++) {
+      const sector = view.getUint32(0x4c + index * 4, true);
+      if (sector !== FREE_SECTOR) fatSectors.push(sector);
+    }
+    let difatSector = view.getUint32(0x44, true);
+    for (let count = view.getUint32(0x48, true); count > 0 && difatSector < END_OF_CHAIN; count--) {
+      const offset = sectorOffset(difatSector);
+      for (let index = 0; index < entriesPerSector - 1; index++) {
+        const sector = view.getUint32(offset + index * 4, true);
+        if (sector !== FREE_SECTOR) fatSectors.push(sector);
+      }
+      difatSector = view.getUint32(offset + (entriesPerSector - 1) * 4, true);
+    }
+
+    const fat = new Uint32Array(fatSectors.length * entriesPerSector);
+    fatSectors.forEach((sector, index) => {
+      for (let entry = 0; entry < entriesPerSector; entry++) {
+        fat[index * entriesPerSector + entry] = view.getUint32(sectorOffset(sector) + entry * 4, true);
+      }
+    });
+
+    const readChain = (start, table, size, readSector) => {
+      const chunks = [];
+      const visited = new Set();
+      for (let sector = start; sector < END_OF_CHAIN && !visited.has(sector); sector = table[sector]) {
+        visited.add(sector);
+        chunks.push(readSector(sector));
+      }
+      const joined = concatBytes(chunks);
+      return size === null ? joined : joined.subarray(0, size);
+    };
+    const readSector = sector => bytes.subarray(sectorOffset(sector), sectorOffset(sector) + sectorSize);
+
+    const directory = readChain(view.getUint32(0x30, true), fat, null, readSector);
+    const directoryView = new DataView(directory.buffer, directory.byteOffset, directory.byteLength);
+    const entries = [];
+    for (let offset = 0; offset + 128 <= directory.length; offset += 128) {
+      const nameLength = Math.max(0, directoryView.getUint16(offset + 0x40, true) - 2);
+      entries.push({
+        name: new TextDecoder('utf-16le').decode(directory.subarray(offset, offset + nameLength)),
+        type: directory[offset + 0x42],
+        left: directoryView.getUint32(offset + 0x44, true),
+        right: directoryView.getUint32(offset + 0x48, true),
+        child: directoryView.getUint32(offset + 0x4c, true),
+        start: directoryView.getUint32(offset + 0x74, true),
+        size: directoryView.getUint32(offset + 0x78, true)
+      });
+    }
+
+    const root = entries[0];
+    if (!root || root.type !== ENTRY_TYPES.ROOT) {
+      throw new Error('Missing root directory entry');
+    }
+
+    // Small streams live in the mini stream, addressed through the mini FAT
+    const miniFat = new Uint32Array(readChain(view.getUint32(0x3c, true), fat, null, readSector).slice().buffer);
+    const miniStream = readChain(root.start, fat, root.size, readSector);
+
+    return {
+      entries,
+      read: (entry) => entry.size < miniStreamCutoff
+        ? readChain(entry.start, miniFat, entry.size, sector => miniStream.subarray(sector * miniSectorSize, (sector + 1) * miniSectorSize))
+        : readChain(entry.start, fat, entry.size, readSector)
+    };
+  }
+
+  readStream(file, entry) {
+    return entry.size === 0 ? new Uint8Array(0) : file.read(entry);
+  }
+
+  /**
+   * Entries directly inside a storage; siblings form a binary tree below its child pointer
+   */
+  children(file, storage) {
+    const children = [];
+    const pending = [storage.child];
+    const visited = new Set();
+
+    while (pending.length > 0) {
+      const index = pending.pop();
+      if (index === NO_STREAM || visited.has(index) || !file.entries[index]) continue;
+
+      visited.add(index);
+      const entry = file.entries[index];
+      children.push(entry);
+      pending.push(entry.left, entry.right);
+    }
+
+    return children;
+  }
+}
+
+function propertyStreamName(id, type) {
+  const hex = value => value.toString(16).toUpperCase().padStart(4, '0');
+  return `__substg1.0_${hex(id)}${hex(type)}`;
+}
+
+function concatBytes(chunks) {
+  const joined = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    joined.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return joined;
+}
+
+export default OutlookMessageReader;
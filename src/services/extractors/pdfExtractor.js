@@ -0,0 +1,281 @@
+/**
+ * PDF Extractor
+ * In-browser PDF text extraction built on PDF.js
+ */
+
+import pdfWorkerSrc from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
+import { createCanvas, canvasToBlob } from './ocrExtractor.js';
+import { groupLineCells, cellsToText } from './layoutUtils.js';
+import { ExtractionError, EXTRACTION_ERROR_CODES, throwIfCancelled } from './extractionErrors.js';
+
+// Marker of the encryption dictionary in the trailer of an encrypted PDF
+const ENCRYPT_MARKER = '/Encrypt';
+
+/**
+ * PDF.js canvas factory for worker contexts, where document.createElement is unavailable
+ */
+class OffscreenCanvasFactory {
+  create(width, height) {
+    const canvas = createCanvas(width, height);
+    return { canvas, context: canvas.getContext('2d', { willReadFrequently: true }) };
+  }
+
+  reset(canvasAndContext, width, height) {
+    canvasAndContext.canvas.width = width;
+    canvasAndContext.canvas.height = height;
+  }
+
+  destroy(canvasAndContext) {
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+    canvasAndContext.canvas = null;
+    canvasAndContext.context = null;
+  }
+}
+
+export class PdfExtractor {
+  constructor() {
+    this.name = 'PDF Extractor';
+    this.version = '1.0.0';
+
+    // Vertical distance (in PDF units) within which text items share a line
+    this.lineTolerance = 2;
+    // Pages with less text than this are treated as scanned images
+    this.minPageTextLength = 20;
+    this.pdfjs = null;
+  }
+
+  /**
+   * Extract per-page text and document metadata from PDF bytes
+   * @param {ArrayBuffer} data - Raw PDF bytes
+   * @param {Object} options - { password: user password of an encrypted PDF,
+   *   onPage(pageNumber, pageCount): called after each page, signal: AbortSignal }
+   * @returns {Promise<Object>} Extracted text, pages and metadata
+   */
+  async extract(data, { password = null, onPage = null, signal = null } = {}) {
+    const pdfjs = await this.loadLibrary();
+    const pdf = await this.openDocument(pdfjs, data, password);
+
+    try {
+      const pages = [];
+
+      for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+        throwIfCancelled(signal);
+        const page = await pdf.getPage(pageNumber);
+        const textContent = await page.getTextContent();
+        const viewport = page.getViewport({ scale: 1 });
+        const lines = this.buildPageLines(textContent.items);
+
+        pages.push({
+          pageNumber,
+          text: lines.map(line => cellsToText(line.cells)).join('\n'),
+          lines,
+          width: viewport.width,
+          height: viewport.height
+        });
+
+        page.cleanup();
+        onPage?.(pageNumber, pdf.numPages);
+      }
+
+      const { info } = await pdf.getMetadata().catch(() => ({ info: {} }));
+
+      return {
+        text: pages.map(page => page.text).join('\n\n'),
+        pages,
+        metadata: {
+          pages: pdf.numPages,
+          extractionMethod: 'pdfjs',
+          producer: info?.Producer || null,
+          creator: info?.Creator || null,
+          title: info?.Title || null,
+          author: info?.Author || null,
+          creationDate: this.parsePdfDate(pdfjs, info?.CreationDate),
+          modificationDate: this.parsePdfDate(pdfjs, info?.ModDate),
+          pdfVersion: info?.PDFFormatVersion || null,
+          encrypted: Boolean(info?.EncryptFilterName),
+          hasTextLayer: pages.some(page => page.text.trim().length > 0),
+          scannedPages: pages.filter(page => this.isScannedPage(page)).map(page => page.pageNumber)
+        }
+      };
+
+    } finally {
+      await pdf.destroy();
+    }
+  }
+
+  /**
+   * Render pages to PNG images so scanned pages can be sent through OCR
+   * @param {ArrayBuffer} data - Raw PDF bytes
+   * @param {number[]} pageNumbers - 1-based page numbers to render
+   * @param {Object} options - { scale: render scale, 2 gives roughly 144 DPI; password; signal }
+   * @returns {Promise<Array>} [{ pageNumber, image }]
+   */
+  async renderPages(data, pageNumbers, { scale = 2, password = null, signal = null } = {}) {
+    const pdfjs = await this.loadLibrary();
+    const pdf = await this.openDocument(pdfjs, data, password);
+
+    try {
+      const images = [];
+
+      for (const pageNumber of pageNumbers) {
+        throwIfCancelled(signal);
+        const page = await pdf.getPage(pageNumber);
+        const viewport = page.getViewport({ scale });
+        const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+
+        await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+        images.push({ pageNumber, image: await canvasToBlob(canvas) });
+
+        page.cleanup();
+      }
+
+      return images;
+
+    } finally {
+      await pdf.destroy();
+    }
+  }
+
+  /**
+   * Check whether a page lacks a usable text layer
+   */
+  isScannedPage(page) {
+    return page.text.replace(/\s+/g, '').length < this.minPageTextLength;
+  }
+
+  /**
+   * Check whether a PDF is encrypted and whether it can be opened with a password
+   * @param {ArrayBuffer} data - Raw PDF bytes
+   * @param {string} password - Password to try; none checks whether one is needed at all
+   * @returns {Promise<Object>} { encrypted, locked, errorCode } where locked means the
+   *   document cannot be read without a (different) password
+   */
+  async checkEncryption(data, password = null) {
+    if (!this.hasEncryptMarker(data)) {
+      return { encrypted: false, locked: false, errorCode: null };
+    }
+
+    const pdfjs = await this.loadLibrary();
+    try {
+      const pdf = await this.openDocument(pdfjs, data, password);
+      await pdf.destroy();
+      return { encrypted: true, locked: false, errorCode: null };
+    } catch (error) {
+      if (error instanceof ExtractionError) {
+        return { encrypted: true, locked: true, errorCode: error.code };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Quick byte scan for an encryption dictionary, before PDF.js is loaded
+   */
+  hasEncryptMarker(data) {
+    const bytes = new Uint8Array(data);
+    const marker = Array.from(ENCRYPT_MARKER, character => character.charCodeAt(0));
+
+    for (let index = bytes.indexOf(marker[0]); index !== -1; index = bytes.indexOf(marker[0], index + 1)) {
+      if (marker.every((code, offset) => bytes[index + offset] === code)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Open a PDF document from raw bytes, decrypting it with the password when one is given
+   */
+  async openDocument(pdfjs, data, password = null) {
+    // Inside a Web Worker there is no DOM: draw on OffscreenCanvas and skip @font-face loading
+    const inWorker = typeof document === 'undefined';
+
+    // PDF.js transfers the buffer to its worker, so hand it a copy
+    const loadingTask = pdfjs.getDocument({
+      data: new Uint8Array(data).slice(),
+      password: password || undefined,
+      isEvalSupported: false,
+      ...(inWorker && { CanvasFactory: OffscreenCanvasFactory, disableFontFace: true })
+    });
+
+    try {
+      return await loadingTask.promise;
+    } catch (error) {
+      throw this.createPasswordError(pdfjs, error) || error;
+    }
+  }
+
+  /**
+   * Translate a PDF.js PasswordException into an extraction error
+   * @returns {ExtractionError|null} Null for any other error
+   */
+  createPasswordError(pdfjs, error) {
+    if (error?.name !== 'PasswordException') return null;
+
+    if (error.code === pdfjs.PasswordResponses.INCORRECT_PASSWORD) {
+      return new ExtractionError(
+        'The password for this PDF is incorrect.',
+        EXTRACTION_ERROR_CODES.PDF_PASSWORD_INCORRECT
+      );
+    }
+
+    return new ExtractionError(
+      'This PDF is password protected. Enter the document password to analyze it.',
+      EXTRACTION_ERROR_CODES.PDF_PASSWORD_REQUIRED
+    );
+  }
+
+  /**
+   * Lazily load PDF.js so it is only fetched when a PDF is processed
+   */
+  async loadLibrary() {
+    if (!this.pdfjs) {
+      this.pdfjs = await import('pdfjs-dist');
+      this.pdfjs.GlobalWorkerOptions.workerSrc = pdfWorkerSrc;
+    }
+
+    return this.pdfjs;
+  }
+
+  /**
+   * Rebuild reading-order lines from positioned PDF.js text items.
+   * Each line keeps its cells with x positions so tables can be reconstructed.
+   */
+  buildPageLines(items) {
+    const lines = [];
+
+    for (const item of items) {
+      // Whitespace items only pad gaps; spacing is recomputed from positions
+      if (typeof item.str !== 'string' || item.str.trim().length === 0) continue;
+
+      const x = item.transform[4];
+      const y = item.transform[5];
+      let line = lines.find(l => Math.abs(l.y - y) <= this.lineTolerance);
+
+      if (!line) {
+        line = { y, fragments: [] };
+        lines.push(line);
+      }
+
+      line.fragments.push({ text: item.str, x0: x, x1: x + (item.width || 0) });
+    }
+
+    // PDF coordinates grow upwards, so higher y values come first
+    lines.sort((a, b) => b.y - a.y);
+
+    return lines
+      .map(line => ({ y: line.y, cells: groupLineCells(line.fragments) }))
+      .filter(line => line.cells.length > 0);
+  }
+
+  /**
+   * Convert a PDF date string (D:YYYYMMDDHHmmSS) to ISO format
+   */
+  parsePdfDate(pdfjs, value) {
+    if (!value) return null;
+
+    const date = pdfjs.PDFDateString?.toDateObject(value);
+    return date && !isNaN(date) ? date.toISOString() : null;
+  }
+}
+
+export default PdfExtractor;
@@ -0,0 +1,128 @@
+/**
+ * Provenance Tracker
+ * Records where each extracted field came from: source page, character span in the
+ * extracted text, the matched snippet, extraction method and a confidence score
+ */
+
+export const EXTRACTION_METHODS = {
+  REGEX: 'regex',
+  TABLE: 'table',
+  OCR: 'ocr',
+  AI: 'ai',
+  STRUCTURED: 'structured'
+};
+
+// Base confidence of each method before OCR quality is taken into account
+const METHOD_CONFIDENCE = {
+  [EXTRACTION_METHODS.REGEX]: 0.8,
+  [EXTRACTION_METHODS.TABLE]: 0.9,
+  [EXTRACTION_METHODS.OCR]: 0.8,
+  [EXTRACTION_METHODS.AI]: 0.7,
+  [EXTRACTION_METHODS.STRUCTURED]: 0.98
+};
+
+// Characters of surrounding text kept on each side of a snippet
+const SNIPPET_CONTEXT = 40;
+
+export class ProvenanceTracker {
+  /**
+   * @param {string} text - Extracted text that spans refer to
+   * @param {Array} pages - Pages [{ pageNumber, text, ocr }] the text was built from
+   * @param {Function} normalize - Transformation applied to page text to produce `text`
+   */
+  constructor(text, pages = [], normalize = value => value) {
+    this.text = text || '';
+    this.fields = {};
+    this.pageRanges = this.mapPages(pages, normalize);
+  }
+
+  /**
+   * Locate each page inside the extracted text so offsets can be traced back to pages
+   */
+  mapPages(pages, normalize) {
+    const ranges = [];
+    let cursor = 0;
+
+    for (const page of pages) {
+      const pageText = normalize(page.text || '');
+      if (!pageText) continue;
+
+      const start = this.text.indexOf(pageText, cursor);
+      if (start === -1) continue;
+
+      ranges.push({
+        pageNumber: page.pageNumber,
+        start,
+        end: start + pageText.length,
+        ocrConfidence: page.ocr ? page.ocr.confidence : null
+      });
+      cursor = start + pageText.length;
+    }
+
+    return ranges;
+  }
+
+  /**
+   * Record a field found at a known character span
+   * @param {string} field - Field key (e.g. "deductible", "coverages.Collision")
+   * @param {Object} details - { value, start, end, method, confidence, page }
+   * @returns {Object} The provenance entry
+   */
+  record(field, { value, start = null, end = null, method = EXTRACTION_METHODS.REGEX, confidence = null, page = null }) {
+    const range = start !== null ? this.pageRanges.find(candidate => start >= candidate.start && start < candidate.end) : null;
+    const ocrConfidence = range?.ocrConfidence ?? null;
+
+    // Text read by OCR is only as trustworthy as the recognition of that page
+    const resolvedMethod = ocrConfidence !== null && method === EXTRACTION_METHODS.REGEX ? EXTRACTION_METHODS.OCR : method;
+    let resolvedConfidence = confidence ?? METHOD_CONFIDENCE[resolvedMethod] ?? 0.5;
+    if (ocrConfidence !== null) {
+      resolvedConfidence *= ocrConfidence / 100;
+    }
+
+    const entry = {
+      value,
+      page: page ?? range?.pageNumber ?? null,
+      start,
+      end,
+      snippet: start !== null ? this.text.slice(start, end) : null,
+      context: start !== null ? this.contextAround(start, end) : null,
+      method: resolvedMethod,
+      confidence: Math.round(resolvedConfidence * 100) / 100
+    };
+
+    this.fields[field] = entry;
+    return entry;
+  }
+
+  /**
+   * Find the span of a snippet, tolerating case and whitespace differences
+   * @returns {Object} { start, end } or nulls when not found
+   */
+  locate(snippet, from = 0) {
+    if (!snippet) return { start: null, end: null };
+
+    const escaped = snippet.toString().trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    const pattern = new RegExp(escaped, 'i');
+    const match = pattern.exec(this.text.slice(from));
+
+    return match
+      ? { start: from + match.index, end: from + match.index + match[0].length }
+      : { start: null, end: null };
+  }
+
+  contextAround(start, end) {
+    const contextStart = Math.max(0, start - SNIPPET_CONTEXT);
+    const contextEnd = Math.min(this.text.length, end + SNIPPET_CONTEXT);
+    return {
+      before: this.text.slice(contextStart, start),
+      match: this.text.slice(start, end),
+      after: this.text.slice(end, contextEnd)
+    };
+  }
+
+  toJSON() {
+    return this.fields;
+  }
+}
+
+export default ProvenanceTracker;
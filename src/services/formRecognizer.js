@@ -0,0 +1,129 @@
+/**
+ * Form Recognizer
+ * Detects standard ISO form and endorsement numbers (e.g. "HO 00 03", "CG 21 47")
+ * and resolves what each one adds to or removes from coverage
+ */
+
+import { FORM_CATALOG, FORM_KINDS, FORM_PREFIXES } from '../data/formCatalog.js';
+
+// "HO 00 03 05 11", "CG 20 10 (04 13)", "PP0001", "CG 21 47 12/07"
+const FORM_NUMBER_PATTERN = new RegExp(
+  `\\b(${Object.keys(FORM_PREFIXES).join('|')})([\\s-]?)(\\d{2})\\2(\\d{2})\\b(?:\\s*\\(?(\\d{2})[\\s/-](\\d{2}|\\d{4})\\)?(?!\\d))?`,
+  'g'
+);
+
+export class FormRecognizer {
+  constructor() {
+    this.name = 'Form Recognizer';
+    this.version = '1.0.0';
+  }
+
+  /**
+   * List the forms and endorsements referenced in a document
+   * @param {string} text - Extracted document text
+   * @returns {Array} [{ number, edition, title, kind, policyType, known, exclusions, adds, removes, restores,
+   *   occurrences, start, end }] where start/end locate the first mention
+   */
+  detectForms(text) {
+    if (!text) return [];
+
+    const forms = new Map();
+
+    for (const match of text.matchAll(FORM_NUMBER_PATTERN)) {
+      const [, prefix, separator, series, sequence, editionMonth, editionYear] = match;
+      const number = `${prefix} ${series} ${sequence}`;
+      const entry = FORM_CATALOG[number];
+
+      // Unknown run-together numbers ("CA 9021") are too easily confused with other text
+      if (!entry && !separator) continue;
+
+      const existing = forms.get(number);
+      if (existing) {
+        existing.occurrences++;
+        existing.edition = existing.edition || this.formatEdition(editionMonth, editionYear);
+        continue;
+      }
+
+      forms.set(number, {
+        number,
+        edition: this.formatEdition(editionMonth, editionYear),
+        title: entry?.title || null,
+        kind: entry?.kind || FORM_KINDS.ENDORSEMENT,
+        policyType: entry?.policyType || FORM_PREFIXES[prefix],
+        known: Boolean(entry),
+        exclusions: entry?.exclusions || [],
+        adds: entry?.adds || [],
+        removes: entry?.removes || [],
+        restores: entry?.restores || [],
+        occurrences: 1,
+        start: match.index,
+        end: match.index + match[0].length
+      });
+    }
+
+    return [...forms.values()];
+  }
+
+  /**
+   * Combine detected forms into the coverage they produce together
+   * @param {Array} forms - Result of detectForms
+   * @returns {Object} { baseForms, endorsements, exclusions, restoredExclusions, coverageAdded, coverageRemoved, unknownForms }
+   */
+  summarize(forms = []) {
+    const restored = new Map();
+    for (const form of forms) {
+      for (const exclusion of form.restores) {
+        restored.set(exclusion, form.number);
+      }
+    }
+
+    const exclusions = [];
+    const seen = new Set();
+    for (const form of forms) {
+      for (const exclusion of form.exclusions) {
+        if (restored.has(exclusion) || seen.has(exclusion)) continue;
+        seen.add(exclusion);
+        exclusions.push({ exclusion, source: form.number, sourceTitle: form.title });
+      }
+    }
+
+    return {
+      baseForms: forms.filter(form => form.kind === FORM_KINDS.BASE),
+      endorsements: forms.filter(form => form.kind === FORM_KINDS.ENDORSEMENT),
+      exclusions,
+      restoredExclusions: [...restored.entries()].map(([exclusion, source]) => ({ exclusion, source })),
+      coverageAdded: forms.flatMap(form => form.adds.map(coverage => ({ coverage, source: form.number }))),
+      coverageRemoved: forms.flatMap(form => form.removes.map(coverage => ({ coverage, source: form.number }))),
+      unknownForms: forms.filter(form => !form.known).map(form => form.number)
+    };
+  }
+
+  /**
+   * Policy types implied by the form numbers of a document, strongest first
+   * @param {Array} formNumbers - e.g. ['HO 00 03', 'HO 04 90']
+   * @returns {Array} [{ type, weight }]
+   */
+  getPolicyTypes(formNumbers = []) {
+    const weights = {};
+
+    for (const number of formNumbers) {
+      const entry = FORM_CATALOG[number];
+      const type = entry?.policyType || FORM_PREFIXES[number.slice(0, 2)];
+      if (!type) continue;
+
+      // A base form identifies the policy; endorsements only hint at it
+      weights[type] = (weights[type] || 0) + (entry?.kind === FORM_KINDS.BASE ? 1 : 0.25);
+    }
+
+    return Object.entries(weights)
+      .map(([type, weight]) => ({ type, weight }))
+      .sort((a, b) => b.weight - a.weight);
+  }
+
+  formatEdition(month, year) {
+    if (!month || !year || Number(month) < 1 || Number(month) > 12) return null;
+    return `${month} ${year.slice(-2)}`;
+  }
+}
+
+export default new FormRecognizer();
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import formRecognizer from './formRecognizer.js';
+import { FORM_KINDS } from '../data/formCatalog.js';
+
+const FORMS_SCHEDULE = `FORMS AND ENDORSEMENTS
+HO 00 03 05 11 Homeowners 3 - Special Form
+HO 04 54 (05 11) Earthquake
+HO 24 71 Business Pursuits
+HO 99 99 12/07 Carrier Amendatory Endorsement
+Policy Form HO 00 03 applies`;
+
+describe('FormRecognizer.detectForms', () => {
+  it('reads form numbers with their editions, once per form', () => {
+    const forms = formRecognizer.detectForms(FORMS_SCHEDULE);
+
+    expect(forms.map(form => form.number)).toEqual(['HO 00 03', 'HO 04 54', 'HO 24 71', 'HO 99 99']);
+    expect(forms[0]).toMatchObject({ edition: '05 11', kind: FORM_KINDS.BASE, policyType: 'home', known: true, occurrences: 2 });
+    expect(forms[1].edition).toBe('05 11');
+    expect(forms[3]).toMatchObject({ edition: '12 07', known: false, kind: FORM_KINDS.ENDORSEMENT, title: null });
+    expect(FORMS_SCHEDULE.slice(forms[0].start, forms[0].end)).toBe('HO 00 03 05 11');
+  });
+
+  it('reads run-together numbers of known forms only', () => {
+    expect(formRecognizer.detectForms('Form PP0001 applies').map(form => form.number)).toEqual(['PP 00 01']);
+    expect(formRecognizer.detectForms('Invoice CA 9021 paid')).toEqual([]);
+    expect(formRecognizer.detectForms('Invoice CA9021 paid')).toEqual([]);
+  });
+
+  it('returns nothing without text', () => {
+    expect(formRecognizer.detectForms('')).toEqual([]);
+    expect(formRecognizer.detectForms(null)).toEqual([]);
+  });
+});
+
+describe('FormRecognizer.summarize', () => {
+  it('drops exclusions that an endorsement restores', () => {
+    const summary = formRecognizer.summarize(formRecognizer.detectForms(FORMS_SCHEDULE));
+    const exclusions = summary.exclusions.map(({ exclusion }) => exclusion);
+
+    expect(summary.baseForms.map(form => form.number)).toEqual(['HO 00 03']);
+    expect(exclusions).not.toContain('Earth movement');
+    expect(exclusions).not.toContain('Business activities');
+    expect(summary.restoredExclusions).toEqual(expect.arrayContaining([
+      { exclusion: 'Earth movement', source: 'HO 04 54' },
+      { exclusion: 'Business activities', source: 'HO 24 71' }
+    ]));
+    expect(summary.coverageAdded).toContainEqual({ coverage: 'Earthquake coverage', source: 'HO 04 54' });
+    expect(summary.unknownForms).toEqual(['HO 99 99']);
+  });
+});
+
+describe('FormRecognizer.getPolicyTypes', () => {
+  it('weighs base forms above endorsements', () => {
+    expect(formRecognizer.getPolicyTypes(['HO 04 90', 'PP 00 01', 'CG 99 99'])).toEqual([
+      { type: 'auto', weight: 1 },
+      { type: 'home', weight: 0.25 },
+      { type: 'business', weight: 0.25 }
+    ]);
+  });
+});
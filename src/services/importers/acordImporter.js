@@ -0,0 +1,409 @@
+/**
+ * ACORD Importer
+ * Imports policy data exchanged by agencies in ACORD XML and AL3 formats. Records map
+ * directly onto the PolicyModels.js classes and into a document result, so the rest of
+ * the pipeline runs without OCR or pattern extraction and treats every value as
+ * high-confidence structured input.
+ *
+ * Parsers return policy records of the form
+ *   { format, lineOfBusiness, policyForm, policyNumber, insurer, naic, effectiveDate,
+ *     expirationDate, premium, paymentPlan, insureds, vehicles, drivers, dwellings,
+ *     coverages: [{ code, description, limits: [{ amount, appliesTo }], deductible,
+ *       deductibleType, premium, vehicleId, dwellingId }], deductibles }
+ */
+
+import AcordXmlParser from './acordXmlParser.js';
+import Al3Parser from './al3Parser.js';
+import { PolicyFactory } from '../../models/PolicyModels.js';
+import textNormalizer from '../textNormalizer.js';
+import ProvenanceTracker, { EXTRACTION_METHODS } from '../extractors/provenanceTracker.js';
+import {
+  LINE_OF_BUSINESS_CODES,
+  RENTERS_POLICY_FORMS,
+  LIABILITY_COVERAGE_KEYS,
+  LIMIT_APPLIES_TO,
+  getCoverageCode,
+  getDeductibleKey
+} from '../../data/acordCodes.js';
+
+const FORMAT_LABELS = {
+  'acord-xml': 'ACORD XML',
+  al3: 'ACORD AL3'
+};
+
+const DEDUCTIBLE_LABELS = {
+  allPerils: 'All perils',
+  windHail: 'Wind/hail',
+  hurricane: 'Hurricane',
+  earthquake: 'Earthquake'
+};
+
+export class AcordImporter {
+  constructor() {
+    this.name = 'ACORD Importer';
+    this.version = '1.0.0';
+    this.xmlParser = new AcordXmlParser();
+    this.al3Parser = new Al3Parser();
+  }
+
+  /**
+   * Import an ACORD XML or AL3 file as a document result
+   * @param {File} file - Uploaded file
+   * @param {string} fileType - 'acord' or 'al3'
+   * @returns {Promise<Object>} Document result with `policy` (a PolicyModels instance) and
+   *   `structuredInput` describing the import
+   */
+  async importFile(file, fileType) {
+    const content = await file.text();
+    const records = fileType === 'al3' ? this.al3Parser.parse(content) : this.xmlParser.parse(content);
+    const [record] = records;
+
+    const result = this.toDocumentResult(record, file, fileType);
+    if (records.length > 1) {
+      result.metadata.additionalPolicies = records.slice(1).map(other => other.policyNumber);
+    }
+    return result;
+  }
+
+  /**
+   * Policy type of a record: its line of business, with HO-4 forms read as renters
+   */
+  getPolicyType(record) {
+    const policyType = LINE_OF_BUSINESS_CODES[record.lineOfBusiness?.toUpperCase()]?.policyType || null;
+    const form = record.policyForm?.toUpperCase().replace(/\s/g, '');
+
+    if (policyType === 'home' && RENTERS_POLICY_FORMS.includes(form)) return 'renters';
+    return policyType;
+  }
+
+  /**
+   * Build the policy model for a record
+   * @returns {BasePolicy} AutoPolicy, HomePolicy, RentersPolicy, a commercial model or a BasePolicy
+   */
+  toPolicyModel(record) {
+    const policyType = this.getPolicyType(record) || 'unknown';
+    const coverages = this.groupCoverages(record.coverages);
+    const [insured] = record.insureds;
+    const [dwelling] = record.dwellings;
+
+    const data = {
+      policyNumber: record.policyNumber || '',
+      insuranceProvider: record.insurer || '',
+      effectiveDate: record.effectiveDate,
+      expirationDate: record.expirationDate,
+      premium: record.premium,
+      paymentFrequency: this.getPaymentFrequency(record.paymentPlan),
+      coverages: Object.fromEntries(Object.entries(coverages).map(([key, entries]) => [key, this.toModelCoverage(entries[0])]))
+    };
+
+    switch (policyType) {
+      case 'auto':
+        return PolicyFactory.createPolicy('auto', {
+          ...data,
+          vehicles: record.vehicles.map(vehicle => ({
+            ...vehicle,
+            coverages: record.coverages
+              .filter(coverage => coverage.vehicleId && coverage.vehicleId === vehicle.id)
+              .map(coverage => ({ key: getCoverageCode(coverage.code, coverage.description).key, ...this.toModelCoverage(coverage) }))
+          })),
+          drivers: record.drivers,
+          deductibles: {
+            collision: coverages.collision?.[0]?.deductible ?? null,
+            comprehensive: coverages.comprehensive?.[0]?.deductible ?? null
+          }
+        });
+
+      case 'home':
+        return PolicyFactory.createPolicy('home', {
+          ...data,
+          property: {
+            address: dwelling?.address || insured?.address || '',
+            yearBuilt: dwelling?.yearBuilt ?? null,
+            constructionType: dwelling?.constructionType || '',
+            roofType: dwelling?.roofType || '',
+            ...(dwelling?.propertyType && { propertyType: dwelling.propertyType })
+          },
+          deductibles: this.getHomeDeductibles(record, coverages)
+        });
+
+      case 'renters':
+        return PolicyFactory.createPolicy('renters', {
+          ...data,
+          rentalProperty: { address: dwelling?.address || insured?.address || '' },
+          deductible: this.getHomeDeductibles(record, coverages).allPerils
+        });
+
+      case 'business':
+        return PolicyFactory.createPolicy('business', {
+          ...data,
+          businessName: insured?.name || '',
+          // Addresses end in "ST 12345"
+          locations: record.dwellings.map(location => ({
+            address: location.address,
+            state: location.address?.match(/\b([A-Z]{2})\s+\d{5}/)?.[1] || null
+          }))
+        }, LINE_OF_BUSINESS_CODES[record.lineOfBusiness?.toUpperCase()]?.subType);
+
+      default:
+        return PolicyFactory.createPolicy(policyType, data);
+    }
+  }
+
+  /**
+   * Document result for a record: a generated declarations summary as the text, the
+   * structured fields the analyzers read, and provenance pointing into the summary
+   */
+  toDocumentResult(record, file, fileType) {
+    const policy = this.toPolicyModel(record);
+    const policyType = this.getPolicyType(record);
+    const structuredData = this.toStructuredData(record, policyType);
+    const { text, spans } = this.buildSummary(record, policy, structuredData);
+    const provenance = new ProvenanceTracker(text);
+
+    for (const [field, value] of Object.entries(structuredData)) {
+      if (field === 'coverages') continue;
+      const span = spans[field] || { start: null, end: null };
+      provenance.record(field, { value, ...span, method: EXTRACTION_METHODS.STRUCTURED });
+    }
+    for (const row of structuredData.coverages || []) {
+      const span = spans[`coverages.${row.coverageName}`] || { start: null, end: null };
+      provenance.record(`coverages.${row.coverageName}`, { value: row, ...span, method: EXTRACTION_METHODS.STRUCTURED });
+    }
+
+    return {
+      success: true,
+      fileName: file.name,
+      fileSize: file.size,
+      fileType,
+      extractedText: text,
+      structuredData,
+      fieldProvenance: provenance.toJSON(),
+      sections: textNormalizer.buildSectionTree(text),
+      pages: [],
+      tables: [],
+      forms: [],
+      metadata: {
+        extractionMethod: record.format,
+        lineOfBusiness: record.lineOfBusiness,
+        policyForm: record.policyForm,
+        naic: record.naic
+      },
+      extractionQuality: {
+        method: record.format,
+        confidence: 100,
+        level: 'excellent',
+        ocrPages: [],
+        wordCount: 0,
+        lowConfidenceWords: 0
+      },
+      processingDate: new Date().toISOString(),
+      policy,
+      structuredInput: {
+        format: record.format,
+        policyType,
+        lineOfBusiness: record.lineOfBusiness,
+        policyForm: record.policyForm
+      }
+    };
+  }
+
+  /**
+   * Fields in the shape produced by pattern extraction, read by classification and the risk analyzers
+   */
+  toStructuredData(record, policyType) {
+    const coverages = this.groupCoverages(record.coverages);
+    const liabilityKey = LIABILITY_COVERAGE_KEYS.find(key => coverages[key]);
+    const baseDeductible = coverages.collision?.[0]?.deductible ?? coverages.dwelling?.[0]?.deductible
+      ?? record.deductibles.find(deductible => getDeductibleKey(deductible.deductibleType, deductible.description) === 'allPerils')?.deductible;
+
+    const data = {
+      policyNumber: record.policyNumber,
+      insuranceCompany: record.insurer,
+      policyType: policyType ? LINE_OF_BUSINESS_CODES[record.lineOfBusiness?.toUpperCase()]?.label || policyType : null,
+      effectiveDate: record.effectiveDate,
+      expirationDate: record.expirationDate,
+      premium: record.premium !== null && record.premium !== undefined ? formatAmount(record.premium, true) : null,
+      deductible: baseDeductible !== null && baseDeductible !== undefined ? formatAmount(baseDeductible) : null,
+      liabilityLimits: liabilityKey ? this.formatLimits(coverages[liabilityKey][0]) : null,
+      propertyDamage: coverages.propertyDamageLiability ? this.formatLimits(coverages.propertyDamageLiability[0]) : null
+    };
+
+    const rows = record.coverages.map(coverage => ({
+      coverageName: this.coverageName(coverage, record),
+      limits: this.formatLimits(coverage),
+      deductible: coverage.deductible !== null ? `$${formatAmount(coverage.deductible)}` : null,
+      premium: coverage.premium !== null ? `$${formatAmount(coverage.premium, true)}` : null,
+      page: null
+    }));
+
+    return {
+      ...Object.fromEntries(Object.entries(data).filter(([, value]) => value !== null && value !== undefined && value !== '')),
+      ...(rows.length > 0 && { coverages: rows })
+    };
+  }
+
+  /**
+   * Readable declarations summary; spans locate each structured field in it
+   */
+  buildSummary(record, policy, structuredData) {
+    const lines = [];
+    const spans = {};
+    let length = 0;
+
+    const add = (line, field = null, value = null) => {
+      if (field && value !== null && value !== undefined && value !== '') {
+        const offset = line.lastIndexOf(String(value));
+        const start = length + (offset === -1 ? 0 : offset);
+        spans[field] = { start, end: offset === -1 ? length + line.length : start + String(value).length };
+      }
+      lines.push(line);
+      length += line.length + 1;
+    };
+
+    const lob = LINE_OF_BUSINESS_CODES[record.lineOfBusiness?.toUpperCase()];
+
+    add('DECLARATIONS');
+    add(`Imported from ${FORMAT_LABELS[record.format]}: ${lob?.label || record.lineOfBusiness || 'Unknown line'} policy${record.policyForm ? ` (${record.policyForm})` : ''}`);
+    if (structuredData.policyType) add(`Policy Type: ${structuredData.policyType}`, 'policyType', structuredData.policyType);
+    if (record.policyNumber) add(`Policy Number: ${record.policyNumber}`, 'policyNumber', record.policyNumber);
+    if (record.insurer) add(`Insurance Company: ${record.insurer}`, 'insuranceCompany', record.insurer);
+    for (const insured of record.insureds.filter(candidate => candidate.name)) {
+      add(`Named Insured: ${insured.name}${insured.address ? `, ${insured.address}` : ''}`);
+    }
+    if (record.effectiveDate) add(`Effective Date: ${record.effectiveDate}`, 'effectiveDate', record.effectiveDate);
+    if (record.expirationDate) add(`Expiration Date: ${record.expirationDate}`, 'expirationDate', record.expirationDate);
+    if (structuredData.premium) add(`Total Premium: $${structuredData.premium}`, 'premium', structuredData.premium);
+    if (structuredData.deductible) add(`Deductible: $${structuredData.deductible}`, 'deductible', structuredData.deductible);
+
+    if (record.vehicles.length > 0) {
+      add('');
+      add('SCHEDULE');
+      record.vehicles.forEach((vehicle, index) => {
+        add(`Vehicle ${index + 1}: ${[vehicle.year, vehicle.make, vehicle.model].filter(Boolean).join(' ')}${vehicle.vin ? `, VIN ${vehicle.vin}` : ''}`);
+      });
+      record.drivers.forEach((driver, index) => {
+        add(`Driver ${index + 1}: ${driver.name || 'Unnamed'}${driver.dateOfBirth ? `, born ${driver.dateOfBirth}` : ''}`);
+      });
+    }
+
+    for (const dwelling of record.dwellings) {
+      add('');
+      add('SCHEDULE');
+      add(`Dwelling: ${dwelling.address || policy.property?.address || 'Address not provided'}`);
+      if (dwelling.yearBuilt) add(`Year Built: ${dwelling.yearBuilt}`);
+      if (dwelling.constructionType) add(`Construction: ${dwelling.constructionType}`);
+      if (dwelling.roofType) add(`Roof: ${dwelling.roofType}`);
+    }
+
+    if (structuredData.coverages) {
+      add('');
+      add('SCHEDULE OF COVERAGES');
+      for (const row of structuredData.coverages) {
+        const details = [
+          row.limits && `Limit ${row.limits}`,
+          row.deductible && `Deductible ${row.deductible}`,
+          row.premium && `Premium ${row.premium}`
+        ].filter(Boolean).join('; ');
+        const line = `${row.coverageName}: ${details || 'Included'}`;
+        spans[`coverages.${row.coverageName}`] = { start: length, end: length + line.length };
+        add(line);
+      }
+      // The liability summary fields point at the coverage lines they were read from
+      for (const field of ['liabilityLimits', 'propertyDamage']) {
+        const value = structuredData[field];
+        const row = value && structuredData.coverages.find(candidate => candidate.limits === value);
+        if (row) {
+          const span = spans[`coverages.${row.coverageName}`];
+          const start = span.start + `${row.coverageName}: Limit `.length;
+          spans[field] = { start, end: start + value.length };
+        }
+      }
+    }
+
+    for (const deductible of record.deductibles) {
+      if (deductible.deductible === null) continue;
+      const label = deductible.description || `${DEDUCTIBLE_LABELS[getDeductibleKey(deductible.deductibleType, deductible.description)]} deductible`;
+      add(`${label}: $${formatAmount(deductible.deductible)}`);
+    }
+
+    return { text: lines.join('\n'), spans };
+  }
+
+  /**
+   * Coverage entries by model coverage key, policy-level entries first
+   */
+  groupCoverages(coverages) {
+    const groups = {};
+    const ordered = [...coverages].sort((a, b) => Number(Boolean(a.vehicleId)) - Number(Boolean(b.vehicleId)));
+
+    for (const coverage of ordered) {
+      const { key } = getCoverageCode(coverage.code, coverage.description);
+      if (!key) continue;
+      (groups[key] = groups[key] || []).push(coverage);
+    }
+
+    return groups;
+  }
+
+  toModelCoverage(coverage) {
+    return {
+      limit: coverage.limits[0]?.amount ?? null,
+      limitText: this.formatLimits(coverage),
+      deductible: coverage.deductible,
+      premium: coverage.premium,
+      code: coverage.code
+    };
+  }
+
+  getHomeDeductibles(record, coverages) {
+    const deductibles = { allPerils: null, windHail: null, hurricane: null, earthquake: null };
+
+    for (const deductible of record.deductibles) {
+      const key = getDeductibleKey(deductible.deductibleType, deductible.description);
+      if (deductibles[key] === null) deductibles[key] = deductible.deductible;
+    }
+    if (deductibles.allPerils === null) {
+      deductibles.allPerils = coverages.dwelling?.[0]?.deductible ?? coverages.personalProperty?.[0]?.deductible ?? null;
+    }
+    return deductibles;
+  }
+
+  /**
+   * Limit text in the wording the shared limit parser reads ("$100,000 per person / $300,000 per accident")
+   */
+  formatLimits(coverage) {
+    if (!coverage || coverage.limits.length === 0) return null;
+
+    return coverage.limits
+      .map(limit => {
+        const qualifier = LIMIT_APPLIES_TO[limit.appliesTo] || '';
+        return `$${formatAmount(limit.amount)}${qualifier ? ` ${qualifier}` : ''}`;
+      })
+      .join(' / ');
+  }
+
+  coverageName(coverage, record) {
+    const { label } = getCoverageCode(coverage.code, coverage.description);
+    const vehicle = coverage.vehicleId && record.vehicles.find(candidate => candidate.id === coverage.vehicleId);
+    const vehicleName = vehicle ? [vehicle.year, vehicle.make, vehicle.model].filter(Boolean).join(' ') : null;
+
+    return vehicleName ? `${label} (${vehicleName})` : label;
+  }
+
+  getPaymentFrequency(paymentPlan) {
+    const plan = (paymentPlan || '').toUpperCase();
+    if (/^(MO|MN|MTH|12)/.test(plan)) return 'monthly';
+    if (/^(QT|QU|4)/.test(plan)) return 'quarterly';
+    if (/^(SA|SEMI|2)/.test(plan)) return 'semi-annual';
+    return 'annual';
+  }
+}
+
+function formatAmount(amount, cents = false) {
+  return Number(amount).toLocaleString('en-US', {
+    minimumFractionDigits: cents ? 2 : 0,
+    maximumFractionDigits: 2
+  });
+}
+
+export default new AcordImporter();
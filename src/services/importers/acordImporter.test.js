@@ -0,0 +1,142 @@
+import { describe, it, expect, vi } from 'vitest';
+import { AcordImporter } from './acordImporter.js';
+import { AutoPolicy, HomePolicy, RentersPolicy } from '../../models/PolicyModels.js';
+
+const record = (overrides = {}) => ({
+  format: 'acord-xml',
+  lineOfBusiness: 'HOME',
+  policyForm: 'HO3',
+  policyNumber: 'HO-1234',
+  insurer: 'Acme Mutual',
+  naic: '12345',
+  effectiveDate: '2024-01-15',
+  expirationDate: '2025-01-15',
+  premium: 1234.5,
+  paymentPlan: null,
+  insureds: [{ name: 'Jordan Lee', address: '12 Elm St, Springfield, IL 62701', role: 'Insured' }],
+  vehicles: [],
+  drivers: [],
+  dwellings: [],
+  coverages: [],
+  deductibles: [],
+  ...overrides
+});
+
+const coverage = (code, limits = [], details = {}) => ({
+  code,
+  description: null,
+  limits: limits.map(([amount, appliesTo = null]) => ({ amount, appliesTo })),
+  deductible: null,
+  deductibleType: null,
+  premium: null,
+  vehicleId: null,
+  dwellingId: null,
+  ...details
+});
+
+const AUTO_RECORD = record({
+  lineOfBusiness: 'AUTOP',
+  policyForm: null,
+  policyNumber: 'PA-99',
+  vehicles: [{ id: 'V1', year: 2020, make: 'Honda', model: 'Civic', vin: null }],
+  drivers: [{ id: 'D1', name: 'Jordan Lee', dateOfBirth: '1985-04-02' }],
+  coverages: [
+    coverage('BI', [[100000, 'PerPerson'], [300000, 'PerAcc']], { premium: 420 }),
+    coverage('PD', [[100000, 'PerAcc']]),
+    coverage('COLL', [], { deductible: 500, vehicleId: 'V1' })
+  ]
+});
+
+const importer = new AcordImporter();
+
+describe('AcordImporter.toDocumentResult', () => {
+  it('maps an auto record onto the auto model and the structured fields', () => {
+    const result = importer.toDocumentResult(AUTO_RECORD, { name: 'policy.xml', size: 10 }, 'acord');
+
+    expect(result.policy).toBeInstanceOf(AutoPolicy);
+    expect(result.policy.deductibles.collision).toBe(500);
+    expect(result.policy.vehicles[0].coverages).toEqual([expect.objectContaining({ key: 'collision', deductible: 500 })]);
+    expect(result.structuredData).toMatchObject({
+      policyNumber: 'PA-99',
+      insuranceCompany: 'Acme Mutual',
+      policyType: 'Personal Auto',
+      premium: '1,234.50',
+      deductible: '500',
+      liabilityLimits: '$100,000 per person / $300,000 per accident',
+      propertyDamage: '$100,000 per accident'
+    });
+    expect(result.structuredData.coverages.map(row => row.coverageName)).toEqual([
+      'Bodily Injury Liability', 'Property Damage Liability', 'Collision (2020 Honda Civic)'
+    ]);
+    expect(result.structuredInput).toEqual({ format: 'acord-xml', policyType: 'auto', lineOfBusiness: 'AUTOP', policyForm: null });
+  });
+
+  it('points the provenance of each field into the generated declarations text', () => {
+    const { extractedText, fieldProvenance } = importer.toDocumentResult(AUTO_RECORD, { name: 'policy.xml', size: 10 }, 'acord');
+    const spanText = field => extractedText.slice(fieldProvenance[field].start, fieldProvenance[field].end);
+
+    expect(extractedText).toContain('Vehicle 1: 2020 Honda Civic');
+    expect(spanText('policyNumber')).toBe('PA-99');
+    expect(spanText('premium')).toBe('1,234.50');
+    expect(spanText('liabilityLimits')).toBe('$100,000 per person / $300,000 per accident');
+    expect(fieldProvenance.policyNumber.method).toBe('structured');
+  });
+
+  it('reads home deductibles by peril and falls back to the dwelling deductible', () => {
+    const home = importer.toPolicyModel(record({
+      dwellings: [{ id: 'D1', address: '12 Elm St', yearBuilt: 1998, constructionType: 'Frame', roofType: '' }],
+      coverages: [coverage('DWELL', [[300000]], { deductible: 1000 }), coverage('PL', [[500000]])],
+      deductibles: [{ deductible: 2500, deductibleType: 'WH', description: null }]
+    }));
+
+    expect(home).toBeInstanceOf(HomePolicy);
+    expect(home.deductibles).toMatchObject({ allPerils: 1000, windHail: 2500, hurricane: null });
+    expect(home.property).toMatchObject({ address: '12 Elm St', yearBuilt: 1998, constructionType: 'Frame' });
+    expect(home.coverages.liability).toMatchObject({ limit: 500000, limitText: '$500,000' });
+  });
+
+  it('reads HO-4 homeowners forms as renters policies', () => {
+    const renters = record({ policyForm: 'HO 4', coverages: [coverage('PP', [[30000]], { deductible: 500 })] });
+
+    expect(importer.getPolicyType(renters)).toBe('renters');
+    const policy = importer.toPolicyModel(renters);
+    expect(policy).toBeInstanceOf(RentersPolicy);
+    expect(policy.deductible).toBe(500);
+    expect(policy.rentalProperty.address).toBe('12 Elm St, Springfield, IL 62701');
+  });
+
+  it('keeps an unknown line of business as an unclassified policy', () => {
+    expect(importer.getPolicyType(record({ lineOfBusiness: 'XYZ' }))).toBeNull();
+    expect(importer.toStructuredData(record({ lineOfBusiness: 'XYZ' }), null).policyType).toBeUndefined();
+  });
+});
+
+describe('AcordImporter.importFile', () => {
+  it('imports the first policy and lists the others of the file', async () => {
+    const al3Importer = new AcordImporter();
+    const parse = vi.spyOn(al3Importer.al3Parser, 'parse').mockReturnValue([
+      record({ format: 'al3' }),
+      record({ format: 'al3', policyNumber: 'HO-5678' })
+    ]);
+    const file = { name: 'download.al3', size: 3, text: async () => 'AL3' };
+
+    const result = await al3Importer.importFile(file, 'al3');
+
+    expect(parse).toHaveBeenCalledWith('AL3');
+    expect(result).toMatchObject({ success: true, fileName: 'download.al3', fileType: 'al3' });
+    expect(result.structuredData.policyNumber).toBe('HO-1234');
+    expect(result.metadata.additionalPolicies).toEqual(['HO-5678']);
+  });
+});
+
+describe('AcordImporter.getPaymentFrequency', () => {
+  it.each([
+    ['MO', 'monthly'],
+    ['QT', 'quarterly'],
+    ['SA', 'semi-annual'],
+    ['FL', 'annual'],
+    [null, 'annual']
+  ])('reads payment plan %j as %s', (plan, frequency) => {
+    expect(importer.getPaymentFrequency(plan)).toBe(frequency);
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * ACORD XML Parser
+ * Reads personal lines policy messages (PersAutoPolicy..., HomePolicy..., DwellFirePolicy...
+ * requests and responses) into policy records: policy, insured, vehicle, driver, dwelling
+ * and coverage details with the ACORD codes preserved
+ */
+
+import { ExtractionError, EXTRACTION_ERROR_CODES } from '../extractors/extractionErrors.js';
+
+// Elements that hold the policy-level details of a message
+const POLICY_ELEMENTS = ['PersPolicy', 'CommlPolicy', 'Policy'];
+
+export class AcordXmlParser {
+  constructor() {
+    this.name = 'ACORD XML Parser';
+    this.version = '1.0.0';
+  }
+
+  /**
+   * Parse an ACORD XML document
+   * @param {string} xml - Document text
+   * @returns {Array} Policy records, one per policy message
+   */
+  parse(xml) {
+    const doc = new DOMParser().parseFromString(xml, 'application/xml');
+    const root = doc.documentElement;
+
+    if (!root || root.localName === 'parsererror' || doc.getElementsByTagName('parsererror').length > 0) {
+      throw new ExtractionError('ACORD XML file could not be parsed.', EXTRACTION_ERROR_CODES.INVALID_ACORD);
+    }
+    if (root.localName !== 'ACORD') {
+      throw new ExtractionError(`XML file is not an ACORD document (root element <${root.localName}>).`, EXTRACTION_ERROR_CODES.INVALID_ACORD);
+    }
+
+    // A message is the element holding a policy element: <PersAutoPolicyQuoteInqRq>, <HomePolicyAddRs>...
+    const messages = descendants(root, POLICY_ELEMENTS).map(policy => policy.parentElement);
+    if (messages.length === 0) {
+      throw new ExtractionError('ACORD XML file contains no policy.', EXTRACTION_ERROR_CODES.INVALID_ACORD);
+    }
+
+    return messages.map(message => this.parseMessage(message));
+  }
+
+  parseMessage(message) {
+    const policy = children(message, POLICY_ELEMENTS)[0];
+    const locations = new Map(children(message, 'Location').map(location => [location.getAttribute('id'), this.parseAddress(child(location, 'Addr'))]));
+    const lines = children(message).filter(element => element.localName.endsWith('LineBusiness'));
+
+    const dwellings = lines.flatMap(line => children(line, 'Dwell')).map(dwell => this.parseDwelling(dwell, locations));
+
+    return {
+      format: 'acord-xml',
+      lineOfBusiness: text(policy, 'LOBCd') || text(lines[0], 'LOBCd'),
+      policyForm: dwellings.find(dwelling => dwelling.policyForm)?.policyForm || null,
+      policyNumber: text(policy, 'PolicyNumber'),
+      insurer: this.findInsurer(message, policy),
+      naic: text(policy, 'NAICCd'),
+      effectiveDate: text(policy, 'ContractTerm/EffectiveDt'),
+      expirationDate: text(policy, 'ContractTerm/ExpirationDt'),
+      premium: amount(child(policy, 'CurrentTermAmt')) ?? amount(child(lines[0], 'CurrentTermAmt')),
+      paymentPlan: text(policy, 'PaymentOption/PaymentPlanCd'),
+      insureds: children(message, 'InsuredOrPrincipal').map(insured => ({
+        name: this.parseName(child(insured, 'GeneralPartyInfo/NameInfo')),
+        address: this.parseAddress(child(insured, 'GeneralPartyInfo/Addr')),
+        role: text(insured, 'InsuredOrPrincipalInfo/InsuredOrPrincipalRoleCd')
+      })),
+      vehicles: lines.flatMap(line => children(line, 'PersVeh')).map(vehicle => ({
+        id: vehicle.getAttribute('id'),
+        year: integer(text(vehicle, 'ModelYear')),
+        make: text(vehicle, 'Manufacturer'),
+        model: text(vehicle, 'Model'),
+        vin: text(vehicle, 'VehIdentificationNumber'),
+        usage: text(vehicle, 'VehUseCd'),
+        annualMileage: integer(text(vehicle, 'EstimatedAnnualDistance/NumUnits'))
+      })),
+      drivers: lines.flatMap(line => children(line, 'PersDriver')).map(driver => ({
+        id: driver.getAttribute('id'),
+        name: this.parseName(child(driver, 'GeneralPartyInfo/NameInfo')),
+        dateOfBirth: text(driver, 'DriverInfo/PersonInfo/BirthDt'),
+        gender: text(driver, 'DriverInfo/PersonInfo/GenderCd'),
+        licenseNumber: text(driver, 'DriverInfo/DriversLicense/DriversLicenseNumber'),
+        licenseState: text(driver, 'DriverInfo/DriversLicense/StateProvCd'),
+        relationship: text(driver, 'PersDriverInfo/DriverRelationshipToApplicantCd')
+      })),
+      dwellings,
+      coverages: [
+        ...lines.flatMap(line => children(line, 'Coverage')).map(coverage => this.parseCoverage(coverage)),
+        ...lines.flatMap(line => children(line, 'PersVeh')).flatMap(vehicle =>
+          children(vehicle, 'Coverage').map(coverage => this.parseCoverage(coverage, { vehicleId: vehicle.getAttribute('id') }))
+        ),
+        ...lines.flatMap(line => children(line, 'Dwell')).flatMap(dwell =>
+          children(dwell, 'Coverage').map(coverage => this.parseCoverage(coverage, { dwellingId: dwell.getAttribute('id') }))
+        )
+      ],
+      deductibles: lines.flatMap(line => children(line, 'Dwell')).flatMap(dwell =>
+        children(dwell, 'Deductible').map(deductible => ({
+          ...this.parseDeductible(deductible),
+          dwellingId: dwell.getAttribute('id')
+        }))
+      )
+    };
+  }
+
+  parseCoverage(coverage, refs = {}) {
+    const deductible = child(coverage, 'Deductible');
+
+    return {
+      code: text(coverage, 'CoverageCd'),
+      description: text(coverage, 'CoverageDesc'),
+      limits: children(coverage, 'Limit').map(limit => ({
+        amount: amount(limit),
+        appliesTo: text(limit, 'LimitAppliesToCd')
+      })).filter(limit => limit.amount !== null),
+      ...(deductible ? this.parseDeductible(deductible) : { deductible: null, deductibleType: null }),
+      premium: amount(child(coverage, 'CurrentTermAmt')),
+      vehicleId: refs.vehicleId || null,
+      dwellingId: refs.dwellingId || null
+    };
+  }
+
+  parseDeductible(deductible) {
+    return {
+      deductible: amount(deductible),
+      deductibleType: text(deductible, 'DeductibleTypeCd') || text(deductible, 'DeductibleAppliesToCd'),
+      description: text(deductible, 'DeductibleDesc')
+    };
+  }
+
+  parseDwelling(dwell, locations) {
+    const construction = child(dwell, 'Construction');
+
+    return {
+      id: dwell.getAttribute('id'),
+      address: locations.get(dwell.getAttribute('LocationRef')) || null,
+      policyForm: text(dwell, 'PolicyTypeCd'),
+      yearBuilt: integer(text(construction, 'YearBuilt')),
+      constructionType: text(construction, 'ConstructionCd'),
+      roofType: text(construction, 'RoofingMaterial/RoofMaterialCd'),
+      propertyType: text(dwell, 'DwellOccupancy/ResidenceTypeCd'),
+      occupancy: text(dwell, 'DwellOccupancy/OccupancyTypeCd')
+    };
+  }
+
+  /**
+   * Carrier name: the insurer party when present, otherwise the policy's insurer fields
+   */
+  findInsurer(message, policy) {
+    const insurerParty = children(message, 'MiscParty').find(party =>
+      /insurer|carrier/i.test(text(party, 'MiscPartyInfo/MiscPartyRoleCd') || '')
+    );
+
+    return (insurerParty && this.parseName(child(insurerParty, 'GeneralPartyInfo/NameInfo')))
+      || text(policy, 'InsurerName')
+      || text(policy, 'CompanyProductCd')
+      || null;
+  }
+
+  parseName(nameInfo) {
+    if (!nameInfo) return null;
+
+    const commercial = text(nameInfo, 'CommlName/CommercialName');
+    if (commercial) return commercial;
+
+    const parts = ['GivenName', 'OtherGivenName', 'Surname'].map(part => text(nameInfo, `PersonName/${part}`)).filter(Boolean);
+    return parts.length > 0 ? parts.join(' ') : null;
+  }
+
+  parseAddress(addr) {
+    if (!addr) return null;
+
+    const street = [text(addr, 'Addr1'), text(addr, 'Addr2')].filter(Boolean).join(', ');
+    const cityLine = [text(addr, 'City'), [text(addr, 'StateProvCd'), text(addr, 'PostalCode')].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+    return [street, cityLine].filter(Boolean).join(', ') || null;
+  }
+}
+
+// ACORD documents may be namespaced; elements are matched by local name only
+function matches(element, names) {
+  return names === undefined || (Array.isArray(names) ? names.includes(element.localName) : element.localName === names);
+}
+
+function children(element, names) {
+  return element ? Array.from(element.children).filter(candidate => matches(candidate, names)) : [];
+}
+
+function descendants(element, names) {
+  return Array.from(element.getElementsByTagName('*')).filter(candidate => matches(candidate, names));
+}
+
+// Follow a "Parent/Child" path of direct children
+function child(element, path) {
+  return path.split('/').reduce((current, name) => children(current, name)[0] || null, element);
+}
+
+function text(element, path) {
+  const value = child(element, path)?.textContent.trim();
+  return value || null;
+}
+
+// Money: <Amt> inside currency aggregates, or <FormatInteger>/<FormatCurrencyAmt> in limits and deductibles
+function amount(element) {
+  const value = text(element, 'Amt') ?? text(element, 'FormatCurrencyAmt/Amt') ?? text(element, 'FormatInteger') ?? text(element, 'FormatDecimal');
+  const number = value === null ? NaN : parseFloat(value.replace(/[$,]/g, ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+function integer(value) {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) ? number : null;
+}
+
+export default AcordXmlParser;
@@ -0,0 +1,219 @@
+/**
+ * AL3 Parser
+ * Reads ACORD AL3 policy downloads: a stream of fixed-width data groups, each starting
+ * with its group code and length. Groups are read with the layouts in al3Layouts.js into
+ * the same policy records as the ACORD XML parser.
+ */
+
+import { AL3_HEADER, AL3_MESSAGE_HEADER, AL3_GROUP_LAYOUTS } from '../../data/al3Layouts.js';
+import { ExtractionError, EXTRACTION_ERROR_CODES } from '../extractors/extractionErrors.js';
+
+// Zoned decimal sign characters: the last digit of a signed number carries its sign
+const POSITIVE_ZONES = '{ABCDEFGHI';
+const NEGATIVE_ZONES = '}JKLMNOPQR';
+
+export class Al3Parser {
+  /**
+   * @param {Object} layouts - Group layouts keyed by group code, for downloads laid out
+   *   differently from the defaults
+   */
+  constructor(layouts = AL3_GROUP_LAYOUTS) {
+    this.name = 'AL3 Parser';
+    this.version = '1.0.0';
+    this.layouts = layouts;
+  }
+
+  /**
+   * Parse an AL3 transmission
+   * @param {string} data - File content
+   * @returns {Array} Policy records, one per 5BPI policy group
+   */
+  parse(data) {
+    const groups = this.splitGroups(data);
+    if (groups[0]?.code !== AL3_MESSAGE_HEADER) {
+      throw new ExtractionError('File is not an AL3 transmission (missing message header).', EXTRACTION_ERROR_CODES.INVALID_AL3);
+    }
+
+    // Groups that follow a policy group belong to it until the next policy group
+    const records = [];
+    let current = null;
+
+    for (const group of groups) {
+      const layout = this.layouts[group.code];
+      if (!layout) continue;
+
+      const values = this.readFields(group.content, layout.fields);
+      if (layout.record === 'policy') {
+        current = this.createRecord(values);
+        records.push(current);
+      } else if (current) {
+        this.addToRecord(current, layout.record, values);
+      }
+    }
+
+    if (records.length === 0) {
+      throw new ExtractionError('AL3 file contains no policy (5BPI) group.', EXTRACTION_ERROR_CODES.INVALID_AL3);
+    }
+
+    return records;
+  }
+
+  /**
+   * Split a transmission into groups; downloads are either one group per line or one
+   * continuous stream delimited by the group lengths
+   */
+  splitGroups(data) {
+    const [codeStart, codeLength] = AL3_HEADER.code;
+    const [lengthStart, lengthLength] = AL3_HEADER.length;
+    const groups = [];
+
+    const lines = data.split(/\r?\n/).filter(line => line.trim());
+    if (lines.length > 1) {
+      return lines.map(line => ({ code: line.substr(codeStart - 1, codeLength), content: line }));
+    }
+
+    let position = 0;
+    while (position < data.length) {
+      const code = data.substr(position + codeStart - 1, codeLength);
+      const length = parseInt(data.substr(position + lengthStart - 1, lengthLength), 10);
+
+      if (!/^\d[A-Z0-9]{3}$/.test(code) || !Number.isFinite(length) || length < 10) {
+        throw new ExtractionError(`AL3 group at position ${position + 1} is malformed.`, EXTRACTION_ERROR_CODES.INVALID_AL3);
+      }
+
+      groups.push({ code, content: data.substr(position, length) });
+      position += length;
+    }
+
+    return groups;
+  }
+
+  readFields(content, fields) {
+    const values = {};
+
+    for (const [field, [start, length, format = 'text']] of Object.entries(fields)) {
+      const raw = content.substr(start - 1, length).trim();
+      // Unused numeric and date fields are zero-filled
+      const empty = raw === '' || (format !== 'text' && /^0+$/.test(raw));
+      values[field] = empty ? null : this.convert(raw, format);
+    }
+
+    return values;
+  }
+
+  convert(raw, format) {
+    switch (format) {
+      case 'number':
+        return this.parseZoned(raw);
+      case 'amount': {
+        // Amounts carry two implied decimal places
+        const cents = this.parseZoned(raw);
+        return cents === null ? null : cents / 100;
+      }
+      case 'date':
+        return this.parseDate(raw);
+      default:
+        return raw;
+    }
+  }
+
+  /**
+   * Signed zoned decimal: "0001234{" is +12340, "0001234}" is -12340
+   */
+  parseZoned(raw) {
+    const last = raw.slice(-1);
+    let digits = raw;
+    let sign = 1;
+
+    if (POSITIVE_ZONES.includes(last)) {
+      digits = raw.slice(0, -1) + POSITIVE_ZONES.indexOf(last);
+    } else if (NEGATIVE_ZONES.includes(last)) {
+      digits = raw.slice(0, -1) + NEGATIVE_ZONES.indexOf(last);
+      sign = -1;
+    }
+
+    const number = parseInt(digits.replace(/^\+/, ''), 10);
+    return Number.isFinite(number) ? sign * number : null;
+  }
+
+  /**
+   * YYMMDD or CCYYMMDD to an ISO date
+   */
+  parseDate(raw) {
+    let match = raw.match(/^(\d{4})(\d{2})(\d{2})$/);
+    if (!match) {
+      const short = raw.match(/^(\d{2})(\d{2})(\d{2})$/);
+      if (!short) return null;
+      const year = Number(short[1]);
+      match = [raw, String(year < 70 ? 2000 + year : 1900 + year), short[2], short[3]];
+    }
+
+    const [, year, month, day] = match;
+    if (Number(month) < 1 || Number(month) > 12 || Number(day) < 1 || Number(day) > 31) return null;
+    return `${year}-${month}-${day}`;
+  }
+
+  createRecord(values) {
+    return {
+      format: 'al3',
+      lineOfBusiness: values.lineOfBusiness,
+      policyForm: null,
+      policyNumber: values.policyNumber,
+      insurer: values.insurer,
+      naic: values.naic,
+      effectiveDate: values.effectiveDate,
+      expirationDate: values.expirationDate,
+      premium: values.premium,
+      paymentPlan: values.paymentPlan,
+      insureds: [],
+      vehicles: [],
+      drivers: [],
+      dwellings: [],
+      coverages: [],
+      deductibles: []
+    };
+  }
+
+  addToRecord(record, type, values) {
+    const address = [values.addressLine, values.city, [values.state, values.postalCode].filter(Boolean).join(' ')]
+      .filter(Boolean)
+      .join(', ') || null;
+
+    switch (type) {
+      case 'insured':
+        record.insureds.push({ name: values.name, address, role: 'Insured' });
+        break;
+      case 'vehicle':
+        record.vehicles.push(values);
+        break;
+      case 'driver':
+        record.drivers.push(values);
+        break;
+      case 'dwelling': {
+        const { addressLine, city, state, postalCode, ...dwelling } = values;
+        record.dwellings.push({ ...dwelling, address, propertyType: null, occupancy: null });
+        record.policyForm = record.policyForm || values.policyForm;
+        break;
+      }
+      case 'coverage':
+        record.coverages.push({
+          code: values.code,
+          description: values.description,
+          limits: [values.limit, values.secondLimit]
+            .filter(limit => limit !== null && limit !== undefined)
+            .map(limit => ({ amount: limit, appliesTo: null })),
+          deductible: values.deductible ?? null,
+          deductibleType: values.deductibleType ?? null,
+          premium: values.premium ?? null,
+          // Vehicle and location 0000 mean the coverage applies to the whole policy
+          vehicleId: values.vehicleId && !/^0+$/.test(values.vehicleId) ? values.vehicleId : null,
+          dwellingId: values.dwellingId && !/^0+$/.test(values.dwellingId) ? values.dwellingId : null
+        });
+        break;
+      default:
+        break;
+    }
+  }
+}
+
+export default Al3Parser;
@@ -0,0 +1,105 @@
+import { describe, it, expect } from 'vitest';
+import { Al3Parser } from './al3Parser.js';
+import { AL3_GROUP_LAYOUTS } from '../../data/al3Layouts.js';
+import { EXTRACTION_ERROR_CODES } from '../extractors/extractionErrors.js';
+
+// A fixed-width group with each raw value written at its layout position
+const group = (code, raw = {}) => {
+  const fields = AL3_GROUP_LAYOUTS[code]?.fields || {};
+  const width = Math.max(24, ...Object.values(fields).map(([start, length]) => start + length - 1));
+  const chars = Array(width).fill(' ');
+  const put = (start, value) => [...value].forEach((char, index) => { chars[start - 1 + index] = char; });
+
+  put(1, code);
+  put(5, String(width).padStart(3, '0'));
+  put(8, '001');
+  for (const [field, value] of Object.entries(raw)) put(fields[field][0], value);
+  return chars.join('');
+};
+
+const HOME_GROUPS = [
+  group('1MHG'),
+  group('5BPI', {
+    policyNumber: 'HO-1234',
+    lineOfBusiness: 'HOME',
+    effectiveDate: '240115',
+    expirationDate: '250115',
+    insurer: 'Acme Mutual',
+    premium: '00000012345{',
+    paymentPlan: 'MO'
+  }),
+  group('5BIS', { name: 'Jordan Lee', addressLine: '12 Elm St', city: 'Springfield', state: 'IL', postalCode: '62701' }),
+  group('6HRU', { id: '0001', policyForm: 'HO3', yearBuilt: '1998', constructionType: 'Frame', addressLine: '12 Elm St' }),
+  group('6CVH', { dwellingId: '0001', code: 'DWELL', limit: '000300000', deductible: '0001000', premium: '0000005000{' }),
+  group('6CVH', { dwellingId: '0000', code: 'PL', limit: '000500000', deductible: '0000000' })
+];
+
+const parser = new Al3Parser();
+
+describe('Al3Parser.parse', () => {
+  it('reads a download with one group per line into a policy record', () => {
+    const [record] = parser.parse(HOME_GROUPS.join('\r\n'));
+
+    expect(record).toMatchObject({
+      format: 'al3',
+      lineOfBusiness: 'HOME',
+      policyForm: 'HO3',
+      policyNumber: 'HO-1234',
+      insurer: 'Acme Mutual',
+      effectiveDate: '2024-01-15',
+      expirationDate: '2025-01-15',
+      premium: 1234.5,
+      paymentPlan: 'MO'
+    });
+    expect(record.insureds).toEqual([{ name: 'Jordan Lee', address: '12 Elm St, Springfield, IL 62701', role: 'Insured' }]);
+    expect(record.dwellings[0]).toMatchObject({ id: '0001', yearBuilt: 1998, constructionType: 'Frame', address: '12 Elm St' });
+    expect(record.coverages).toEqual([
+      expect.objectContaining({ code: 'DWELL', limits: [{ amount: 300000, appliesTo: null }], deductible: 1000, premium: 500, dwellingId: '0001' }),
+      // Zero-filled deductibles are unused and location 0000 is the whole policy
+      expect.objectContaining({ code: 'PL', limits: [{ amount: 500000, appliesTo: null }], deductible: null, dwellingId: null })
+    ]);
+  });
+
+  it('splits a continuous stream by the group lengths', () => {
+    expect(parser.parse(HOME_GROUPS.join(''))).toEqual(parser.parse(HOME_GROUPS.join('\n')));
+  });
+
+  it('starts a new record at each policy group', () => {
+    const records = parser.parse([
+      ...HOME_GROUPS,
+      group('5BPI', { policyNumber: 'PA-99', lineOfBusiness: 'AUTOP' }),
+      group('6PVH', { id: '0001', year: '2020', make: 'Honda', model: 'Civic' }),
+      group('6CVA', { vehicleId: '0001', code: 'COLL', deductible: '0000500' })
+    ].join('\n'));
+
+    expect(records.map(record => record.policyNumber)).toEqual(['HO-1234', 'PA-99']);
+    expect(records[0].vehicles).toEqual([]);
+    expect(records[1].vehicles[0]).toMatchObject({ id: '0001', year: 2020, make: 'Honda', model: 'Civic' });
+    expect(records[1].coverages[0]).toMatchObject({ code: 'COLL', deductible: 500, vehicleId: '0001' });
+  });
+
+  it.each([
+    ['a missing message header', HOME_GROUPS.slice(1).join('\n')],
+    ['no policy group', [group('1MHG'), group('5BIS', { name: 'Jordan Lee' })].join('\n')],
+    ['a malformed stream', `${group('1MHG')}not an AL3 group`]
+  ])('rejects a transmission with %s', (label, data) => {
+    expect(() => parser.parse(data)).toThrow(expect.objectContaining({ code: EXTRACTION_ERROR_CODES.INVALID_AL3 }));
+  });
+});
+
+describe('Al3Parser field formats', () => {
+  it('reads signed zoned decimals', () => {
+    expect(parser.parseZoned('0001234{')).toBe(12340);
+    expect(parser.parseZoned('0001234}')).toBe(-12340);
+    expect(parser.parseZoned('0001234B')).toBe(12342);
+    expect(parser.parseZoned('001500')).toBe(1500);
+  });
+
+  it('reads long and short dates and rejects impossible ones', () => {
+    expect(parser.parseDate('20240229')).toBe('2024-02-29');
+    expect(parser.parseDate('991231')).toBe('1999-12-31');
+    expect(parser.parseDate('250101')).toBe('2025-01-01');
+    expect(parser.parseDate('20241301')).toBeNull();
+    expect(parser.parseDate('2024')).toBeNull();
+  });
+});
@@ -0,0 +1,393 @@
+/**
+ * Packet Assembler
+ * Identifies the role of each document in a policy packet (declarations,
+ * endorsements, policy forms, ID cards, renewal notices) and merges them
+ * into a single policy record
+ */
+
+import { shiftSections } from '../utils/sectionTree.js';
+
+export const DOCUMENT_ROLES = {
+  DECLARATIONS: 'declarations',
+  ENDORSEMENT: 'endorsement',
+  POLICY_FORM: 'policy_form',
+  ID_CARD: 'id_card',
+  RENEWAL_NOTICE: 'renewal_notice',
+  UNKNOWN: 'unknown'
+};
+
+const ROLE_SIGNALS = {
+  [DOCUMENT_ROLES.DECLARATIONS]: {
+    fileName: /\b(dec|decs|declarations?)\b/i,
+    patterns: [
+      /\bdeclarations?\s+(page|pages|schedule)\b/i,
+      /\bpolicy\s+declarations?\b/i,
+      /\bnamed\s+insured\b/i,
+      /\bpolicy\s+period\b/i,
+      /\btotal\s+(annual\s+)?premium\b/i
+    ]
+  },
+  [DOCUMENT_ROLES.ENDORSEMENT]: {
+    fileName: /\b(endorsement|end|rider|amendment)s?\b/i,
+    patterns: [
+      /\bthis\s+endorsement\s+changes\s+the\s+policy\b/i,
+      /\bendorsement\s+(no\.?|number|#)/i,
+      /\b(is|are)\s+(hereby\s+)?(amended|changed|replaced|deleted)\b/i,
+      /\bamendatory\s+endorsement\b/i,
+      /\bendorsement\b/i
+    ]
+  },
+  [DOCUMENT_ROLES.POLICY_FORM]: {
+    fileName: /\b(form|policy|contract|booklet|jacket)\b/i,
+    patterns: [
+      /\binsuring\s+agreement\b/i,
+      /\bdefinitions\b/i,
+      /\bexclusions\b/i,
+      /\bconditions\b/i,
+      /\bsection\s+(i|ii|1|2)\b/i
+    ]
+  },
+  [DOCUMENT_ROLES.ID_CARD]: {
+    fileName: /\b(id|card|proof)\b/i,
+    patterns: [
+      /\b(insurance\s+)?identification\s+card\b/i,
+      /\bid\s+card\b/i,
+      /\bevidence\s+of\s+(insurance|liability)\b/i,
+      /\bkeep\s+this\s+card\b/i
+    ]
+  },
+  [DOCUMENT_ROLES.RENEWAL_NOTICE]: {
+    fileName: /\b(renewal|renew)\b/i,
+    patterns: [
+      /\brenewal\s+(notice|offer|declarations?|premium)\b/i,
+      /\byour\s+policy\s+(will|is\s+scheduled\s+to)\s+renew\b/i,
+      /\bnotice\s+of\s+(premium\s+)?(change|increase)\b/i
+    ]
+  }
+};
+
+// Later entries override earlier ones; fill-only roles never replace an existing value
+const MERGE_ORDER = [
+  DOCUMENT_ROLES.POLICY_FORM,
+  DOCUMENT_ROLES.UNKNOWN,
+  DOCUMENT_ROLES.DECLARATIONS,
+  DOCUMENT_ROLES.ENDORSEMENT
+];
+const FILL_ONLY_ROLES = [DOCUMENT_ROLES.RENEWAL_NOTICE, DOCUMENT_ROLES.ID_CARD];
+
+export class PacketAssembler {
+  constructor() {
+    this.name = 'Packet Assembler';
+    this.version = '1.0.0';
+  }
+
+  /**
+   * Identify the role a document plays in a policy packet
+   * @param {Object} documentResult - Result of DocumentProcessor.processDocument
+   * @returns {Object} { role, confidence, scores }
+   */
+  identifyRole(documentResult) {
+    const text = (documentResult.extractedText || '').slice(0, 4000);
+    const fileName = (documentResult.fileName || '').replace(/[_\-.]+/g, ' ');
+    const scores = {};
+
+    for (const [role, signals] of Object.entries(ROLE_SIGNALS)) {
+      // Title-area matches count double: a form's first page names what it is
+      const heading = text.slice(0, 600);
+      let score = signals.fileName.test(fileName) ? 2 : 0;
+
+      for (const pattern of signals.patterns) {
+        if (pattern.test(heading)) score += 2;
+        else if (pattern.test(text)) score += 1;
+      }
+
+      scores[role] = score;
+    }
+
+    // Coverage tables are the hallmark of a declarations page
+    if (documentResult.structuredData?.coverages?.length) {
+      scores[DOCUMENT_ROLES.DECLARATIONS] += 3;
+    }
+
+    const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    const [topRole, topScore] = ranked[0];
+    const runnerUp = ranked[1][1];
+
+    if (topScore < 2) {
+      return { role: DOCUMENT_ROLES.UNKNOWN, confidence: 0, scores };
+    }
+
+    return {
+      role: topRole,
+      confidence: Math.round((topScore / (topScore + runnerUp)) * 100) / 100,
+      scores
+    };
+  }
+
+  /**
+   * Merge processed documents into one policy record
+   * @param {Array} documentResults - Results of DocumentProcessor.processDocument, in upload order
+   * @returns {Object} Document result shaped like a single-file result, plus packet details
+   */
+  assemble(documentResults) {
+    const documents = documentResults.map((result, index) => ({
+      ...result,
+      index,
+      ...this.identifyRole(result)
+    }));
+
+    const mergeSequence = [
+      ...MERGE_ORDER.flatMap(role => this.sortByEffectiveDate(documents.filter(doc => doc.role === role))),
+      ...FILL_ONLY_ROLES.flatMap(role => documents.filter(doc => doc.role === role))
+    ];
+
+    const { text: extractedText, offsets } = this.combineText(documents);
+    const structuredData = {};
+    const fieldProvenance = {};
+    const overrides = [];
+    const coverages = new Map();
+    const takeProvenance = (field, doc) => {
+      const entry = doc.fieldProvenance?.[field];
+      if (entry) {
+        fieldProvenance[field] = this.relocateProvenance(entry, doc, offsets.get(doc.index));
+      }
+    };
+
+    for (const doc of mergeSequence) {
+      if (!doc.success) continue;
+
+      const fillOnly = FILL_ONLY_ROLES.includes(doc.role);
+      const { coverages: docCoverages = [], ...fields } = doc.structuredData || {};
+
+      for (const [field, value] of Object.entries(fields)) {
+        if (value === undefined || value === null || value === '') continue;
+
+        if (structuredData[field] === undefined) {
+          structuredData[field] = value;
+          takeProvenance(field, doc);
+        } else if (Array.isArray(value)) {
+          // Lists such as form numbers accumulate across documents
+          structuredData[field] = [...new Set([...structuredData[field], ...value])];
+        } else if (!fillOnly && structuredData[field] !== value) {
+          overrides.push(this.createOverride(field, structuredData[field], value, doc));
+          structuredData[field] = value;
+          takeProvenance(field, doc);
+        }
+      }
+
+      for (const field of Object.keys(doc.fieldProvenance || {}).filter(key => key.startsWith('forms.'))) {
+        if (!fieldProvenance[field]) takeProvenance(field, doc);
+      }
+
+      for (const row of docCoverages) {
+        const key = row.coverageName.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+        const existing = coverages.get(key);
+
+        if (!existing) {
+          coverages.set(key, { ...row, source: doc.fileName });
+          takeProvenance(`coverages.${row.coverageName}`, doc);
+        } else if (!fillOnly) {
+          const updated = { ...existing, ...this.definedValues(row), source: doc.fileName };
+          const changed = ['limits', 'deductible', 'premium'].filter(field => updated[field] !== existing[field]);
+
+          if (changed.length > 0) {
+            for (const field of changed) {
+              overrides.push(this.createOverride(`coverages.${row.coverageName}.${field}`, existing[field], updated[field], doc));
+            }
+            coverages.set(key, updated);
+            delete fieldProvenance[`coverages.${existing.coverageName}`];
+            takeProvenance(`coverages.${row.coverageName}`, doc);
+          }
+        }
+      }
+    }
+
+    if (coverages.size > 0) {
+      structuredData.coverages = [...coverages.values()];
+    }
+
+    const succeeded = documents.filter(doc => doc.success);
+    const primary = succeeded.find(doc => doc.role === DOCUMENT_ROLES.DECLARATIONS) || succeeded[0] || documents[0];
+
+    return {
+      success: succeeded.length > 0,
+      fileName: documents.map(doc => doc.fileName).join(', '),
+      fileSize: documents.reduce((total, doc) => total + (doc.fileSize || 0), 0),
+      fileType: primary?.fileType || '',
+      extractedText,
+      structuredData,
+      fieldProvenance,
+      sections: this.combineSections(documents, offsets, extractedText.length),
+      pages: documents.flatMap(doc => (doc.pages || []).map(page => ({ ...page, documentIndex: doc.index }))),
+      tables: documents.flatMap(doc => doc.tables || []),
+      forms: this.mergeForms(succeeded),
+      metadata: primary?.metadata || {},
+      extractionQuality: this.combineQuality(succeeded),
+      processingDate: new Date().toISOString(),
+      documentRole: primary?.role || DOCUMENT_ROLES.UNKNOWN,
+      packet: {
+        documentCount: documents.length,
+        documents: documents.map(doc => ({
+          index: doc.index,
+          fileName: doc.fileName,
+          fileType: doc.fileType,
+          role: doc.role,
+          roleConfidence: doc.confidence,
+          success: doc.success,
+          error: doc.error || doc.processingError || doc.processingWarning || null,
+          effectiveDate: doc.structuredData?.effectiveDate || null,
+          source: doc.source || null
+        })),
+        overrides,
+        warnings: this.findInconsistencies(succeeded)
+      }
+    };
+  }
+
+  /**
+   * Join document texts under a heading each, remembering where every text starts
+   */
+  combineText(documents) {
+    const offsets = new Map();
+    let text = '';
+
+    for (const doc of documents.filter(candidate => candidate.extractedText)) {
+      if (text) text += '\n\n';
+      text += `=== ${doc.fileName} (${doc.role}) ===\n`;
+      offsets.set(doc.index, text.length);
+      text += doc.extractedText;
+    }
+
+    return { text, offsets };
+  }
+
+  /**
+   * Nest each document's section tree under a node for the document, moved to its place in the combined text
+   */
+  combineSections(documents, offsets, length) {
+    const children = documents
+      .filter(doc => offsets.has(doc.index))
+      .map(doc => {
+        const start = offsets.get(doc.index);
+        return {
+          id: `doc${doc.index}`,
+          kind: 'document',
+          level: 0,
+          label: doc.role,
+          title: doc.fileName,
+          heading: doc.fileName,
+          start,
+          contentStart: start,
+          end: start + doc.extractedText.length,
+          children: shiftSections(doc.sections?.children, start)
+        };
+      });
+
+    return { id: 'root', kind: 'packet', level: 0, label: null, title: 'Packet', heading: null, start: 0, contentStart: 0, end: length, children };
+  }
+
+  /**
+   * Point a document's provenance entry at the combined packet text
+   */
+  relocateProvenance(entry, doc, offset = 0) {
+    return {
+      ...entry,
+      start: entry.start !== null ? entry.start + offset : null,
+      end: entry.end !== null ? entry.end + offset : null,
+      documentIndex: doc.index,
+      fileName: doc.fileName
+    };
+  }
+
+  /**
+   * List each form once, noting every document that references it
+   */
+  mergeForms(documents) {
+    const forms = new Map();
+
+    for (const doc of documents) {
+      for (const form of doc.forms || []) {
+        const existing = forms.get(form.number);
+        if (existing) {
+          existing.occurrences += form.occurrences;
+          existing.documents.push(doc.fileName);
+        } else {
+          forms.set(form.number, { ...form, documents: [doc.fileName] });
+        }
+      }
+    }
+
+    return [...forms.values()];
+  }
+
+  /**
+   * Apply endorsements in the order they took effect
+   */
+  sortByEffectiveDate(documents) {
+    return [...documents].sort((a, b) => {
+      const dateA = Date.parse(a.structuredData?.effectiveDate);
+      const dateB = Date.parse(b.structuredData?.effectiveDate);
+      if (isNaN(dateA) || isNaN(dateB)) return a.index - b.index;
+      return dateA - dateB;
+    });
+  }
+
+  /**
+   * Record a value replaced by a later document
+   */
+  createOverride(field, previousValue, value, doc) {
+    return {
+      field,
+      previousValue,
+      value,
+      source: doc.fileName,
+      role: doc.role
+    };
+  }
+
+  /**
+   * Keep only the cells an endorsement row actually states
+   */
+  definedValues(row) {
+    return Object.fromEntries(Object.entries(row).filter(([, value]) => value !== null && value !== undefined));
+  }
+
+  /**
+   * The packet is only as readable as its weakest document
+   */
+  combineQuality(documents) {
+    const qualities = documents.map(doc => doc.extractionQuality).filter(Boolean);
+    if (qualities.length === 0) return null;
+
+    const weakest = qualities.reduce((lowest, quality) => quality.confidence < lowest.confidence ? quality : lowest);
+    return {
+      ...weakest,
+      method: [...new Set(qualities.map(quality => quality.method))].join('+'),
+      ocrPages: qualities.flatMap(quality => quality.ocrPages || []),
+      wordCount: qualities.reduce((total, quality) => total + (quality.wordCount || 0), 0),
+      lowConfidenceWords: qualities.reduce((total, quality) => total + (quality.lowConfidenceWords || 0), 0)
+    };
+  }
+
+  /**
+   * Flag packets that appear to mix documents from different policies
+   */
+  findInconsistencies(documents) {
+    const warnings = [];
+    const policyNumbers = [...new Set(documents
+      .map(doc => doc.structuredData?.policyNumber?.toUpperCase())
+      .filter(Boolean))];
+
+    if (policyNumbers.length > 1) {
+      warnings.push(`Documents reference different policy numbers (${policyNumbers.join(', ')}); check that they belong to the same policy`);
+    }
+
+    if (!documents.some(doc => doc.role === DOCUMENT_ROLES.DECLARATIONS)) {
+      warnings.push('No declarations page was identified; limits and deductibles may be incomplete');
+    }
+
+    return warnings;
+  }
+}
+
+export default new PacketAssembler();
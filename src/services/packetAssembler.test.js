@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import packetAssembler, { DOCUMENT_ROLES } from './packetAssembler.js';
+
+const document = (fileName, extractedText, structuredData = {}, extra = {}) => ({
+  success: true,
+  fileName,
+  fileType: 'pdf',
+  extractedText,
+  structuredData,
+  ...extra
+});
+
+const DECLARATIONS = document('auto-dec.pdf', 'POLICY DECLARATIONS\nNamed Insured: Jane Doe\nPolicy Period: 01/01/2024 to 01/01/2025', {
+  policyNumber: 'PA-100',
+  premium: '1,200.00',
+  effectiveDate: '01/01/2024',
+  coverages: [{ coverageName: 'Bodily Injury', limits: '100/300', deductible: null, premium: '400' }]
+});
+
+const ENDORSEMENT = document('endorsement-1.pdf', 'THIS ENDORSEMENT CHANGES THE POLICY. PLEASE READ IT CAREFULLY.\nEndorsement No. 1', {
+  policyNumber: 'PA-100',
+  premium: '1,350.00',
+  effectiveDate: '06/01/2024',
+  coverages: [{ coverageName: 'Bodily Injury', limits: '250/500', deductible: null, premium: null }]
+});
+
+describe('PacketAssembler.identifyRole', () => {
+  it('recognizes declarations, endorsements, ID cards and renewal notices', () => {
+    expect(packetAssembler.identifyRole(DECLARATIONS).role).toBe(DOCUMENT_ROLES.DECLARATIONS);
+    expect(packetAssembler.identifyRole(ENDORSEMENT).role).toBe(DOCUMENT_ROLES.ENDORSEMENT);
+    expect(packetAssembler.identifyRole(document('card.pdf', 'INSURANCE IDENTIFICATION CARD\nKeep this card in your vehicle')).role)
+      .toBe(DOCUMENT_ROLES.ID_CARD);
+    expect(packetAssembler.identifyRole(document('notice.pdf', 'RENEWAL NOTICE\nYour policy will renew on 01/01/2025')).role)
+      .toBe(DOCUMENT_ROLES.RENEWAL_NOTICE);
+  });
+
+  it('leaves a document without signals unknown', () => {
+    expect(packetAssembler.identifyRole(document('scan.pdf', 'Lorem ipsum'))).toMatchObject({ role: DOCUMENT_ROLES.UNKNOWN, confidence: 0 });
+  });
+});
+
+describe('PacketAssembler.assemble', () => {
+  it('applies endorsements over the declarations and records what they changed', () => {
+    const packet = packetAssembler.assemble([ENDORSEMENT, DECLARATIONS]);
+
+    expect(packet.structuredData.premium).toBe('1,350.00');
+    expect(packet.structuredData.coverages).toEqual([
+      expect.objectContaining({ coverageName: 'Bodily Injury', limits: '250/500', premium: '400', source: 'endorsement-1.pdf' })
+    ]);
+    expect(packet.packet.overrides.map(override => override.field)).toEqual(
+      expect.arrayContaining(['premium', 'coverages.Bodily Injury.limits'])
+    );
+    expect(packet.documentRole).toBe(DOCUMENT_ROLES.DECLARATIONS);
+  });
+
+  it('lets an ID card fill gaps without replacing declared values', () => {
+    const card = document('id-card.pdf', 'INSURANCE IDENTIFICATION CARD', { policyNumber: 'PA-100', premium: '999.00', vin: '1HGCM82633A004352' });
+    const { structuredData } = packetAssembler.assemble([DECLARATIONS, card]);
+
+    expect(structuredData.premium).toBe('1,200.00');
+    expect(structuredData.vin).toBe('1HGCM82633A004352');
+  });
+
+  it('points provenance at the combined text and nests each document under its own section', () => {
+    const withProvenance = {
+      ...DECLARATIONS,
+      fieldProvenance: { policyNumber: { start: 0, end: 6, method: 'regex' } }
+    };
+    const packet = packetAssembler.assemble([ENDORSEMENT, withProvenance]);
+    const { start } = packet.fieldProvenance.policyNumber;
+
+    expect(packet.extractedText.slice(start, start + 6)).toBe('POLICY');
+    expect(packet.fieldProvenance.policyNumber).toMatchObject({ documentIndex: 1, fileName: 'auto-dec.pdf' });
+    expect(packet.sections.children.map(section => section.title)).toEqual(['endorsement-1.pdf', 'auto-dec.pdf']);
+  });
+
+  it('warns about mixed policy numbers and a missing declarations page', () => {
+    const other = document('endorsement-2.pdf', 'THIS ENDORSEMENT CHANGES THE POLICY', { policyNumber: 'HO-200' });
+    const { packet } = packetAssembler.assemble([ENDORSEMENT, other]);
+
+    expect(packet.warnings).toHaveLength(2);
+    expect(packet.warnings[0]).toContain('PA-100, HO-200');
+  });
+
+  it('reports failed documents with their error and leaves them out of the merge', () => {
+    const failed = { success: true, fileName: 'scan.tif', extractedText: '', structuredData: { premium: '1.00' }, processingWarning: 'OCR failed' };
+    const packet = packetAssembler.assemble([DECLARATIONS, { ...failed, success: false }]);
+
+    expect(packet.structuredData.premium).toBe('1,200.00');
+    expect(packet.packet.documents[1]).toMatchObject({ fileName: 'scan.tif', success: false, error: 'OCR failed' });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Pipeline Run
+ * Execution context of one analysis: its progress, warnings, inputs and cancellation token.
+ * Every run gets its own, so analyses started at the same time on one pipeline do not
+ * share state.
+ */
+
+import { throwIfCancelled } from './extractors/extractionErrors.js';
+
+export const RUN_STATUS = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+export function generateRunId() {
+  return Date.now().toString(36) + Math.random().toString(36).substr(2);
+}
+
+export class PipelineRun {
+  /**
+   * @param {Object} options - { id, inputs: pipeline inputs, stages: stage names in order,
+   *   progressCallback, signal: caller's AbortSignal; aborting it cancels the run }
+   */
+  constructor({ id = generateRunId(), inputs = {}, stages = [], progressCallback = null, signal = null } = {}) {
+    this.id = id;
+    this.inputs = inputs;
+    this.stages = stages;
+    this.progressCallback = progressCallback;
+    this.status = RUN_STATUS.RUNNING;
+
+    // Stage cache keys, kept so the run can be resumed from any stage
+    this.keys = {};
+    // Stages whose outputs were restored from a stored result rather than computed from inputs
+    this.adoptedStages = [];
+    this.currentStage = null;
+    this.stageProgress = {};
+    this.errors = [];
+    this.warnings = [];
+    this.inputSources = [];
+    this.startTime = Date.now();
+    this.completedAt = null;
+
+    // The run's own token; the caller's signal and cancel() both abort it
+    this.controller = new AbortController();
+    this.signal = this.controller.signal;
+    this.detachSignal = () => {};
+    if (signal?.aborted) {
+      this.cancel(signal.reason);
+    } else if (signal) {
+      const onAbort = () => this.cancel(signal.reason);
+      signal.addEventListener('abort', onAbort, { once: true });
+      this.detachSignal = () => signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  get cancelled() {
+    return this.signal.aborted;
+  }
+
+  get isActive() {
+    return this.status === RUN_STATUS.RUNNING;
+  }
+
+  /**
+   * Cancel the run; document processing, analyzers and AI requests stop at their next check
+   * @returns {boolean} Whether the run was still running
+   */
+  cancel(reason = 'Analysis was cancelled') {
+    if (this.cancelled || !this.isActive) return false;
+    this.controller.abort(reason);
+    return true;
+  }
+
+  /**
+   * @throws {ExtractionError} PROCESSING_CANCELLED once the run is cancelled
+   */
+  throwIfCancelled() {
+    throwIfCancelled(this.signal);
+  }
+
+  warn(message) {
+    this.warnings.push(message);
+  }
+
+  updateProgress(stage, progress, message) {
+    this.stageProgress[stage] = { ...this.stageProgress[stage], progress, message, timestamp: new Date().toISOString() };
+
+    if (this.progressCallback) {
+      this.progressCallback({
+        analysisId: this.id,
+        stage,
+        progress,
+        message,
+        overallProgress: this.calculateOverallProgress()
+      });
+    }
+  }
+
+  calculateOverallProgress() {
+    // Stages report partial progress (pages parsed, OCR percent), so weigh each by how far it got
+    const completed = Object.values(this.stageProgress)
+      .reduce((sum, stage) => sum + Math.min(100, stage.progress || 0), 0);
+    return this.stages.length ? Math.round(completed / this.stages.length) : 0;
+  }
+
+  /**
+   * Mark the run finished and release the caller's signal
+   * @param {string} status - RUN_STATUS value
+   */
+  finish(status) {
+    this.status = status;
+    this.completedAt = new Date().toISOString();
+    this.detachSignal();
+  }
+
+  getProcessingTime() {
+    return (this.completedAt ? Date.parse(this.completedAt) : Date.now()) - this.startTime;
+  }
+
+  /**
+   * Snapshot for the run registry
+   */
+  getStatus() {
+    return {
+      id: this.id,
+      status: this.status,
+      currentStage: this.currentStage,
+      overallProgress: this.calculateOverallProgress(),
+      stages: this.stageProgress,
+      warnings: this.warnings,
+      startedAt: new Date(this.startTime).toISOString(),
+      completedAt: this.completedAt
+    };
+  }
+}
+
+export default PipelineRun;
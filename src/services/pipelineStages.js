@@ -0,0 +1,165 @@
+/**
+ * Pipeline Stages
+ * Built-in stages of the analysis pipeline, and the shape every stage plugin follows.
+ *
+ * A stage is a plain object:
+ * - name: unique stage name
+ * - label: name shown in progress messages
+ * - inputs: names the stage reads; each is a pipeline input (files, policyData, userProfile,
+ *   relatedPolicies, passwords, classificationOverride) or the output of another stage. A stage runs after
+ *   every stage whose output it reads.
+ * - outputs: names of the values the stage produces; run() returns an object with these keys
+ * - after / before: stage names to run after or before without reading their outputs
+ * - optional: when true a failure becomes a warning and the stage's outputs are left unset;
+ *   a required stage's failure fails the analysis
+ * - enabled(inputs, context): skip the stage when it returns false
+ * - messages: [start message, done message], or (inputs, context) => that pair
+ * - cache: false to always run the stage; cacheKey(inputs, context) adds anything else its
+ *   output depends on (settings, model versions) to the cache key; bump version when run()
+ *   changes what it returns
+ * - run(inputs, context): produces the outputs. context holds { pipeline, run: the analysis'
+ *   PipelineRun, analysisId, signal: cancels with the analysis, progress(percent, message),
+ *   warn(message) }
+ * Stages that do not depend on each other run concurrently.
+ */
+
+import policyClassifier from './policyClassifier.js';
+
+export const PIPELINE_INPUTS = ['files', 'policyData', 'userProfile', 'relatedPolicies', 'passwords', 'classificationOverride'];
+
+export const BUILT_IN_STAGES = [
+  {
+    name: 'validation',
+    label: 'Validation',
+    inputs: ['files', 'policyData', 'userProfile'],
+    outputs: ['validation'],
+    messages: ['Starting analysis validation...', 'Validation completed'],
+    async run({ files, policyData, userProfile }, { pipeline, warn }) {
+      const validation = await pipeline.validateInputs(files, policyData, userProfile);
+      if (!validation.success) {
+        throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+      }
+      validation.warnings.forEach(warn);
+      return { validation };
+    }
+  },
+  {
+    name: 'document_processing',
+    label: 'Document processing',
+    inputs: ['files', 'passwords'],
+    outputs: ['documentResult'],
+    after: ['validation'],
+    messages: ['Processing document...', 'Document processing completed'],
+    async run({ files, passwords }, { pipeline, run }) {
+      return { documentResult: await pipeline.processDocuments(files, { passwords: passwords || {} }, run) };
+    }
+  },
+  {
+    name: 'policy_classification',
+    label: 'Policy classification',
+    inputs: ['documentResult', 'policyData', 'classificationOverride'],
+    outputs: ['classificationResult'],
+    messages: ['Classifying policy type...', 'Policy classification completed'],
+    // Recorded feedback retrains the classifier
+    cacheKey: () => ({ feedback: policyClassifier.feedback?.getEntries().length || 0 }),
+    async run({ documentResult, policyData, classificationOverride }, { pipeline, run }) {
+      return { classificationResult: await pipeline.classifyPolicy(documentResult, policyData, classificationOverride, run) };
+    }
+  },
+  {
+    name: 'ai_extraction',
+    label: 'AI extraction',
+    inputs: ['documentResult', 'classificationResult'],
+    outputs: ['extractedDocument'],
+    messages: ({ documentResult }, { pipeline }) => pipeline.options.aiExtraction && documentResult.extractedText
+      ? ['Cross-checking extracted fields with AI...', 'AI extraction completed']
+      : [null, 'AI extraction skipped'],
+    cacheKey: (inputs, { pipeline }) => ({
+      enabled: pipeline.options.aiExtraction,
+      model: pipeline.options.extractionModel?.name || pipeline.options.extractionModel?.constructor?.name || null
+    }),
+    // Without AI extraction the document passes through unchanged
+    async run({ documentResult, classificationResult }, { pipeline, run }) {
+      if (!pipeline.options.aiExtraction || !documentResult.extractedText) {
+        return { extractedDocument: documentResult };
+      }
+      return { extractedDocument: await pipeline.runAIExtraction(documentResult, classificationResult, run) };
+    }
+  },
+  {
+    name: 'risk_analysis',
+    label: 'Risk analysis',
+    inputs: ['extractedDocument', 'classificationResult', 'userProfile', 'relatedPolicies'],
+    outputs: ['riskResult'],
+    messages: ['Analyzing risks...', 'Risk analysis completed'],
+    async run({ extractedDocument, classificationResult, userProfile, relatedPolicies }, { pipeline, run }) {
+      return { riskResult: await pipeline.analyzeRisks(extractedDocument, classificationResult, userProfile, run, relatedPolicies) };
+    }
+  },
+  {
+    name: 'ai_analysis',
+    label: 'AI analysis',
+    inputs: ['extractedDocument', 'classificationResult', 'riskResult', 'userProfile'],
+    outputs: ['aiResult'],
+    messages: ['Generating AI insights...', 'AI analysis completed'],
+    async run({ extractedDocument, classificationResult, riskResult, userProfile }, { pipeline, run }) {
+      return { aiResult: await pipeline.generateAIAnalysis(extractedDocument, classificationResult, riskResult, userProfile, run) };
+    }
+  },
+  {
+    name: 'result_compilation',
+    label: 'Result compilation',
+    inputs: ['validation', 'extractedDocument', 'classificationResult', 'riskResult', 'aiResult', 'userProfile'],
+    outputs: ['result'],
+    messages: ['Compiling final results...', 'Analysis completed successfully'],
+    // Every run gets its own result and id
+    cache: false,
+    async run({ validation, extractedDocument, classificationResult, riskResult, aiResult, userProfile }, { pipeline, run }) {
+      run.inputSources = validation.inputSources;
+      const result = await pipeline.compileResults(run.id, extractedDocument, classificationResult, riskResult, aiResult, userProfile, run);
+      return { result };
+    }
+  }
+];
+
+/**
+ * Check a stage definition before it is registered
+ * @throws {Error} When a required field is missing or malformed
+ */
+export function validateStageDefinition(stage) {
+  if (!stage || typeof stage.name !== 'string' || !stage.name) {
+    throw new Error('Pipeline stage needs a name');
+  }
+  if (typeof stage.run !== 'function') {
+    throw new Error(`Pipeline stage ${stage.name} needs a run function`);
+  }
+  for (const field of ['inputs', 'outputs', 'after', 'before']) {
+    if (stage[field] !== undefined && !Array.isArray(stage[field])) {
+      throw new Error(`Pipeline stage ${stage.name}: ${field} must be an array of names`);
+    }
+  }
+  if (!stage.outputs?.length) {
+    throw new Error(`Pipeline stage ${stage.name} must declare at least one output`);
+  }
+  const reserved = stage.outputs.find(output => PIPELINE_INPUTS.includes(output));
+  if (reserved) {
+    throw new Error(`Pipeline stage ${stage.name} cannot output ${reserved}, a pipeline input`);
+  }
+
+  return {
+    inputs: [],
+    after: [],
+    before: [],
+    optional: false,
+    cache: true,
+    messages: [],
+    label: stage.name,
+    ...stage
+  };
+}
+
+export default {
+  PIPELINE_INPUTS,
+  BUILT_IN_STAGES,
+  validateStageDefinition
+};
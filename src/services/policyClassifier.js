@@ -1,29 +1,260 @@
 /**
  * Policy Classification Service
  * Automatically detects and classifies insurance policy types
+ *
+ * Documents are classified by a trained multi-label text classifier (see
+ * scripts/trainClassifier.js); keyword matching takes over when there is too little text for
+ * the model, such as manually entered policy data. User corrections are kept by
+ * classificationFeedback and fine-tune the model's weights as they arrive.
  */
 
-import { POLICY_TYPES, CLASSIFICATION_KEYWORDS } from '../utils/policyTypes.js';
+import { POLICY_TYPES, POLICY_SUBTYPES, CLASSIFICATION_KEYWORDS } from '../utils/policyTypes.js';
+import formRecognizer from './formRecognizer.js';
+import MultiLabelClassifier from './classifiers/multiLabelClassifier.js';
+import classifierModel from '../data/classifierModel.js';
+import classificationFeedback from './classificationFeedback.js';
+
+// Fewer known n-grams than this and the model mostly repeats its training priors
+const MIN_MODEL_FEATURES = 8;
+
+// A standard form number or structured form code outweighs any amount of wording
+const FORM_EVIDENCE_SCORE = 3;
 
 export class PolicyClassifier {
-  constructor() {
+  constructor(model = classifierModel, feedback = classificationFeedback) {
     this.confidenceThreshold = 0.6;
+    this.feedback = feedback;
+    this.setModel(model);
+  }
+
+  /**
+   * Replace the trained model, e.g. with one retrained on the user's own documents
+   * @param {Object} model - Model JSON written by scripts/trainClassifier.js; null for keywords only
+   */
+  setModel(model) {
+    this.baseModel = model ? new MultiLabelClassifier(model) : null;
+    this.applyFeedback();
+  }
+
+  /**
+   * Fine-tune the base model on every recorded confirmation and correction
+   */
+  applyFeedback() {
+    const examples = this.feedback ? this.feedback.getExamples() : [];
+    this.model = this.baseModel && examples.length > 0
+      ? this.baseModel.withAdjustments(this.baseModel.fineTune(examples))
+      : this.baseModel;
+  }
+
+  /**
+   * Record what a classified document really was and learn from it right away
+   * @param {string} text - Classified document text
+   * @param {Object} structuredData - Structured data the document was classified with
+   * @param {Object} classification - Result of classifyPolicy
+   * @param {string|Array<string>} actualLabels - Actual policy type, or every type of a package
+   * @returns {Object} Stored feedback entry; `correct` tells whether the classifier was right
+   */
+  recordFeedback(text, structuredData, classification, actualLabels) {
+    // Correcting an earlier correction still grades the classifier's own prediction
+    const prediction = classification.metadata?.overriddenFrom || classification;
+    const entry = this.feedback.record({
+      text: this.getModelText(text || '', structuredData || {}),
+      classification: prediction,
+      actualLabels
+    });
+    this.applyFeedback();
+    return entry;
+  }
+
+  /**
+   * Classifier accuracy over time from recorded feedback
+   * @param {Object} options - { period: 'day' | 'week' | 'month' }
+   */
+  getAccuracyReport(options = {}) {
+    return this.feedback.getAccuracyReport(options);
   }
 
   /**
    * Classify policy type from document text and metadata
    * @param {string} text - Extracted document text
    * @param {Object} structuredData - Extracted structured data
-   * @returns {Object} Classification result
+   * @returns {Object} Classification result; `labels` lists every type the document covers
+   *   (a home and auto package has two) and `primaryType` is the most probable of them.
+   *   `subType` is the form or plan of the primary type (e.g. 'ho6', 'term', 'hdhp') and
+   *   `subTypes` holds the sub-type of every label
    */
   classifyPolicy(text, structuredData = {}) {
+    const modelText = this.getModelText(text, structuredData);
+    const result = this.model && this.model.countKnownFeatures(modelText) >= MIN_MODEL_FEATURES
+      ? this.classifyWithModel(modelText)
+      : this.classifyWithKeywords(text, structuredData);
+
+    return result.success ? this.addSubTypes(result, text, structuredData) : result;
+  }
+
+  /**
+   * Attach the sub-type of every classified type to a classification result
+   */
+  addSubTypes(result, text, structuredData = {}) {
+    const subTypes = {};
+    for (const type of result.labels) {
+      const details = this.classifySubType(type, text, structuredData);
+      if (details) subTypes[type] = details;
+    }
+
+    const primary = subTypes[result.primaryType] || null;
+    return {
+      ...result,
+      subType: primary?.subType || null,
+      subTypeDetails: primary,
+      subTypes
+    };
+  }
+
+  /**
+   * Second-level classification: which form or plan of a policy type a document is
+   * @param {string} policyType - Classified policy type
+   * @param {string} text - Document text
+   * @param {Object} structuredData - Extracted data; formNumbers, and the policyForm and
+   *   lineOfBusiness codes of structured input, are read
+   * @returns {Object|null} { subType, label, family, confidence, evidence, alternatives },
+   *   or null when the type has no sub-types or nothing points to one
+   */
+  classifySubType(policyType, text = '', structuredData = {}) {
+    const subTypes = POLICY_SUBTYPES[policyType];
+    if (!subTypes) return null;
+
+    const formNumbers = structuredData.formNumbers || [];
+    const formCodes = [structuredData.policyForm, structuredData.lineOfBusiness]
+      .filter(Boolean)
+      .map(code => code.toUpperCase().replace(/[\s-]/g, ''));
+    const candidates = [];
+
+    for (const [subType, config] of Object.entries(subTypes)) {
+      const evidence = [];
+      let score = 0;
+      let decisive = false;
+
+      const forms = (config.forms || []).filter(form => formNumbers.includes(form));
+      if (forms.length > 0) {
+        score += FORM_EVIDENCE_SCORE;
+        decisive = true;
+        evidence.push(`Standard form ${forms.join(', ')}`);
+      }
+
+      const code = formCodes.find(formCode => (config.codes || []).includes(formCode));
+      if (code) {
+        score += FORM_EVIDENCE_SCORE;
+        decisive = true;
+        evidence.push(`Policy form code ${code}`);
+      }
+
+      for (const pattern of config.patterns || []) {
+        const match = text.match(pattern);
+        if (match) {
+          score++;
+          evidence.push(`Found "${match[0].trim()}"`);
+        }
+      }
+
+      if (score > 0) {
+        candidates.push({ subType, label: config.label, family: config.family || null, score, decisive, evidence });
+      }
+    }
+
+    if (candidates.length === 0) return null;
+
+    // Form evidence ranks first however much wording points elsewhere; the stable sort keeps
+    // the precedence order of POLICY_SUBTYPES between equal scores
+    candidates.sort((a, b) => Number(b.decisive) - Number(a.decisive) || b.score - a.score);
+    const [best, ...others] = candidates;
+    const totalScore = candidates.reduce((sum, candidate) => sum + candidate.score, 0);
+    const strength = best.decisive ? 0.95 : 1 - Math.pow(0.5, best.score);
+
+    return {
+      subType: best.subType,
+      label: best.label,
+      family: best.family,
+      confidence: Math.round(strength * (best.score / totalScore) * 100) / 100,
+      evidence: best.evidence,
+      alternatives: others.map(({ subType, label, score }) => ({ subType, label, score }))
+    };
+  }
+
+  /**
+   * Calibrated probability of every type from the trained model; each type whose probability
+   * reaches its threshold is a label
+   */
+  classifyWithModel(text) {
+    try {
+      const probabilities = this.model.predict(text);
+      const classifications = Object.entries(probabilities)
+        .filter(([type]) => POLICY_TYPES[type])
+        .map(([type, probability]) => ({
+          type,
+          confidence: probability,
+          label: POLICY_TYPES[type].label,
+          category: POLICY_TYPES[type].category,
+          threshold: this.model.getThreshold(type),
+          selected: probability >= this.model.getThreshold(type)
+        }))
+        .sort((a, b) => b.confidence - a.confidence);
+
+      const labels = classifications.filter(classification => classification.selected).map(classification => classification.type);
+      const topClassification = classifications[0];
+      const isConfident = labels.length > 0;
+
+      return {
+        success: true,
+        primaryType: isConfident ? labels[0] : 'unknown',
+        confidence: topClassification ? topClassification.confidence : 0,
+        isConfident,
+        labels,
+        isPackage: labels.length > 1,
+        probabilities,
+        allClassifications: classifications,
+        suggestedTypes: classifications.slice(0, 3),
+        metadata: {
+          classificationDate: new Date().toISOString(),
+          method: 'logistic-regression',
+          modelTrainedAt: this.model.model.trainedAt,
+          thresholds: this.model.model.thresholds
+        }
+      };
+
+    } catch (error) {
+      console.error('Policy classification failed:', error);
+      return {
+        success: false,
+        error: error.message,
+        primaryType: 'unknown',
+        confidence: 0,
+        isConfident: false,
+        labels: []
+      };
+    }
+  }
+
+  /**
+   * Text the model reads: the document, plus the policy type fields when they were entered by hand
+   */
+  getModelText(text, structuredData) {
+    return [text, structuredData.policyType, structuredData.coverageType].filter(Boolean).join('\n');
+  }
+
+  /**
+   * Keyword and pattern scoring, one type per policy
+   */
+  classifyWithKeywords(text, structuredData = {}) {
     try {
       const normalizedText = text.toLowerCase();
       const classifications = [];
+      const formTypes = formRecognizer.getPolicyTypes(structuredData.formNumbers);
 
       // Check each policy type
       for (const [policyType, config] of Object.entries(POLICY_TYPES)) {
-        const score = this.calculateTypeScore(normalizedText, structuredData, config);
+        const keywordScore = this.calculateTypeScore(normalizedText, structuredData, config);
+        const score = this.applyFormEvidence(keywordScore, policyType, formTypes);
         
         if (score > 0) {
           classifications.push({
@@ -46,6 +277,8 @@ export class PolicyClassifier {
         primaryType: isConfident ? topClassification.type : 'unknown',
         confidence: topClassification ? topClassification.confidence : 0,
         isConfident,
+        labels: isConfident ? [topClassification.type] : [],
+        isPackage: false,
         allClassifications: classifications,
         suggestedTypes: classifications.slice(0, 3),
         metadata: {
@@ -62,7 +295,8 @@ export class PolicyClassifier {
         error: error.message,
         primaryType: 'unknown',
         confidence: 0,
-        isConfident: false
+        isConfident: false,
+        labels: []
       };
     }
   }
@@ -115,6 +349,16 @@ export class PolicyClassifier {
     return totalWeight > 0 ? Math.max(0, Math.min(1, score / totalWeight)) : 0;
   }
 
+  /**
+   * Raise the score of a type whose standard forms (e.g. "HO 00 03") appear in the document
+   */
+  applyFormEvidence(score, policyType, formTypes) {
+    const evidence = formTypes.find(form => form.type === policyType);
+    if (!evidence) return score;
+
+    return Math.min(1, score + Math.min(0.5, evidence.weight * 0.4));
+  }
+
   /**
    * Check structured data patterns
    */
@@ -154,56 +398,164 @@ export class PolicyClassifier {
   }
 
   /**
-   * Get detailed classification explanation
+   * Explain what a classification rests on, for the chosen type and its alternatives
+   * @param {string} text - Classified document text
+   * @param {Object} structuredData - Structured data the document was classified with
+   * @param {Object} result - Classification to explain; the document is classified when omitted
+   * @param {Object} options - { limit: number of types explained }
+   * @returns {Object} The classification with `details` per type: { type, label, confidence,
+   *   selected, definitiveKeywords, coverageKeywords, typeKeywords, structuredPatterns:
+   *   [{ field, value }], exclusions: { keywords, penalty }, formNumbers, modelTerms, reasons }
    */
-  explainClassification(text, structuredData = {}) {
-    const result = this.classifyPolicy(text, structuredData);
+  explainClassification(text, structuredData = {}, result = null, { limit = 5 } = {}) {
+    result = result || this.classifyPolicy(text, structuredData);
     const explanation = {
       ...result,
       details: []
     };
 
-    if (result.success && result.allClassifications.length > 0) {
-      for (const classification of result.allClassifications.slice(0, 3)) {
-        const typeConfig = POLICY_TYPES[classification.type];
-        const detail = {
-          type: classification.type,
-          confidence: classification.confidence,
-          reasons: []
-        };
+    if (!result.success || !result.allClassifications?.length) return explanation;
 
-        // Analyze what contributed to the score
-        const normalizedText = text.toLowerCase();
-        
-        if (typeConfig.requiredKeywords) {
-          const foundRequired = typeConfig.requiredKeywords.filter(keyword => 
-            normalizedText.includes(keyword.toLowerCase())
-          );
-          if (foundRequired.length > 0) {
-            detail.reasons.push(`Found required keywords: ${foundRequired.join(', ')}`);
-          }
-        }
+    const normalizedText = (text || '').toLowerCase();
+    const findKeywords = keywords => (keywords || []).filter(keyword => normalizedText.includes(keyword.toLowerCase()));
+    const usesModel = result.metadata?.method === 'logistic-regression' && this.model;
+    const modelText = usesModel ? this.getModelText(text || '', structuredData) : null;
 
-        if (typeConfig.optionalKeywords) {
-          const foundOptional = typeConfig.optionalKeywords.filter(keyword => 
-            normalizedText.includes(keyword.toLowerCase())
-          );
-          if (foundOptional.length > 0) {
-            detail.reasons.push(`Found supporting keywords: ${foundOptional.join(', ')}`);
-          }
-        }
+    for (const classification of result.allClassifications.slice(0, limit)) {
+      const typeConfig = POLICY_TYPES[classification.type] || {};
+      const detail = {
+        type: classification.type,
+        label: classification.label || typeConfig.label || classification.type,
+        confidence: classification.confidence,
+        selected: (result.labels || []).includes(classification.type),
+        definitiveKeywords: findKeywords(CLASSIFICATION_KEYWORDS.definitive[classification.type]),
+        coverageKeywords: [...new Set(findKeywords([
+          ...(CLASSIFICATION_KEYWORDS.coverageTerms[classification.type] || []),
+          ...(typeConfig.optionalKeywords || [])
+        ]))],
+        typeKeywords: findKeywords(typeConfig.requiredKeywords),
+        structuredPatterns: this.findStructuredPatternHits(structuredData, typeConfig.structuredPatterns),
+        exclusions: { keywords: [], penalty: 0 },
+        formNumbers: (structuredData.formNumbers || []).filter(number =>
+          formRecognizer.getPolicyTypes([number]).some(form => form.type === classification.type)
+        ),
+        modelTerms: [],
+        reasons: []
+      };
+
+      // The model learns its own penalties: terms that count against the type replace the
+      // fixed exclusion keyword penalty of keyword scoring
+      if (usesModel) {
+        detail.modelTerms = this.model.explain(modelText, classification.type);
+        const against = this.model.explain(modelText, classification.type, 5, { negative: true });
+        detail.exclusions = {
+          keywords: against.map(term => term.term),
+          penalty: Math.round(against.reduce((sum, term) => sum - term.contribution, 0) * 100) / 100
+        };
+      } else {
+        const excluded = findKeywords(typeConfig.exclusionKeywords);
+        detail.exclusions = { keywords: excluded, penalty: excluded.length > 0 ? 0.2 : 0 };
+      }
 
-        explanation.details.push(detail);
+      if (detail.definitiveKeywords.length > 0) {
+        detail.reasons.push(`Found definitive keywords: ${detail.definitiveKeywords.join(', ')}`);
+      }
+      if (detail.typeKeywords.length > 0) {
+        detail.reasons.push(`Found required keywords: ${detail.typeKeywords.join(', ')}`);
+      }
+      if (detail.coverageKeywords.length > 0) {
+        detail.reasons.push(`Found supporting keywords: ${detail.coverageKeywords.join(', ')}`);
       }
+      if (detail.structuredPatterns.length > 0) {
+        detail.reasons.push(`Matched structured fields: ${detail.structuredPatterns.map(hit => `${hit.field} "${hit.value}"`).join(', ')}`);
+      }
+      if (detail.formNumbers.length > 0) {
+        detail.reasons.push(`Found standard forms: ${detail.formNumbers.join(', ')}`);
+      }
+      if (detail.modelTerms.length > 0) {
+        detail.reasons.push(`Strongest model terms: ${detail.modelTerms.map(term => term.term).join(', ')}`);
+      }
+      if (detail.exclusions.keywords.length > 0) {
+        detail.reasons.push(`Counted against: ${detail.exclusions.keywords.join(', ')}`);
+      }
+
+      explanation.details.push(detail);
     }
 
     return explanation;
   }
 
+  /**
+   * Structured fields whose values match a type's structured patterns
+   * @returns {Array} [{ field, value }]
+   */
+  findStructuredPatternHits(structuredData, patterns) {
+    if (!patterns || !structuredData) return [];
+
+    return Object.entries(patterns)
+      .filter(([field, pattern]) => structuredData[field] && this.matchesPattern(String(structuredData[field]), pattern))
+      .map(([field]) => ({ field, value: String(structuredData[field]) }));
+  }
+
+  /**
+   * Replace a classification with the policy type(s) the user says the document is
+   * @param {Object} classification - Classification being corrected
+   * @param {string|Array<string>} actualLabels - Actual policy type, or every type of a package
+   * @param {string} text - Classified document text, for the sub-type
+   * @param {Object} structuredData - Structured data the document was classified with
+   * @returns {Object} Classification result of method 'user-override'; the replaced types are
+   *   kept in metadata.overriddenFrom
+   */
+  overrideClassification(classification, actualLabels, text = '', structuredData = {}) {
+    const labels = [...new Set([].concat(actualLabels).filter(type => POLICY_TYPES[type]))];
+    if (labels.length === 0) {
+      throw new Error(`Unknown policy type: ${[].concat(actualLabels).join(', ')}`);
+    }
+
+    const allClassifications = classification.allClassifications || [];
+    const overridden = labels.map(type => ({
+      ...(allClassifications.find(candidate => candidate.type === type) || {}),
+      type,
+      confidence: 1,
+      label: POLICY_TYPES[type].label,
+      category: POLICY_TYPES[type].category,
+      selected: true
+    }));
+    const classifications = [
+      ...overridden,
+      ...allClassifications.filter(candidate => !labels.includes(candidate.type)).map(candidate => ({ ...candidate, selected: false }))
+    ];
+
+    return this.addSubTypes({
+      success: true,
+      primaryType: labels[0],
+      confidence: 1,
+      isConfident: true,
+      labels,
+      isPackage: labels.length > 1,
+      probabilities: classification.probabilities || {},
+      allClassifications: classifications,
+      suggestedTypes: classifications.slice(0, 3),
+      metadata: {
+        classificationDate: new Date().toISOString(),
+        method: 'user-override',
+        overriddenFrom: classification.metadata?.overriddenFrom || {
+          primaryType: classification.primaryType,
+          labels: classification.labels || [],
+          confidence: classification.confidence,
+          method: classification.metadata?.method || classification.method || null
+        }
+      }
+    }, text, structuredData);
+  }
+
   /**
    * Validate classification result
+   * @param {string|Array<string>} userFeedback - Actual policy type(s), when the user gave them
+   * @param {Object} context - { text, structuredData } the document was classified from; with
+   *   it the feedback is recorded and learned from
    */
-  validateClassification(classification, userFeedback = null) {
+  validateClassification(classification, userFeedback = null, context = null) {
     const validation = {
       isValid: classification.success && classification.isConfident,
       confidence: classification.confidence,
@@ -217,7 +569,13 @@ export class PolicyClassifier {
 
     if (userFeedback) {
       validation.userFeedback = userFeedback;
-      validation.accuracyCheck = userFeedback === classification.primaryType;
+      validation.accuracyCheck = Array.isArray(userFeedback)
+        ? userFeedback.includes(classification.primaryType)
+        : userFeedback === classification.primaryType;
+
+      if (context) {
+        validation.feedbackEntry = this.recordFeedback(context.text, context.structuredData, classification, userFeedback);
+      }
     }
 
     return validation;
@@ -230,8 +588,16 @@ export class PolicyClassifier {
     return {
       supportedTypes: Object.keys(POLICY_TYPES),
       confidenceThreshold: this.confidenceThreshold,
-      methods: ['keyword-matching', 'pattern-recognition', 'structured-data-analysis'],
-      accuracy: 'Estimated 85-90% for common policy types'
+      methods: ['multi-label-logistic-regression', 'keyword-matching', 'pattern-recognition', 'structured-data-analysis'],
+      model: this.model ? {
+        labels: this.model.labels,
+        trainedAt: this.model.model.trainedAt,
+        examples: this.model.model.training?.examples,
+        thresholds: this.model.model.thresholds,
+        metrics: this.model.model.metrics, // Cross-validated precision, recall, F1 and Brier score per type
+        feedbackExamples: this.model.model.adjustedExamples || 0
+      } : null,
+      feedback: this.feedback ? { entries: this.feedback.getEntries().length, accuracy: this.getAccuracyReport().accuracy } : null
     };
   }
 }
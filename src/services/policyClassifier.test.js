@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import { PolicyClassifier } from './policyClassifier.js';
+import { ClassificationFeedback } from './classificationFeedback.js';
+
+const AUTO_DECLARATIONS = `PERSONAL AUTO POLICY DECLARATIONS
+Named Insured: Maria Lopez
+Vehicle 1: 2019 Honda Civic VIN 2HGFC2F59KH512345
+Bodily Injury Liability $100,000 each person / $300,000 each accident
+Property Damage Liability $100,000 each accident
+Uninsured Motorist Bodily Injury $100,000 / $300,000
+Collision Deductible $500 Comprehensive Deductible $250`;
+
+const HOME_DECLARATIONS = `HOMEOWNERS POLICY DECLARATIONS
+Residence Premises: 12 Elm St, Springfield
+Coverage A - Dwelling $350,000 Coverage B - Other Structures $35,000
+Coverage C - Personal Property $175,000 Coverage D - Loss of Use $70,000
+Coverage E - Personal Liability $300,000 Coverage F - Medical Payments $5,000
+All Perils Deductible $1,000 Wind/Hail Deductible 2%`;
+
+// The bundled model, without feedback from earlier sessions
+const classifier = new PolicyClassifier(undefined, null);
+
+describe('PolicyClassifier.classifyPolicy', () => {
+  it('classifies declarations with the trained model', () => {
+    const auto = classifier.classifyPolicy(AUTO_DECLARATIONS);
+    const home = classifier.classifyPolicy(HOME_DECLARATIONS);
+
+    expect(auto).toMatchObject({ success: true, primaryType: 'auto', isConfident: true, isPackage: false });
+    expect(auto.metadata.method).toBe('logistic-regression');
+    expect(home).toMatchObject({ primaryType: 'home', labels: ['home'] });
+  });
+
+  it('labels a home and auto package with both types', () => {
+    const result = classifier.classifyPolicy(`${HOME_DECLARATIONS}\n${AUTO_DECLARATIONS}`);
+
+    expect(result.isPackage).toBe(true);
+    expect([...result.labels].sort()).toEqual(['auto', 'home']);
+  });
+
+  it('falls back to keywords when there is too little text for the model', () => {
+    const result = classifier.classifyPolicy('', { policyType: 'Auto', coverageType: 'vehicle' });
+
+    expect(result.metadata.method).toBe('keyword-pattern-matching');
+    expect(result.suggestedTypes[0].type).toBe('auto');
+  });
+
+  it('uses keywords and standard forms without a model', () => {
+    const keywordsOnly = new PolicyClassifier(null, null);
+    const text = 'Personal auto policy. Vehicle: 2019 Honda Civic. Bodily injury liability, collision and comprehensive coverage.';
+
+    expect(keywordsOnly.classifyPolicy(text)).toMatchObject({
+      primaryType: 'unknown',
+      suggestedTypes: [expect.objectContaining({ type: 'auto' })],
+      metadata: { method: 'keyword-pattern-matching' }
+    });
+    expect(keywordsOnly.classifyPolicy(text, { formNumbers: ['PP 00 01'] })).toMatchObject({ primaryType: 'auto', labels: ['auto'] });
+  });
+});
+
+describe('PolicyClassifier.recordFeedback', () => {
+  it('grades the original prediction and learns from the correction right away', () => {
+    const learning = new PolicyClassifier(undefined, new ClassificationFeedback({ getItem: () => null, setItem: () => {} }));
+    const text = `${AUTO_DECLARATIONS}\nExcess liability over the scheduled underlying auto policy`;
+    const classification = learning.classifyPolicy(text);
+    const before = classification.probabilities.umbrella;
+
+    const overridden = { ...classification, primaryType: 'home', metadata: { ...classification.metadata, overriddenFrom: classification } };
+    const entry = learning.recordFeedback(text, {}, overridden, 'umbrella');
+
+    expect(entry).toMatchObject({ predictedType: classification.primaryType, actualType: 'umbrella', correct: false });
+    expect(learning.classifyPolicy(text).probabilities.umbrella).toBeGreaterThan(before);
+    expect(learning.getAccuracyReport().total).toBe(1);
+  });
+});
+
+describe('PolicyClassifier.classifySubType', () => {
+  it('takes a standard form number or form code as decisive', () => {
+    // More wording for the HO-6 than the form is worth, but the form still decides
+    expect(classifier.classifySubType('home', 'Condominium unit owners policy with loss assessment', { formNumbers: ['HO 00 05'] })).toMatchObject({
+      subType: 'ho5',
+      confidence: 0.41,
+      evidence: ['Standard form HO 00 05'],
+      alternatives: [{ subType: 'ho6', label: 'HO-6 Condominium Unit Owners', score: 4 }]
+    });
+    expect(classifier.classifySubType('home', '', { policyForm: 'HO-6' })).toMatchObject({
+      subType: 'ho6', confidence: 0.95, evidence: ['Policy form code HO6']
+    });
+    expect(classifier.classifySubType('home', '', { lineOfBusiness: 'DFIRE' }).subType).toBe('dwelling_fire');
+  });
+
+  it('scores wording when there is no form', () => {
+    const result = classifier.classifySubType('life', 'Level term coverage for a 20-year term with a conversion privilege');
+    expect(result).toMatchObject({ subType: 'term', family: 'term', evidence: expect.arrayContaining(['Found "20-year term"']) });
+    expect(result.confidence).toBeGreaterThan(0.8);
+  });
+
+  it('finds nothing for types without sub-types or without evidence', () => {
+    expect(classifier.classifySubType('auto', 'HO 00 03')).toBeNull();
+    expect(classifier.classifySubType('home', 'Homeowners declarations')).toBeNull();
+  });
+
+  it('attaches the sub-type of every label to a classification', () => {
+    const result = classifier.classifyPolicy(`${HOME_DECLARATIONS}\nForm HO 00 03 Special Form`, { formNumbers: ['HO 00 03'] });
+    expect(result).toMatchObject({ primaryType: 'home', subType: 'ho3', subTypes: { home: expect.objectContaining({ subType: 'ho3' }) } });
+  });
+});
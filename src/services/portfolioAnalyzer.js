@@ -0,0 +1,247 @@
+/**
+ * Portfolio Analyzer
+ * Combines the analyses of every policy in a household's or client's book into one summary,
+ * and finds the risks that only show across policies: lines held twice, liability exposure
+ * no umbrella covers, and underlying limits below what the umbrella requires
+ */
+
+import analysisPipeline from './analysisPipeline.js';
+import UmbrellaAnalyzer from './riskAnalyzers/umbrellaAnalyzer.js';
+import { PortfolioAnalysisResult } from '../models/AnalysisModels.js';
+import { POLICY_RULES, getPolicyRules } from '../data/policyRules.js';
+import { POLICY_TYPES } from '../utils/policyTypes.js';
+
+const SEVERITY_ORDER = { critical: 4, high: 3, medium: 2, low: 1 };
+
+// Recommendations kept in the portfolio summary
+const MAX_RECOMMENDATIONS = 10;
+
+export class PortfolioAnalyzer {
+  constructor() {
+    this.name = 'Portfolio Analyzer';
+    this.version = '1.0.0';
+    this.umbrellaAnalyzer = new UmbrellaAnalyzer();
+  }
+
+  /**
+   * Summarize the analyses of a batch
+   * @param {Array<Object>} analyses - [{ itemId, name, result: ComprehensiveAnalysisResult }]
+   * @param {Object} options - { userProfile: the household's or client's profile,
+   *   failures: [{ itemId, name, error, errorCode }] of files that could not be analyzed }
+   * @returns {PortfolioAnalysisResult} Portfolio summary
+   */
+  summarize(analyses, { userProfile = {}, failures = [] } = {}) {
+    const overallScore = analyses.length > 0
+      ? Math.round(analyses.reduce((sum, { result }) => sum + (result.overallScore || 0), 0) / analyses.length)
+      : 0;
+
+    return new PortfolioAnalysisResult({
+      analyses,
+      failures,
+      policyTypes: this.countPolicyTypes(analyses),
+      overallScore,
+      overallRating: analyses.length > 0 ? analysisPipeline.calculateOverallRating(overallScore) : 'N/A',
+      riskCounts: this.countRisks(analyses),
+      criticalIssues: this.collectCriticalIssues(analyses),
+      portfolioRisks: [
+        ...this.findOverlappingPolicies(analyses),
+        ...this.checkUmbrellaCoverage(analyses, userProfile),
+        ...this.checkUnderlyingLimits(analyses)
+      ],
+      prioritizedRecommendations: this.mergeRecommendations(analyses),
+      metadata: {
+        analyzer: this.name,
+        version: this.version,
+        fileCount: analyses.length + failures.length
+      }
+    });
+  }
+
+  /**
+   * A package policy counts once for each type it covers
+   */
+  countPolicyTypes(analyses) {
+    const counts = {};
+    for (const { result } of analyses) {
+      for (const type of this.getPolicyTypes(result)) {
+        counts[type] = (counts[type] || 0) + 1;
+      }
+    }
+    return counts;
+  }
+
+  countRisks(analyses) {
+    const counts = { critical: 0, high: 0, medium: 0, low: 0 };
+    for (const { result } of analyses) {
+      for (const risk of result.riskAnalysis?.riskFactors || []) {
+        if (risk.severity in counts) counts[risk.severity]++;
+      }
+    }
+    return counts;
+  }
+
+  collectCriticalIssues(analyses) {
+    return analyses.flatMap(({ itemId, name, result }) =>
+      (result.riskAnalysis?.criticalIssues || []).map(issue => ({ ...issue, itemId, policyName: name }))
+    );
+  }
+
+  /**
+   * Recommendations of every policy, most urgent first; the same recommendation for several
+   * policies is kept once and lists them all
+   */
+  mergeRecommendations(analyses) {
+    const merged = new Map();
+    for (const { itemId, name, result } of analyses) {
+      for (const recommendation of result.prioritizedRecommendations || []) {
+        const key = (recommendation.title || recommendation.description || '').toLowerCase();
+        const existing = merged.get(key);
+        if (existing) {
+          existing.policies.push({ itemId, name });
+          continue;
+        }
+        merged.set(key, { ...recommendation, policies: [{ itemId, name }] });
+      }
+    }
+
+    return [...merged.values()]
+      .sort((a, b) =>
+        (SEVERITY_ORDER[b.priority] || 1) - (SEVERITY_ORDER[a.priority] || 1) ||
+        b.policies.length - a.policies.length
+      )
+      .slice(0, MAX_RECOMMENDATIONS);
+  }
+
+  /**
+   * Two policies of the same line may be separate risks (a second car, a rental property),
+   * or the same risk insured twice
+   */
+  findOverlappingPolicies(analyses) {
+    const risks = [];
+    const byType = new Map();
+    for (const analysis of analyses) {
+      for (const type of this.getPolicyTypes(analysis.result)) {
+        byType.set(type, [...(byType.get(type) || []), analysis]);
+      }
+    }
+
+    for (const [type, policies] of byType) {
+      if (policies.length < 2) continue;
+      const label = POLICY_TYPES[type]?.label || type;
+      risks.push({
+        id: `portfolio_overlap_${type}`,
+        type: 'overlapping_coverage',
+        category: 'portfolio',
+        severity: 'low',
+        title: `${policies.length} ${label} policies`,
+        description: `${policies.map(policy => policy.name).join(', ')} are ${policies.length === 2 ? 'both' : 'all'} ${label.toLowerCase()} policies. ` +
+          'They may insure different property, or the same exposure twice.',
+        recommendation: 'Confirm each policy covers something the others do not, and consider combining them with one carrier for a multi-policy discount.',
+        potentialImpact: 'Premium paid for duplicate coverage',
+        urgency: 'low',
+        policies: policies.map(({ itemId, name }) => ({ itemId, name }))
+      });
+    }
+
+    return risks;
+  }
+
+  /**
+   * Home, renters, auto and watercraft liability stop at their own limits; assets above the
+   * liability those policies usually carry need an umbrella
+   */
+  checkUmbrellaCoverage(analyses, userProfile) {
+    const underlying = POLICY_RULES.umbrella.underlyingRequirements;
+    const types = new Set(analyses.flatMap(({ result }) => this.getPolicyTypes(result)));
+    const liabilityLines = Object.keys(underlying).filter(type => types.has(type));
+    if (types.has('umbrella') || liabilityLines.length === 0) return [];
+
+    const typicalLimit = Math.max(...liabilityLines.map(type => underlying[type].perOccurrence || underlying[type].combinedSingle));
+    const assets = Number(userProfile.assets) || 0;
+    const exposed = assets > typicalLimit;
+    const lines = liabilityLines.map(type => POLICY_TYPES[type]?.label.replace(/ Insurance$/, '').toLowerCase() || type);
+
+    return [{
+      id: 'portfolio_no_umbrella',
+      type: 'missing_umbrella',
+      category: 'portfolio',
+      severity: exposed ? 'high' : 'low',
+      title: 'No umbrella policy',
+      description: exposed
+        ? `Assets of $${assets.toLocaleString()} exceed the $${typicalLimit.toLocaleString()} liability ${lines.join(' and ')} policies usually carry, and no umbrella policy sits above them.`
+        : `None of the analyzed policies is an umbrella, so liability claims stop at the ${lines.join(' and ')} policies' own limits.`,
+      recommendation: `Consider a personal umbrella of at least $${POLICY_RULES.umbrella.limits.minimum.toLocaleString()} over the ${lines.join(' and ')} policies.`,
+      potentialImpact: exposed ? 'Assets exposed to judgments above the underlying liability limits' : 'Liability limited to the underlying policies',
+      urgency: exposed ? 'high' : 'low',
+      currentValue: 0,
+      recommendedValue: POLICY_RULES.umbrella.limits.minimum
+    }];
+  }
+
+  /**
+   * Each policy in a batch is analyzed on its own, so an umbrella's analysis only knows its
+   * schedule of underlying insurance; here its required underlying limits meet the auto and
+   * home policies analyzed beside it
+   */
+  checkUnderlyingLimits(analyses) {
+    const risks = [];
+
+    for (const umbrella of analyses.filter(({ result }) => this.getPolicyTypes(result).includes('umbrella'))) {
+      const others = analyses.filter(analysis => analysis !== umbrella);
+      if (others.length === 0) continue;
+
+      const documentAnalysis = umbrella.result.documentAnalysis || {};
+      const model = this.umbrellaAnalyzer.buildPolicyModel({
+        ...documentAnalysis.structuredData,
+        structuredData: documentAnalysis.structuredData || {},
+        extractedText: documentAnalysis.extractedText,
+        policy: documentAnalysis.policy || null
+      }, getPolicyRules('umbrella'));
+      const relatedPolicies = others.map(({ result }) => result);
+      const covered = [];
+
+      for (const { itemId, name, result } of others) {
+        const entries = this.umbrellaAnalyzer.collectUnderlyingPolicies(model, [result])
+          .filter(entry => entry.source === 'user');
+        if (entries.length === 0) continue;
+        covered.push(...entries.map(entry => entry.exposure));
+
+        // Gaps and unreadable limits of this policy's own exposures
+        this.umbrellaAnalyzer.checkUnderlyingRequirements(model, entries, relatedPolicies)
+          .filter(risk => entries.some(entry => risk.id.endsWith(`-${entry.exposure}`)))
+          .forEach(risk => risks.push(this.toPortfolioRisk(risk, umbrella, [{ itemId, name }], risks.length)));
+      }
+
+      const missing = ['auto', 'home'].filter(exposure =>
+        model.getRequirement(exposure) && !covered.some(type => this.umbrellaAnalyzer.sameExposure(type, exposure))
+      );
+      if (missing.length > 0) {
+        const risk = this.umbrellaAnalyzer.createUnknownLimitRisk(
+          missing.join(' and '),
+          missing.map(exposure => model.getRequirement(exposure)),
+          `None of the analyzed policies covers ${missing.join(' or ')} liability`
+        );
+        risks.push(this.toPortfolioRisk(risk, umbrella, [], risks.length));
+      }
+    }
+
+    return risks;
+  }
+
+  toPortfolioRisk(risk, umbrella, underlying, index) {
+    return {
+      ...risk,
+      id: `portfolio_${risk.id}_${index}`,
+      category: 'portfolio',
+      title: underlying.length ? `${risk.title}: ${underlying.map(policy => policy.name).join(', ')}` : risk.title,
+      policies: [{ itemId: umbrella.itemId, name: umbrella.name }, ...underlying]
+    };
+  }
+
+  getPolicyTypes(result) {
+    const classification = result.classificationAnalysis || {};
+    return classification.labels?.length ? classification.labels : [classification.primaryType].filter(Boolean);
+  }
+}
+
+export default new PortfolioAnalyzer();
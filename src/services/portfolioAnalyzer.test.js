@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import portfolioAnalyzer from './portfolioAnalyzer.js';
+import { ComprehensiveAnalysisResult } from '../models/AnalysisModels.js';
+
+const analysis = (itemId, primaryType, documentAnalysis = {}) => ({
+  itemId,
+  name: `${itemId}.pdf`,
+  result: new ComprehensiveAnalysisResult({
+    overallScore: 70,
+    classificationAnalysis: { primaryType, labels: [primaryType] },
+    documentAnalysis: { structuredData: {}, extractedText: '', ...documentAnalysis }
+  })
+});
+
+const UMBRELLA_TEXT = `PERSONAL UMBRELLA POLICY DECLARATIONS
+Umbrella Limit: $1,000,000 each occurrence
+Required Underlying Limits:
+Automobile Liability required minimum 250/500/100
+Personal Liability required minimum $300,000`;
+
+describe('PortfolioAnalyzer.summarize', () => {
+  it('flags policies of the same line', () => {
+    const summary = portfolioAnalyzer.summarize([analysis('home-1', 'home'), analysis('home-2', 'home')]);
+
+    expect(summary.policyTypes).toEqual({ home: 2 });
+    expect(summary.portfolioRisks.map(risk => risk.type)).toContain('overlapping_coverage');
+  });
+
+  it('flags missing umbrella coverage by the assets at stake', () => {
+    const [risk] = portfolioAnalyzer.summarize([analysis('auto', 'auto')], { userProfile: { assets: 2000000 } }).portfolioRisks;
+    expect(risk).toMatchObject({ type: 'missing_umbrella', severity: 'high' });
+  });
+
+  it("checks the umbrella's required underlying limits against the policies beside it", () => {
+    const summary = portfolioAnalyzer.summarize([
+      analysis('umbrella', 'umbrella', { extractedText: UMBRELLA_TEXT }),
+      analysis('auto', 'auto', { structuredData: { liabilityLimits: '$50,000/$100,000', propertyDamage: '$25,000' } })
+    ]);
+
+    const gap = summary.portfolioRisks.find(risk => risk.type === 'coverage_gap');
+    expect(gap).toMatchObject({ severity: 'high', currentValue: 50000, recommendedValue: 250000 });
+    expect(gap.policies.map(policy => policy.itemId)).toEqual(['umbrella', 'auto']);
+
+    const unverified = summary.portfolioRisks.find(risk => risk.policies.length === 1);
+    expect(unverified.description).toContain('None of the analyzed policies covers home liability');
+  });
+
+  it('finds no gap when the underlying limits meet the requirement', () => {
+    const summary = portfolioAnalyzer.summarize([
+      analysis('umbrella', 'umbrella', { extractedText: UMBRELLA_TEXT }),
+      analysis('auto', 'auto', { structuredData: { liabilityLimits: '250/500/100' } }),
+      analysis('home', 'home', { structuredData: { liabilityLimits: '$500,000' } })
+    ]);
+
+    expect(summary.portfolioRisks).toEqual([]);
+  });
+});
@@ -3,6 +3,40 @@
  * Specialized prompts for different insurance policy types
  */
 
+import { outlineSections } from '../utils/sectionTree.js';
+import { getPolicyRules } from '../data/policyRules.js';
+
+// What to look at for each policy form or plan, on top of the policy type's analysis
+const SUBTYPE_FOCUS = {
+  ho2: ['Named perils only: list common losses that are not covered', 'Compare with an HO-3 for open-perils dwelling coverage'],
+  ho3: ['Named perils on personal property versus open perils on the dwelling', 'Whether an HO-5 upgrade or a contents endorsement is worth it'],
+  ho5: ['Open perils on personal property and its exclusions', 'Replacement cost on contents and special limits that still apply'],
+  ho6: ['Walls-in coverage against what the association master policy leaves to the unit owner', 'Loss assessment limit against the master policy deductible', 'Improvements and betterments made by the owner', 'Do not flag missing other structures coverage; HO-6 does not include it'],
+  ho8: ['Actual cash value or repair-cost settlement on the dwelling', 'Whether the home qualifies for a replacement cost form'],
+  dwelling_fire: ['Landlord exposures: fair rental value, premises liability, tenant damage', 'Named perils on the DP-1 and DP-2 forms', 'Theft and personal liability, which need endorsements'],
+  mobile_home: ['Wind and tornado exposure and tie-down requirements', 'Actual cash value settlement on the home'],
+  ho4: ['Contents limit against an inventory of belongings', 'Replacement cost on contents', 'Additional living expenses if the rental becomes uninhabitable'],
+  term: ['Term length against the years of income the family needs replaced', 'Conversion privilege deadline and eligible products', 'Premiums after the level period ends'],
+  whole: ['Guaranteed cash value schedule and dividend option', 'Policy loans and their interest rate', 'Cost compared with term coverage plus investing the difference'],
+  universal: ['Lapse risk at current crediting rates', 'Cost of insurance increases with age', 'No-lapse guarantee conditions'],
+  variable: ['Sub-account investment risk and fees', 'Surrender charges', 'Minimum death benefit guarantee'],
+  hdhp: ['HSA eligibility against the IRS minimum deductible and out-of-pocket maximum', 'HSA contribution room and employer contributions', 'Cash needed to cover the deductible'],
+  hmo: ['Network restrictions and referral requirements', 'Emergency and out-of-area coverage'],
+  ppo: ['In-network versus out-of-network cost sharing', 'Balance billing exposure'],
+  epo: ['No out-of-network coverage outside emergencies', 'Network adequacy where the insured lives'],
+  pos: ['Referral rules for specialists', 'Out-of-network cost sharing'],
+  short_term: ['Elimination period against emergency savings', 'Coordination with long-term disability'],
+  long_term: ['Definition of disability: own occupation or any occupation', 'Benefit period and cost-of-living adjustment', 'Offsets for Social Security and other benefits'],
+  bop: ['Business personal property and business income limits', 'Hired and non-owned auto and employment practices endorsements', 'Whether revenue or building size has outgrown BOP eligibility'],
+  general_liability: ['Occurrence and aggregate limits against contract requirements', 'Additional insured and waiver of subrogation endorsements', 'Hired and non-owned auto'],
+  commercial_property: ['Coinsurance and valuation (replacement cost or actual cash value)', 'Business income period of restoration'],
+  commercial_package: ['Which coverage parts are included and which are missing', 'Gaps between the property and liability parts'],
+  workers_compensation: ['Class codes and estimated payroll against actual payroll (audit exposure)', 'Employers liability limits', 'States in Items 3.A and 3.C against where employees work', 'Experience mod and what drives it'],
+  commercial_auto: ['Covered auto symbols and whether hired (8) and non-owned (9) autos are covered', 'Liability limit against contract requirements', 'Driver eligibility and vehicle schedule'],
+  professional_liability: ['Retroactive date and prior acts coverage', 'Defense costs inside or outside the limit', 'Extended reporting period options'],
+  cyber: ['Social engineering and funds transfer fraud sublimits', 'Business interruption waiting period', 'Ransomware and regulatory coverage']
+};
+
 /**
  * Get prompt template for specific policy type
  * @param {string} policyType - Type of insurance policy
@@ -26,7 +60,27 @@ export function getPromptTemplate(policyType, context) {
     business: getBusinessInsurancePrompt(baseContext, riskContext)
   };
   
-  return templates[policyType] || getGenericPrompt(baseContext, riskContext);
+  const prompt = templates[policyType] || getGenericPrompt(baseContext, riskContext);
+  return prompt + formatSubTypeContext(policyType, classification);
+}
+
+/**
+ * Form or plan guidance for the classified sub-type (HO-6, term life, HDHP ...)
+ */
+function formatSubTypeContext(policyType, classification) {
+  const details = classification?.subTypes?.[policyType] ||
+    (classification?.primaryType === policyType ? classification.subTypeDetails : null);
+  if (!details) return '';
+
+  const focus = SUBTYPE_FOCUS[details.subType] || [];
+  const rules = getPolicyRules(policyType, details.subType);
+  const hsa = rules.hsa?.contributionLimit;
+
+  return `
+Policy Form: ${details.label} (${Math.round(details.confidence * 100)}% confidence${details.evidence?.length ? `; ${details.evidence.join(', ')}` : ''})
+${focus.length ? `Also address, specific to this form:\n${focus.map(point => `- ${point}`).join('\n')}` : ''}
+${hsa ? `Current HSA limits: $${hsa.individual.toLocaleString()} individual, $${hsa.family.toLocaleString()} family; HDHP minimum deductible $${rules.costSharing.deductible.minimum.individual.toLocaleString()} / $${rules.costSharing.deductible.minimum.family.toLocaleString()}, out-of-pocket maximum $${rules.costSharing.outOfPocketMax.individual.toLocaleString()} / $${rules.costSharing.outOfPocketMax.family.toLocaleString()}.` : ''}
+`;
 }
 
 /**
@@ -45,8 +99,11 @@ Policy Information:
 
 Extracted Data:
 ${policy.structuredData ? Object.entries(policy.structuredData)
+  .filter(([key]) => key !== 'coverages')
   .map(([key, value]) => `- ${key}: ${value}`)
   .join('\n') : 'No structured data available'}
+${formatCoverageTable(policy.structuredData?.coverages)}
+${formatSectionOutline(policy.sections)}
 
 Document Analysis:
 - File Type: ${policy.fileType || 'Unknown'}
@@ -54,6 +111,31 @@ Document Analysis:
 `;
 }
 
+/**
+ * Format declarations coverage rows for prompts
+ */
+function formatCoverageTable(coverages) {
+  if (!coverages?.length) return '';
+
+  return `
+Declarations Coverages:
+${coverages.map(row =>
+  `- ${row.coverageName}: limit ${row.limits || 'n/a'}, deductible ${row.deductible || 'n/a'}, premium ${row.premium || 'n/a'}`
+).join('\n')}`;
+}
+
+/**
+ * Format the document's section headings for prompts
+ */
+function formatSectionOutline(sections) {
+  const outline = outlineSections(sections);
+  if (!outline) return '';
+
+  return `
+Document Sections:
+${outline}`;
+}
+
 /**
  * Format risk analysis context
  */
@@ -0,0 +1,485 @@
+/**
+ * Commercial Lines Analyzer
+ * Assesses business policies (BOP, general liability, commercial auto, workers' compensation,
+ * professional liability, cyber): rating exposures and class codes, employers liability
+ * limits, hired and non-owned auto, claims-made terms and cyber sublimits
+ */
+
+import { PolicyFactory, BusinessPolicy } from '../../models/PolicyModels.js';
+import CommercialExposureExtractor from '../extractors/commercialExposureExtractor.js';
+import { getPolicyRules } from '../../data/policyRules.js';
+import { parseLimitAmount } from '../../utils/limitParser.js';
+
+export class CommercialLinesAnalyzer {
+  constructor() {
+    this.name = 'Commercial Lines Analyzer';
+    this.version = '1.0.0';
+    this.extractor = new CommercialExposureExtractor();
+  }
+
+  /**
+   * Analyze a commercial policy
+   * @param {Object} policy - Policy data
+   * @param {Object} policyClassification - Classification results
+   * @param {Object} userProfile - User profile data; `business` holds what the owner reported
+   *   ({ employees, payroll, revenue, states, ownsVehicles, employeesDriveForWork, storesCustomerData })
+   * @returns {Promise<Object>} Analysis results
+   */
+  async analyze(policy, policyClassification, userProfile = {}) {
+    try {
+      const policyType = policyClassification.primaryType;
+      const subType = policyClassification.subType || null;
+
+      if (policyType !== 'business') {
+        return {
+          success: true,
+          analyzer: this.name,
+          score: 0,
+          risks: [],
+          summary: 'Not a commercial policy.',
+          metadata: { policyType, applicable: false, analysisDate: new Date().toISOString() }
+        };
+      }
+
+      const model = this.buildPolicyModel(policy, subType);
+      const rules = getPolicyRules('business', subType);
+      const business = userProfile.business || {};
+      const risks = [];
+
+      risks.push(...this.analyzeExposures(model, rules, business, subType));
+      risks.push(...this.checkHiredNonOwnedAuto(model, business, subType));
+
+      if (model.commercialLine === 'workers_compensation') {
+        risks.push(...this.analyzeWorkersCompensation(model, rules, business));
+      }
+      if (model.commercialLine === 'commercial_auto') {
+        risks.push(...this.analyzeCommercialAuto(model, rules));
+      }
+      if (model.commercialLine === 'bop') {
+        risks.push(...this.analyzeBusinessOwners(model, rules));
+      }
+      if (model.claimsMade) {
+        risks.push(...this.analyzeClaimsMade(model, business));
+      }
+      if (model.commercialLine === 'cyber') {
+        risks.push(...this.analyzeCyber(model, rules));
+      }
+
+      const score = this.calculateCommercialScore(risks);
+
+      return {
+        success: true,
+        analyzer: this.name,
+        score,
+        risks,
+        summary: this.generateSummary(risks),
+        metadata: {
+          policyType,
+          subType,
+          applicable: true,
+          commercialLine: model.commercialLine,
+          classCodes: model.classCodes.map(({ code, description, exposureBasis, exposure }) => ({ code, description, exposureBasis, exposure })),
+          exposures: model.exposures,
+          analysisDate: new Date().toISOString()
+        }
+      };
+
+    } catch (error) {
+      console.error('Commercial lines analysis failed:', error);
+      return {
+        success: false,
+        error: error.message,
+        analyzer: this.name,
+        score: 0,
+        risks: []
+      };
+    }
+  }
+
+  /**
+   * Commercial policy model of the analyzed policy: the imported model when there is one,
+   * otherwise one built from the rating details in the document text
+   */
+  buildPolicyModel(policy, subType) {
+    if (policy.policy instanceof BusinessPolicy) return policy.policy;
+
+    const extracted = this.extractor.extract(policy.extractedText) || { exposures: {} };
+    const { exposures, endorsements = [], eachOccurrence, generalAggregate, combinedSingleLimit, socialEngineering, ...details } = extracted;
+    const autoLimit = combinedSingleLimit || parseLimitAmount(policy.structuredData?.liabilityLimits) || null;
+
+    return PolicyFactory.createPolicy('business', {
+      ...details,
+      policyNumber: policy.policyNumber || policy.structuredData?.policyNumber || '',
+      insuranceProvider: policy.insuranceCompany || policy.structuredData?.insuranceCompany || '',
+      effectiveDate: policy.effectiveDate || policy.structuredData?.effectiveDate || null,
+      exposures,
+      endorsements,
+      coverages: {
+        eachOccurrence: eachOccurrence || null,
+        generalAggregate: generalAggregate || null,
+        combinedSingleLimit: subType === 'commercial_auto' ? autoLimit : null,
+        socialEngineering: socialEngineering || null
+      }
+    }, subType);
+  }
+
+  /**
+   * Class codes without exposure, rated on the wrong basis, or reported below what the
+   * business told us: each of these ends in a premium audit adjustment
+   */
+  analyzeExposures(model, rules, business, subType) {
+    const risks = [];
+    const allowedBases = rules.exposureBases?.[subType] || [];
+
+    for (const classCode of model.classCodes) {
+      if (classCode.exposureBasis && classCode.exposure === null) {
+        risks.push({
+          id: `class-code-no-exposure-${classCode.code}`,
+          type: 'exposure',
+          category: 'policy_terms',
+          severity: 'medium',
+          title: `No ${classCode.exposureBasis} shown for class ${classCode.code}`,
+          description: `Class code ${classCode.code}${classCode.description ? ` (${classCode.description})` : ''} is rated on ${classCode.exposureBasis} but the declarations show no amount`,
+          recommendation: 'Ask the agent for the rating worksheet and confirm the estimated exposure',
+          potentialImpact: 'Premium cannot be checked and may change at audit',
+          urgency: 'low',
+          classCode: classCode.code
+        });
+      } else if (classCode.exposureBasis && allowedBases.length > 0 && !allowedBases.includes(classCode.exposureBasis)) {
+        risks.push({
+          id: `class-code-basis-${classCode.code}`,
+          type: 'exposure',
+          category: 'policy_terms',
+          severity: 'medium',
+          title: `Unusual rating basis for class ${classCode.code}`,
+          description: `Class code ${classCode.code} is rated on ${classCode.exposureBasis}; this line is normally rated on ${allowedBases.join(' or ')}`,
+          recommendation: 'Confirm the class code and exposure basis with the agent',
+          potentialImpact: 'A misclassified risk can be repriced or declined at audit',
+          urgency: 'medium',
+          classCode: classCode.code
+        });
+      }
+    }
+
+    for (const basis of ['payroll', 'revenue']) {
+      const actual = business[basis];
+      const declared = model.getClassExposure(basis) || model.exposures[basis];
+      if (!actual || !declared || declared >= actual) continue;
+
+      const shortfall = (actual - declared) / actual;
+      const { warning, high } = rules.riskFactors?.exposureVariance || { warning: 0.15, high: 0.3 };
+      if (shortfall < warning) continue;
+
+      risks.push({
+        id: `underreported-${basis}`,
+        type: 'exposure',
+        category: 'policy_terms',
+        severity: shortfall >= high ? 'high' : 'medium',
+        title: `Declared ${basis} below actual`,
+        description: `The policy is rated on $${declared.toLocaleString()} of ${basis}; you reported $${actual.toLocaleString()}, leaving ${Math.round(shortfall * 100)}% undeclared`,
+        recommendation: `Update the ${basis} estimate with the insurer before the audit`,
+        potentialImpact: `Additional premium at audit on about $${(actual - declared).toLocaleString()} of ${basis}`,
+        urgency: 'medium',
+        currentValue: declared,
+        recommendedValue: actual
+      });
+    }
+
+    return risks;
+  }
+
+  /**
+   * Employees running errands in their own or rented cars expose the business even when it
+   * owns no vehicles; hired and non-owned auto covers that
+   */
+  checkHiredNonOwnedAuto(model, business, subType) {
+    if (!['bop', 'general_liability', 'commercial_auto', null].includes(subType)) return [];
+
+    const covered = model.commercialLine === 'commercial_auto'
+      ? model.coversHiredAutos() && model.coversNonOwnedAutos()
+      : model.hasEndorsement('hired') || model.hasEndorsement('non-owned');
+    if (covered) return [];
+
+    const hasEmployees = (business.employees ?? model.exposures.employees ?? 0) > 0;
+    if (!hasEmployees && !business.employeesDriveForWork && model.commercialLine !== 'commercial_auto') return [];
+
+    return [{
+      id: 'missing-hired-non-owned-auto',
+      type: 'coverage_gap',
+      category: 'coverage_gaps',
+      severity: business.employeesDriveForWork ? 'high' : 'medium',
+      title: 'Missing Hired and Non-Owned Auto',
+      description: model.commercialLine === 'commercial_auto'
+        ? `Liability applies to symbols ${model.liabilitySymbols.join(', ') || 'not shown'}; hired (8) and non-owned (9) autos are not covered`
+        : 'No hired and non-owned auto liability was found on this policy',
+      recommendation: 'Add hired and non-owned auto liability (symbols 8 and 9, or a BOP/GL endorsement)',
+      potentialImpact: 'Accidents in rented or employee-owned cars on company business fall on the business',
+      urgency: 'medium'
+    }];
+  }
+
+  /**
+   * Employers liability limits, states without coverage and the experience mod
+   */
+  analyzeWorkersCompensation(model, rules, business) {
+    const risks = [];
+    const { minimum, recommended } = rules.minimumCoverages.employersLiability;
+    const limits = model.employersLiability;
+
+    const below = Object.keys(recommended).filter(field => limits[field] && limits[field] < recommended[field]);
+    if (below.length > 0) {
+      const belowMinimum = below.some(field => limits[field] < minimum[field]);
+      risks.push({
+        id: 'low-employers-liability',
+        type: 'liability_limit',
+        category: 'liability_limits',
+        severity: belowMinimum ? 'high' : 'medium',
+        title: 'Low Employers Liability Limits',
+        description: `Employers liability is ${limits.eachAccident ? `$${limits.eachAccident.toLocaleString()}` : '?'} / ${limits.diseasePolicyLimit ? `$${limits.diseasePolicyLimit.toLocaleString()}` : '?'} / ${limits.diseaseEachEmployee ? `$${limits.diseaseEachEmployee.toLocaleString()}` : '?'}`,
+        recommendation: `Raise employers liability to $${recommended.eachAccident.toLocaleString()} / $${recommended.diseasePolicyLimit.toLocaleString()} / $${recommended.diseaseEachEmployee.toLocaleString()}; umbrella carriers usually require $1M`,
+        potentialImpact: 'Employee injury suits outside the compensation system can exceed these limits',
+        urgency: 'medium',
+        currentValue: limits.eachAccident,
+        recommendedValue: recommended.eachAccident
+      });
+    }
+
+    const states = [...new Set([...(business.states || []), ...model.getStates()])];
+    const covered = [...model.statesCovered, ...model.otherStates];
+    const uncovered = covered.includes('ALL') ? [] : states.filter(state => !covered.includes(state));
+    if (uncovered.length > 0) {
+      risks.push({
+        id: 'workers-comp-uncovered-states',
+        type: 'coverage_gap',
+        category: 'regulatory_compliance',
+        severity: 'high',
+        title: "Operations in States Without Workers' Compensation",
+        description: `The business operates in ${uncovered.join(', ')}, which ${uncovered.length > 1 ? 'are' : 'is'} not listed in Item 3.A or 3.C`,
+        recommendation: 'Add these states to Item 3.A, or to 3.C for temporary work; monopolistic states (ND, OH, WA, WY) need a state fund policy',
+        potentialImpact: 'Uninsured claims and statutory penalties in those states',
+        urgency: 'immediate'
+      });
+    }
+
+    if (model.experienceMod && model.experienceMod > 1) {
+      risks.push({
+        id: 'experience-mod-debit',
+        type: 'loss_history',
+        category: 'policy_terms',
+        severity: model.experienceMod >= 1.25 ? 'high' : 'medium',
+        title: 'Experience Mod Above 1.00',
+        description: `An experience mod of ${model.experienceMod.toFixed(2)} adds ${Math.round((model.experienceMod - 1) * 100)}% to the manual premium`,
+        recommendation: 'Review the loss runs behind the mod, close open reserves and invest in return-to-work and safety programs',
+        potentialImpact: model.getManualPremium() > 0
+          ? `About $${Math.round(model.getManualPremium() * (model.experienceMod - 1)).toLocaleString()} a year in debit premium`
+          : 'Higher premium for three policy years',
+        urgency: 'medium',
+        currentValue: model.experienceMod,
+        recommendedValue: 1
+      });
+    }
+
+    return risks;
+  }
+
+  /**
+   * Business auto liability limit
+   */
+  analyzeCommercialAuto(model, rules) {
+    const limit = model.coverages.combinedSingleLimit;
+    const { minimum, recommended } = rules.minimumCoverages.commercialAuto.combinedSingleLimit;
+    if (!limit || limit >= recommended) return [];
+
+    return [{
+      id: 'low-commercial-auto-liability',
+      type: 'liability_limit',
+      category: 'liability_limits',
+      severity: limit < minimum ? 'high' : 'medium',
+      title: 'Low Business Auto Liability Limit',
+      description: `Auto liability of $${limit.toLocaleString()} is below the $${recommended.toLocaleString()} combined single limit most contracts require`,
+      recommendation: `Increase auto liability to $${recommended.toLocaleString()} CSL`,
+      potentialImpact: 'Verdicts involving commercial vehicles routinely exceed $1M',
+      urgency: 'medium',
+      currentValue: limit,
+      recommendedValue: recommended
+    }];
+  }
+
+  /**
+   * Liability aggregate and BOP eligibility
+   */
+  analyzeBusinessOwners(model, rules) {
+    const risks = [];
+    const { eachOccurrence, generalAggregate } = model.coverages;
+
+    if (eachOccurrence && generalAggregate && generalAggregate < eachOccurrence * 2) {
+      risks.push({
+        id: 'low-general-aggregate',
+        type: 'liability_limit',
+        category: 'liability_limits',
+        severity: 'medium',
+        title: 'General Aggregate Below Twice the Occurrence Limit',
+        description: `A $${generalAggregate.toLocaleString()} aggregate leaves little room after one full-limit claim of $${eachOccurrence.toLocaleString()}`,
+        recommendation: `Ask for a $${(eachOccurrence * 2).toLocaleString()} general aggregate`,
+        potentialImpact: 'Later claims in the same year may be uninsured',
+        urgency: 'low',
+        currentValue: generalAggregate,
+        recommendedValue: eachOccurrence * 2
+      });
+    }
+
+    const { maxRevenue, maxSquareFeet } = rules.eligibility || {};
+    const revenue = model.exposures.revenue;
+    const squareFeet = model.exposures.squareFeet;
+    if ((maxRevenue && revenue > maxRevenue) || (maxSquareFeet && squareFeet > maxSquareFeet)) {
+      risks.push({
+        id: 'bop-eligibility',
+        type: 'eligibility',
+        category: 'policy_terms',
+        severity: 'medium',
+        title: 'Business May Have Outgrown the BOP',
+        description: 'Revenue or building size is above what most carriers accept on a businessowners policy',
+        recommendation: 'Review a commercial package policy with separate property and general liability coverage parts',
+        potentialImpact: 'The carrier may non-renew or limit coverage at renewal',
+        urgency: 'low'
+      });
+    }
+
+    return risks;
+  }
+
+  /**
+   * Retroactive date, prior acts and tail coverage of claims-made policies
+   */
+  analyzeClaimsMade(model, business) {
+    const risks = [];
+
+    if (!model.retroactiveDate) {
+      risks.push({
+        id: 'missing-retroactive-date',
+        type: 'policy_terms',
+        category: 'policy_terms',
+        severity: 'medium',
+        title: 'Retroactive Date Not Shown',
+        description: 'This claims-made policy does not show a retroactive date, so it is unclear which past work is covered',
+        recommendation: 'Confirm the retroactive date with the insurer',
+        potentialImpact: 'Claims for work done before the retroactive date are not covered',
+        urgency: 'medium'
+      });
+    } else if (!model.hasFullPriorActs() && !/^none$/i.test(model.retroactiveDate)) {
+      const retroactive = new Date(model.retroactiveDate);
+      const effective = model.effectiveDate ? new Date(model.effectiveDate) : null;
+      const yearsInBusiness = business.yearsInBusiness ?? model.yearsInBusiness;
+      const priorYears = effective && !isNaN(retroactive) ? (effective - retroactive) / (365.25 * 86400000) : null;
+
+      if (priorYears !== null && yearsInBusiness && priorYears < yearsInBusiness - 1) {
+        risks.push({
+          id: 'prior-acts-gap',
+          type: 'coverage_gap',
+          category: 'coverage_gaps',
+          severity: 'high',
+          title: 'Prior Acts Gap',
+          description: `The retroactive date of ${model.retroactiveDate} leaves about ${Math.round(yearsInBusiness - priorYears)} years of earlier work uncovered`,
+          recommendation: 'Ask for an earlier retroactive date matching the prior policy, or full prior acts',
+          potentialImpact: 'Claims arising from older engagements are excluded',
+          urgency: 'high'
+        });
+      }
+    }
+
+    if (model.defenseInsideLimits) {
+      risks.push({
+        id: 'defense-inside-limits',
+        type: 'policy_terms',
+        category: 'policy_terms',
+        severity: 'medium',
+        title: 'Defense Costs Reduce the Limit',
+        description: 'Defense costs are paid within the limit of liability, so a long defense leaves less for settlements',
+        recommendation: 'Consider a higher limit or defense outside the limits',
+        potentialImpact: 'Available limit shrinks with every dollar spent on lawyers',
+        urgency: 'low'
+      });
+    }
+
+    return risks;
+  }
+
+  /**
+   * Social engineering sublimit and business interruption waiting period
+   */
+  analyzeCyber(model, rules) {
+    const risks = [];
+    const cyberRules = rules.minimumCoverages.cyber;
+
+    if (!model.coverages.socialEngineering || model.coverages.socialEngineering < cyberRules.socialEngineering.recommended) {
+      risks.push({
+        id: 'social-engineering-sublimit',
+        type: 'coverage_gap',
+        category: 'coverage_gaps',
+        severity: model.coverages.socialEngineering ? 'medium' : 'high',
+        title: model.coverages.socialEngineering ? 'Low Social Engineering Sublimit' : 'No Social Engineering Coverage',
+        description: 'Funds transfer fraud through spoofed emails is the most frequent cyber loss for small businesses',
+        recommendation: `Carry at least $${cyberRules.socialEngineering.recommended.toLocaleString()} of social engineering coverage`,
+        potentialImpact: 'Fraudulent wire transfers are not recoverable from the bank',
+        urgency: 'medium',
+        currentValue: model.coverages.socialEngineering || 0,
+        recommendedValue: cyberRules.socialEngineering.recommended
+      });
+    }
+
+    if (model.waitingPeriodHours && model.waitingPeriodHours > cyberRules.waitingPeriodHours.max) {
+      risks.push({
+        id: 'cyber-waiting-period',
+        type: 'policy_terms',
+        category: 'policy_terms',
+        severity: 'low',
+        title: 'Long Business Interruption Waiting Period',
+        description: `Income loss is covered only after a ${model.waitingPeriodHours}-hour outage`,
+        recommendation: `Look for a waiting period of ${cyberRules.waitingPeriodHours.max} hours or less`,
+        potentialImpact: 'Most ransomware outages are resolved before coverage starts',
+        urgency: 'low'
+      });
+    }
+
+    return risks;
+  }
+
+  /**
+   * Calculate commercial risk score
+   */
+  calculateCommercialScore(risks) {
+    if (risks.length === 0) return 0;
+
+    const severityWeights = {
+      critical: 30,
+      high: 20,
+      medium: 10,
+      low: 5
+    };
+
+    const totalScore = risks.reduce((sum, risk) => {
+      return sum + (severityWeights[risk.severity] || 5);
+    }, 0);
+
+    return Math.min(100, totalScore);
+  }
+
+  /**
+   * Generate analysis summary
+   */
+  generateSummary(risks) {
+    const highCount = risks.filter(r => r.severity === 'high' || r.severity === 'critical').length;
+
+    if (risks.length === 0) {
+      return 'No commercial coverage or exposure issues identified.';
+    }
+
+    if (highCount > 0) {
+      return `${highCount} high-priority commercial coverage issues found. Total issues: ${risks.length}`;
+    }
+
+    return `${risks.length} commercial coverage or exposure issues identified.`;
+  }
+}
+
+export default CommercialLinesAnalyzer;
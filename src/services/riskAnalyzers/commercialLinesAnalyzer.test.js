@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { CommercialLinesAnalyzer } from './commercialLinesAnalyzer.js';
+import { PolicyFactory } from '../../models/PolicyModels.js';
+
+const WORKERS_COMP_TEXT = `WORKERS COMPENSATION AND EMPLOYERS LIABILITY POLICY
+Item 3.A. Workers Compensation Law of the states listed here: CA, NV
+Item 3.B. Employers Liability:
+Bodily Injury by Accident $100,000 each accident
+Bodily Injury by Disease $500,000 policy limit
+Bodily Injury by Disease $100,000 each employee
+Item 3.C. Other States Insurance: NONE
+Class Code 8810 Clerical Office Employees NOC Payroll $250,000 Rate 0.15
+Class Code 5403 Carpentry Payroll $400,000 Rate 8.12
+Experience Modification Factor: 1.30`;
+
+const analyzer = new CommercialLinesAnalyzer();
+const analyzeText = (extractedText, subType, business = {}, structuredData = {}) =>
+  analyzer.analyze({ extractedText, structuredData }, { primaryType: 'business', subType }, { business });
+const riskIds = result => result.risks.map(risk => risk.id);
+
+describe('CommercialLinesAnalyzer.analyze', () => {
+  it('skips personal lines', async () => {
+    const result = await analyzer.analyze({ extractedText: '' }, { primaryType: 'auto' });
+    expect(result).toMatchObject({ success: true, risks: [], metadata: { applicable: false } });
+  });
+
+  it("checks workers' compensation limits, states, mod and payroll", async () => {
+    const result = await analyzeText(WORKERS_COMP_TEXT, 'workers_compensation', { states: ['CA', 'AZ'], payroll: 1000000 });
+    const risk = id => result.risks.find(candidate => candidate.id === id);
+
+    expect(result.metadata).toMatchObject({ commercialLine: 'workers_compensation', classCodes: [{ code: '8810' }, { code: '5403' }] });
+    expect(risk('low-employers-liability')).toMatchObject({ severity: 'medium', currentValue: 100000, recommendedValue: 1000000 });
+    expect(risk('workers-comp-uncovered-states').description).toContain('operates in AZ, which is not listed');
+    // Manual premium: $250,000 at 0.15 and $400,000 at 8.12 per $100
+    expect(risk('experience-mod-debit')).toMatchObject({ severity: 'high', potentialImpact: 'About $9,857 a year in debit premium' });
+    expect(risk('underreported-payroll')).toMatchObject({ severity: 'high', currentValue: 650000, recommendedValue: 1000000 });
+  });
+
+  it('flags business auto without hired and non-owned autos and below the recommended limit', async () => {
+    const result = await analyzeText('BUSINESS AUTO DECLARATIONS\nCovered Auto Liability Symbols: 7\nCombined Single Limit: $300,000', 'commercial_auto');
+
+    expect(riskIds(result)).toEqual(['missing-hired-non-owned-auto', 'low-commercial-auto-liability']);
+    expect(result.risks[1]).toMatchObject({ severity: 'high', currentValue: 300000 });
+    expect(result.risks[0].description).toContain('symbols 7;');
+  });
+
+  it('accepts symbol 1 as any auto', async () => {
+    const result = await analyzeText('BUSINESS AUTO DECLARATIONS\nCovered Auto Liability Symbols: 1\nCombined Single Limit: $1,000,000', 'commercial_auto');
+    expect(result.risks).toEqual([]);
+  });
+
+  it('asks a BOP with employees for hired and non-owned auto unless endorsed', async () => {
+    const text = 'BUSINESSOWNERS DECLARATIONS\nEach Occurrence $1,000,000\nGeneral Aggregate $1,000,000';
+
+    const bare = await analyzeText(text, 'bop', { employees: 6 });
+    expect(riskIds(bare)).toEqual(['missing-hired-non-owned-auto', 'low-general-aggregate']);
+
+    const endorsed = await analyzeText(`${text}\nHired and Non-Owned Auto Liability`, 'bop', { employees: 6 });
+    expect(riskIds(endorsed)).toEqual(['low-general-aggregate']);
+  });
+
+  it('flags a prior acts gap and defense inside the limits on claims-made policies', async () => {
+    const result = await analyzeText(`PROFESSIONAL LIABILITY - CLAIMS MADE
+Retroactive Date: 01/01/2024
+Defense costs are within the limits of liability`, 'professional_liability', { yearsInBusiness: 10 }, { effectiveDate: '01/01/2025' });
+
+    expect(riskIds(result)).toEqual(['prior-acts-gap', 'defense-inside-limits']);
+  });
+
+  it('reads the analyzed model of an imported policy', async () => {
+    const policy = PolicyFactory.createPolicy('business', {
+      coverages: { socialEngineering: 250000 },
+      waitingPeriodHours: 24,
+      retroactiveDate: 'Full Prior Acts'
+    }, 'cyber');
+
+    const result = await analyzer.analyze({ policy, extractedText: '' }, { primaryType: 'business', subType: 'cyber' });
+    expect(riskIds(result)).toEqual(['cyber-waiting-period']);
+  });
+});
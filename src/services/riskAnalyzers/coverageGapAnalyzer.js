@@ -3,6 +3,9 @@
  * Identifies missing or insufficient coverage in insurance policies
  */
 
+import { parseLimit, parseLimitAmount, findLimitExpression } from '../../utils/limitParser.js';
+import { getPolicyRules } from '../../data/policyRules.js';
+
 export class CoverageGapAnalyzer {
   constructor() {
     this.name = 'Coverage Gap Analyzer';
@@ -19,17 +22,18 @@ export class CoverageGapAnalyzer {
   async analyze(policy, policyClassification, userProfile = {}) {
     try {
       const policyType = policyClassification.primaryType;
+      const subType = policyClassification.subType || null;
       const risks = [];
 
-      // Get expected coverages for policy type
-      const expectedCoverages = this.getExpectedCoverages(policyType);
+      // Get expected coverages for policy type and form
+      const expectedCoverages = this.getExpectedCoverages(policyType, subType);
       
       // Analyze coverage adequacy
       const coverageAnalysis = this.analyzeCoverageAdequacy(policy, expectedCoverages, userProfile);
       risks.push(...coverageAnalysis);
 
       // Check for missing essential coverages
-      const missingCoverages = this.checkMissingCoverages(policy, expectedCoverages);
+      const missingCoverages = this.checkMissingCoverages(policy, expectedCoverages, policyType);
       risks.push(...missingCoverages);
 
       // Analyze coverage limits
@@ -47,6 +51,7 @@ export class CoverageGapAnalyzer {
         summary: this.generateSummary(risks),
         metadata: {
           policyType,
+          subType,
           expectedCoverages: expectedCoverages.length,
           identifiedGaps: risks.length,
           analysisDate: new Date().toISOString()
@@ -66,9 +71,10 @@ export class CoverageGapAnalyzer {
   }
 
   /**
-   * Get expected coverages for policy type
+   * Get expected coverages for policy type, adjusted for its sub-type (an HO-6 has no
+   * other structures but needs loss assessment)
    */
-  getExpectedCoverages(policyType) {
+  getExpectedCoverages(policyType, subType = null) {
     const coverageMap = {
       auto: [
         { name: 'Bodily Injury Liability', required: true, minLimit: 50000 },
@@ -104,10 +110,23 @@ export class CoverageGapAnalyzer {
         { name: 'Prescription Drugs', required: true },
         { name: 'Mental Health Services', required: true },
         { name: 'Maternity Care', required: false, recommended: true }
+      ],
+      business: [
+        { name: 'General Liability', required: true, minLimit: 1000000 }
       ]
     };
 
-    return coverageMap[policyType] || [];
+    const coverages = coverageMap[policyType] || [];
+    const adjustments = subType ? getPolicyRules(policyType, subType).expectedCoverages : null;
+    if (!adjustments) return coverages;
+
+    const { omit = [], add = [], minLimits = {} } = adjustments;
+    return [
+      ...coverages
+        .filter(coverage => !omit.includes(coverage.name))
+        .map(coverage => (minLimits[coverage.name] ? { ...coverage, minLimit: minLimits[coverage.name] } : coverage)),
+      ...add
+    ];
   }
 
   /**
@@ -123,8 +142,8 @@ export class CoverageGapAnalyzer {
       );
 
       if (current) {
-        // Check if limits are adequate
-        if (expected.minLimit && current.limit < expected.minLimit) {
+        // Check if limits are adequate (a zero limit means the value could not be read)
+        if (expected.minLimit && current.limit > 0 && current.limit < expected.minLimit) {
           risks.push({
             id: `inadequate-${expected.name.toLowerCase().replace(/\s+/g, '-')}`,
             type: 'coverage_gap',
@@ -137,7 +156,8 @@ export class CoverageGapAnalyzer {
             urgency: expected.required ? 'high' : 'medium',
             currentValue: current.limit,
             recommendedValue: expected.minLimit,
-            coverageName: expected.name
+            coverageName: expected.name,
+            sourceFields: current.sourceFields || []
           });
         }
       }
@@ -149,10 +169,20 @@ export class CoverageGapAnalyzer {
   /**
    * Check for missing coverages
    */
-  checkMissingCoverages(policy, expectedCoverages) {
+  checkMissingCoverages(policy, expectedCoverages, policyType = null) {
     const risks = [];
     const currentCoverages = this.extractCurrentCoverages(policy);
 
+    // A coverage part named anywhere in the document, or by one of its aliases, counts as present
+    if (policyType && getPolicyRules(policyType).coveragesListedByName && policy.extractedText) {
+      for (const expected of expectedCoverages) {
+        const names = [expected.name, ...(expected.aliases || [])];
+        if (!this.hasCoverage(currentCoverages, expected.name) && names.some(name => this.mentionsCoverage(policy.extractedText, name))) {
+          currentCoverages.push({ name: expected.name, limit: 0, source: 'text-mention' });
+        }
+      }
+    }
+
     for (const expected of expectedCoverages) {
       const exists = currentCoverages.some(c => 
         this.matchCoverageName(c.name, expected.name)
@@ -208,7 +238,8 @@ export class CoverageGapAnalyzer {
           urgency: 'high',
           currentValue: currentLiability,
           recommendedValue: recommendedLiability,
-          basis: 'asset-protection'
+          basis: 'asset-protection',
+          sourceFields: ['liabilityLimits']
         });
       }
     }
@@ -225,18 +256,37 @@ export class CoverageGapAnalyzer {
     // Extract from structured data
     if (policy.structuredData) {
       const data = policy.structuredData;
+
+      // Declarations table rows carry real per-coverage values
+      for (const row of data.coverages || []) {
+        coverages.push({
+          name: row.coverageName,
+          limit: this.parseLimit(row.limits),
+          deductible: this.parseLimit(row.deductible),
+          premium: this.parseLimit(row.premium),
+          source: 'declarations-table',
+          sourceFields: [`coverages.${row.coverageName}`]
+        });
+      }
       
-      if (data.liabilityLimits) {
+      // A split limit ("100/300/50") carries the property damage limit as its last part
+      const liability = parseLimit(data.liabilityLimits);
+      const propertyDamageLimit = this.parseLimit(data.propertyDamage) || liability.propertyDamage;
+
+      if (liability.amount && !this.hasCoverage(coverages, 'Bodily Injury Liability')) {
         coverages.push({
           name: 'Bodily Injury Liability',
-          limit: this.parseLimit(data.liabilityLimits)
+          limit: liability.amount,
+          perAccident: liability.perAccident,
+          sourceFields: ['liabilityLimits']
         });
       }
       
-      if (data.propertyDamage) {
+      if (propertyDamageLimit && !this.hasCoverage(coverages, 'Property Damage Liability')) {
         coverages.push({
           name: 'Property Damage Liability',
-          limit: this.parseLimit(data.propertyDamage)
+          limit: propertyDamageLimit,
+          sourceFields: data.propertyDamage ? ['propertyDamage'] : ['liabilityLimits']
         });
       }
     }
@@ -247,17 +297,20 @@ export class CoverageGapAnalyzer {
       
       // Look for coverage patterns
       const patterns = [
-        { name: 'Collision Coverage', pattern: /collision.*\$?([0-9,]+)/ },
-        { name: 'Comprehensive Coverage', pattern: /comprehensive.*\$?([0-9,]+)/ },
-        { name: 'Uninsured Motorist', pattern: /uninsured.*\$?([0-9,]+)/ }
+        { name: 'Collision Coverage', pattern: /collision([^\n]*)/ },
+        { name: 'Comprehensive Coverage', pattern: /comprehensive([^\n]*)/ },
+        { name: 'Uninsured Motorist', pattern: /uninsured([^\n]*)/ }
       ];
       
       for (const pattern of patterns) {
+        if (this.hasCoverage(coverages, pattern.name)) continue;
+
         const match = text.match(pattern.pattern);
-        if (match) {
+        const limitText = match && findLimitExpression(match[1]);
+        if (limitText) {
           coverages.push({
             name: pattern.name,
-            limit: this.parseLimit(match[1])
+            limit: this.parseLimit(limitText)
           });
         }
       }
@@ -266,6 +319,21 @@ export class CoverageGapAnalyzer {
     return coverages;
   }
 
+  /**
+   * Check whether a coverage has already been extracted
+   */
+  hasCoverage(coverages, name) {
+    return coverages.some(c => this.matchCoverageName(c.name, name));
+  }
+
+  /**
+   * Whether text names a coverage, ignoring case, hyphens and apostrophes
+   */
+  mentionsCoverage(text, name) {
+    const words = name.toLowerCase().replace(/[^a-z\s]/g, ' ').split(/\s+/).filter(Boolean);
+    return new RegExp(`\\b${words.join("[\\s\\-'’]*")}`, 'i').test(text);
+  }
+
   /**
    * Match coverage names (fuzzy matching)
    */
@@ -281,11 +349,7 @@ export class CoverageGapAnalyzer {
    * Parse limit string to number
    */
   parseLimit(limitStr) {
-    if (typeof limitStr === 'number') return limitStr;
-    if (!limitStr) return 0;
-    
-    const cleaned = limitStr.toString().replace(/[,$]/g, '');
-    return parseInt(cleaned) || 0;
+    return parseLimitAmount(limitStr);
   }
 
   /**
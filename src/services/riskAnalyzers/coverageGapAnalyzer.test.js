@@ -0,0 +1,37 @@
+import { describe, it, expect } from 'vitest';
+import { CoverageGapAnalyzer } from './coverageGapAnalyzer.js';
+
+const analyzer = new CoverageGapAnalyzer();
+const names = coverages => coverages.map(coverage => coverage.name);
+
+describe('CoverageGapAnalyzer.getExpectedCoverages', () => {
+  it('adjusts the coverages of a type for its form', () => {
+    const home = analyzer.getExpectedCoverages('home');
+    const condo = analyzer.getExpectedCoverages('home', 'ho6');
+
+    expect(names(home)).toContain('Other Structures Coverage');
+    expect(names(condo)).not.toContain('Other Structures Coverage');
+    expect(condo.find(coverage => coverage.name === 'Loss Assessment')).toMatchObject({ recommended: true, minLimit: 25000 });
+    expect(condo.find(coverage => coverage.name === 'Dwelling Coverage').minLimit).toBe(25000);
+    expect(home.find(coverage => coverage.name === 'Dwelling Coverage').minLimit).toBe(100000);
+  });
+
+  it('keeps the type coverages for sub-types without adjustments', () => {
+    expect(analyzer.getExpectedCoverages('home', 'ho3')).toEqual(analyzer.getExpectedCoverages('home'));
+    expect(analyzer.getExpectedCoverages('pet', 'ho6')).toEqual([]);
+  });
+});
+
+describe('CoverageGapAnalyzer.analyze', () => {
+  it('does not report other structures missing from a condo unit policy', async () => {
+    const policy = { structuredData: {}, extractedText: '' };
+
+    const home = await analyzer.analyze(policy, { primaryType: 'home' });
+    const condo = await analyzer.analyze(policy, { primaryType: 'home', subType: 'ho6' });
+
+    expect(home.risks.map(risk => risk.id)).toContain('missing-other-structures-coverage');
+    expect(condo.risks.map(risk => risk.id)).not.toContain('missing-other-structures-coverage');
+    expect(condo.risks.map(risk => risk.id)).toContain('missing-loss-assessment');
+    expect(condo.metadata).toMatchObject({ policyType: 'home', subType: 'ho6' });
+  });
+});
@@ -3,6 +3,8 @@
  * Assesses deductible levels and financial risk exposure
  */
 
+import { parseMoney } from '../../utils/limitParser.js';
+
 export class DeductibleAnalyzer {
   constructor() {
     this.name = 'Deductible Analyzer';
@@ -37,6 +39,13 @@ export class DeductibleAnalyzer {
       const claimAnalysis = this.analyzeClaimFrequency(policy, userProfile);
       risks.push(...claimAnalysis);
 
+      // Point each finding at the extracted values it was based on
+      for (const risk of risks) {
+        if (risk.coverageType && !risk.sourceFields) {
+          risk.sourceFields = this.getDeductibleSourceFields(policy, risk.coverageType);
+        }
+      }
+
       // Calculate overall score
       const score = this.calculateDeductibleScore(risks);
 
@@ -259,8 +268,19 @@ export class DeductibleAnalyzer {
   extractDeductibles(policy) {
     const deductibles = {};
     
+    // Declarations table rows give a deductible per coverage
+    for (const row of policy.structuredData?.coverages || []) {
+      // Percentage deductibles (e.g. "2% of Coverage A") are not dollar amounts
+      if (!row.deductible || row.deductible.includes('%')) continue;
+
+      const amount = this.parseDeductible(row.deductible);
+      if (amount > 0) {
+        deductibles[this.getDeductibleKey(row.coverageName)] = amount;
+      }
+    }
+
     // Extract from structured data
-    if (policy.structuredData?.deductible) {
+    if (Object.keys(deductibles).length === 0 && policy.structuredData?.deductible) {
       deductibles.general = this.parseDeductible(policy.structuredData.deductible);
     }
 
@@ -276,6 +296,8 @@ export class DeductibleAnalyzer {
       ];
       
       for (const pattern of patterns) {
+        if (deductibles[pattern.type]) continue;
+
         const match = text.match(pattern.pattern);
         if (match) {
           deductibles[pattern.type] = this.parseDeductible(match[1]);
@@ -291,6 +313,35 @@ export class DeductibleAnalyzer {
     return deductibles;
   }
 
+  /**
+   * Extracted fields a deductible of the given coverage type was read from
+   */
+  getDeductibleSourceFields(policy, coverageType) {
+    const rows = (policy.structuredData?.coverages || [])
+      .filter(row => row.deductible && this.getDeductibleKey(row.coverageName) === coverageType);
+
+    return [...rows.map(row => `coverages.${row.coverageName}`), 'deductible'];
+  }
+
+  /**
+   * Map a declarations coverage name to a deductible key
+   */
+  getDeductibleKey(coverageName) {
+    const name = coverageName.toLowerCase();
+
+    if (name.includes('other than collision') || name.includes('comprehensive')) return 'comprehensive';
+    if (name.includes('collision')) return 'collision';
+    if (name.includes('hurricane')) return 'hurricane';
+    if (name.includes('wind') || name.includes('hail')) return 'windHail';
+    if (name.includes('earthquake')) return 'earthquake';
+    if (name.includes('dwelling') || name.includes('all peril') || /coverage a\b/.test(name)) return 'dwelling';
+    if (name.includes('personal property') || /coverage c\b/.test(name)) return 'personalProperty';
+
+    return name
+      .replace(/[^a-z0-9]+(.)?/g, (_, char) => (char ? char.toUpperCase() : ''))
+      .replace(/^./, char => char.toLowerCase());
+  }
+
   /**
    * Calculate optimal deductible
    */
@@ -342,11 +393,7 @@ export class DeductibleAnalyzer {
    * Parse deductible string to number
    */
   parseDeductible(deductibleStr) {
-    if (typeof deductibleStr === 'number') return deductibleStr;
-    if (!deductibleStr) return 0;
-    
-    const cleaned = deductibleStr.toString().replace(/[,$]/g, '');
-    return parseInt(cleaned) || 0;
+    return parseMoney(deductibleStr) || 0;
   }
 
   /**
@@ -358,10 +405,16 @@ export class DeductibleAnalyzer {
       collision: 'Collision',
       comprehensive: 'Comprehensive',
       dwelling: 'Dwelling',
-      hurricane: 'Hurricane'
+      hurricane: 'Hurricane',
+      windHail: 'Wind/Hail',
+      earthquake: 'Earthquake',
+      personalProperty: 'Personal Property'
     };
     
-    return formatMap[coverageType] || coverageType.charAt(0).toUpperCase() + coverageType.slice(1);
+    if (formatMap[coverageType]) return formatMap[coverageType];
+
+    const words = coverageType.replace(/([A-Z])/g, ' $1');
+    return words.charAt(0).toUpperCase() + words.slice(1);
   }
 
   /**
@@ -0,0 +1,411 @@
+/**
+ * Disability Analyzer
+ * Assesses disability income policies: benefit against earnings, elimination period against
+ * savings, benefit period, the definition of disability, renewability and riders
+ */
+
+import { PolicyFactory, DisabilityPolicy } from '../../models/PolicyModels.js';
+import { getPolicyRules } from '../../data/policyRules.js';
+import { parseMoney } from '../../utils/limitParser.js';
+
+// Checked in order: modified own-occupation wording also mentions own occupation
+const DEFINITION_PATTERNS = [
+  { definition: 'modified_own_occupation', pattern: /own[- ]occupation[^.\n]*(?:not working|not gainfully employed)|modified own[- ]occupation/i },
+  { definition: 'own_occupation', pattern: /\bown[- ]occ(?:upation)?\b/i },
+  { definition: 'any_occupation', pattern: /\bany (?:gainful )?occupation\b/i }
+];
+
+const RIDER_PATTERNS = [
+  { name: 'Residual Disability', pattern: /residual (?:disability|benefit)|partial disability benefit/i },
+  { name: 'Cost of Living Adjustment', pattern: /cost[- ]of[- ]living|\bcola\b/i },
+  { name: 'Future Increase Option', pattern: /future (?:increase|purchase) option|guaranteed insurability/i },
+  { name: 'Catastrophic Disability', pattern: /catastrophic disability/i },
+  { name: 'Retirement Protection', pattern: /retirement (?:protection|contribution) (?:benefit|rider)/i }
+];
+
+export class DisabilityAnalyzer {
+  constructor() {
+    this.name = 'Disability Analyzer';
+    this.version = '1.0.0';
+  }
+
+  /**
+   * Analyze a disability income policy
+   * @param {Object} policy - Policy data
+   * @param {Object} policyClassification - Classification results
+   * @param {Object} userProfile - User profile data (income, age, occupation, emergencySavings,
+   *   monthlyExpenses)
+   * @returns {Promise<Object>} Analysis results
+   */
+  async analyze(policy, policyClassification, userProfile = {}) {
+    try {
+      const policyType = policyClassification.primaryType;
+
+      if (policyType !== 'disability') {
+        return {
+          success: true,
+          analyzer: this.name,
+          score: 0,
+          risks: [],
+          summary: 'Not a disability policy.',
+          metadata: { policyType, applicable: false, analysisDate: new Date().toISOString() }
+        };
+      }
+
+      const model = this.buildPolicyModel(policy, policyClassification.subType);
+      const rules = getPolicyRules('disability', model.term);
+      const risks = [];
+
+      risks.push(...this.analyzeBenefitAmount(model, rules, userProfile));
+      risks.push(...this.analyzeEliminationPeriod(model, rules, userProfile));
+      risks.push(...this.analyzeBenefitPeriod(model, rules, userProfile));
+
+      if (model.term === 'long_term') {
+        risks.push(...this.analyzeDefinition(model, userProfile));
+        risks.push(...this.analyzeContractTerms(model, rules));
+      }
+
+      const score = this.calculateDisabilityScore(risks);
+
+      return {
+        success: true,
+        analyzer: this.name,
+        score,
+        risks,
+        summary: this.generateSummary(risks),
+        metadata: {
+          policyType,
+          applicable: true,
+          term: model.term,
+          monthlyBenefit: model.getMonthlyBenefit(userProfile.income ? userProfile.income / 12 : null),
+          eliminationPeriodDays: model.eliminationPeriodDays,
+          benefitPeriod: model.benefitPeriod,
+          definitionOfDisability: model.definitionOfDisability,
+          analysisDate: new Date().toISOString()
+        }
+      };
+
+    } catch (error) {
+      console.error('Disability analysis failed:', error);
+      return {
+        success: false,
+        error: error.message,
+        analyzer: this.name,
+        score: 0,
+        risks: []
+      };
+    }
+  }
+
+  /**
+   * Disability model of the analyzed policy, read from the document when it was not imported
+   */
+  buildPolicyModel(policy, subType) {
+    if (policy.policy instanceof DisabilityPolicy) return policy.policy;
+
+    return PolicyFactory.createPolicy('disability', {
+      policyNumber: policy.policyNumber || policy.structuredData?.policyNumber || '',
+      insuranceProvider: policy.insuranceCompany || policy.structuredData?.insuranceCompany || '',
+      ...this.extractDisabilityTerms(policy.extractedText || '', subType)
+    });
+  }
+
+  /**
+   * Benefit, elimination period, benefit period, definition and riders from policy text
+   */
+  extractDisabilityTerms(text, subType = null) {
+    const terms = { benefit: {}, benefitPeriod: {}, riders: [] };
+
+    terms.term = subType || (/short[- ]term disability|\bstd\b/i.test(text) && !/long[- ]term disability/i.test(text) ? 'short_term' : 'long_term');
+    terms.groupPolicy = /\bgroup (?:long|short)[- ]term disability|\bgroup policy\b|\bcertificate of (?:insurance|coverage)\b/i.test(text);
+    if (/employer[- ]paid|premiums? (?:is |are )?paid by (?:your|the) employer/i.test(text)) terms.employerPaid = true;
+
+    // A "maximum monthly benefit" caps a percentage benefit rather than being the benefit
+    const monthly = text.match(/(?<!maximum )(?:monthly benefit|benefit amount)[^\n$%]*?\$\s?(\d[\d,]*)/i) || text.match(/\$\s?(\d[\d,]*)\s*(?:per|a|\/)\s*month/i);
+    const weekly = text.match(/(?<!maximum )weekly benefit[^\n$%]*?\$\s?(\d[\d,]*)/i) || text.match(/\$\s?(\d[\d,]*)\s*(?:per|a|\/)\s*week/i);
+    const percent = text.match(/(\d{2})\s*%\s*of (?:your )?(?:pre-disability |basic |monthly |weekly )*(?:earnings|salary|income|pay)/i);
+    const maximum = text.match(/maximum (?:monthly |weekly )?benefit[^\n$]*?\$\s?(\d[\d,]*)/i);
+    if (monthly) terms.benefit.monthly = parseMoney(monthly[1]);
+    if (weekly) terms.benefit.weekly = parseMoney(weekly[1]);
+    if (percent) terms.benefit.percentOfEarnings = Number(percent[1]);
+    if (maximum) terms.benefit.maximum = parseMoney(maximum[1]);
+
+    const elimination = text.match(/(?:elimination|waiting) period[^\n\d]*?(\d{1,3})\s*(days?|weeks?)/i);
+    if (elimination) {
+      terms.eliminationPeriodDays = Number(elimination[1]) * (/week/i.test(elimination[2]) ? 7 : 1);
+    }
+
+    const benefitPeriod = text.match(/(?:benefit period|maximum (?:benefit |payment )?period)[^\n\d]*?(?:to )?(?:age\s*(\d{2})|(\d{1,3})\s*(years?|months?|weeks?))/i);
+    if (benefitPeriod?.[1]) {
+      terms.benefitPeriod.toAge = Number(benefitPeriod[1]);
+    } else if (benefitPeriod) {
+      const amount = Number(benefitPeriod[2]);
+      const unit = benefitPeriod[3].toLowerCase();
+      terms.benefitPeriod.months = unit.startsWith('year') ? amount * 12 : unit.startsWith('week') ? Math.round(amount / 4.33) : amount;
+    }
+
+    terms.definitionOfDisability = DEFINITION_PATTERNS.find(({ pattern }) => pattern.test(text))?.definition || null;
+    const ownOccupation = text.match(/own[- ]occupation[^.\n]*?(?:first |for )(\d{1,2})\s*(months?|years?)/i);
+    if (ownOccupation) {
+      terms.ownOccupationMonths = Number(ownOccupation[1]) * (/year/i.test(ownOccupation[2]) ? 12 : 1);
+    }
+
+    if (/non-?cancell?able/i.test(text)) terms.renewability = 'non_cancelable';
+    else if (/guaranteed renewable/i.test(text)) terms.renewability = 'guaranteed_renewable';
+    else if (/conditionally renewable/i.test(text)) terms.renewability = 'conditionally_renewable';
+
+    terms.riders = RIDER_PATTERNS.filter(({ pattern }) => pattern.test(text)).map(({ name }) => ({ name }));
+    terms.offsets = ['Social Security', "Workers' Compensation", 'State disability'].filter(offset =>
+      new RegExp(`(?:reduced|offset)[^.\\n]*${offset.split(' ')[0]}|${offset.split(' ')[0]}[^.\\n]*(?:offset|reduce)`, 'i').test(text)
+    );
+
+    return terms;
+  }
+
+  /**
+   * Benefit as a share of gross earnings; employer-paid group benefits are taxed, so they
+   * replace less than they appear to
+   */
+  analyzeBenefitAmount(model, rules, userProfile) {
+    if (!userProfile.income) return [];
+
+    const monthlyEarnings = userProfile.income / 12;
+    const benefit = model.getMonthlyBenefit(monthlyEarnings);
+    if (!benefit) return [];
+
+    const taxed = model.groupPolicy && model.employerPaid !== false;
+    const effectiveBenefit = taxed ? benefit * 0.75 : benefit;
+    const replacement = effectiveBenefit / monthlyEarnings;
+    const { minimum, recommended } = rules.incomeReplacement;
+    if (replacement >= recommended) return [];
+
+    const target = Math.round(monthlyEarnings * recommended);
+    return [{
+      id: 'low-disability-benefit',
+      type: 'coverage_gap',
+      category: 'coverage_gaps',
+      severity: replacement < minimum ? 'high' : 'medium',
+      title: 'Disability Benefit Replaces Too Little Income',
+      description: `A $${Math.round(benefit).toLocaleString()} monthly benefit replaces ${Math.round(replacement * 100)}% of your earnings${taxed ? ' after income tax on employer-paid benefits' : ''}`,
+      recommendation: `Add individual coverage to bring the benefit to about $${target.toLocaleString()} a month`,
+      potentialImpact: `About $${Math.round(monthlyEarnings * recommended - effectiveBenefit).toLocaleString()} a month short during a disability`,
+      urgency: replacement < minimum ? 'high' : 'medium',
+      currentValue: Math.round(benefit),
+      recommendedValue: target
+    }];
+  }
+
+  /**
+   * Elimination period against savings, and against the usual maximum for the policy term
+   */
+  analyzeEliminationPeriod(model, rules, userProfile) {
+    const risks = [];
+    const days = model.eliminationPeriodDays;
+    if (days === null) return risks;
+
+    const { recommendedMaxDays, maxDays, savingsBufferMonths = 1 } = rules.eliminationPeriod;
+    if (maxDays && days > maxDays) {
+      risks.push({
+        id: 'long-elimination-period',
+        type: 'policy_terms',
+        category: 'policy_terms',
+        severity: 'high',
+        title: 'Very Long Elimination Period',
+        description: `Benefits start only after ${days} days of disability`,
+        recommendation: `Consider an elimination period of ${recommendedMaxDays} days`,
+        potentialImpact: 'Most disabilities end before benefits would begin',
+        urgency: 'medium'
+      });
+    }
+
+    const monthlyExpenses = userProfile.monthlyExpenses || (userProfile.income ? userProfile.income / 12 * 0.7 : null);
+    if (userProfile.emergencySavings !== undefined && monthlyExpenses) {
+      const monthsNeeded = Math.ceil(days / 30) + savingsBufferMonths;
+      const monthsCovered = userProfile.emergencySavings / monthlyExpenses;
+      if (monthsCovered < monthsNeeded) {
+        risks.push({
+          id: 'elimination-period-savings-gap',
+          type: 'coverage_gap',
+          category: 'coverage_gaps',
+          severity: monthsCovered < monthsNeeded / 2 ? 'high' : 'medium',
+          title: 'Savings Do Not Cover the Elimination Period',
+          description: `Savings cover about ${monthsCovered.toFixed(1)} months of expenses; the ${days}-day elimination period and first payment take about ${monthsNeeded} months`,
+          recommendation: 'Build emergency savings, add short-term disability, or choose a shorter elimination period',
+          potentialImpact: `About $${Math.round((monthsNeeded - monthsCovered) * monthlyExpenses).toLocaleString()} of expenses without income`,
+          urgency: 'medium'
+        });
+      }
+    }
+
+    return risks;
+  }
+
+  /**
+   * Long-term benefits should last to retirement age; short-term benefits should bridge to
+   * where long-term coverage begins
+   */
+  analyzeBenefitPeriod(model, rules, userProfile) {
+    const { recommendedToAge, recommendedMinMonths } = rules.benefitPeriod || {};
+    const months = model.getBenefitPeriodMonths(userProfile.age ?? null);
+
+    if (recommendedToAge && model.benefitPeriod.months && (!userProfile.age || userProfile.age + model.benefitPeriod.months / 12 < recommendedToAge)) {
+      return [{
+        id: 'short-benefit-period',
+        type: 'coverage_gap',
+        category: 'coverage_gaps',
+        severity: model.benefitPeriod.months <= 60 ? 'high' : 'medium',
+        title: 'Benefits End Before Retirement Age',
+        description: `Benefits are paid for ${model.benefitPeriod.months >= 12 ? `${Math.round(model.benefitPeriod.months / 12)} years` : `${model.benefitPeriod.months} months`}; a lasting disability would outlive them`,
+        recommendation: `Look for a benefit period to age ${recommendedToAge}`,
+        potentialImpact: 'No income replacement for the remaining working years after a long disability',
+        urgency: 'medium'
+      }];
+    }
+
+    if (recommendedMinMonths && months !== null && months < recommendedMinMonths) {
+      return [{
+        id: 'short-std-benefit-period',
+        type: 'coverage_gap',
+        category: 'coverage_gaps',
+        severity: 'medium',
+        title: 'Short-Term Benefits May Not Reach Long-Term Coverage',
+        description: `Short-term benefits last ${months} months; long-term disability usually starts after 90 days`,
+        recommendation: "Match the short-term benefit period to your long-term policy's elimination period",
+        potentialImpact: 'A stretch with no disability income between the two policies',
+        urgency: 'low'
+      }];
+    }
+
+    return [];
+  }
+
+  /**
+   * Definition of disability: under any-occupation wording a surgeon who can teach is not disabled
+   */
+  analyzeDefinition(model, userProfile) {
+    const definition = model.definitionOfDisability;
+    if (!definition) {
+      return [{
+        id: 'disability-definition-unknown',
+        type: 'policy_terms',
+        category: 'policy_terms',
+        severity: 'low',
+        title: 'Definition of Disability Not Found',
+        description: 'The policy text does not show whether disability is judged against your own occupation or any occupation',
+        recommendation: 'Ask the insurer for the definition of total disability',
+        potentialImpact: 'The definition decides whether a claim is paid',
+        urgency: 'low'
+      }];
+    }
+
+    if (definition === 'any_occupation' && !model.ownOccupationMonths) {
+      return [{
+        id: 'any-occupation-definition',
+        type: 'policy_terms',
+        category: 'policy_terms',
+        severity: userProfile.occupation ? 'high' : 'medium',
+        title: 'Any-Occupation Definition of Disability',
+        description: 'Benefits are paid only if you cannot work in any occupation suited to your education and experience',
+        recommendation: 'Consider an individual policy with own-occupation coverage',
+        potentialImpact: 'Claims are denied when you could do other work, even at much lower pay',
+        urgency: 'medium'
+      }];
+    }
+
+    if (model.ownOccupationMonths && model.ownOccupationMonths <= 24) {
+      return [{
+        id: 'limited-own-occupation-period',
+        type: 'policy_terms',
+        category: 'policy_terms',
+        severity: 'medium',
+        title: 'Own-Occupation Coverage Ends Early',
+        description: `Disability is judged against your own occupation for ${model.ownOccupationMonths} months, then against any occupation`,
+        recommendation: 'Compare with policies that keep own-occupation wording for the full benefit period',
+        potentialImpact: 'Benefits can stop after two years while you still cannot do your job',
+        urgency: 'low'
+      }];
+    }
+
+    return [];
+  }
+
+  /**
+   * Renewability of individual policies and recommended riders
+   */
+  analyzeContractTerms(model, rules) {
+    const risks = [];
+
+    if (!model.groupPolicy && model.renewability && model.renewability !== 'non_cancelable') {
+      risks.push({
+        id: 'disability-not-noncancelable',
+        type: 'policy_terms',
+        category: 'policy_terms',
+        severity: model.renewability === 'conditionally_renewable' ? 'high' : 'low',
+        title: model.renewability === 'conditionally_renewable' ? 'Policy Is Only Conditionally Renewable' : 'Premiums Can Increase',
+        description: model.renewability === 'conditionally_renewable'
+          ? 'The insurer can decline to renew the policy under conditions stated in it'
+          : 'Guaranteed renewable coverage cannot be cancelled, but premiums can rise for your whole class',
+        recommendation: 'Non-cancelable coverage locks in both the policy and its premium',
+        potentialImpact: 'Coverage or its cost may change when you can no longer qualify elsewhere',
+        urgency: 'low'
+      });
+    }
+
+    const missingRiders = rules.recommendedRiders.filter(rider => !model.hasRider(rider));
+    if (!model.groupPolicy && missingRiders.length > 0) {
+      risks.push({
+        id: 'missing-disability-riders',
+        type: 'opportunity',
+        category: 'coverage_gaps',
+        severity: 'low',
+        title: 'Recommended Riders Not Found',
+        description: `No ${missingRiders.join(', ')} rider was found`,
+        recommendation: 'Ask about adding these riders, especially residual disability for partial return to work',
+        potentialImpact: 'Partial disabilities and inflation reduce what the policy pays',
+        urgency: 'low',
+        missingRiders
+      });
+    }
+
+    return risks;
+  }
+
+  /**
+   * Calculate disability score
+   */
+  calculateDisabilityScore(risks) {
+    if (risks.length === 0) return 0;
+
+    const severityWeights = {
+      critical: 30,
+      high: 20,
+      medium: 10,
+      low: 5
+    };
+
+    const totalScore = risks.reduce((sum, risk) => {
+      return sum + (severityWeights[risk.severity] || 5);
+    }, 0);
+
+    return Math.min(100, totalScore);
+  }
+
+  /**
+   * Generate analysis summary
+   */
+  generateSummary(risks) {
+    const highCount = risks.filter(r => r.severity === 'high' || r.severity === 'critical').length;
+
+    if (risks.length === 0) {
+      return 'Disability coverage appears adequate for your income and savings.';
+    }
+
+    if (highCount > 0) {
+      return `${highCount} high-priority disability coverage issues found. Total issues: ${risks.length}`;
+    }
+
+    return `${risks.length} disability coverage issues identified.`;
+  }
+}
+
+export default DisabilityAnalyzer;
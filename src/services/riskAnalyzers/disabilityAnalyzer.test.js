@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { DisabilityAnalyzer } from './disabilityAnalyzer.js';
+
+const GROUP_LTD = `GROUP LONG-TERM DISABILITY CERTIFICATE OF INSURANCE
+Premiums are paid by your employer.
+Benefit amount: 60% of your pre-disability earnings to a maximum monthly benefit of $5,000
+Elimination period: 90 days
+Benefit period: to age 65
+Disability means you cannot perform your own occupation for the first 24 months, then any occupation.`;
+
+const INDIVIDUAL_LTD = `INDIVIDUAL DISABILITY INCOME POLICY
+Monthly benefit: $4,000
+Elimination period: 365 days
+Benefit period: 5 years
+Total disability means you cannot engage in any gainful occupation.
+This policy is guaranteed renewable to age 65.
+Residual Disability Benefit Rider`;
+
+const analyzer = new DisabilityAnalyzer();
+const analyze = (text, userProfile, subType = null) =>
+  analyzer.analyze({ extractedText: text, structuredData: {} }, { primaryType: 'disability', subType }, userProfile);
+const riskIds = result => result.risks.map(risk => risk.id);
+
+describe('DisabilityAnalyzer.extractDisabilityTerms', () => {
+  it('reads a percentage benefit with its maximum, not the maximum as the benefit', () => {
+    expect(analyzer.extractDisabilityTerms(GROUP_LTD)).toMatchObject({
+      term: 'long_term',
+      groupPolicy: true,
+      employerPaid: true,
+      benefit: { percentOfEarnings: 60, maximum: 5000 },
+      eliminationPeriodDays: 90,
+      benefitPeriod: { toAge: 65 },
+      definitionOfDisability: 'own_occupation',
+      ownOccupationMonths: 24
+    });
+    expect(analyzer.extractDisabilityTerms(GROUP_LTD).benefit.monthly).toBeUndefined();
+  });
+
+  it('reads short-term terms in weeks', () => {
+    expect(analyzer.extractDisabilityTerms('Short-term disability\nWeekly benefit $600\nWaiting period: 1 week\nMaximum benefit period: 13 weeks')).toMatchObject({
+      term: 'short_term',
+      benefit: { weekly: 600 },
+      eliminationPeriodDays: 7,
+      benefitPeriod: { months: 3 }
+    });
+  });
+});
+
+describe('DisabilityAnalyzer.analyze', () => {
+  it('skips other policy types', async () => {
+    const result = await analyzer.analyze({ extractedText: GROUP_LTD }, { primaryType: 'life' });
+    expect(result).toMatchObject({ risks: [], metadata: { applicable: false } });
+  });
+
+  it('weighs a taxed group benefit against earnings and savings', async () => {
+    const result = await analyze(GROUP_LTD, { income: 72000, emergencySavings: 10000, monthlyExpenses: 4000 });
+
+    expect(riskIds(result)).toEqual(['low-disability-benefit', 'elimination-period-savings-gap', 'limited-own-occupation-period']);
+    // 60% of $6,000 is $3,600; three quarters of it is left after tax
+    expect(result.risks[0]).toMatchObject({ severity: 'high', currentValue: 3600, recommendedValue: 3900 });
+    expect(result.risks[0].description).toContain('replaces 45% of your earnings after income tax');
+    expect(result.risks[1]).toMatchObject({ severity: 'medium' });
+    expect(result.metadata).toMatchObject({ term: 'long_term', monthlyBenefit: 3600, benefitPeriod: { toAge: 65 } });
+  });
+
+  it('flags the terms of a weak individual policy', async () => {
+    const result = await analyze(INDIVIDUAL_LTD, { age: 40, occupation: 'surgeon' });
+    const risk = id => result.risks.find(candidate => candidate.id === id);
+
+    expect(riskIds(result)).toEqual([
+      'long-elimination-period', 'short-benefit-period', 'any-occupation-definition',
+      'disability-not-noncancelable', 'missing-disability-riders'
+    ]);
+    expect(risk('short-benefit-period')).toMatchObject({ severity: 'high' });
+    expect(risk('any-occupation-definition')).toMatchObject({ severity: 'high' });
+    expect(risk('disability-not-noncancelable')).toMatchObject({ severity: 'low', title: 'Premiums Can Increase' });
+    expect(risk('missing-disability-riders').missingRiders).toEqual(['Cost of Living Adjustment', 'Future Increase Option']);
+  });
+
+  it('checks that short-term benefits last until long-term coverage begins', async () => {
+    const result = await analyze('Weekly benefit $600\nWaiting period: 7 days\nMaximum benefit period: 8 weeks', { income: 60000 }, 'short_term');
+
+    expect(riskIds(result)).toEqual(['low-disability-benefit', 'short-std-benefit-period']);
+    expect(result.risks[0]).toMatchObject({ severity: 'medium', currentValue: 2600 });
+  });
+});
@@ -3,6 +3,10 @@
  * Assesses liability coverage adequacy and risks
  */
 
+import { parseLimit, parseLimitAmount } from '../../utils/limitParser.js';
+import formRecognizer from '../formRecognizer.js';
+import { findSection, findSections } from '../../utils/sectionTree.js';
+
 export class LiabilityAnalyzer {
   constructor() {
     this.name = 'Liability Analyzer';
@@ -89,6 +93,7 @@ export class LiabilityAnalyzer {
         urgency: 'high',
         currentValue: currentLimits.bodilyInjury,
         recommendedValue: recommendedLimits.bodilyInjury,
+        sourceFields: ['coverages.Bodily Injury Liability', 'coverages.Bodily Injury', 'liabilityLimits'],
         costImpact: this.estimateCostImpact(gap, 'bodily-injury')
       });
     }
@@ -108,6 +113,7 @@ export class LiabilityAnalyzer {
         urgency: 'medium',
         currentValue: currentLimits.propertyDamage,
         recommendedValue: recommendedLimits.propertyDamage,
+        sourceFields: ['coverages.Property Damage Liability', 'coverages.Property Damage', 'propertyDamage', 'liabilityLimits'],
         costImpact: this.estimateCostImpact(gap, 'property-damage')
       });
     }
@@ -129,8 +135,8 @@ export class LiabilityAnalyzer {
     const annualIncome = userProfile.income || 0;
     const currentLimits = this.extractLiabilityLimits(policy);
     
-    // Calculate total liability exposure
-    const totalLiability = currentLimits.bodilyInjury + currentLimits.propertyDamage;
+    // Calculate total liability exposure (a CSL is not counted twice)
+    const totalLiability = currentLimits.totalLiability;
     
     // Asset protection rule: liability coverage should be at least equal to net worth
     if (totalAssets > totalLiability) {
@@ -180,8 +186,7 @@ export class LiabilityAnalyzer {
    */
   assessUmbrellaNeed(policy, userProfile) {
     const risks = [];
-    const currentLimits = this.extractLiabilityLimits(policy);
-    const totalLiability = currentLimits.bodilyInjury + currentLimits.propertyDamage;
+    const totalLiability = this.extractLiabilityLimits(policy).totalLiability;
     
     // Umbrella policy indicators
     const umbrellaIndicators = [
@@ -218,6 +223,13 @@ export class LiabilityAnalyzer {
    * Analyze liability exclusions
    */
   analyzeExclusions(policy, policyType) {
+    const forms = policy.forms || [];
+
+    // Derive exclusions from the forms actually attached to the policy when they are known
+    if (forms.some(form => form.known)) {
+      return this.analyzeFormExclusions(forms);
+    }
+
     const risks = [];
     
     // Common exclusions that create liability gaps
@@ -238,6 +250,7 @@ export class LiabilityAnalyzer {
     };
 
     const policyExclusions = commonExclusions[policyType] || [];
+    const exclusionSection = this.findExclusionSection(policy.sections);
     
     if (policyExclusions.length > 0) {
       risks.push({
@@ -246,11 +259,91 @@ export class LiabilityAnalyzer {
         category: 'policy_terms',
         severity: 'low',
         title: 'Liability Exclusions Present',
-        description: 'Your policy contains standard exclusions that limit liability coverage',
+        description: 'Your policy likely contains standard exclusions that limit liability coverage',
         recommendation: 'Review exclusions and consider additional coverage if needed',
         potentialImpact: 'No coverage for excluded activities or situations',
         urgency: 'low',
-        exclusions: policyExclusions
+        exclusions: policyExclusions,
+        exclusionSource: 'typical',
+        ...(exclusionSection && {
+          description: `Your policy's "${exclusionSection.heading}" section limits liability coverage`,
+          section: { id: exclusionSection.id, heading: exclusionSection.heading, start: exclusionSection.start, end: exclusionSection.end }
+        })
+      });
+    }
+
+    return risks;
+  }
+
+  /**
+   * Exclusions that apply to liability: those under the liability section when the
+   * policy has one, otherwise the first exclusions section in the document
+   */
+  findExclusionSection(sections) {
+    if (!sections) return null;
+
+    const liabilitySection = findSections(sections, /liability/i).find(section => section.kind === 'section');
+    return (liabilitySection && findSection(liabilitySection, 'exclusions')) || findSection(sections, 'exclusions');
+  }
+
+  /**
+   * Build exclusion risks from recognized ISO forms and endorsements
+   */
+  analyzeFormExclusions(forms) {
+    const risks = [];
+    const summary = formRecognizer.summarize(forms);
+    const formList = forms.filter(form => form.known).map(form => form.number).join(', ');
+
+    if (summary.exclusions.length > 0) {
+      risks.push({
+        id: 'liability-exclusions-present',
+        type: 'awareness',
+        category: 'policy_terms',
+        severity: 'low',
+        title: 'Liability Exclusions Present',
+        description: `Your policy forms (${formList}) contain ${summary.exclusions.length} exclusions that limit coverage`,
+        recommendation: 'Review exclusions and consider additional coverage if needed',
+        potentialImpact: 'No coverage for excluded activities or situations',
+        urgency: 'low',
+        exclusions: summary.exclusions.map(item => item.exclusion),
+        exclusionDetails: summary.exclusions,
+        restoredExclusions: summary.restoredExclusions,
+        exclusionSource: 'forms',
+        sourceFields: summary.baseForms.map(form => `forms.${form.number}`)
+      });
+    }
+
+    // Endorsements that take coverage away deserve more attention than base-form exclusions
+    for (const endorsement of summary.endorsements.filter(form => form.removes.length > 0)) {
+      risks.push({
+        id: `endorsement-restricts-coverage-${endorsement.number.replace(/\s+/g, '-').toLowerCase()}`,
+        type: 'coverage_gap',
+        category: 'policy_terms',
+        severity: 'medium',
+        title: `Coverage Restricted by ${endorsement.number}`,
+        description: `${endorsement.title} removes: ${endorsement.removes.join('; ')}`,
+        recommendation: 'Ask your agent whether this restriction can be removed or covered by a separate policy',
+        potentialImpact: 'Claims in the restricted area will be denied',
+        urgency: 'medium',
+        formNumber: endorsement.number,
+        exclusions: endorsement.exclusions,
+        sourceFields: [`forms.${endorsement.number}`]
+      });
+    }
+
+    if (summary.unknownForms.length > 0) {
+      risks.push({
+        id: 'unrecognized-forms',
+        type: 'awareness',
+        category: 'policy_terms',
+        severity: 'low',
+        title: 'Unrecognized Forms or Endorsements',
+        description: `The policy references forms that could not be matched to a standard form: ${summary.unknownForms.join(', ')}`,
+        recommendation: 'Read these forms carefully; company-specific endorsements may add exclusions',
+        potentialImpact: 'Exclusions in these forms are not reflected in this analysis',
+        urgency: 'low',
+        formNumbers: summary.unknownForms,
+        sourceFields: summary.unknownForms.map(number => `forms.${number}`)
       });
     }
 
@@ -269,11 +362,25 @@ export class LiabilityAnalyzer {
 
     if (policy.structuredData) {
       const data = policy.structuredData;
+      const liability = parseLimit(data.liabilityLimits);
+
+      // A combined single limit covers bodily injury and property damage together
+      if (liability.type === 'csl') {
+        return {
+          bodilyInjury: liability.combinedSingle,
+          propertyDamage: liability.combinedSingle,
+          totalLiability: liability.combinedSingle,
+          combinedSingleLimit: true
+        };
+      }
+
+      const bodilyInjury = liability.amount || defaults.bodilyInjury;
+      const propertyDamage = this.parseLimit(data.propertyDamage) || liability.propertyDamage || defaults.propertyDamage;
       return {
-        bodilyInjury: this.parseLimit(data.liabilityLimits) || defaults.bodilyInjury,
-        propertyDamage: this.parseLimit(data.propertyDamage) || defaults.propertyDamage,
-        totalLiability: (this.parseLimit(data.liabilityLimits) || defaults.bodilyInjury) + 
-                       (this.parseLimit(data.propertyDamage) || defaults.propertyDamage)
+        bodilyInjury,
+        bodilyInjuryPerAccident: liability.perAccident,
+        propertyDamage,
+        totalLiability: (liability.perAccident || bodilyInjury) + propertyDamage
       };
     }
 
@@ -309,11 +416,7 @@ export class LiabilityAnalyzer {
    * Parse limit string to number
    */
   parseLimit(limitStr) {
-    if (typeof limitStr === 'number') return limitStr;
-    if (!limitStr) return 0;
-    
-    const cleaned = limitStr.toString().replace(/[,$]/g, '');
-    return parseInt(cleaned) || 0;
+    return parseLimitAmount(limitStr);
   }
 
   /**
@@ -0,0 +1,460 @@
+/**
+ * Umbrella Analyzer
+ * Checks a personal umbrella against the underlying limits it requires, using the user's
+ * auto and home policies where known and the umbrella's schedule of underlying insurance
+ * otherwise, and checks the umbrella limit against the assets it protects
+ */
+
+import { PolicyFactory, UmbrellaPolicy, AutoPolicy, HomePolicy, RentersPolicy } from '../../models/PolicyModels.js';
+import { getPolicyRules } from '../../data/policyRules.js';
+import { parseLimit, parseMoney, findLimitExpression } from '../../utils/limitParser.js';
+
+// Underlying exposures as written on umbrella declarations and schedules
+const EXPOSURE_PATTERNS = [
+  { exposure: 'auto', pattern: /\b(?:auto(?:mobile)?|vehicle|motor vehicle) liability\b|\bautomobile\b/i },
+  { exposure: 'home', pattern: /\b(?:homeowners?|personal liability|premises liability|section ii)\b/i },
+  { exposure: 'watercraft', pattern: /\bwatercraft\b|\bboat\b/i }
+];
+
+// Requirement fields an underlying limit must reach, by exposure
+const REQUIRED_FIELDS = {
+  auto: ['perPerson', 'perAccident', 'propertyDamage'],
+  home: ['perOccurrence'],
+  renters: ['perOccurrence'],
+  watercraft: ['perOccurrence']
+};
+
+const FIELD_LABELS = {
+  perPerson: 'bodily injury per person',
+  perAccident: 'bodily injury per accident',
+  propertyDamage: 'property damage',
+  combinedSingle: 'combined single limit',
+  perOccurrence: 'personal liability'
+};
+
+export class UmbrellaAnalyzer {
+  constructor() {
+    this.name = 'Umbrella Analyzer';
+    this.version = '1.0.0';
+  }
+
+  /**
+   * Analyze a personal umbrella policy
+   * @param {Object} policy - Policy data
+   * @param {Object} policyClassification - Classification results
+   * @param {Object} userProfile - User profile data
+   * @param {Object} context - { relatedPolicies: the user's other policies (policy models,
+   *   { policyType, liabilityLimits, propertyDamage }, or their completed analyses) }
+   * @returns {Promise<Object>} Analysis results
+   */
+  async analyze(policy, policyClassification, userProfile = {}, context = {}) {
+    try {
+      const policyType = policyClassification.primaryType;
+
+      if (policyType !== 'umbrella') {
+        return {
+          success: true,
+          analyzer: this.name,
+          score: 0,
+          risks: [],
+          summary: 'Not an umbrella policy.',
+          metadata: { policyType, applicable: false, analysisDate: new Date().toISOString() }
+        };
+      }
+
+      const rules = getPolicyRules('umbrella');
+      const model = this.buildPolicyModel(policy, rules);
+      const relatedPolicies = context.relatedPolicies || [];
+      const underlying = this.collectUnderlyingPolicies(model, relatedPolicies);
+      const risks = [];
+
+      risks.push(...this.checkUnderlyingRequirements(model, underlying, relatedPolicies));
+      risks.push(...this.analyzeUmbrellaLimit(model, rules, userProfile));
+      risks.push(...this.checkUninsuredMotorist(model, underlying));
+
+      const score = this.calculateUmbrellaScore(risks);
+
+      return {
+        success: true,
+        analyzer: this.name,
+        score,
+        risks,
+        summary: this.generateSummary(risks),
+        metadata: {
+          policyType,
+          applicable: true,
+          limit: model.limit,
+          underlyingRequirements: model.underlyingRequirements,
+          underlyingPolicies: underlying.map(({ exposure, source, limits }) => ({ exposure, source, limits: limits.raw })),
+          analysisDate: new Date().toISOString()
+        }
+      };
+
+    } catch (error) {
+      console.error('Umbrella analysis failed:', error);
+      return {
+        success: false,
+        error: error.message,
+        analyzer: this.name,
+        score: 0,
+        risks: []
+      };
+    }
+  }
+
+  /**
+   * Umbrella model of the analyzed policy; requirements the declarations do not state fall
+   * back to the usual carrier minimums
+   */
+  buildPolicyModel(policy, rules) {
+    if (policy.policy instanceof UmbrellaPolicy) return policy.policy;
+
+    const text = policy.extractedText || '';
+    const terms = this.extractUmbrellaTerms(text);
+
+    return PolicyFactory.createPolicy('umbrella', {
+      policyNumber: policy.policyNumber || policy.structuredData?.policyNumber || '',
+      insuranceProvider: policy.insuranceCompany || policy.structuredData?.insuranceCompany || '',
+      ...terms,
+      limit: terms.limit || parseLimit(policy.structuredData?.liabilityLimits).amount || null,
+      underlyingRequirements: { ...rules.underlyingRequirements, ...terms.underlyingRequirements }
+    });
+  }
+
+  /**
+   * Umbrella limit, required underlying limits, scheduled underlying policies and UM/UIM
+   * from declarations text
+   */
+  extractUmbrellaTerms(text) {
+    const terms = { underlyingRequirements: {}, scheduledUnderlying: [] };
+
+    const limit = text.match(/(?:umbrella|excess liability|each occurrence|personal umbrella)\s*limit[^\n$\d]*\$?\s?(\d[\d,]*(?:\.\d+)?\s?(?:million|mm|m)?)/i);
+    if (limit) terms.limit = parseMoney(limit[1]);
+
+    const retained = text.match(/(?:retained limit|self[- ]insured retention)[^\n$\d]*\$?\s?(\d[\d,]*)/i);
+    if (retained) terms.retainedLimit = parseMoney(retained[1]);
+
+    // Requirement lines say "required"/"minimum"; schedule lines name the underlying insurer
+    for (const line of text.split('\n')) {
+      const exposure = EXPOSURE_PATTERNS.find(({ pattern }) => pattern.test(line))?.exposure;
+      const limitText = exposure && findLimitExpression(line.replace(/^[^$\d]*/, ''));
+      if (!limitText) continue;
+
+      const limits = parseLimit(limitText, exposure === 'auto' ? {} : { splitOrder: ['perOccurrence'] });
+      if (!limits.amount) continue;
+
+      if (/\b(?:required|minimum|must maintain)\b/i.test(line)) {
+        terms.underlyingRequirements[exposure] = this.toRequirement(exposure, limits);
+      } else if (/\b(?:schedule|underlying|policy (?:no|number)|insurer|carrier)\b/i.test(line)) {
+        terms.scheduledUnderlying.push({ policyType: exposure, limits: { raw: limitText } });
+      }
+    }
+
+    if (/(?:excess )?(?:uninsured|underinsured) motorists?/i.test(text)) {
+      terms.uninsuredMotorist = /(?:uninsured|underinsured) motorists?[^.\n]*(?:exclud|not covered|does not apply)/i.test(text)
+        ? { included: false }
+        : { included: true };
+    }
+
+    const exclusionSection = text.match(/exclusions?[\s\S]{0,2000}/i)?.[0] || '';
+    terms.exclusions = getPolicyRules('umbrella').commonExclusions.filter(exclusion =>
+      new RegExp(`\\b${exclusion.split(' ')[0]}`, 'i').test(exclusionSection)
+    );
+
+    return terms;
+  }
+
+  /**
+   * Requirement object for one exposure from a parsed limit
+   */
+  toRequirement(exposure, limits) {
+    if (exposure !== 'auto') return { perOccurrence: limits.perOccurrence || limits.amount };
+    if (limits.type === 'csl' || limits.type === 'single') return { combinedSingle: limits.combinedSingle || limits.amount };
+    return { perPerson: limits.perPerson, perAccident: limits.perAccident, propertyDamage: limits.propertyDamage };
+  }
+
+  /**
+   * The user's auto and home policies with their liability limits; the umbrella's own
+   * schedule stands in for an exposure when the user's policy is unknown
+   * @returns {Array} [{ exposure, source: 'user' | 'schedule', policy, limits }]
+   */
+  collectUnderlyingPolicies(model, relatedPolicies = []) {
+    const underlying = [];
+
+    for (const policy of relatedPolicies.flatMap(candidate => this.expandAnalyzedPolicy(candidate))) {
+      const entry = this.readUnderlyingPolicy(policy);
+      if (entry) underlying.push({ ...entry, source: 'user', policy });
+    }
+
+    for (const scheduled of model.scheduledUnderlying) {
+      const exposure = scheduled.policyType;
+      if (underlying.some(entry => this.sameExposure(entry.exposure, exposure))) continue;
+
+      const limits = parseLimit(scheduled.limits?.raw ?? scheduled.limits, exposure === 'auto' ? {} : { splitOrder: ['perOccurrence'] });
+      if (limits.amount) underlying.push({ exposure, limits, source: 'schedule', policy: scheduled });
+    }
+
+    return underlying;
+  }
+
+  /**
+   * A completed analysis (ComprehensiveAnalysisResult) stands for one policy per type it was
+   * classified as, so a home and auto package counts for both exposures
+   * @returns {Array<Object>} Policies readUnderlyingPolicy understands
+   */
+  expandAnalyzedPolicy(policy) {
+    if (!policy?.classificationAnalysis || !policy.documentAnalysis) return [policy];
+
+    const classification = policy.classificationAnalysis;
+    const structuredData = policy.documentAnalysis.structuredData || {};
+    const types = classification.labels?.length ? classification.labels : [classification.primaryType];
+
+    return types.filter(type => REQUIRED_FIELDS[type]).map(type => {
+      const model = policy.documentAnalysis.policy;
+      if (model?.policyType === type) return model;
+      return { policyType: type, structuredData, liabilityLimits: structuredData.liabilityLimits, propertyDamage: structuredData.propertyDamage };
+    });
+  }
+
+  /**
+   * The user's other policies reduced to the liability limits an umbrella sits over, e.g. to
+   * pass as relatedPolicies without their whole analyses
+   * @param {Array<Object>} policies - Policy models or completed analyses
+   * @returns {Array<Object>} [{ policyType, liabilityLimits, propertyDamage }] as written
+   */
+  summarizeRelatedPolicies(policies = []) {
+    return policies
+      .flatMap(policy => this.expandAnalyzedPolicy(policy))
+      .map(policy => this.readLiabilityLimits(policy))
+      .filter(Boolean);
+  }
+
+  /**
+   * Liability limits of one of the user's policies as written, or null for a policy type no
+   * umbrella requires
+   */
+  readLiabilityLimits(policy) {
+    const policyType = policy?.policyType || policy?.type;
+    if (!REQUIRED_FIELDS[policyType]) return null;
+
+    let limitValue;
+    if (policy instanceof AutoPolicy) {
+      limitValue = policy.coverages.combinedSingleLimit || policy.coverages.bodilyInjuryLiability;
+    } else if (policy instanceof HomePolicy || policy instanceof RentersPolicy) {
+      limitValue = policy.coverages.liability;
+    } else {
+      limitValue = policy.liabilityLimits || policy.structuredData?.liabilityLimits;
+    }
+
+    // Coverages hold either the limit as written or { limit, limitText }; property damage is
+    // often a separate auto coverage
+    const asWritten = value => value?.limitText ?? value?.limit ?? value ?? null;
+    return {
+      policyType,
+      liabilityLimits: asWritten(limitValue),
+      propertyDamage: asWritten(policy.coverages?.propertyDamageLiability ?? policy.propertyDamage)
+    };
+  }
+
+  /**
+   * Exposure and liability limits of one of the user's policies
+   */
+  readUnderlyingPolicy(policy) {
+    const written = this.readLiabilityLimits(policy);
+    if (!written) return null;
+
+    const { policyType } = written;
+    const limits = parseLimit(written.liabilityLimits, policyType === 'auto' ? {} : { splitOrder: ['perOccurrence'] });
+    if (!limits.amount) return { exposure: policyType, limits };
+
+    if (policyType === 'auto' && limits.type === 'split' && !limits.propertyDamage) {
+      limits.propertyDamage = parseMoney(written.propertyDamage);
+    }
+
+    return { exposure: policyType, limits };
+  }
+
+  /**
+   * Renters liability satisfies the home requirement
+   */
+  sameExposure(a, b) {
+    const group = exposure => (exposure === 'renters' ? 'home' : exposure);
+    return group(a) === group(b);
+  }
+
+  /**
+   * Each underlying limit below what the umbrella requires leaves a layer nobody pays but
+   * the insured: the umbrella responds only above the required limit
+   */
+  checkUnderlyingRequirements(model, underlying, relatedPolicies = []) {
+    const risks = [];
+
+    for (const entry of underlying) {
+      const requirementKey = entry.exposure === 'renters' && !model.getRequirement('renters') ? 'home' : entry.exposure;
+      const requirement = model.getRequirement(requirementKey);
+      if (!requirement) continue;
+
+      if (!entry.limits.amount) {
+        risks.push(this.createUnknownLimitRisk(entry.exposure, requirement, 'The liability limit of your policy could not be read'));
+        continue;
+      }
+
+      const shortfalls = this.findShortfalls(entry.exposure, entry.limits, requirement);
+      if (shortfalls.length === 0) continue;
+
+      const largest = Math.max(...shortfalls.map(({ required, current }) => required - current));
+      const label = entry.exposure === 'auto' ? 'Auto' : entry.exposure === 'renters' ? 'Renters' : entry.exposure === 'home' ? 'Home' : 'Watercraft';
+      risks.push({
+        id: `umbrella-underlying-gap-${entry.exposure}`,
+        type: 'coverage_gap',
+        category: 'liability_limits',
+        severity: entry.source === 'user' ? 'high' : 'medium',
+        title: `${label} Limits Below Umbrella Requirement`,
+        description: `${shortfalls.map(({ field, current, required }) =>
+          `${FIELD_LABELS[field]} is $${current.toLocaleString()}, the umbrella requires $${required.toLocaleString()}`).join('; ')}` +
+          (entry.source === 'schedule' ? ' (per the umbrella schedule of underlying insurance)' : ''),
+        recommendation: `Raise your ${label.toLowerCase()} liability limits to the umbrella's required underlying limits`,
+        potentialImpact: `You pay up to $${largest.toLocaleString()} of a claim before the umbrella responds`,
+        urgency: 'high',
+        currentValue: shortfalls[0].current,
+        recommendedValue: shortfalls[0].required
+      });
+    }
+
+    // Required exposures with no known underlying policy
+    const unknown = ['auto', 'home'].filter(exposure =>
+      model.getRequirement(exposure) && !underlying.some(entry => this.sameExposure(entry.exposure, exposure))
+    );
+    if (unknown.length > 0) {
+      risks.push(this.createUnknownLimitRisk(unknown.join(' and '), unknown.map(exposure => model.getRequirement(exposure)),
+        relatedPolicies.length ? `None of your analyzed policies covers ${unknown.join(' or ')} liability` : 'Your underlying policies were not provided'));
+    }
+
+    return risks;
+  }
+
+  /**
+   * Requirement fields the underlying limits do not reach; a combined single limit meets a
+   * split requirement when it reaches the per-accident amount plus property damage
+   */
+  findShortfalls(exposure, limits, requirement) {
+    if (exposure !== 'auto') {
+      const current = limits.perOccurrence || limits.amount;
+      return current < requirement.perOccurrence ? [{ field: 'perOccurrence', current, required: requirement.perOccurrence }] : [];
+    }
+
+    if (limits.type === 'csl' || limits.type === 'single') {
+      const current = limits.combinedSingle || limits.amount;
+      const required = requirement.combinedSingle || (requirement.perAccident || 0) + (requirement.propertyDamage || 0);
+      return current < required ? [{ field: 'combinedSingle', current, required }] : [];
+    }
+
+    return REQUIRED_FIELDS.auto
+      .filter(field => requirement[field] && limits[field] !== null && limits[field] < requirement[field])
+      .map(field => ({ field, current: limits[field], required: requirement[field] }));
+  }
+
+  createUnknownLimitRisk(exposure, requirement, reason) {
+    const requirements = [].concat(requirement).map(required =>
+      Object.entries(required).filter(([, value]) => value).map(([field, value]) => `${FIELD_LABELS[field]} $${value.toLocaleString()}`).join(', ')
+    );
+
+    return {
+      id: `umbrella-underlying-unverified-${exposure.replace(/ and /g, '-')}`,
+      type: 'policy_terms',
+      category: 'liability_limits',
+      severity: 'low',
+      title: 'Confirm Underlying Limits',
+      description: `${reason}; the umbrella requires ${exposure} liability of at least ${requirements.join('; ')}`,
+      recommendation: 'Check your auto and home declarations against the umbrella requirements',
+      potentialImpact: 'Any shortfall below the required limits is paid by you before the umbrella responds',
+      urgency: 'low'
+    };
+  }
+
+  /**
+   * Umbrella limit against the assets a judgment could reach
+   */
+  analyzeUmbrellaLimit(model, rules, userProfile) {
+    if (!model.limit || !userProfile.assets) return [];
+
+    const { increment } = rules.limits;
+    const recommended = Math.max(rules.limits.minimum, Math.ceil(userProfile.assets / increment) * increment);
+    if (model.limit >= recommended) return [];
+
+    return [{
+      id: 'umbrella-limit-below-assets',
+      type: 'liability_limit',
+      category: 'liability_limits',
+      severity: userProfile.assets > model.limit * 2 ? 'high' : 'medium',
+      title: 'Umbrella Limit Below Net Worth',
+      description: `A $${model.limit.toLocaleString()} umbrella protects less than your $${userProfile.assets.toLocaleString()} in assets`,
+      recommendation: `Consider a $${recommended.toLocaleString()} umbrella limit`,
+      potentialImpact: 'Assets above the limit are exposed to a large liability judgment',
+      urgency: 'medium',
+      currentValue: model.limit,
+      recommendedValue: recommended
+    }];
+  }
+
+  /**
+   * Excess uninsured/underinsured motorist coverage is optional on most umbrellas
+   */
+  checkUninsuredMotorist(model, underlying) {
+    if (model.uninsuredMotorist?.included) return [];
+    if (!underlying.some(entry => entry.exposure === 'auto') && !model.getRequirement('auto')) return [];
+
+    return [{
+      id: 'umbrella-no-excess-um',
+      type: 'coverage_gap',
+      category: 'coverage_gaps',
+      severity: 'low',
+      title: 'No Excess Uninsured Motorist Coverage',
+      description: model.uninsuredMotorist
+        ? 'The umbrella excludes uninsured and underinsured motorist claims'
+        : 'The umbrella does not show excess uninsured/underinsured motorist coverage',
+      recommendation: 'Ask whether excess UM/UIM can be added to the umbrella',
+      potentialImpact: 'Your own injuries from an uninsured driver are limited to your auto policy limits',
+      urgency: 'low'
+    }];
+  }
+
+  /**
+   * Calculate umbrella score
+   */
+  calculateUmbrellaScore(risks) {
+    if (risks.length === 0) return 0;
+
+    const severityWeights = {
+      critical: 30,
+      high: 20,
+      medium: 10,
+      low: 5
+    };
+
+    const totalScore = risks.reduce((sum, risk) => {
+      return sum + (severityWeights[risk.severity] || 5);
+    }, 0);
+
+    return Math.min(100, totalScore);
+  }
+
+  /**
+   * Generate analysis summary
+   */
+  generateSummary(risks) {
+    const gaps = risks.filter(r => r.id.startsWith('umbrella-underlying-gap')).length;
+
+    if (risks.length === 0) {
+      return 'Umbrella limit and underlying policies appear adequate.';
+    }
+
+    if (gaps > 0) {
+      return `${gaps} underlying policies fall short of the umbrella requirements. Total issues: ${risks.length}`;
+    }
+
+    return `${risks.length} umbrella coverage issues identified.`;
+  }
+}
+
+export default UmbrellaAnalyzer;
@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { UmbrellaAnalyzer } from './umbrellaAnalyzer.js';
+import { ComprehensiveAnalysisResult } from '../../models/AnalysisModels.js';
+
+const UMBRELLA = {
+  structuredData: {},
+  extractedText: `PERSONAL UMBRELLA POLICY DECLARATIONS
+Umbrella Limit: $1,000,000 each occurrence
+Required Underlying Limits:
+Automobile Liability required minimum 250/500/100
+Personal Liability required minimum $300,000`
+};
+
+const analyzed = (primaryType, structuredData) => new ComprehensiveAnalysisResult({
+  classificationAnalysis: { primaryType, labels: [primaryType] },
+  documentAnalysis: { structuredData, extractedText: '' }
+});
+
+const analyze = relatedPolicies =>
+  new UmbrellaAnalyzer().analyze(UMBRELLA, { primaryType: 'umbrella' }, {}, { relatedPolicies });
+
+describe('UmbrellaAnalyzer related policies', () => {
+  it('reduces completed analyses to the liability limits as written', () => {
+    const summaries = new UmbrellaAnalyzer().summarizeRelatedPolicies([
+      analyzed('auto', { liabilityLimits: '$50,000/$100,000', propertyDamage: '$25,000', policyNumber: 'A-1' }),
+      analyzed('life', { faceAmount: '$500,000' })
+    ]);
+
+    expect(summaries).toEqual([{ policyType: 'auto', liabilityLimits: '$50,000/$100,000', propertyDamage: '$25,000' }]);
+  });
+
+  it('checks the underlying limits of the related policies it is given', async () => {
+    const result = await analyze([
+      { policyType: 'auto', liabilityLimits: '$50,000/$100,000', propertyDamage: '$25,000' },
+      { policyType: 'home', liabilityLimits: '$500,000' }
+    ]);
+
+    const gap = result.risks.find(risk => risk.id === 'umbrella-underlying-gap-auto');
+    expect(gap).toMatchObject({ severity: 'high', currentValue: 50000, recommendedValue: 250000 });
+    expect(result.risks.some(risk => risk.id.endsWith('-home'))).toBe(false);
+  });
+
+  it('reads the same limits from summaries as from the analyses', async () => {
+    const analyses = [analyzed('auto', { liabilityLimits: '100/300/50' }), analyzed('home', { liabilityLimits: '$300,000' })];
+    const fromAnalyses = await analyze(analyses);
+    const fromSummaries = await analyze(new UmbrellaAnalyzer().summarizeRelatedPolicies(analyses));
+
+    expect(fromSummaries.risks).toEqual(fromAnalyses.risks);
+  });
+
+  it('says the underlying policies were not provided without related policies', async () => {
+    const result = await analyze(undefined);
+    const unverified = result.risks.find(risk => risk.id === 'umbrella-underlying-unverified-auto-home');
+    expect(unverified.description).toMatch(/^Your underlying policies were not provided/);
+  });
+});
+
+describe('UmbrellaAnalyzer.extractUmbrellaTerms', () => {
+  it('reads the limit, the required underlying limits and the schedule', () => {
+    const terms = new UmbrellaAnalyzer().extractUmbrellaTerms(`${UMBRELLA.extractedText}
+Retained Limit: $1,000
+Schedule of Underlying Insurance: Watercraft liability $300,000
+Uninsured and underinsured motorists claims are excluded`);
+
+    expect(terms).toMatchObject({
+      limit: 1000000,
+      retainedLimit: 1000,
+      underlyingRequirements: {
+        auto: { perPerson: 250000, perAccident: 500000, propertyDamage: 100000 },
+        home: { perOccurrence: 300000 }
+      },
+      uninsuredMotorist: { included: false }
+    });
+    expect(terms.scheduledUnderlying).toEqual([{ policyType: 'watercraft', limits: { raw: '$300,000' } }]);
+  });
+});
+
+describe('UmbrellaAnalyzer.analyze', () => {
+  it('skips other policy types', async () => {
+    const result = await new UmbrellaAnalyzer().analyze(UMBRELLA, { primaryType: 'auto' });
+    expect(result).toMatchObject({ risks: [], metadata: { applicable: false } });
+  });
+
+  it('recommends a limit covering the assets at stake', async () => {
+    const result = await new UmbrellaAnalyzer().analyze(UMBRELLA, { primaryType: 'umbrella' }, { assets: 2500000 });
+    const risk = result.risks.find(candidate => candidate.id === 'umbrella-limit-below-assets');
+
+    expect(risk).toMatchObject({ severity: 'high', currentValue: 1000000, recommendedValue: 3000000 });
+    expect(result.risks.map(candidate => candidate.id)).toContain('umbrella-no-excess-um');
+  });
+});
@@ -6,14 +6,21 @@
 import CoverageGapAnalyzer from './riskAnalyzers/coverageGapAnalyzer.js';
 import LiabilityAnalyzer from './riskAnalyzers/liabilityAnalyzer.js';
 import DeductibleAnalyzer from './riskAnalyzers/deductibleAnalyzer.js';
+import CommercialLinesAnalyzer from './riskAnalyzers/commercialLinesAnalyzer.js';
+import DisabilityAnalyzer from './riskAnalyzers/disabilityAnalyzer.js';
+import UmbrellaAnalyzer from './riskAnalyzers/umbrellaAnalyzer.js';
 import { calculateRiskScore, aggregateRiskFactors } from '../utils/riskScoring.js';
+import { throwIfCancelled } from './extractors/extractionErrors.js';
 
 export class RiskEngine {
   constructor() {
     this.analyzers = {
       coverageGap: new CoverageGapAnalyzer(),
       liability: new LiabilityAnalyzer(),
-      deductible: new DeductibleAnalyzer()
+      deductible: new DeductibleAnalyzer(),
+      commercial: new CommercialLinesAnalyzer(),
+      disability: new DisabilityAnalyzer(),
+      umbrella: new UmbrellaAnalyzer()
     };
     
     this.riskCategories = [
@@ -31,9 +38,12 @@ export class RiskEngine {
    * @param {Object} policy - Policy data
    * @param {Object} policyClassification - Classification results
    * @param {Object} userProfile - User profile data
-   * @returns {Promise<Object>} Risk analysis results
+   * @param {Object} options - { signal: AbortSignal that cancels the analysis, relatedPolicies:
+   *   the user's other policies, as from summarizeRelatedPolicies }
+   * @returns {Promise<Object>} Risk analysis results; throws PROCESSING_CANCELLED once cancelled
    */
-  async analyzeRisks(policy, policyClassification, userProfile = {}) {
+  async analyzeRisks(policy, policyClassification, userProfile = {}, options = {}) {
+    const { signal = null, relatedPolicies = [] } = options;
     try {
       const analysisResults = {
         overallRiskScore: 0,
@@ -47,7 +57,7 @@ export class RiskEngine {
       };
 
       // Run all risk analyzers
-      const analyzerResults = await this.runAnalyzers(policy, policyClassification, userProfile);
+      const analyzerResults = await this.runAnalyzers(policy, policyClassification, userProfile, signal, { relatedPolicies });
       
       // Aggregate results
       const aggregatedRisks = this.aggregateResults(analyzerResults);
@@ -80,12 +90,15 @@ export class RiskEngine {
         metadata: {
           analysisDate: new Date().toISOString(),
           policyType: policyClassification.primaryType,
+          policyTypes: policyClassification.labels || [policyClassification.primaryType],
+          subType: policyClassification.subType || null,
           analyzersUsed: Object.keys(this.analyzers),
           version: '1.0.0'
         }
       };
 
     } catch (error) {
+      if (signal?.aborted) throw error;
       console.error('Risk analysis failed:', error);
       return {
         success: false,
@@ -97,14 +110,41 @@ export class RiskEngine {
   }
 
   /**
-   * Run all risk analyzers
+   * The user's other policies reduced to what the analyzers read of them: the liability
+   * limits an umbrella sits over
+   * @param {Array<Object>} policies - Completed analyses or policy models
+   * @returns {Array<Object>} [{ policyType, liabilityLimits, propertyDamage }]
    */
-  async runAnalyzers(policy, policyClassification, userProfile) {
+  summarizeRelatedPolicies(policies = []) {
+    return this.analyzers.umbrella.summarizeRelatedPolicies(policies);
+  }
+
+  /**
+   * Run all risk analyzers; a package policy is analyzed once per policy type it covers
+   * @param {AbortSignal} signal - Stops the analysis between analyzers once aborted
+   * @param {Object} context - Passed to every analyzer: { relatedPolicies }
+   */
+  async runAnalyzers(policy, policyClassification, userProfile, signal = null, context = {}) {
     const results = {};
+    const policyTypes = policyClassification.labels?.length > 1 ? policyClassification.labels : [policyClassification.primaryType];
     
     for (const [name, analyzer] of Object.entries(this.analyzers)) {
+      throwIfCancelled(signal);
       try {
-        results[name] = await analyzer.analyze(policy, policyClassification, userProfile);
+        if (policyTypes.length === 1) {
+          results[name] = await analyzer.analyze(policy, policyClassification, userProfile, context);
+          continue;
+        }
+
+        const typeResults = [];
+        for (const policyType of policyTypes) {
+          typeResults.push(await analyzer.analyze(policy, {
+            ...policyClassification,
+            primaryType: policyType,
+            subType: policyClassification.subTypes?.[policyType]?.subType || null
+          }, userProfile, context));
+        }
+        results[name] = this.mergePackageResults(typeResults, policyTypes);
       } catch (error) {
         console.error(`Analyzer ${name} failed:`, error);
         results[name] = {
@@ -119,6 +159,31 @@ export class RiskEngine {
     return results;
   }
 
+  /**
+   * Combine one analyzer's results for each type of a package policy; a risk found for
+   * several types (a shared liability limit) is kept once
+   */
+  mergePackageResults(typeResults, policyTypes) {
+    const risks = new Map();
+
+    typeResults.forEach((result, index) => {
+      if (!result.success) return;
+      for (const risk of result.risks || []) {
+        const key = risk.id || `${policyTypes[index]}-${risks.size}`;
+        if (!risks.has(key)) risks.set(key, { ...risk, policyType: risk.policyType || policyTypes[index] });
+      }
+    });
+
+    const successful = typeResults.filter(result => result.success);
+    return {
+      ...(successful[0] || typeResults[0]),
+      success: successful.length > 0,
+      score: Math.max(0, ...successful.map(result => result.score || 0)),
+      risks: [...risks.values()],
+      byPolicyType: Object.fromEntries(policyTypes.map((policyType, index) => [policyType, typeResults[index]]))
+    };
+  }
+
   /**
    * Aggregate results from all analyzers
    */
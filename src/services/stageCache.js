@@ -0,0 +1,85 @@
+/**
+ * Stage Cache
+ * Keeps the output of analysis pipeline stages keyed by a hash of everything the stage read,
+ * so a re-run skips stages whose inputs did not change. Entries are dropped least recently
+ * used first beyond the size limit; parsed documents and AI responses are large.
+ */
+
+const DEFAULT_MAX_ENTRIES = 60;
+
+export class StageCache {
+  /**
+   * @param {Object} options - { maxEntries: entries kept before the least recently used go }
+   */
+  constructor({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Cached stage output
+   * @returns {Object|null} { output, warnings, cachedAt }, or null on a miss
+   */
+  get(stage, key) {
+    const cacheKey = `${stage}:${key}`;
+    const entry = this.entries.get(cacheKey);
+    if (!entry) {
+      this.misses++;
+      return null;
+    }
+
+    // Re-insert to mark the entry as most recently used
+    this.entries.delete(cacheKey);
+    this.entries.set(cacheKey, entry);
+    this.hits++;
+    return entry;
+  }
+
+  /**
+   * Store a stage output with the warnings the stage raised while computing it
+   */
+  set(stage, key, output, warnings = []) {
+    const cacheKey = `${stage}:${key}`;
+    this.entries.delete(cacheKey);
+    this.entries.set(cacheKey, { stage, key, output, warnings, cachedAt: new Date().toISOString() });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  has(stage, key) {
+    return this.entries.has(`${stage}:${key}`);
+  }
+
+  delete(stage, key) {
+    return this.entries.delete(`${stage}:${key}`);
+  }
+
+  /**
+   * Drop every entry of the given stages
+   */
+  invalidateStages(stages) {
+    for (const [cacheKey, entry] of this.entries) {
+      if (stages.includes(entry.stage)) this.entries.delete(cacheKey);
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  getStats() {
+    const byStage = {};
+    for (const entry of this.entries.values()) {
+      byStage[entry.stage] = (byStage[entry.stage] || 0) + 1;
+    }
+    return { entries: this.entries.size, maxEntries: this.maxEntries, hits: this.hits, misses: this.misses, byStage };
+  }
+}
+
+export default StageCache;
@@ -0,0 +1,107 @@
+import { describe, it, expect } from 'vitest';
+import { StageCache } from './stageCache.js';
+import analysisPipeline, { AnalysisPipeline } from './analysisPipeline.js';
+
+describe('StageCache', () => {
+  it('returns stored outputs with their warnings and counts hits and misses', () => {
+    const cache = new StageCache();
+    cache.set('classification', 'k1', { classificationResult: 'home' }, ['low confidence']);
+
+    expect(cache.get('classification', 'k1')).toMatchObject({
+      output: { classificationResult: 'home' },
+      warnings: ['low confidence']
+    });
+    expect(cache.get('classification', 'k2')).toBeNull();
+    expect(cache.getStats()).toMatchObject({ entries: 1, hits: 1, misses: 1 });
+  });
+
+  it('drops the least recently used entry beyond maxEntries', () => {
+    const cache = new StageCache({ maxEntries: 2 });
+    cache.set('stage', 'a', 1);
+    cache.set('stage', 'b', 2);
+    cache.get('stage', 'a');
+    cache.set('stage', 'c', 3);
+
+    expect(cache.has('stage', 'a')).toBe(true);
+    expect(cache.has('stage', 'b')).toBe(false);
+    expect(cache.has('stage', 'c')).toBe(true);
+  });
+
+  it('invalidates every entry of the given stages', () => {
+    const cache = new StageCache();
+    cache.set('documents', 'a', 1);
+    cache.set('risks', 'a', 2);
+    cache.set('risks', 'b', 3);
+    cache.invalidateStages(['risks']);
+
+    expect(cache.getStats().byStage).toEqual({ documents: 1 });
+  });
+});
+
+describe('AnalysisPipeline.isCacheable', () => {
+  const document = { success: true, extractedText: 'HOMEOWNERS POLICY DECLARATIONS', structuredData: {} };
+
+  it('caches complete stage outputs', () => {
+    expect(analysisPipeline.isCacheable(document)).toBe(true);
+    expect(analysisPipeline.isCacheable(0)).toBe(true);
+  });
+
+  it('does not cache failures and fallbacks', () => {
+    expect(analysisPipeline.isCacheable(null)).toBe(false);
+    expect(analysisPipeline.isCacheable({ success: false })).toBe(false);
+    expect(analysisPipeline.isCacheable({ ...document, processingError: 'worker crashed' })).toBe(false);
+    expect(analysisPipeline.isCacheable({ method: 'error-fallback' })).toBe(false);
+    expect(analysisPipeline.isCacheable({ metadata: { fallback: true } })).toBe(false);
+  });
+
+  it('does not cache documents whose extraction failed softly', () => {
+    expect(analysisPipeline.isCacheable({ ...document, processingWarning: 'OCR failed' })).toBe(false);
+    expect(analysisPipeline.isCacheable({ ...document, extractedText: '  ' })).toBe(false);
+    expect(analysisPipeline.isCacheable({
+      ...document,
+      packet: { documents: [{ fileName: 'dec.pdf', error: null }, { fileName: 'scan.tif', error: 'OCR failed' }] }
+    })).toBe(false);
+  });
+});
+
+describe('AnalysisPipeline.runStage when resuming', () => {
+  const setup = () => {
+    const pipeline = new AnalysisPipeline();
+    pipeline.registerStage({
+      name: 'premium_check',
+      label: 'Premium check',
+      inputs: ['policyData'],
+      outputs: ['premiumCheck'],
+      run: ({ policyData }) => ({ premiumCheck: policyData.premium > 1000 })
+    });
+    const definition = pipeline.getStage('premium_check');
+    const resume = (previousRun, policyData) => {
+      const run = pipeline.createRun({ ...previousRun.inputs, policyData });
+      const values = { ...run.inputs };
+      return pipeline.runStage(run, definition, values, { resume: { previousRun }, forced: new Set() })
+        .then(() => ({ run, values }));
+    };
+    return { pipeline, resume };
+  };
+
+  it("reuses the earlier run's key while the stage's inputs are unchanged", async () => {
+    const { pipeline, resume } = setup();
+    const previousRun = pipeline.createRun({ policyData: { premium: 500 } });
+    previousRun.keys.premium_check = 'earlier-key';
+
+    const { run } = await resume(previousRun, { premium: 500 });
+    expect(run.keys.premium_check).toBe('earlier-key');
+  });
+
+  it('computes a new key when the inputs changed, and never caches under the old one', async () => {
+    const { pipeline, resume } = setup();
+    const previousRun = pipeline.createRun({ policyData: { premium: 500 } });
+    previousRun.keys.premium_check = 'earlier-key';
+
+    const { run, values } = await resume(previousRun, { premium: 5000 });
+    expect(values.premiumCheck).toBe(true);
+    expect(run.keys.premium_check).not.toBe('earlier-key');
+    expect(pipeline.cache.has('premium_check', 'earlier-key')).toBe(false);
+    expect(pipeline.cache.has('premium_check', run.keys.premium_check)).toBe(true);
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Text Normalizer
+ * Normalizes extracted text without flattening it: line and paragraph breaks survive,
+ * Unicode punctuation and ligatures become canonical characters, and section headings
+ * ("SECTION II – LIABILITY", "Coverage A – Dwelling", "EXCLUSIONS") are collected into
+ * a section tree that analyzers and prompts can query
+ */
+
+// Typographic punctuation mapped to the characters the extraction patterns expect
+const PUNCTUATION_MAP = {
+  '‘': "'", '’': "'", '‚': "'", '‛': "'", '′': "'",
+  '“': '"', '”': '"', '„': '"', '‟': '"', '″': '"',
+  '‐': '-', '‑': '-', '‒': '-', '–': '-', '—': '-', '―': '-', '−': '-',
+  '•': '-', '‣': '-', '▪': '-', '●': '-', '◦': '-', '⁃': '-'
+};
+
+const PUNCTUATION_PATTERN = new RegExp(`[${Object.keys(PUNCTUATION_MAP).join('')}]`, 'g');
+
+// Zero-width characters, soft hyphens and control characters other than tab and newline
+const INVISIBLE_PATTERN = /[\u0000-\u0008\u000B\u000E-\u001F\u007F-\u009F\u00AD\u200B-\u200D\u2060\uFEFF]/g;
+
+// Longest line still treated as a heading
+const MAX_HEADING_LENGTH = 80;
+
+// Standalone headings used across policy forms
+const KEYWORD_HEADINGS = [
+  'declarations',
+  'definitions',
+  'insuring agreement',
+  'agreement',
+  'exclusions',
+  'conditions',
+  'general conditions',
+  'policy conditions',
+  'general provisions',
+  'additional coverages',
+  'additional coverage',
+  'optional coverages',
+  'perils insured against',
+  'property coverages',
+  'liability coverages',
+  'limit of liability',
+  'limits of liability',
+  'limits of insurance',
+  'schedule',
+  'schedule of coverages',
+  'coverage schedule',
+  'endorsements',
+  'forms and endorsements',
+  'loss settlement',
+  'duties after loss',
+  'policy period'
+];
+
+const HEADING_RULES = [
+  // "SECTION II – LIABILITY COVERAGES", "Part A - Liability Coverage", "ARTICLE 3: EXCLUSIONS"
+  { kind: 'section', level: 1, pattern: /^(SECTION|Section|PART|Part|ARTICLE|Article)\s+([IVXLC]+|\d+|[A-Z])\b\.?(?:\s*[-:]\s*|\s+)?(.*)$/ },
+  // "COVERAGE A - DWELLING", "Coverage E – Personal Liability"
+  { kind: 'coverage', level: 2, pattern: /^(COVERAGE|Coverage)\s+([A-Z])\b\.?(?:\s*[-:]\s*|\s+)?(.*)$/ }
+];
+
+// Optional list numbering in front of a keyword heading ("A.", "1.", "(b)")
+const LIST_MARKER = /^(?:\(?[A-Za-z0-9]{1,3}[.)]\s+)?/;
+
+export class TextNormalizer {
+  constructor() {
+    this.name = 'Text Normalizer';
+    this.version = '1.0.0';
+  }
+
+  /**
+   * Normalize extracted text while keeping its line and paragraph structure
+   * @param {string} text - Raw extracted text
+   * @returns {string} Normalized text: canonical punctuation, single spaces within lines,
+   *   at most one blank line between paragraphs
+   */
+  normalize(text) {
+    if (!text) return '';
+
+    return text
+      .replace(/\r\n?/g, '\n')
+      .replace(/[\f\u2028\u2029]/g, '\n\n') // Page and paragraph separators
+      .normalize('NFKC') // Ligatures, non-breaking and full-width characters
+      .replace(PUNCTUATION_PATTERN, character => PUNCTUATION_MAP[character])
+      .replace(INVISIBLE_PATTERN, '')
+      .replace(/[^\S\n]+/g, ' ') // Collapse spaces and tabs within a line
+      .replace(/ ?\n ?/g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
+  /**
+   * Build the section tree of normalized text
+   * @param {string} text - Text returned by normalize
+   * @returns {Object} Root node { id: 'root', kind: 'document', level: 0, start, end, children }
+   */
+  buildSectionTree(text = '') {
+    const root = this.createNode({ id: 'root', kind: 'document', level: 0, title: 'Document', heading: null, start: 0, contentStart: 0 });
+    root.end = text.length;
+
+    const stack = [root];
+    let offset = 0;
+
+    for (const line of text.split('\n')) {
+      const heading = this.detectHeading(line);
+
+      if (heading) {
+        while (stack[stack.length - 1].level >= heading.level) {
+          stack.pop().end = offset;
+        }
+
+        const parent = stack[stack.length - 1];
+        const node = this.createNode({
+          ...heading,
+          id: parent === root ? `${parent.children.length + 1}` : `${parent.id}.${parent.children.length + 1}`,
+          start: offset,
+          contentStart: Math.min(text.length, offset + line.length + 1)
+        });
+
+        parent.children.push(node);
+        stack.push(node);
+      }
+
+      offset += line.length + 1;
+    }
+
+    while (stack.length > 1) {
+      stack.pop().end = text.length;
+    }
+
+    return root;
+  }
+
+  /**
+   * Recognize a section heading line
+   * @returns {Object|null} { kind, level, label, title, heading }
+   */
+  detectHeading(line) {
+    const heading = line.trim();
+    if (!heading || heading.length > MAX_HEADING_LENGTH) return null;
+
+    // Declarations rows ("Coverage A - Dwelling $350,000") carry amounts; headings do not
+    if (/\$|\d{3,}|\d,\d{3}/.test(heading.replace(/^\S+\s+\S+/, ''))) return null;
+
+    for (const { kind, level, pattern } of HEADING_RULES) {
+      const match = heading.match(pattern);
+      if (!match) continue;
+
+      const [, keyword, number, rest] = match;
+      const title = (rest || '').trim();
+
+      // Prose that merely refers to a section ("Section II of this policy applies...")
+      if (title && !/^[A-Z0-9"'(]/.test(title)) return null;
+      if (/[.;,]$/.test(title) && title.split(' ').length > 6) return null;
+
+      return {
+        kind,
+        level,
+        label: `${keyword.toUpperCase()} ${number}`,
+        title: title.replace(/[:.]$/, '') || `${keyword} ${number}`,
+        heading
+      };
+    }
+
+    const keyword = heading.replace(LIST_MARKER, '').replace(/[:.]$/, '').trim();
+    const isHeadingCase = keyword === keyword.toUpperCase() || /^(?:[A-Z][a-z]*\s*)+$/.test(keyword);
+    if (isHeadingCase && KEYWORD_HEADINGS.includes(keyword.toLowerCase())) {
+      return { kind: 'heading', level: 3, label: null, title: keyword, heading };
+    }
+
+    return null;
+  }
+
+  createNode({ id, kind, level, label = null, title, heading, start, contentStart }) {
+    return { id, kind, level, label, title, heading, start, contentStart, end: null, children: [] };
+  }
+}
+
+export default new TextNormalizer();
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import textNormalizer from './textNormalizer.js';
+import { findSection, getSectionText, flattenSections, outlineSections } from '../utils/sectionTree.js';
+
+const POLICY_TEXT = textNormalizer.normalize(`HOMEOWNERS POLICY
+SECTION I – PROPERTY COVERAGES
+Coverage A – Dwelling
+We cover the dwelling on the residence premises.
+Coverage A - Dwelling $350,000
+EXCLUSIONS
+1. Earth movement
+SECTION II – LIABILITY COVERAGES
+Coverage E – Personal Liability
+We pay damages an insured is legally liable for.
+Section II of this policy applies to bodily injury.
+C. Conditions
+Duties after an occurrence.`);
+
+describe('TextNormalizer.normalize', () => {
+  it('keeps line structure while canonicalizing punctuation, ligatures and spacing', () => {
+    expect(textNormalizer.normalize('“Insured” –\tﬁre\r\n\r\n\r\n\r\nCoverage​ A  ')).toBe('"Insured" - fire\n\nCoverage A');
+  });
+
+  it('returns an empty string without text', () => {
+    expect(textNormalizer.normalize(null)).toBe('');
+  });
+});
+
+describe('TextNormalizer.buildSectionTree', () => {
+  const tree = textNormalizer.buildSectionTree(POLICY_TEXT);
+
+  it('nests coverages and keyword headings under their sections', () => {
+    expect(outlineSections(tree, 3)).toBe([
+      '- SECTION I - PROPERTY COVERAGES',
+      '  - Coverage A - Dwelling',
+      '    - EXCLUSIONS',
+      '- SECTION II - LIABILITY COVERAGES',
+      '  - Coverage E - Personal Liability',
+      '    - C. Conditions'
+    ].join('\n'));
+    expect(tree.children[1]).toMatchObject({ id: '2', kind: 'section', level: 1, label: 'SECTION II', title: 'LIABILITY COVERAGES' });
+    expect(tree.children[1].children[0].id).toBe('2.1');
+  });
+
+  it('skips declarations rows and prose that refers to a section', () => {
+    const headings = flattenSections(tree).map(section => section.heading);
+    expect(headings).not.toContain('Coverage A - Dwelling $350,000');
+    expect(headings).not.toContain('Section II of this policy applies to bodily injury.');
+  });
+
+  it('locates each section body in the text', () => {
+    const liability = findSection(tree, 'coverage e personal liability');
+    expect(getSectionText(POLICY_TEXT, liability)).toMatch(/^We pay damages[\s\S]*Duties after an occurrence\.$/);
+
+    const exclusions = findSection(tree, 'exclusions');
+    expect(getSectionText(POLICY_TEXT, exclusions)).toBe('1. Earth movement');
+    expect(tree.end).toBe(POLICY_TEXT.length);
+  });
+});
@@ -0,0 +1,27 @@
+/**
+ * Document Processing Worker
+ * Runs PDF parsing, OCR and field extraction off the main thread so the UI stays
+ * responsive on long scanned policies. Messages:
+ *   in:  { type: 'process', id, file, password }
+ *   out: { type: 'started', id } | { type: 'progress', id, progress } | { type: 'result', id, result }
+ *        | { type: 'error', id, error }
+ * 'started' tells the client the worker loaded, so a later crash is not retried on the main thread.
+ */
+
+import documentProcessor from '../documentProcessor.js';
+
+self.addEventListener('message', async (event) => {
+  const { type, id, file, password } = event.data || {};
+  if (type !== 'process') return;
+
+  self.postMessage({ type: 'started', id });
+  try {
+    const result = await documentProcessor.processDocument(file, {
+      password,
+      onProgress: progress => self.postMessage({ type: 'progress', id, progress })
+    });
+    self.postMessage({ type: 'result', id, result });
+  } catch (error) {
+    self.postMessage({ type: 'error', id, error: { message: error.message, code: error.code || null } });
+  }
+});
@@ -0,0 +1,117 @@
+/**
+ * Content Hash
+ * Deterministic hashes of analysis inputs and stage outputs, used as stage cache keys: the
+ * same document, data and settings always hash the same, whatever order object keys were
+ * written in
+ */
+
+// File hashes are computed once per File object
+const fileHashes = new WeakMap();
+
+/**
+ * 53-bit string hash (cyrb53), as 14 hex digits
+ * @param {string} text - Text to hash
+ * @param {number} seed - Seed for a differently distributed hash
+ * @returns {string} Hash
+ */
+export function hashString(text, seed = 0) {
+  let h1 = 0xdeadbeef ^ seed;
+  let h2 = 0x41c6ce57 ^ seed;
+
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 2654435761);
+    h2 = Math.imul(h2 ^ code, 1597334677);
+  }
+
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+}
+
+/**
+ * JSON with object keys sorted; Files and Blobs are written by name, size and date, and
+ * functions by name, so values that cannot be serialized still hash consistently
+ */
+export function stableStringify(value) {
+  // Objects on the path from the root to the item being written; a value repeated elsewhere
+  // in the tree is written again, only a reference back to an ancestor is circular
+  const ancestors = new WeakSet();
+
+  const normalize = (item) => {
+    if (item === null || typeof item !== 'object') {
+      if (typeof item === 'function') return `[function ${item.name || 'anonymous'}]`;
+      if (typeof item === 'bigint') return item.toString();
+      return item;
+    }
+
+    if (typeof Blob !== 'undefined' && item instanceof Blob) {
+      return { blob: item.name || 'blob', size: item.size, type: item.type, lastModified: item.lastModified || null };
+    }
+    if (item instanceof Date) return item.toISOString();
+    if (item instanceof RegExp) return item.toString();
+    if (ArrayBuffer.isView(item)) return hashString(Array.from(item).join(','));
+
+    if (ancestors.has(item)) return '[circular]';
+    ancestors.add(item);
+    try {
+      if (item instanceof Map) return normalize(Object.fromEntries(item));
+      if (item instanceof Set) return [...item].map(normalize);
+      if (Array.isArray(item)) return item.map(normalize);
+
+      return Object.fromEntries(
+        Object.keys(item)
+          .filter(key => item[key] !== undefined)
+          .sort()
+          .map(key => [key, normalize(item[key])])
+      );
+    } finally {
+      ancestors.delete(item);
+    }
+  };
+
+  return JSON.stringify(normalize(value)) ?? 'undefined';
+}
+
+/**
+ * Hash of any serializable value
+ */
+export function hashContent(value) {
+  return hashString(stableStringify(value));
+}
+
+/**
+ * Hash of a file's bytes, SHA-256 where Web Crypto is available
+ * @param {File|Blob} file - File to hash
+ * @returns {Promise<string>} Hex digest, prefixed with the algorithm
+ */
+export async function hashFile(file) {
+  if (!file) return null;
+  if (fileHashes.has(file)) return fileHashes.get(file);
+
+  const buffer = await file.arrayBuffer();
+  let hash;
+  if (globalThis.crypto?.subtle) {
+    const digest = await globalThis.crypto.subtle.digest('SHA-256', buffer);
+    hash = `sha256:${Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('')}`;
+  } else {
+    // Latin-1 decoding keeps one character per byte
+    const bytes = new Uint8Array(buffer);
+    let text = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      text += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    hash = `cyrb53:${hashString(text)}`;
+  }
+
+  fileHashes.set(file, hash);
+  return hash;
+}
+
+export default {
+  hashString,
+  stableStringify,
+  hashContent,
+  hashFile
+};
@@ -0,0 +1,22 @@
+import { describe, it, expect } from 'vitest';
+import { stableStringify, hashContent } from './contentHash.js';
+
+describe('stableStringify', () => {
+  it('writes object keys in sorted order', () => {
+    expect(stableStringify({ b: 1, a: { d: 2, c: 3 } })).toBe(stableStringify({ a: { c: 3, d: 2 }, b: 1 }));
+  });
+
+  it('writes a value repeated in the tree each time it appears', () => {
+    const limits = { liability: 300000 };
+    expect(stableStringify({ auto: limits, home: limits })).toBe(
+      '{"auto":{"liability":300000},"home":{"liability":300000}}'
+    );
+    expect(hashContent([limits, limits])).not.toBe(hashContent([limits, '[circular]']));
+  });
+
+  it('marks only references back to an ancestor as circular', () => {
+    const policy = { id: 'p1' };
+    policy.self = policy;
+    expect(stableStringify(policy)).toBe('{"id":"p1","self":"[circular]"}');
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * File Type Detection
+ * Identifies uploaded documents by their leading bytes ("magic numbers") rather than
+ * by name, so renamed files and double extensions (".PDF.txt") are read correctly.
+ * Shared by upload validation and document processing.
+ */
+
+// Bytes read from the start of a file for sniffing; enough to see ZIP entry names
+const SNIFF_LENGTH = 64 * 1024;
+
+export const FILE_TYPES = {
+  pdf: { label: 'PDF', extensions: ['pdf'], mimeTypes: ['application/pdf'] },
+  docx: { label: 'Word document', extensions: ['docx'], mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'] },
+  doc: { label: 'Word 97-2003 document', extensions: ['doc'], mimeTypes: ['application/msword'] },
+  txt: { label: 'text', extensions: ['txt'], mimeTypes: ['text/plain'] },
+  png: { label: 'PNG image', extensions: ['png'], mimeTypes: ['image/png'] },
+  jpeg: { label: 'JPEG image', extensions: ['jpg', 'jpeg'], mimeTypes: ['image/jpeg'] },
+  tiff: { label: 'TIFF image', extensions: ['tif', 'tiff'], mimeTypes: ['image/tiff'] },
+  heic: { label: 'HEIC photo', extensions: ['heic', 'heif'], mimeTypes: ['image/heic', 'image/heif'] },
+  eml: { label: 'email message', extensions: ['eml'], mimeTypes: ['message/rfc822'] },
+  msg: { label: 'Outlook message', extensions: ['msg'], mimeTypes: ['application/vnd.ms-outlook'] },
+  acord: { label: 'ACORD XML policy data', extensions: ['xml'], mimeTypes: ['application/xml', 'text/xml'] },
+  al3: { label: 'ACORD AL3 policy data', extensions: ['al3'], mimeTypes: [] }
+};
+
+// Types whose content is a message carrying other documents as attachments
+export const EMAIL_TYPES = ['eml', 'msg'];
+
+// Types carrying policy data as records rather than document text
+export const STRUCTURED_TYPES = ['acord', 'al3'];
+
+export const SUPPORTED_EXTENSIONS = Object.values(FILE_TYPES).flatMap(type => type.extensions);
+
+export const SUPPORTED_MIME_TYPES = Object.values(FILE_TYPES).flatMap(type => type.mimeTypes);
+
+// ISO base media brands used by HEIC/HEIF still images and sequences
+const HEIC_BRANDS = ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'hevm', 'hevs', 'mif1', 'msf1'];
+
+// Headers found at the top of saved email messages
+const EMAIL_HEADER_PATTERN = /^(?:from|to|subject|date|message-id|mime-version|received|return-path|delivered-to|x-[\w-]+):/im;
+
+/**
+ * File type implied by a file name
+ * @param {string} fileName - e.g. "declarations.PDF"
+ * @returns {string|null} Type key of FILE_TYPES, or null when the extension is unknown
+ */
+export function getExtensionType(fileName = '') {
+  const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+  const entry = Object.entries(FILE_TYPES).find(([, type]) => type.extensions.includes(extension));
+  return entry ? entry[0] : null;
+}
+
+/**
+ * File type implied by the leading bytes of a file
+ * @param {Uint8Array|ArrayBuffer} data - Start of the file
+ * @returns {string|null} Type key of FILE_TYPES, 'zip' for non-Word ZIP archives, or null
+ */
+export function sniffFileType(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const startsWith = (signature, offset = 0) => signature.every((byte, index) => bytes[offset + index] === byte);
+  const ascii = (start, end) => String.fromCharCode(...bytes.subarray(start, end));
+
+  if (bytes.length === 0) return null;
+
+  // "%PDF-" may follow a short preamble
+  if (indexOfAscii(bytes.subarray(0, 1024), '%PDF-') !== -1) return 'pdf';
+  if (startsWith([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'png';
+  if (startsWith([0xff, 0xd8, 0xff])) return 'jpeg';
+  if (startsWith([0x49, 0x49, 0x2a, 0x00]) || startsWith([0x4d, 0x4d, 0x00, 0x2a])) return 'tiff';
+  if (ascii(4, 8) === 'ftyp' && HEIC_BRANDS.includes(ascii(8, 12))) return 'heic';
+  // Word 97-2003 and Outlook messages share the compound file container; Outlook names its
+  // property streams "__substg1.0_" (stored as UTF-16 in the directory)
+  if (startsWith([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) {
+    return indexOfAscii(bytes, '_\0_\0s\0u\0b\0s\0t\0g\0') !== -1 ? 'msg' : 'doc';
+  }
+
+  // Entry names in ZIP local headers are stored uncompressed
+  if (startsWith([0x50, 0x4b, 0x03, 0x04])) {
+    return indexOfAscii(bytes, 'word/') !== -1 ? 'docx' : 'zip';
+  }
+
+  if (!looksLikeText(bytes)) return null;
+
+  // ACORD XML has an <ACORD> root, possibly namespaced; AL3 opens with its message header group
+  const head = ascii(0, 2048);
+  if (/^(?:\uFEFF|\xEF\xBB\xBF)?\s*</.test(head) && /<(?:[\w-]+:)?ACORD[\s>]/.test(head)) return 'acord';
+  if (/^\s*1MHG/.test(head)) return 'al3';
+
+  return looksLikeEmail(bytes) ? 'eml' : 'txt';
+}
+
+/**
+ * Detect the type of an uploaded file from its content, falling back to its name
+ * @param {File|Blob} file - Uploaded file
+ * @returns {Promise<Object>} { type, detectedType, extensionType, supported, mismatch, warnings }
+ */
+export async function detectFileType(file) {
+  const extensionType = getExtensionType(file.name);
+  let detectedType = null;
+
+  try {
+    const head = await readBytes(file.slice(0, SNIFF_LENGTH));
+    detectedType = sniffFileType(head);
+  } catch {
+    detectedType = null;
+  }
+
+  return describeDetection(file, detectedType, extensionType);
+}
+
+/**
+ * Combine content and name evidence into a detection result
+ */
+export function describeDetection(file, detectedType, extensionType = getExtensionType(file?.name)) {
+  // The Outlook directory can lie beyond the sniffed bytes; trust the name for compound files then
+  if (detectedType === 'doc' && extensionType === 'msg') detectedType = 'msg';
+  // A message whose headers were not recognized still reads as text
+  if (detectedType === 'txt' && extensionType === 'eml') detectedType = 'eml';
+
+  const type = detectedType || extensionType;
+  const warnings = [];
+
+  const mismatch = Boolean(detectedType && extensionType && detectedType !== extensionType);
+  if (mismatch) {
+    warnings.push(
+      `File content is ${describeType(detectedType)} but the name suggests ${describeType(extensionType)}; it will be read as ${describeType(detectedType)}`
+    );
+  }
+
+  const declaredType = Object.entries(FILE_TYPES).find(([, entry]) => entry.mimeTypes.includes(file?.type))?.[0];
+  if (declaredType && type && declaredType !== type && !mismatch) {
+    warnings.push(`File is labelled ${file.type} but contains ${describeType(type)}`);
+  }
+
+  return {
+    type,
+    detectedType,
+    extensionType,
+    supported: Boolean(type && FILE_TYPES[type]),
+    mismatch,
+    warnings
+  };
+}
+
+function describeType(type) {
+  return FILE_TYPES[type]?.label || (type === 'zip' ? 'a ZIP archive' : 'an unknown format');
+}
+
+function indexOfAscii(bytes, text) {
+  const codes = Array.from(text, character => character.charCodeAt(0));
+
+  for (let index = bytes.indexOf(codes[0]); index !== -1; index = bytes.indexOf(codes[0], index + 1)) {
+    if (codes.every((code, offset) => bytes[index + offset] === code)) return index;
+  }
+  return -1;
+}
+
+// Text files have no signature: accept content that is almost entirely printable or UTF-8
+function looksLikeText(bytes) {
+  const sample = bytes.subarray(0, 4096);
+  let binary = 0;
+
+  for (const byte of sample) {
+    if (byte === 0) return false;
+    if (byte < 0x09 || (byte > 0x0d && byte < 0x20)) binary++;
+  }
+
+  return binary / sample.length < 0.02;
+}
+
+// A saved message opens with a block of "Name: value" header lines
+function looksLikeEmail(bytes) {
+  const head = String.fromCharCode(...bytes.subarray(0, 2048));
+  const headerBlock = head.split(/\r?\n\r?\n/)[0];
+  const firstLine = headerBlock.split(/\r?\n/)[0];
+
+  if (!/^[\w-]+: /.test(firstLine)) return false;
+  const headers = headerBlock.match(new RegExp(EMAIL_HEADER_PATTERN.source, 'gim')) || [];
+  return headers.length >= 2;
+}
+
+async function readBytes(blob) {
+  if (typeof blob.arrayBuffer === 'function') {
+    return new Uint8Array(await blob.arrayBuffer());
+  }
+
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = (e) => resolve(new Uint8Array(e.target.result));
+    reader.onerror = () => reject(new Error('Failed to read file'));
+    reader.readAsArrayBuffer(blob);
+  });
+}
+
+export default {
+  FILE_TYPES,
+  SUPPORTED_EXTENSIONS,
+  SUPPORTED_MIME_TYPES,
+  EMAIL_TYPES,
+  STRUCTURED_TYPES,
+  getExtensionType,
+  sniffFileType,
+  detectFileType,
+  describeDetection
+};
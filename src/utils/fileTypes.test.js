@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { sniffFileType, detectFileType, getExtensionType } from './fileTypes.js';
+
+const bytes = (...parts) => new Uint8Array(parts.flatMap(part =>
+  typeof part === 'string' ? Array.from(part, character => character.charCodeAt(0)) : part
+));
+const utf16 = text => Array.from(text).flatMap(character => [character.charCodeAt(0), 0]);
+
+const COMPOUND_FILE = [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1];
+
+describe('sniffFileType', () => {
+  it.each([
+    ['pdf', bytes('%PDF-1.7\n')],
+    ['pdf after a preamble', bytes('\r\n\r\n%PDF-1.4')],
+    ['png', bytes([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0])],
+    ['jpeg', bytes([0xff, 0xd8, 0xff, 0xe0])],
+    ['tiff', bytes([0x49, 0x49, 0x2a, 0x00])],
+    ['heic', bytes([0, 0, 0, 0x18], 'ftypheic')],
+    ['docx', bytes([0x50, 0x4b, 0x03, 0x04], 'word/document.xml')],
+    ['zip', bytes([0x50, 0x4b, 0x03, 0x04], 'xl/workbook.xml')],
+    ['doc', bytes(COMPOUND_FILE, [0, 0])],
+    ['msg', bytes(COMPOUND_FILE, utf16('__substg1.0_0037001F'))],
+    ['acord', bytes('<?xml version="1.0"?>\n<ACORD><InsuranceSvcRq/></ACORD>')],
+    ['acord namespaced', bytes('<acord:ACORD xmlns:acord="http://www.ACORD.org">')],
+    ['al3', bytes('1MHG218 IBM')],
+    ['eml', bytes('From: agent@example.com\r\nTo: jane@example.com\r\nSubject: Renewal\r\n\r\nAttached.')],
+    ['txt', bytes('POLICY DECLARATIONS\nNamed Insured: Jane Doe')]
+  ])('reads %s', (label, data) => {
+    expect(sniffFileType(data)).toBe(label.split(' ')[0]);
+  });
+
+  it('does not guess at binary content or an empty file', () => {
+    expect(sniffFileType(bytes([1, 2, 3, 0, 4]))).toBeNull();
+    expect(sniffFileType(new Uint8Array())).toBeNull();
+  });
+});
+
+describe('detectFileType', () => {
+  it('trusts content over a misleading name, with a warning', async () => {
+    const detection = await detectFileType(new File(['%PDF-1.4'], 'declarations.PDF.txt', { type: 'text/plain' }));
+    expect(detection).toMatchObject({ type: 'pdf', detectedType: 'pdf', extensionType: 'txt', mismatch: true, supported: true });
+    expect(detection.warnings[0]).toContain('File content is PDF but the name suggests text');
+  });
+
+  it('reads an email whose headers were not recognized by its name', async () => {
+    const detection = await detectFileType(new File(['Hello,\nthe policy is attached.'], 'renewal.eml'));
+    expect(detection).toMatchObject({ type: 'eml', mismatch: false });
+  });
+
+  it('falls back to the name when the content says nothing', async () => {
+    const detection = await detectFileType(new File([new Uint8Array([1, 2, 0, 3])], 'scan.tif'));
+    expect(detection).toMatchObject({ type: 'tiff', detectedType: null, supported: true });
+  });
+
+  it('maps extensions case-insensitively', () => {
+    expect(getExtensionType('Policy.JPEG')).toBe('jpeg');
+    expect(getExtensionType('README')).toBeNull();
+  });
+});
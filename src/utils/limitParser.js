@@ -0,0 +1,226 @@
+/**
+ * Limit Parser
+ * Shared parsing of money amounts and coverage limits (split limits, CSL,
+ * K/M suffixes, per-person/per-accident/per-occurrence/aggregate qualifiers)
+ * so every extractor and analyzer interprets a policy's limits the same way
+ */
+
+// A single money amount: "$1,000", "1.5M", "500K", "$300 thousand"
+const AMOUNT_SOURCE = '\\$?\\s?\\d[\\d,]*(?:\\.\\d+)?(?:\\s?(?:mm|m|k|thousand|million)\\b)?';
+
+// Words that may follow an amount to say what it applies to
+const QUALIFIER_SOURCE = '(?:\\s*(?:per|each|\\/)\\s*(?:person|accident|occurrence|claim|loss)|\\s*(?:in the\\s+)?aggregate|\\s*(?:combined single limit|csl)|\\s*(?:bodily injury|property damage|bi|pd)\\b)*';
+
+// Words that may come before an amount on declarations ("Each Occurrence $1,000,000")
+const LEADING_QUALIFIER_SOURCE = '(?:(?:(?:per|each)\\s*(?:person|accident|occurrence|claim|loss)|(?:general\\s+)?aggregate|combined single limit|csl|bodily injury|property damage)\\s*:?\\s*)?';
+
+// Declarations list split limits with slashes, commas or just spaces between the amounts
+const JOINER_SOURCE = '(?:\\s*(?:\\/|;|,|\\band\\b)\\s*|\\s+)';
+
+const QUALIFIED_AMOUNT_SOURCE = `${LEADING_QUALIFIER_SOURCE}${AMOUNT_SOURCE}${QUALIFIER_SOURCE}`;
+
+/**
+ * Matches a complete limit expression such as "100/300/100",
+ * "$50,000 per person, $100,000 per accident" or
+ * "Each Occurrence $1,000,000 General Aggregate $2,000,000"
+ */
+export const LIMIT_EXPRESSION = new RegExp(
+  `${QUALIFIED_AMOUNT_SOURCE}(?:${JOINER_SOURCE}${QUALIFIED_AMOUNT_SOURCE})*`,
+  'i'
+);
+
+const QUALIFIERS = [
+  { field: 'perPerson', pattern: /\b(?:per|each)\s*person\b/i },
+  { field: 'perAccident', pattern: /\b(?:per|each)\s*accident\b/i },
+  { field: 'perOccurrence', pattern: /\b(?:per|each)\s*(?:occurrence|claim|loss)\b/i },
+  { field: 'aggregate', pattern: /\baggregate\b/i },
+  { field: 'propertyDamage', pattern: /\b(?:property damage|pd)\b/i },
+  { field: 'combinedSingle', pattern: /\b(?:combined single limit|csl)\b/i }
+];
+
+// Separates one amount from the next; a slash followed by a qualifier ("$50,000/person") does not
+const SEPARATOR = /\/(?!\s*(?:person|accident|occurrence|claim|loss))|;|,|\band\b/gi;
+
+const MULTIPLIERS = { k: 1000, thousand: 1000, m: 1000000, mm: 1000000, million: 1000000 };
+
+// Conventional order of unqualified split values (auto: BI per person / BI per accident / PD)
+const DEFAULT_SPLIT_ORDER = ['perPerson', 'perAccident', 'propertyDamage'];
+
+/**
+ * Parse a single money amount
+ * @param {string|number} value - e.g. "$1,000", "1.5M", "250k"
+ * @returns {number|null} Amount in dollars, or null when no amount is present
+ */
+export function parseMoney(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (!value) return null;
+
+  // "Policy 2 $1,000": the dollar sign marks the amount, not the first number in the text
+  const text = value.toString();
+  const match = text.match(/\$\s?(\d[\d,]*(?:\.\d+)?)\s?(mm|m|k|thousand|million)?\b/i) ||
+    text.match(/(\d[\d,]*(?:\.\d+)?)\s?(mm|m|k|thousand|million)?\b/i);
+  if (!match) return null;
+
+  const amount = parseFloat(match[1].replace(/,/g, ''));
+  if (isNaN(amount)) return null;
+
+  const multiplier = match[2] ? MULTIPLIERS[match[2].toLowerCase()] : 1;
+  return Math.round(amount * multiplier * 100) / 100;
+}
+
+/**
+ * Parse a coverage limit into its components
+ * @param {string|number} value - Limit text, e.g. "100/300/100", "$500,000 CSL",
+ *   "$1M each occurrence / $2M aggregate"
+ * @param {Object} options - { splitOrder: fields assigned to unqualified split values }
+ * @returns {Object} { raw, type, amounts, perPerson, perAccident, propertyDamage,
+ *   perOccurrence, aggregate, combinedSingle, amount, unlimited }
+ */
+export function parseLimit(value, options = {}) {
+  const result = {
+    raw: value ?? null,
+    type: 'none',
+    amounts: [],
+    perPerson: null,
+    perAccident: null,
+    propertyDamage: null,
+    perOccurrence: null,
+    aggregate: null,
+    combinedSingle: null,
+    amount: null,
+    unlimited: false
+  };
+
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? { ...result, type: 'single', amounts: [value], amount: value } : result;
+  }
+  if (!value) return result;
+
+  const text = value.toString();
+  if (/\bunlimited\b|\bno (?:maximum|limit)\b/i.test(text)) {
+    return { ...result, type: 'unlimited', unlimited: true };
+  }
+
+  const segments = readAmountSegments(text);
+  if (segments.length === 0) return result;
+
+  // "100/300/100" and "300 CSL" shorthand are written in thousands
+  const isShorthand = (segments.length > 1 ? /\//.test(text) : /\b(?:combined single limit|csl)\b/i.test(text)) &&
+    segments.every(segment => !segment.moneyShaped && segment.amount < 1000);
+  const amounts = segments.map(segment => isShorthand ? segment.amount * 1000 : segment.amount);
+
+  const splitOrder = options.splitOrder || DEFAULT_SPLIT_ORDER;
+  let position = 0;
+
+  segments.forEach((segment, index) => {
+    const qualifier = findQualifier(segment.leadingText) || findQualifier(segment.trailingText);
+    let field = qualifier?.field;
+
+    if (!field) {
+      if (segments.length === 1) return;
+      // Skip positions already claimed by an explicit qualifier
+      while (position < splitOrder.length && result[splitOrder[position]] !== null) position++;
+      field = splitOrder[position++];
+    }
+
+    if (field && result[field] === null) {
+      result[field] = amounts[index];
+    }
+  });
+
+  const isCsl = result.combinedSingle !== null ||
+    (segments.length === 1 && /\b(?:combined single limit|csl|single limit)\b/i.test(text));
+  if (isCsl && result.combinedSingle === null) {
+    result.combinedSingle = amounts[0];
+  }
+
+  result.amounts = amounts;
+  result.type = isCsl ? 'csl' : segments.length > 1 ? 'split' : 'single';
+  result.amount = result.combinedSingle ?? result.perPerson ?? result.perOccurrence ??
+    result.perAccident ?? amounts[0];
+
+  return result;
+}
+
+/**
+ * Headline amount of a limit (CSL, per-person or per-occurrence value)
+ * @returns {number} Amount in dollars, 0 when it cannot be read
+ */
+export function parseLimitAmount(value, options = {}) {
+  return parseLimit(value, options).amount || 0;
+}
+
+/**
+ * Find the first limit expression in free text
+ * @returns {string|null} Matched limit text
+ */
+export function findLimitExpression(text) {
+  const match = text?.match(LIMIT_EXPRESSION);
+  return match ? match[0].trim() : null;
+}
+
+// A dollar sign, thousands grouping or K/M suffix marks an amount of money
+function isMoneyShaped(amountText) {
+  return /\$|\d,\d{3}|(?:mm|m|k|thousand|million)$/i.test(amountText.trim());
+}
+
+function findQualifier(text) {
+  return QUALIFIERS.find(({ pattern }) => pattern.test(text));
+}
+
+/**
+ * Split limit text into amounts with the words that lead and trail each one.
+ * Qualifiers normally follow the amount ("$50,000 per person"), but declarations
+ * also write them first ("Each Occurrence $1,000,000 General Aggregate $2,000,000");
+ * the words between two amounts belong to one of them, never both
+ */
+function readAmountSegments(text) {
+  const pattern = new RegExp(AMOUNT_SOURCE, 'gi');
+  let matches = [...text.matchAll(pattern)].filter(match => parseMoney(match[0]) !== null);
+
+  // Next to dollar amounts, a bare number is a year or a count, not a limit
+  const moneyShaped = matches.filter(match => isMoneyShaped(match[0]));
+  if (moneyShaped.length > 0) matches = moneyShaped;
+  if (matches.length === 0) return [];
+
+  const prefix = text.slice(0, matches[0].index);
+  const last = matches[matches.length - 1];
+  const suffix = text.slice(last.index + last[0].length);
+  // Written qualifier-first when the text opens with one or none trails the last amount
+  const leadingStyle = Boolean(findQualifier(prefix)) || !findQualifier(suffix);
+
+  const segments = matches.map(match => ({
+    amount: parseMoney(match[0]),
+    hasSuffix: /(?:mm|m|k|thousand|million)$/i.test(match[0]),
+    moneyShaped: isMoneyShaped(match[0]),
+    leadingText: '',
+    trailingText: ''
+  }));
+  segments[0].leadingText = prefix;
+  segments[segments.length - 1].trailingText = suffix;
+
+  for (let index = 1; index < matches.length; index++) {
+    const previous = matches[index - 1];
+    const gap = text.slice(previous.index + previous[0].length, matches[index].index);
+    const separator = [...gap.matchAll(SEPARATOR)].pop();
+
+    if (separator) {
+      segments[index - 1].trailingText = gap.slice(0, separator.index);
+      segments[index].leadingText = gap.slice(separator.index + separator[0].length);
+    } else if (leadingStyle) {
+      segments[index].leadingText = gap;
+    } else {
+      segments[index - 1].trailingText = gap;
+    }
+  }
+
+  return segments;
+}
+
+export default {
+  LIMIT_EXPRESSION,
+  parseMoney,
+  parseLimit,
+  parseLimitAmount,
+  findLimitExpression
+};
@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { parseMoney, parseLimit, findLimitExpression } from './limitParser.js';
+
+describe('parseMoney', () => {
+  it('reads plain amounts and suffixes', () => {
+    expect(parseMoney('$1,000')).toBe(1000);
+    expect(parseMoney('1.5M')).toBe(1500000);
+    expect(parseMoney('250k')).toBe(250000);
+    expect(parseMoney('$300 thousand')).toBe(300000);
+    expect(parseMoney(42)).toBe(42);
+  });
+
+  it('prefers the dollar amount over other numbers in the text', () => {
+    expect(parseMoney('Policy 2 $1,000')).toBe(1000);
+  });
+
+  it('returns null without an amount', () => {
+    expect(parseMoney('none')).toBeNull();
+    expect(parseMoney('')).toBeNull();
+    expect(parseMoney(NaN)).toBeNull();
+  });
+});
+
+describe('parseLimit', () => {
+  it('reads split limit shorthand in thousands', () => {
+    expect(parseLimit('100/300/100')).toMatchObject({
+      type: 'split', perPerson: 100000, perAccident: 300000, propertyDamage: 100000, amount: 100000
+    });
+  });
+
+  it('reads qualifiers that follow their amounts', () => {
+    expect(parseLimit('$50,000 per person / $100,000 per accident')).toMatchObject({
+      perPerson: 50000, perAccident: 100000
+    });
+    expect(parseLimit('$1M each occurrence / $2M aggregate')).toMatchObject({
+      perOccurrence: 1000000, aggregate: 2000000, amount: 1000000
+    });
+  });
+
+  it('binds qualifiers written before their amounts to the amount that follows', () => {
+    expect(parseLimit('Each Occurrence $1,000,000 General Aggregate $2,000,000')).toMatchObject({
+      perPerson: null, perOccurrence: 1000000, aggregate: 2000000, amount: 1000000
+    });
+    expect(parseLimit('Bodily Injury 25/50 Property Damage 25')).toMatchObject({
+      perPerson: 25000, perAccident: 50000, propertyDamage: 25000
+    });
+  });
+
+  it('keeps a slash qualifier with its own amount', () => {
+    expect(parseLimit('$50,000/person $100,000/accident')).toMatchObject({
+      perPerson: 50000, perAccident: 100000
+    });
+  });
+
+  it('reads combined single limits', () => {
+    expect(parseLimit('$500,000 CSL')).toMatchObject({ type: 'csl', combinedSingle: 500000, amount: 500000 });
+    expect(parseLimit('Combined Single Limit: $300,000')).toMatchObject({ type: 'csl', combinedSingle: 300000 });
+    expect(parseLimit('300 CSL')).toMatchObject({ type: 'csl', combinedSingle: 300000 });
+  });
+
+  it('ignores bare numbers next to dollar amounts', () => {
+    expect(parseLimit('$100,000 per accident 2024')).toMatchObject({
+      type: 'single', perPerson: null, perAccident: 100000, amount: 100000
+    });
+  });
+
+  it('reads unlimited and missing limits', () => {
+    expect(parseLimit('Unlimited')).toMatchObject({ type: 'unlimited', unlimited: true });
+    expect(parseLimit(null)).toMatchObject({ type: 'none', amount: null });
+  });
+});
+
+describe('findLimitExpression', () => {
+  it('finds the limit in a declarations line', () => {
+    expect(findLimitExpression('Bodily Injury Liability $50,000/$100,000 each')).toBe('$50,000/$100,000');
+    expect(findLimitExpression('Personal Liability $300,000 Deductible $1,000')).toBe('$300,000');
+  });
+
+  it.each([
+    ['Bodily Injury: $100,000 per person, $300,000 per accident', { perPerson: 100000, perAccident: 300000 }],
+    ['Bodily Injury Liability $100,000 each person $300,000 each accident', { perPerson: 100000, perAccident: 300000 }],
+    ['Each Occurrence $1,000,000 General Aggregate $2,000,000', { perOccurrence: 1000000, aggregate: 2000000 }],
+    ['Bodily Injury 25/50 Property Damage 25', { perPerson: 25000, perAccident: 50000, propertyDamage: 25000 }]
+  ])('keeps every amount of %j for parseLimit', (line, limits) => {
+    expect(parseLimit(findLimitExpression(line))).toMatchObject({ type: 'split', ...limits });
+  });
+});
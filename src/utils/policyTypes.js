@@ -229,6 +229,173 @@ export const CLASSIFICATION_KEYWORDS = {
   }
 };
 
+/**
+ * Policy forms and plan variants within each policy type, used for second-level classification.
+ * Evidence for a sub-type:
+ * - forms: standard form numbers detected in the document (decisive)
+ * - codes: policy form or line codes from structured data such as ACORD imports (decisive)
+ * - patterns: wording that points to the sub-type; each distinct match counts once
+ * - family: broader group shared by several sub-types (term vs. permanent life)
+ * Sub-types are listed in order of precedence; an HDHP is reported as such even when it
+ * is also a PPO.
+ */
+export const POLICY_SUBTYPES = {
+  home: {
+    ho3: {
+      label: 'HO-3 Special Form',
+      forms: ['HO 00 03'],
+      codes: ['HO3', 'HO03'],
+      patterns: [/\bho[\s-]?0?3\b/i, /\bspecial form\b/i]
+    },
+    ho5: {
+      label: 'HO-5 Comprehensive Form',
+      forms: ['HO 00 05'],
+      codes: ['HO5', 'HO05'],
+      patterns: [/\bho[\s-]?0?5\b/i, /\bcomprehensive form\b/i, /open perils? (?:on|for) personal property/i]
+    },
+    ho6: {
+      label: 'HO-6 Condominium Unit Owners',
+      forms: ['HO 00 06'],
+      codes: ['HO6', 'HO06'],
+      patterns: [/\bho[\s-]?0?6\b/i, /condominium unit[- ]owners?/i, /\bunit[- ]owners?\b/i, /\bcondo(?:minium)? (?:unit|association)\b/i, /\bloss assessment\b/i]
+    },
+    ho2: {
+      label: 'HO-2 Broad Form',
+      forms: ['HO 00 02'],
+      codes: ['HO2', 'HO02'],
+      patterns: [/\bho[\s-]?0?2\b/i, /\bbroad form\b/i]
+    },
+    ho8: {
+      label: 'HO-8 Modified Coverage Form',
+      forms: ['HO 00 08'],
+      codes: ['HO8', 'HO08'],
+      patterns: [/\bho[\s-]?0?8\b/i, /modified coverage form/i]
+    },
+    dwelling_fire: {
+      label: 'Dwelling Fire (DP)',
+      forms: ['DP 00 01', 'DP 00 02', 'DP 00 03'],
+      codes: ['DP1', 'DP2', 'DP3', 'DFIRE'],
+      patterns: [/dwelling (?:fire|property) (?:policy|form)/i, /\bdp[\s-]?0?[123]\b/i, /\blandlord policy\b/i, /fair rental value/i]
+    },
+    mobile_home: {
+      label: 'Mobile / Manufactured Home',
+      codes: ['MHOME'],
+      patterns: [/\bmobile home\b/i, /\bmanufactured home\b/i]
+    }
+  },
+
+  renters: {
+    ho4: {
+      label: 'HO-4 Contents Broad Form',
+      forms: ['HO 00 04'],
+      codes: ['HO4', 'HO04'],
+      patterns: [/\bho[\s-]?0?4\b/i, /contents broad form/i, /\brenters?\b/i, /\btenants?\b/i]
+    }
+  },
+
+  life: {
+    term: {
+      label: 'Term Life',
+      family: 'term',
+      patterns: [/\bterm life\b/i, /\blevel term\b/i, /\bterm period\b/i, /\b(?:10|15|20|25|30)[- ]year term\b/i, /\bconversion privilege\b/i]
+    },
+    whole: {
+      label: 'Whole Life',
+      family: 'permanent',
+      patterns: [/\bwhole life\b/i, /paid[- ]up additions?/i, /\bdividends? (?:credited|option)/i, /premiums? payable to age/i]
+    },
+    universal: {
+      label: 'Universal Life',
+      family: 'permanent',
+      patterns: [/\b(?:indexed )?universal life\b/i, /\biul\b/i, /\baccount value\b/i, /\bcost of insurance\b/i, /no[- ]lapse guarantee/i]
+    },
+    variable: {
+      label: 'Variable Life',
+      family: 'permanent',
+      patterns: [/\bvariable (?:universal )?life\b/i, /\bsub-?accounts?\b/i, /\bseparate account\b/i]
+    }
+  },
+
+  health: {
+    hdhp: {
+      label: 'High Deductible Health Plan (HDHP)',
+      patterns: [/high[- ]deductible health plan/i, /\bhdhp\b/i, /\bhsa[- ]eligible\b/i, /health savings account/i, /\bhsa\b/i]
+    },
+    hmo: {
+      label: 'HMO',
+      patterns: [/\bhmo\b/i, /health maintenance organization/i, /referrals? (?:are )?required/i]
+    },
+    ppo: {
+      label: 'PPO',
+      patterns: [/\bppo\b/i, /preferred provider organization/i]
+    },
+    epo: {
+      label: 'EPO',
+      patterns: [/\bepo\b/i, /exclusive provider organization/i]
+    },
+    pos: {
+      label: 'POS',
+      patterns: [/\bpos plan\b/i, /point[- ]of[- ]service/i]
+    }
+  },
+
+  disability: {
+    long_term: {
+      label: 'Long-Term Disability',
+      patterns: [/long[- ]term disability/i, /\bbenefit period (?:to|until) age\b/i, /\bown[- ]occupation\b/i, /\bmonthly benefit\b/i]
+    },
+    short_term: {
+      label: 'Short-Term Disability',
+      patterns: [/short[- ]term disability/i, /\bweekly benefit\b/i, /\b(?:13|26) weeks\b/i]
+    }
+  },
+
+  business: {
+    bop: {
+      label: 'Businessowners Policy (BOP)',
+      forms: ['BP 00 03'],
+      codes: ['BOP'],
+      patterns: [/\bbusinessowners?\b/i, /\bbop\b/i]
+    },
+    commercial_package: {
+      label: 'Commercial Package Policy',
+      codes: ['CPKGE'],
+      patterns: [/commercial package policy/i, /\bcoverage parts?\b/i]
+    },
+    general_liability: {
+      label: 'Commercial General Liability',
+      forms: ['CG 00 01', 'CG 00 02'],
+      codes: ['CGL'],
+      patterns: [/commercial general liability/i, /products[- ]completed operations/i]
+    },
+    commercial_property: {
+      label: 'Commercial Property',
+      forms: ['CP 00 10'],
+      codes: ['CPROP'],
+      patterns: [/commercial property coverage/i, /building and personal property coverage form/i]
+    },
+    workers_compensation: {
+      label: "Workers' Compensation",
+      codes: ['WORK', 'WC'],
+      patterns: [/workers'? compensation/i, /\bemployers liability\b/i, /experience modification/i]
+    },
+    commercial_auto: {
+      label: 'Business Auto',
+      forms: ['CA 00 01'],
+      codes: ['AUTOB'],
+      patterns: [/\bbusiness auto\b/i, /\bcommercial auto\b/i, /hired and non-owned/i]
+    },
+    professional_liability: {
+      label: 'Professional Liability (E&O)',
+      patterns: [/professional liability/i, /errors and omissions/i, /\bclaims[- ]made\b/i]
+    },
+    cyber: {
+      label: 'Cyber Liability',
+      patterns: [/\bcyber (?:liability|insurance|policy)\b/i, /\bnetwork security\b/i, /\bdata breach\b/i, /\bransomware\b/i, /social engineering/i]
+    }
+  }
+};
+
 export const POLICY_CATEGORIES = {
   vehicle: ['auto'],
   property: ['home', 'renters'],
@@ -241,6 +408,7 @@ export const POLICY_CATEGORIES = {
 
 export default {
   POLICY_TYPES,
+  POLICY_SUBTYPES,
   CLASSIFICATION_KEYWORDS,
   POLICY_CATEGORIES
 };
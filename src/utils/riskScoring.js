@@ -254,6 +254,11 @@ export function calculateConfidenceScore(analysisData) {
     confidenceScore += 10;
     factors.push('Multiple analyzers used');
   }
+
+  if (analysisData.structuredInput) {
+    confidenceScore += 10;
+    factors.push('Structured ACORD policy data');
+  }
   
   confidenceScore = Math.max(0, Math.min(100, confidenceScore));
   
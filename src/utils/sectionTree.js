@@ -0,0 +1,92 @@
+/**
+ * Section Tree Utilities
+ * Query helpers for the document section tree built during text normalization.
+ * Nodes look like { id, label, title, heading, kind, level, start, contentStart, end, children }
+ * with offsets into the normalized extracted text.
+ */
+
+/**
+ * Every section below a node, in document order
+ * @param {Object} tree - Section tree root (or any node)
+ * @returns {Array} Flat list of section nodes
+ */
+export function flattenSections(tree) {
+  if (!tree?.children) return [];
+  return tree.children.flatMap(child => [child, ...flattenSections(child)]);
+}
+
+/**
+ * Find every section whose heading matches a query
+ * @param {Object} tree - Section tree root (or any node to search below)
+ * @param {string|RegExp} query - Case-insensitive text contained in the heading, or a pattern
+ * @returns {Array} Matching section nodes in document order
+ */
+export function findSections(tree, query) {
+  const matches = typeof query === 'string'
+    ? heading => canonicalHeading(heading).includes(canonicalHeading(query))
+    : heading => query.test(heading);
+
+  return flattenSections(tree).filter(section => matches(section.heading || ''));
+}
+
+/**
+ * First section whose heading matches a query
+ * @returns {Object|null} Section node
+ */
+export function findSection(tree, query) {
+  return findSections(tree, query)[0] || null;
+}
+
+/**
+ * Body text of a section, without its heading
+ * @param {string} text - Normalized extracted text the tree was built from
+ * @param {Object} section - Section node
+ * @returns {string} Section text including its subsections
+ */
+export function getSectionText(text, section) {
+  if (!text || !section) return '';
+  return text.slice(section.contentStart ?? section.start, section.end).trim();
+}
+
+/**
+ * Section tree nodes moved by an offset, used when texts are concatenated
+ */
+export function shiftSections(sections = [], offset = 0) {
+  return sections.map(section => ({
+    ...section,
+    start: section.start + offset,
+    contentStart: section.contentStart + offset,
+    end: section.end + offset,
+    children: shiftSections(section.children, offset)
+  }));
+}
+
+/**
+ * Short outline of the section headings, one per line, indented by nesting
+ * @param {Object} tree - Section tree root
+ * @param {number} maxDepth - Deepest nesting listed
+ */
+export function outlineSections(tree, maxDepth = 2, depth = 0) {
+  if (!tree?.children || depth >= maxDepth) return '';
+
+  return tree.children
+    .flatMap(section => [
+      `${'  '.repeat(depth)}- ${section.heading}`,
+      outlineSections(section, maxDepth, depth + 1)
+    ])
+    .filter(Boolean)
+    .join('\n');
+}
+
+function canonicalHeading(heading) {
+  return heading.toLowerCase().replace(/[\s\-–—:.]+/g, ' ').trim();
+}
+
+export default {
+  flattenSections,
+  findSections,
+  findSection,
+  getSectionText,
+  shiftSections,
+  outlineSections
+};
@@ -0,0 +1,76 @@
+/**
+ * Text Features
+ * Turns document text into the n-gram features read by the policy type classifier.
+ * Training (scripts/trainClassifier.js) and classification share these functions, so a
+ * model only ever sees features produced the same way it was trained on.
+ */
+
+// Words too common in every policy to say anything about its type
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'if', 'in', 'is', 'it',
+  'of', 'on', 'or', 'the', 'this', 'to', 'was', 'will', 'with', 'you', 'your'
+]);
+
+export const DEFAULT_NGRAM_RANGE = [1, 2];
+
+/**
+ * Lower-case word tokens; amounts and long numbers collapse to one token so limits and
+ * policy numbers do not become features, while form numbers ("ho 00 03") survive
+ * @param {string} text - Document text
+ * @returns {Array<string>} Tokens
+ */
+export function tokenize(text) {
+  const words = (text || '').toLowerCase().match(/[a-z0-9]+(?:'[a-z]+)?/g) || [];
+
+  return words
+    .filter(word => !STOP_WORDS.has(word))
+    .map(word => (/^\d{3,}$/.test(word) ? '<num>' : word.replace(/'s$/, '')));
+}
+
+/**
+ * Count the n-grams of a text
+ * @param {string} text - Document text
+ * @param {Array<number>} ngramRange - [smallest, largest] n-gram length
+ * @returns {Map<string, number>} Count per n-gram
+ */
+export function countNgrams(text, ngramRange = DEFAULT_NGRAM_RANGE) {
+  const tokens = tokenize(text);
+  const counts = new Map();
+  const [min, max] = ngramRange;
+
+  for (let n = min; n <= max; n++) {
+    for (let i = 0; i + n <= tokens.length; i++) {
+      const gram = tokens.slice(i, i + n).join(' ');
+      counts.set(gram, (counts.get(gram) || 0) + 1);
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * Feature vector of a text over a fixed vocabulary: log-scaled counts normalized to unit
+ * length, so a twelve-page policy and a one-page declarations score on the same scale
+ * @param {string} text - Document text
+ * @param {Map<string, number>} vocabulary - Index of every known n-gram
+ * @param {Array<number>} ngramRange - [smallest, largest] n-gram length
+ * @returns {Array<[number, number]>} Sparse vector of [index, value] pairs
+ */
+export function vectorize(text, vocabulary, ngramRange = DEFAULT_NGRAM_RANGE) {
+  const vector = [];
+
+  for (const [gram, count] of countNgrams(text, ngramRange)) {
+    const index = vocabulary.get(gram);
+    if (index !== undefined) vector.push([index, 1 + Math.log(count)]);
+  }
+
+  const norm = Math.sqrt(vector.reduce((sum, [, value]) => sum + value * value, 0));
+  return norm > 0 ? vector.map(([index, value]) => [index, value / norm]) : vector;
+}
+
+export default {
+  DEFAULT_NGRAM_RANGE,
+  tokenize,
+  countNgrams,
+  vectorize
+};
@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { tokenize, countNgrams, vectorize } from './textFeatures.js';
+
+describe('tokenize', () => {
+  it('drops stop words and collapses long numbers but keeps form numbers', () => {
+    expect(tokenize("The Insured's Policy 4471029 for $300,000 under HO 00 03")).toEqual([
+      'insured', 'policy', '<num>', '<num>', '<num>', 'under', 'ho', '00', '03'
+    ]);
+    expect(tokenize(null)).toEqual([]);
+  });
+});
+
+describe('countNgrams', () => {
+  it('counts every n-gram in the range', () => {
+    expect(Object.fromEntries(countNgrams('collision deductible collision', [1, 2]))).toEqual({
+      collision: 2,
+      deductible: 1,
+      'collision deductible': 1,
+      'deductible collision': 1
+    });
+  });
+});
+
+describe('vectorize', () => {
+  const vocabulary = new Map([['collision', 0], ['deductible', 1], ['dwelling', 2]]);
+
+  it('keeps known n-grams with log-scaled counts at unit length', () => {
+    const vector = vectorize('collision collision deductible unknown', vocabulary, [1, 1]);
+    const [[, collision], [, deductible]] = vector;
+
+    expect(vector.map(([index]) => index)).toEqual([0, 1]);
+    expect(collision / deductible).toBeCloseTo(1 + Math.log(2));
+    expect(Math.hypot(collision, deductible)).toBeCloseTo(1);
+  });
+
+  it('is empty for text without known n-grams', () => {
+    expect(vectorize('nothing known here', vocabulary)).toEqual([]);
+  });
+});
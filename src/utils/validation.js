@@ -3,6 +3,8 @@
  * Provides validation functions for policy data and analysis results
  */
 
+import { describeDetection } from './fileTypes.js';
+
 /**
  * Validate policy data based on policy type
  * @param {Object} policyData - Policy data to validate
@@ -413,9 +415,11 @@ export function validateAnalysisResult(analysisResult) {
 /**
  * Validate file upload
  * @param {File} file - File to validate
+ * @param {Object} detection - Result of detectFileType(file); without it the type is
+ *   judged from the file name alone
  * @returns {Object} Validation result
  */
-export function validateFileUpload(file) {
+export function validateFileUpload(file, detection = null) {
   const errors = [];
   const warnings = [];
   
@@ -435,20 +439,12 @@ export function validateFileUpload(file) {
     warnings.push('File is very small and may not contain sufficient data');
   }
   
-  // File type validation
-  const allowedTypes = [
-    'application/pdf',
-    'text/plain',
-    'application/msword',
-    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-    'image/jpeg',
-    'image/png',
-    'image/gif'
-  ];
-  
-  if (!allowedTypes.includes(file.type)) {
-    errors.push(`File type ${file.type} is not supported`);
+  // File type validation, by content when it has been sniffed
+  const fileType = detection || describeDetection(file, null);
+  if (!fileType.supported) {
+    errors.push(`File type ${file.type || fileType.extensionType || 'unknown'} is not supported`);
   }
+  warnings.push(...fileType.warnings);
   
   // File name validation
   if (!file.name || file.name.trim() === '') {
@@ -457,14 +453,6 @@ export function validateFileUpload(file) {
     warnings.push('File name is very long');
   }
   
-  // Extension validation
-  const extension = file.name.split('.').pop()?.toLowerCase();
-  const allowedExtensions = ['pdf', 'txt', 'doc', 'docx', 'jpg', 'jpeg', 'png', 'gif'];
-  
-  if (!extension || !allowedExtensions.includes(extension)) {
-    warnings.push('File extension may not be supported');
-  }
-  
   return {
     isValid: errors.length === 0,
     errors,
@@ -569,11 +557,95 @@ export function validateUserProfile(userProfile) {
   };
 }
 
+/**
+ * Validate a value against a JSON schema (the subset used by policySchemas.js:
+ * type, enum, pattern, minimum, maximum, properties, required, additionalProperties, items)
+ * @param {*} value - Value to validate, typically a parsed model response
+ * @param {Object} schema - JSON schema
+ * @param {string} path - Path of the value, used in error messages
+ * @returns {Object} Validation result
+ */
+export function validateAgainstSchema(value, schema, path = '$') {
+  const errors = [];
+
+  const types = schema.type ? [].concat(schema.type) : null;
+  if (types && !types.some(type => matchesSchemaType(value, type))) {
+    errors.push(`${path} must be ${types.join(' or ')}`);
+    return { isValid: false, errors };
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${path} does not match the expected format`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`).errors);
+    });
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateAgainstSchema(propertyValue, properties[key], `${path}.${key}`).errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateAgainstSchema(propertyValue, schema.additionalProperties, `${path}.${key}`).errors);
+      }
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+function matchesSchemaType(value, type) {
+  switch (type) {
+    case 'null':
+      return value === null;
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
 export default {
   validatePolicyData,
   validateAnalysisResult,
   validateFileUpload,
   validateUserProfile,
+  validateAgainstSchema,
   isValidDate,
   isValidCurrency,
   calculateAge
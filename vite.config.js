@@ -1,6 +1,23 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Tesseract requests `${langPath}/eng.traineddata.gz`, so language data keeps its file name
+const assetFileNames = (assetInfo) => assetInfo.name?.endsWith('.traineddata.gz')
+  ? 'assets/tessdata/[name][extname]'
+  : 'assets/[name]-[hash][extname]'
+
 export default defineConfig({
   plugins: [react()],
-})
\ No newline at end of file
+  build: {
+    rollupOptions: {
+      output: { assetFileNames },
+    },
+  },
+  // The document processing worker lazy-loads PDF.js and Tesseract, which needs code splitting
+  worker: {
+    format: 'es',
+    rollupOptions: {
+      output: { assetFileNames },
+    },
+  },
+})